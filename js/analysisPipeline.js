@@ -0,0 +1,459 @@
+
+const AnalysisPipeline = {
+
+  // ────────────────────────────────────────────
+  //  CONFIG
+  //  The same file runs on both sides: the page uses the
+  //  public API, analysisWorker.js calls runTask().
+  // ────────────────────────────────────────────
+
+  WORKER_URL: 'js/analysisWorker.js',
+  OUTFIT_BATCH: 250,      // Outfits scored between progress reports / cancel checks
+
+  _worker: null,
+  _workerFailed: false,   // Worker could not start (file://, CSP…) — stay on the main thread
+  _nextId: 1,
+  _pending: new Map(),    // id → { type, payload, onProgress, signal, resolve, reject, cleanup }
+
+  // ────────────────────────────────────────────
+  //  PUBLIC API
+  // ────────────────────────────────────────────
+
+  /**
+   * Detect garment zones and extract their colors.
+   *
+   * @param {ImageData} imageData — clean (overlay-free) image; a copy is sent to the worker
+   * @param {Object} [options]
+   * @param {string[]} [options.slots]
+   * @param {boolean} [options.smartCrop]
+   * @param {Object} [options.overrides] — per-slot zone proportion overrides
+   * @param {{ left, right }} [options.column] — fixed sampling column (0–1 of width)
+   * @param {boolean} [options.segment] — person segmentation before sampling (default true)
+   * @param {boolean} [options.pose] — zones from body landmarks when they are found (default true)
+   * @param {string} [options.colorSpace] — ColorAnalysis space to run in
+   * @param {{ method?: string, reference?: Object }} [options.whiteBalance] — see WhiteBalance.correct
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [control]
+   * @returns {Promise<{ zones: Object, colors: Object, correction: Object, segmentation: Object|null,
+   *   pose: Object|null, missing: string[] }>} pose: GarmentDetection.fitPose result the zones
+   *   followed; missing: slots outside the photo (no zone, color null)
+   */
+  detect(imageData, options = {}, control = {}) {
+    if (!imageData || !imageData.data) {
+      throw new Error('AnalysisPipeline.detect needs ImageData');
+    }
+    return this._run('detect', { ...options, imageData }, control);
+  },
+
+  /**
+   * Check sharpness, exposure and framing before detection (see ImageQuality.assess).
+   * @param {ImageData} imageData
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [control]
+   * @returns {Promise<{ ok: boolean, issues: Array, metrics: Object }>}
+   */
+  assessQuality(imageData, control = {}) {
+    if (!imageData || !imageData.data) {
+      throw new Error('AnalysisPipeline.assessQuality needs ImageData');
+    }
+    return this._run('quality', { imageData }, control);
+  },
+
+  /**
+   * Rank a burst of frames by sharpness and zone confidence, then keep the
+   * best frame's detection or fuse colors across frames (GarmentDetection.fuseColors).
+   *
+   * @param {ImageData[]} frames — clean frames of the same scene
+   * @param {Object} [options] — as detect(), plus:
+   * @param {'best'|'fuse'} [options.mode]
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [control]
+   * @returns {Promise<{ best: number, frames: Array<{ sharpness, confidence, score }>, zones, colors, correction,
+   *   segmentation, pose, missing }>}
+   */
+  rankFrames(frames, options = {}, control = {}) {
+    if (!Array.isArray(frames) || frames.length === 0 || frames.some(f => !f || !f.data)) {
+      throw new Error('AnalysisPipeline.rankFrames needs an array of ImageData');
+    }
+    return this._run('burst', { ...options, frames }, control);
+  },
+
+  /**
+   * Score an outfit: harmony, confidence, mood, score, grade,
+   * suggestions, temperature and contrast ratios.
+   *
+   * @param {Object[]} colors — one color per slot, head-to-toe
+   * @param {Object} [options]
+   * @param {string[]} [options.slots]
+   * @param {string} [options.occasion]
+   * @param {Object} [options.profile] — PersonalPalette profile
+   * @param {string} [options.colorSpace]
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [control]
+   * @returns {Promise<Object>}
+   */
+  analyze(colors, options = {}, control = {}) {
+    return this._run('analyze', { ...options, colors }, control);
+  },
+
+  /**
+   * Enumerate and rank outfits from wardrobe items (see Wardrobe.generateOutfits),
+   * scoring in batches so the run reports progress and can be cancelled.
+   *
+   * @param {Array} items — wardrobe items, e.g. Wardrobe.getItems()
+   * @param {Object} [options] — slots, tag, occasion, mood, profile, limit, colorSpace
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [control]
+   * @returns {Promise<{ outfits: Array, missingSlots: string[], evaluated: number, truncated: boolean }>}
+   */
+  generateOutfits(items, options = {}, control = {}) {
+    if (!Array.isArray(items)) {
+      throw new Error('AnalysisPipeline.generateOutfits needs an array of wardrobe items');
+    }
+    return this._run('generate', { ...options, items }, control);
+  },
+
+  /** True when the error came from cancelling a run */
+  isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  },
+
+  /** Whether runs currently go to a worker */
+  usesWorker() {
+    return typeof Worker !== 'undefined' && !this._workerFailed;
+  },
+
+  // ────────────────────────────────────────────
+  //  TASKS
+  //  Shared by the worker and the main-thread fallback.
+  // ────────────────────────────────────────────
+
+  /**
+   * Run one task to completion.
+   * @param {'quality'|'detect'|'burst'|'analyze'|'generate'} type
+   * @param {Object} payload
+   * @param {Object} [context]
+   * @param {Function} [context.onProgress] — (fraction 0–1, stage label)
+   * @param {AbortSignal} [context.signal] — checked between steps
+   * @param {boolean} [context.yieldBetweenSteps] — give the event loop a turn between steps
+   * @returns {Promise<Object>}
+   */
+  async runTask(type, payload, context = {}) {
+    const task = this._tasks[type];
+    if (!task) {
+      throw new Error(`Unknown analysis task: ${type}`);
+    }
+
+    if (payload.colorSpace) {
+      ColorAnalysis.setColorSpace(payload.colorSpace);
+    }
+
+    const step = async (fraction, stage) => {
+      if (context.signal && context.signal.aborted) throw this._abortError();
+      if (context.onProgress) context.onProgress(fraction, stage);
+      if (context.yieldBetweenSteps) await new Promise(resolve => setTimeout(resolve, 0));
+      if (context.signal && context.signal.aborted) throw this._abortError();
+    };
+
+    const result = await task.call(this, payload, step);
+    if (context.onProgress) context.onProgress(1, 'Done');
+    return result;
+  },
+
+  _tasks: {
+    async quality(payload, step) {
+      await step(0, 'Checking photo quality');
+      return ImageQuality.assess(this._imageSource(payload.imageData));
+    },
+
+    async detect(payload, step) {
+      await step(0, 'Balancing white');
+      const { imageData, correction } = WhiteBalance.correct(payload.imageData, payload.whiteBalance || {});
+      const source = this._imageSource(imageData);
+
+      await step(0.05, 'Separating you from the background');
+      const segmentation = payload.segment === false ? null : Segmentation.segment(source);
+
+      await step(0.35, 'Finding the body');
+      const landmarks = segmentation && payload.pose !== false ? BodyLandmarks.find(segmentation) : null;
+      const pose = GarmentDetection.fitPose(landmarks);
+      const zones = GarmentDetection.detectZones(source, {
+        smartCrop: payload.smartCrop !== false,
+        slots: payload.slots,
+        overrides: payload.overrides || {},
+        column: payload.column || null,
+        segmentation,
+        pose,
+        landmarks,
+      });
+
+      // Slots outside the photo (by the pose, or below a body cut off at the bottom edge)
+      // stay empty instead of sampling whatever is there
+      const active = GarmentSlots.resolveActive(payload.slots || GarmentSlots.DEFAULT_ACTIVE);
+      const missing = active.filter(key => !zones[key]);
+      const entries = Object.entries(zones);
+      const colors = {};
+      active.forEach(key => { colors[key] = null; });
+      for (let i = 0; i < entries.length; i++) {
+        const [key, zone] = entries[i];
+        await step(0.4 + 0.6 * (i / entries.length), `Sampling ${GarmentSlots.get(key).label.toLowerCase()}`);
+        colors[key] = GarmentDetection.extractZoneColor(source, zone, segmentation);
+      }
+
+      return { zones, colors, correction, segmentation, pose, missing };
+    },
+
+    async burst(payload, step) {
+      const { frames, mode = 'best', ...options } = payload;
+      const detections = [];
+      const ranking = [];
+
+      for (let i = 0; i < frames.length; i++) {
+        const frameStep = (fraction, stage) =>
+          step((i + fraction) / frames.length, `Frame ${i + 1} of ${frames.length}: ${stage.toLowerCase()}`);
+
+        await frameStep(0, 'Measuring sharpness');
+        const sharpness = ImageQuality.sharpness(this._imageSource(frames[i]));
+        const detection = await this._tasks.detect.call(this, { ...options, imageData: frames[i] }, frameStep);
+
+        const confidences = Object.values(detection.colors).filter(Boolean).map(c => c.confidence);
+        const confidence = confidences.length
+          ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+          : 0;
+
+        detections.push(detection);
+        ranking.push({
+          sharpness,
+          confidence: Math.round(confidence * 100) / 100,
+          score: ImageQuality.scoreFrame({ sharpness, confidence }),
+        });
+      }
+
+      const best = ranking.reduce((bestIndex, frame, i) => (frame.score > ranking[bestIndex].score ? i : bestIndex), 0);
+      const { zones, correction, segmentation, pose, missing } = detections[best];
+      const colors = mode === 'fuse'
+        ? GarmentDetection.fuseColors(detections.map(d => d.colors))
+        : detections[best].colors;
+      // Keep colors in step with the best frame's zones
+      missing.forEach(key => { colors[key] = null; });
+
+      return { best, frames: ranking, zones, colors, correction, segmentation, pose, missing, mode };
+    },
+
+    async analyze(payload, step) {
+      const { colors, profile = null } = payload;
+      const slots = payload.slots || GarmentSlots.DEFAULT_ACTIVE;
+
+      await step(0, 'Reading harmony');
+      const harmony = ColorAnalysis.analyzeHarmony(colors);
+      const confidence = Scoring.calculateConfidence(colors);
+      const mood = Scoring.detectMood(colors);
+
+      await step(0.4, 'Scoring');
+      const occasion = Scoring.getOccasion(payload.occasion);
+      const score = Scoring.calculateOutfitScore(colors, harmony, {
+        occasion: occasion.key,
+        profile,
+        mood,
+        slots,
+      });
+      const grade = Scoring.getGrade(score.total);
+
+      await step(0.7, 'Writing suggestions');
+      const suggestions = ColorAnalysis.generateSuggestions(colors, harmony, profile);
+      const temperature = ColorAnalysis.analyzeTemperature(colors);
+
+      // WCAG contrast ratios
+      const contrastRatios = [];
+      for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+          contrastRatios.push({
+            pair: `${GarmentSlots.get(slots[i]).label} ↔ ${GarmentSlots.get(slots[j]).label}`,
+            ratio: ColorAnalysis.calculateContrast(colors[i], colors[j]),
+          });
+        }
+      }
+
+      return { harmony, confidence, mood, score, grade, suggestions, temperature, contrastRatios };
+    },
+
+    async generate(payload, step) {
+      const plan = Wardrobe.planOutfits(payload);
+      const results = [];
+
+      for (let start = 0; start < plan.total; start += this.OUTFIT_BATCH) {
+        const end = Math.min(start + this.OUTFIT_BATCH, plan.total);
+        await step(start / plan.total, `Scoring outfits ${start + 1}–${end} of ${plan.total}`);
+        results.push(...Wardrobe.scoreOutfits(plan, start, end, payload));
+      }
+
+      return Wardrobe.rankOutfits(plan, results, payload.limit);
+    },
+  },
+
+  /**
+   * Something GarmentDetection can read pixels from: an OffscreenCanvas
+   * where available, otherwise a minimal canvas-shaped view over the buffer.
+   */
+  _imageSource(imageData) {
+    const { width, height, data } = imageData;
+
+    if (typeof OffscreenCanvas !== 'undefined' && typeof ImageData !== 'undefined') {
+      try {
+        const canvas = new OffscreenCanvas(width, height);
+        const image = imageData instanceof ImageData ? imageData : new ImageData(data, width, height);
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        return canvas;
+      } catch (error) {
+        console.warn('OffscreenCanvas unavailable, reading the buffer directly:', error);
+      }
+    }
+
+    const context = {
+      getImageData(x, y, w, h) {
+        const out = new Uint8ClampedArray(w * h * 4);
+        for (let row = 0; row < h; row++) {
+          const start = ((y + row) * width + x) * 4;
+          out.set(data.subarray(start, start + w * 4), row * w * 4);
+        }
+        return { width: w, height: h, data: out };
+      },
+    };
+    return { width, height, getContext: () => context };
+  },
+
+  // ────────────────────────────────────────────
+  //  DISPATCH
+  // ────────────────────────────────────────────
+
+  _run(type, payload, { onProgress = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(this._abortError());
+    }
+
+    const worker = this._getWorker();
+    if (!worker) {
+      return this.runTask(type, payload, { onProgress, signal, yieldBetweenSteps: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++;
+      const onAbort = () => this._cancel(id);
+      const entry = {
+        type, payload, onProgress, signal, resolve, reject,
+        cleanup: () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          this._pending.delete(id);
+        },
+      };
+
+      this._pending.set(id, entry);
+      if (signal) signal.addEventListener('abort', onAbort);
+      this._post(id, entry);
+    });
+  },
+
+  /** Lazily (re)start the worker; null when workers are unavailable */
+  _getWorker() {
+    if (this._workerFailed || typeof Worker === 'undefined') return null;
+    if (this._worker) return this._worker;
+
+    try {
+      this._worker = new Worker(this.WORKER_URL);
+    } catch (error) {
+      console.warn('Analysis worker unavailable — running on the main thread:', error);
+      this._workerFailed = true;
+      return null;
+    }
+
+    this._worker.onmessage = event => this._handleMessage(event.data);
+    this._worker.onerror = event => {
+      event.preventDefault();
+      console.warn('Analysis worker failed — running on the main thread:', event.message);
+      this._workerFailed = true;
+      this._terminate();
+      this._runPendingLocally();
+    };
+
+    return this._worker;
+  },
+
+  /** Send a task; pixel buffers are copied and transferred, never shared */
+  _post(id, entry) {
+    const payload = { ...entry.payload };
+    const transfer = [];
+    const copyImage = ({ width, height, data }) => {
+      const copy = new Uint8ClampedArray(data);
+      transfer.push(copy.buffer);
+      return { width, height, data: copy };
+    };
+
+    if (payload.imageData) payload.imageData = copyImage(payload.imageData);
+    if (payload.frames) payload.frames = payload.frames.map(copyImage);
+
+    this._worker.postMessage({ id, type: entry.type, payload }, transfer);
+  },
+
+  _handleMessage(message) {
+    const entry = this._pending.get(message.id);
+    if (!entry) return; // Cancelled
+
+    if (message.type === 'progress') {
+      if (entry.onProgress) entry.onProgress(message.progress, message.stage);
+      return;
+    }
+
+    entry.cleanup();
+    if (message.type === 'result') {
+      entry.resolve(message.result);
+    } else {
+      const error = new Error(message.message || 'Analysis worker error');
+      error.name = message.name || 'Error';
+      entry.reject(error);
+    }
+  },
+
+  /**
+   * Cancel one run. The worker is busy with it and can't be interrupted,
+   * so it is terminated; other queued runs are re-sent to a fresh worker.
+   */
+  _cancel(id) {
+    const entry = this._pending.get(id);
+    if (!entry) return;
+
+    entry.cleanup();
+    entry.reject(this._abortError());
+
+    this._terminate();
+    if (this._pending.size > 0 && this._getWorker()) {
+      this._pending.forEach((other, otherId) => this._post(otherId, other));
+    }
+  },
+
+  _runPendingLocally() {
+    this._pending.forEach(entry => {
+      entry.cleanup();
+      this.runTask(entry.type, entry.payload, {
+        onProgress: entry.onProgress,
+        signal: entry.signal,
+        yieldBetweenSteps: true,
+      }).then(entry.resolve, entry.reject);
+    });
+  },
+
+  _terminate() {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+  },
+
+  _abortError() {
+    if (typeof DOMException !== 'undefined') {
+      return new DOMException('Analysis cancelled', 'AbortError');
+    }
+    const error = new Error('Analysis cancelled');
+    error.name = 'AbortError';
+    return error;
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisPipeline;
+}
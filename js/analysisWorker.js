@@ -0,0 +1,33 @@
+
+// Runs AnalysisPipeline tasks off the main thread.
+// Messages in:  { id, type: 'quality' | 'detect' | 'burst' | 'analyze' | 'generate', payload }
+// Messages out: { id, type: 'progress', progress, stage }
+//               { id, type: 'result', result }
+//               { id, type: 'error', name, message }
+
+importScripts(
+  'colorAnalysis.js',
+  'whiteBalance.js',
+  'garmentSlots.js',
+  'segmentation.js',
+  'bodyLandmarks.js',
+  'garmentDetection.js',
+  'imageQuality.js',
+  'personalPalette.js',
+  'scoring.js',
+  'wardrobe.js',
+  'analysisPipeline.js'
+);
+
+self.onmessage = async event => {
+  const { id, type, payload } = event.data;
+
+  try {
+    const result = await AnalysisPipeline.runTask(type, payload, {
+      onProgress: (progress, stage) => self.postMessage({ id, type: 'progress', progress, stage }),
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', name: error.name, message: error.message });
+  }
+};
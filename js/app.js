@@ -6,16 +6,67 @@ const App = {
   // ────────────────────────────────────────────
 
   currentMode: null,
-  garmentColors: { top: null, bottom: null, shoes: null },
+  activeSlots: [...GarmentSlots.DEFAULT_ACTIVE],
+  garmentColors: GarmentSlots.emptyColors(GarmentSlots.DEFAULT_ACTIVE),
   capturedCanvas: null,
   originalImageData: null,
   detectedZones: null,
+  zoneProportions: { ...GarmentDetection.DEFAULT_PROPORTIONS }, // Dragged zone boundaries (remembered)
+  zoneDragBefore: null,     // Edit snapshot from the start of a boundary drag
+  correctedImage: null,     // { imageData, correction, canvas } — white-balanced copy zones are sampled from
+  segmentation: null,       // Person mask from the last detection (Segmentation.segment)
+  pose: null,               // Body landmarks the detected zones followed (GarmentDetection.fitPose)
+  showMask: false,          // Debug overlay: dim the background outside the mask
   cropMode: false,
   pendingCropGarment: null,
+  cropShape: 'rect',        // CropTool selection mode: 'rect' | 'lasso' | 'polygon' | 'wand'
+  currentOccasion: Scoring.DEFAULT_OCCASION,
   isAnalyzing: false,
+  isDetecting: false,
+  pipelineController: null, // AbortController for the running detection/analysis
+
+  // Photo quality gate
+  imageQuality: null,       // Last ImageQuality.assess result
+
+  // Burst capture
+  burstMode: 'best',        // 'best' frame or 'fuse' colors across frames
+  pendingDetection: null,   // Burst detection waiting for the quality gate
+
+  // Self-timer and pose guide
+  timerSeconds: 0,
+  showPoseGuide: false,
+
+  // Manual camera controls (reset whenever the stream changes)
+  cameraControls: null,
+
+  // White balance
+  whiteBalanceMethod: WhiteBalance.DEFAULT_METHOD,
+  whiteReference: null,     // Illuminant measured from a user-marked white region
+  colorCorrection: null,    // Correction applied by the last detection
+  pendingWhiteReference: false,
+
+  // Outfit generator
+  generatorController: null, // AbortController for the running generation
+
+  // Live camera analysis (running averages across frames)
+  liveController: null,
+  liveColors: null,
+  liveZones: null,
   cropClickHandler: null,
+  cropCanvas: null,
   analysisHistory: [],
 
+  // Personal palette
+  personalProfile: null,
+  paletteSamples: { skin: null, hair: null, eyes: null },
+  paletteRegions: {},
+  paletteImageData: null,
+  pendingPaletteFeature: null,
+
+  // History browser
+  historyPage: 1,
+  historySelection: [],   // Entries picked for side-by-side (max 2)
+
   // Cached DOM references
   _dom: {},
 
@@ -27,6 +78,10 @@ const App = {
   MAX_FILE_SIZE_MB: 15,
   ACCEPTED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
   TOAST_DURATION: 4000,
+  PALETTE_REGION_COLORS: { skin: '#f59e0b', hair: '#a855f7', eyes: '#10b981' },
+  HISTORY_PAGE_SIZE: 10,
+  CHART_DOT_LIMIT: 60,       // Score chart drops per-outfit dots beyond this
+  TOP_COLORS: 8,             // Colors listed next to the wheel
 
   // ────────────────────────────────────────────
   //  INITIALIZATION
@@ -34,12 +89,25 @@ const App = {
 
   init() {
     this._cacheDom();
+    this.activeSlots = GarmentSlots.loadActive();
+    this.garmentColors = GarmentSlots.emptyColors(this.activeSlots);
+    this.zoneProportions = GarmentDetection.loadProportions();
+    this._renderSlotControls();
     this._setupEventListeners();
     this._checkCameraAvailability();
     this._updateAnalyzeButton();
     this._setupKeyboardShortcuts();
+    this._populateOccasions();
+    this._populateColorSpaces();
+    this._populateWhiteBalance();
+    this._populateTimer();
+    this._populateCropShapes();
     this._createToastContainer();
     this._showWelcomeStats();
+    this._loadPersonalProfile();
+    this._initWardrobe();
+    this._refreshHistory();
+    UndoStack.init({ onChange: state => this._updateUndoButtons(state) });
   },
 
   /** Cache all repeatedly-accessed DOM elements once */
@@ -47,20 +115,44 @@ const App = {
     const ids = [
       'manual-mode-btn', 'camera-mode-btn', 'upload-mode-btn',
       'manual-section', 'camera-section', 'upload-section',
-      'top-color', 'bottom-color', 'shoes-color',
+      'slot-picker', 'manual-slots', 'crop-buttons', 'color-previews',
       'start-camera-btn', 'capture-btn', 'switch-camera-btn',
+      'burst-btn', 'burst-mode-select', 'guide-btn', 'timer-select',
+      'guide-overlay', 'countdown-display',
+      'camera-controls', 'torch-btn', 'zoom-slider', 'zoom-value', 'exposure-slider', 'exposure-value',
+      'exposure-lock-btn', 'wb-lock-btn', 'focus-hint', 'focus-ring',
       'camera-preview', 'capture-canvas', 'upload-canvas',
+      'live-btn', 'live-overlay', 'live-score', 'live-score-value', 'live-score-detail',
       'upload-input', 'crop-controls', 'crop-instructions',
-      'crop-top-btn', 'crop-bottom-btn', 'crop-shoes-btn', 'cancel-crop-btn',
-      'top-preview', 'bottom-preview', 'shoes-preview',
-      'top-label', 'bottom-label', 'shoes-label',
-      'analyze-btn', 'reset-btn', 'results-section',
+      'cancel-crop-btn', 'crop-shape-select', 'crop-confirm-btn',
+      'wand-controls', 'wand-tolerance', 'wand-tolerance-value', 'wand-connectivity',
+      'crop-zoom-controls', 'crop-zoom-out-btn', 'crop-zoom-value', 'crop-zoom-in-btn', 'crop-zoom-reset-btn',
+      'crop-add-region-btn', 'crop-regions', 'zone-reset-btn', 'mask-toggle-btn',
+      'wb-method-select', 'wb-reference-btn', 'wb-clear-reference-btn', 'wb-status',
+      'quality-panel', 'quality-issues', 'quality-retake-btn', 'quality-override-btn',
+      'color-space-select', 'analyze-btn', 'reset-btn', 'undo-btn', 'redo-btn', 'results-section',
+      'pipeline-status', 'pipeline-stage', 'pipeline-bar', 'pipeline-cancel-btn',
       'harmony-type', 'harmony-score', 'harmony-explanation',
       'confidence-score', 'confidence-bar',
       'mood-label', 'mood-explanation',
       'overall-score', 'grade-letter', 'grade-description',
       'score-breakdown', 'comparison-section',
-      'comparison-message', 'comparison-details'
+      'comparison-message', 'comparison-details', 'comparison-photos', 'occasion-select',
+      'palette-input', 'palette-canvas', 'palette-controls', 'palette-instructions',
+      'palette-auto-btn', 'palette-skin-btn', 'palette-hair-btn', 'palette-eyes-btn',
+      'palette-save-btn', 'palette-clear-btn', 'palette-samples',
+      'palette-result', 'palette-season', 'palette-best',
+      'wardrobe-slot-select', 'wardrobe-name-input', 'wardrobe-tags-input',
+      'wardrobe-add-btn', 'wardrobe-count', 'wardrobe-filter', 'wardrobe-items',
+      'generator-occasion', 'generator-mood', 'generate-btn', 'generator-results',
+      'history-from', 'history-to', 'history-min-score', 'history-max-score',
+      'history-harmony', 'history-mood', 'history-grade', 'history-sort',
+      'history-reset-btn', 'history-summary', 'history-compare-btn', 'history-list',
+      'history-prev-btn', 'history-page', 'history-next-btn', 'history-compare',
+      'history-compare-entries', 'history-compare-message', 'history-compare-details',
+      'dashboard-empty', 'dashboard-content', 'dashboard-tiles', 'chart-score',
+      'chart-score-legend', 'chart-factors', 'dashboard-weakest', 'chart-harmony',
+      'chart-mood', 'chart-colors'
     ];
 
     ids.forEach(id => {
@@ -79,22 +171,36 @@ const App = {
 
   _setupEventListeners() {
     // Mode selection
-    this.$('manual-mode-btn').addEventListener('click', () => this.selectMode('manual'));
-    this.$('camera-mode-btn').addEventListener('click', () => this.selectMode('camera'));
-    this.$('upload-mode-btn').addEventListener('click', () => this.selectMode('upload'));
-
-    // Manual color inputs — live drag + final pick
-    ['top', 'bottom', 'shoes'].forEach(garment => {
-      const input = this.$(`${garment}-color`);
-      const handler = (e) => this._handleManualColorChange(garment, e.target.value);
-      input.addEventListener('input', handler);
-      input.addEventListener('change', handler);
+    ['manual', 'camera', 'upload'].forEach(mode => {
+      this.$(`${mode}-mode-btn`).addEventListener('click', () => {
+        this._recordEdit(`switch to ${this.MODE_NAMES[mode]}`, () => this.selectMode(mode));
+      });
     });
 
     // Camera controls
     this.$('start-camera-btn').addEventListener('click', () => this._startCamera());
     this.$('capture-btn').addEventListener('click', () => this._captureFrame());
+    this.$('burst-btn').addEventListener('click', () => this._captureBurst());
+    this.$('burst-mode-select').addEventListener('change', e => { this.burstMode = e.target.value; });
     this.$('switch-camera-btn').addEventListener('click', () => this._switchCamera());
+    this.$('live-btn').addEventListener('click', () => this._toggleLive());
+    this.$('guide-btn').addEventListener('click', () => this._togglePoseGuide());
+    this.$('timer-select').addEventListener('change', e => {
+      this.timerSeconds = Number(e.target.value);
+      Camera.saveTimer(this.timerSeconds);
+    });
+
+    // Manual camera controls
+    this.$('torch-btn').addEventListener('click', () => this._toggleTorch());
+    this.$('zoom-slider').addEventListener('input', e => this._applyZoom(Number(e.target.value)));
+    this.$('exposure-slider').addEventListener('change', e => this._applyExposure(Number(e.target.value)));
+    this.$('exposure-lock-btn').addEventListener('click', () => this._toggleExposureLock());
+    this.$('wb-lock-btn').addEventListener('click', () => this._toggleWhiteBalanceLock());
+    const preview = this.$('camera-preview');
+    preview.addEventListener('click', e => this._focusAt(e));
+    preview.addEventListener('touchstart', e => this._onPreviewTouchStart(e));
+    preview.addEventListener('touchmove', e => this._onPreviewTouchMove(e), { passive: false });
+    preview.addEventListener('touchend', e => this._onPreviewTouchEnd(e));
 
     // Upload
     this.$('upload-input').addEventListener('change', (e) => this._handleImageUpload(e));
@@ -102,15 +208,68 @@ const App = {
     // Drag-and-drop on upload zone
     this._setupDragDrop();
 
-    // Crop controls
-    this.$('crop-top-btn').addEventListener('click', () => this._startCrop('top'));
-    this.$('crop-bottom-btn').addEventListener('click', () => this._startCrop('bottom'));
-    this.$('crop-shoes-btn').addEventListener('click', () => this._startCrop('shoes'));
+    // Crop controls (slot buttons are wired in _renderSlotControls)
     this.$('cancel-crop-btn').addEventListener('click', () => this._cancelCrop());
+    this.$('crop-shape-select').addEventListener('change', e => this._setCropShape(e.target.value));
+    this.$('crop-confirm-btn').addEventListener('click', () => this._completeCrop());
+    this.$('crop-add-region-btn').addEventListener('click', () => this._addCropRegion());
+    this.$('wand-tolerance').addEventListener('input', e => this._showWandTolerance(Number(e.target.value)));
+    this.$('wand-tolerance').addEventListener('change', e => CropTool.setWandTolerance(Number(e.target.value)));
+    this.$('wand-connectivity').addEventListener('change', e => CropTool.setWandConnectivity(Number(e.target.value)));
+    this.$('crop-zoom-in-btn').addEventListener('click', () => CropTool.zoomBy(1.5));
+    this.$('crop-zoom-out-btn').addEventListener('click', () => CropTool.zoomBy(1 / 1.5));
+    this.$('crop-zoom-reset-btn').addEventListener('click', () => CropTool.resetView());
+    this.$('zone-reset-btn').addEventListener('click', () => this._resetZoneProportions());
+    this.$('mask-toggle-btn').addEventListener('click', () => this._toggleMask());
+
+    // Personal palette
+    this.$('palette-input').addEventListener('change', (e) => this._handlePaletteUpload(e));
+    this.$('palette-auto-btn').addEventListener('click', () => this._autoDetectPalette());
+    ['skin', 'hair', 'eyes'].forEach(feature => {
+      this.$(`palette-${feature}-btn`).addEventListener('click', () => this._startPaletteCrop(feature));
+    });
+    this.$('palette-save-btn').addEventListener('click', () => this._savePersonalProfile());
+    this.$('palette-clear-btn').addEventListener('click', () => this._clearPersonalProfile());
+
+    // Occasion
+    this.$('occasion-select').addEventListener('change', (e) => {
+      this.currentOccasion = e.target.value;
+    });
+    this.$('color-space-select').addEventListener('change', (e) => this._setColorSpace(e.target.value));
+
+    // Photo quality gate
+    this.$('quality-retake-btn').addEventListener('click', () => this._retakePhoto());
+    this.$('quality-override-btn').addEventListener('click', () => this._overrideQuality());
+
+    // White balance
+    this.$('wb-method-select').addEventListener('change', (e) => this._setWhiteBalanceMethod(e.target.value));
+    this.$('wb-reference-btn').addEventListener('click', () => this._startWhiteReference());
+    this.$('wb-clear-reference-btn').addEventListener('click', () => this._clearWhiteReference());
+
+    // Wardrobe
+    this.$('wardrobe-add-btn').addEventListener('click', () => this._addToWardrobe());
+    this.$('wardrobe-filter').addEventListener('change', () => this._renderWardrobe());
+    this.$('generate-btn').addEventListener('click', () => this._generateOutfits());
+
+    // History browser — any filter change goes back to page 1
+    ['history-from', 'history-to', 'history-min-score', 'history-max-score',
+      'history-harmony', 'history-mood', 'history-grade', 'history-sort'].forEach(id => {
+      this.$(id).addEventListener('change', () => {
+        this.historyPage = 1;
+        this._renderHistory();
+      });
+    });
+    this.$('history-reset-btn').addEventListener('click', () => this._resetHistoryFilters());
+    this.$('history-prev-btn').addEventListener('click', () => this._changeHistoryPage(-1));
+    this.$('history-next-btn').addEventListener('click', () => this._changeHistoryPage(1));
+    this.$('history-compare-btn').addEventListener('click', () => this._compareHistorySelection());
 
     // Analyze & reset
     this.$('analyze-btn').addEventListener('click', () => this._analyzeOutfit());
     this.$('reset-btn').addEventListener('click', () => this._reset());
+    this.$('undo-btn').addEventListener('click', () => this._undoEdit());
+    this.$('redo-btn').addEventListener('click', () => this._redoEdit());
+    this.$('pipeline-cancel-btn').addEventListener('click', () => this._cancelPipeline());
   },
 
   /** Setup drag-and-drop on the upload section */
@@ -151,6 +310,13 @@ const App = {
         this._cancelCrop();
       }
 
+      // Enter → use the selection (palette crops complete on release)
+      if (e.key === 'Enter' && this.cropMode && !this.pendingPaletteFeature) {
+        e.preventDefault();
+        if (CropTool.getRegions().length > 0) this._completeCrop();
+        return;
+      }
+
       // Enter → analyze (when ready)
       if (e.key === 'Enter' && !e.metaKey && !e.ctrlKey && !e.shiftKey) {
         const btn = this.$('analyze-btn');
@@ -160,14 +326,83 @@ const App = {
         }
       }
 
-      // Ctrl/Cmd + Z → undo
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+      // Ctrl/Cmd + Z → undo, + Shift + Z or Ctrl/Cmd + Y → redo (text fields keep their own undo)
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !this._isTextField(e.target)) {
         e.preventDefault();
-        this._undoAnalysis();
+        if (key === 'y' || e.shiftKey) {
+          this._redoEdit();
+        } else {
+          this._undoEdit();
+        }
       }
     });
   },
 
+  /** Fill the occasion picker from Scoring's profiles */
+  _populateOccasions() {
+    const select = this.$('occasion-select');
+    if (!select) return;
+
+    Object.entries(Scoring.OCCASIONS).forEach(([key, occasion]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${occasion.emoji} ${occasion.label}`;
+      select.appendChild(option);
+    });
+
+    select.value = this.currentOccasion;
+  },
+
+  /** Fill the color space picker and restore the last space */
+  _populateColorSpaces() {
+    const select = this.$('color-space-select');
+    if (!select) return;
+
+    ColorAnalysis.listColorSpaces().forEach(({ key, label }) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    ColorAnalysis.setColorSpace(ColorAnalysis.loadColorSpace());
+    select.value = ColorAnalysis.getColorSpace();
+  },
+
+  /** Fill the white balance picker and restore the last method */
+  _populateWhiteBalance() {
+    const select = this.$('wb-method-select');
+    if (!select) return;
+
+    Object.entries(WhiteBalance.METHODS).forEach(([key, method]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = method.label;
+      if (method.description) option.title = method.description;
+      select.appendChild(option);
+    });
+
+    this.whiteBalanceMethod = WhiteBalance.loadMethod();
+    select.value = this.whiteBalanceMethod;
+  },
+
+  /** Fill the self-timer picker and restore the last delay */
+  _populateTimer() {
+    const select = this.$('timer-select');
+    if (!select) return;
+
+    Camera.TIMER_OPTIONS.forEach(seconds => {
+      const option = document.createElement('option');
+      option.value = String(seconds);
+      option.textContent = seconds ? `${seconds} s` : 'Off';
+      select.appendChild(option);
+    });
+
+    this.timerSeconds = Camera.loadTimer();
+    select.value = String(this.timerSeconds);
+  },
+
   // ────────────────────────────────────────────
   //  TOAST NOTIFICATIONS
   // ────────────────────────────────────────────
@@ -233,11 +468,11 @@ const App = {
   // ────────────────────────────────────────────
 
   /** Show returning user stats on load */
-  _showWelcomeStats() {
-    const count = Comparison.getHistoryCount();
+  async _showWelcomeStats() {
+    const count = await Comparison.getHistoryCount();
     if (count > 0) {
-      const stats = Comparison.getStatistics();
-      const best = Comparison.getPersonalBest();
+      const stats = await Comparison.getStatistics();
+      const best = await Comparison.getPersonalBest();
       const bestScore = best ? best.score.total : 0;
 
       setTimeout(() => {
@@ -277,15 +512,26 @@ const App = {
   //  MODE SELECTION
   // ────────────────────────────────────────────
 
-  selectMode(mode) {
+  MODE_NAMES: { manual: 'Manual Colors', camera: 'Live Camera', upload: 'Image Upload' },
+
+  /**
+   * @param {string|null} mode - 'manual' | 'camera' | 'upload' (null: none, when undoing the first pick)
+   * @param {{ quiet?: boolean }} options - quiet: no toast (undo / redo)
+   */
+  selectMode(mode, { quiet = false } = {}) {
     // Stop camera if switching away
     if (this.currentMode === 'camera' && mode !== 'camera') {
+      this._stopLive();
       Camera.stopCamera();
       this.$('camera-preview').classList.add('hidden');
       this.$('capture-btn').disabled = true;
       this.$('switch-camera-btn').disabled = true;
+      this.$('live-btn').disabled = true;
+      this.$('burst-btn').disabled = true;
       this.$('start-camera-btn').textContent = '📷 Start Camera';
       this.$('start-camera-btn').disabled = false;
+      this._updatePoseGuide();
+      this._refreshCameraControls();
     }
 
     // Cancel active crop
@@ -308,27 +554,213 @@ const App = {
     this.$('upload-section').classList.toggle('hidden', mode !== 'upload');
 
     // Reset color state
-    this.garmentColors = { top: null, bottom: null, shoes: null };
+    this._cancelPipeline();
+    this.garmentColors = GarmentSlots.emptyColors(this.activeSlots);
     this.originalImageData = null;
+    this.whiteReference = null;
+    this.colorCorrection = null;
+    this.imageQuality = null;
+    this._updateWhiteBalanceStatus();
     this._updateColorPreviews();
     this._updateAnalyzeButton();
 
-    // Hide results and crop controls
+    // Hide results, quality warnings and crop controls
     this.$('results-section').classList.add('hidden');
+    this.$('quality-panel').classList.add('hidden');
     this.$('crop-controls').classList.add('hidden');
 
     // Auto-initialize manual mode
     if (mode === 'manual') {
-      requestAnimationFrame(() => {
-        ['top', 'bottom', 'shoes'].forEach(garment => {
-          const input = this.$(`${garment}-color`);
-          if (input) this._handleManualColorChange(garment, input.value);
-        });
-      });
+      requestAnimationFrame(() => this._applyManualInputs());
+    }
+
+    if (!quiet) this._toast(`Switched to ${this.MODE_NAMES[mode]} mode`, 'info');
+  },
+
+  // ────────────────────────────────────────────
+  //  GARMENT SLOTS
+  // ────────────────────────────────────────────
+
+  /** Toggle a slot on/off from the picker */
+  _toggleSlot(key) {
+    let next;
+    if (this.activeSlots.includes(key)) {
+      next = this.activeSlots.filter(k => k !== key);
+    } else {
+      // Turning on a covered slot (e.g. Top) turns off what covers it (Dress)
+      next = this.activeSlots.filter(k => !(GarmentSlots.get(k).covers || []).includes(key));
+      next.push(key);
+    }
+
+    if (GarmentSlots.resolveActive(next).length < GarmentSlots.MIN_ACTIVE) {
+      this._toast(`Keep at least ${GarmentSlots.MIN_ACTIVE} garments selected`, 'warning');
+      return;
+    }
+
+    this._setActiveSlots(next);
+  },
+
+  /**
+   * Switch the active slot set, keeping colors for slots that stay.
+   * @param {string[]} slots
+   * @param {{ redetect?: boolean }} options — re-run zone detection on the captured image
+   */
+  _setActiveSlots(slots, { redetect = true } = {}) {
+    if (this.cropMode) {
+      this._cancelCrop();
+    }
+
+    const before = this._editState();
+    const previous = this.garmentColors;
+    this.activeSlots = GarmentSlots.resolveActive(slots);
+    GarmentSlots.saveActive(this.activeSlots);
+
+    this.garmentColors = GarmentSlots.emptyColors(this.activeSlots);
+    this.activeSlots.forEach(key => {
+      if (previous[key]) this.garmentColors[key] = previous[key];
+    });
+
+    this._renderSlotControls();
+    this._updatePoseGuide();
+
+    if (this.currentMode === 'manual') {
+      this._applyManualInputs();
+    } else if (redetect && this.capturedCanvas && this.originalImageData &&
+               this.$('quality-panel').classList.contains('hidden')) {
+      // (While the quality warning is up, detection waits for Retake / Analyze Anyway)
+      this._detectGarments('Garments', before);
     }
 
-    const modeNames = { manual: 'Manual Colors', camera: 'Live Camera', upload: 'Image Upload' };
-    this._toast(`Switched to ${modeNames[mode]} mode`, 'info');
+    this._updateColorPreviews();
+    this._updateAnalyzeButton();
+  },
+
+  /** Rebuild the slot picker, manual pickers, crop buttons and previews */
+  _renderSlotControls() {
+    this._renderSlotPicker();
+    this._renderManualPickers();
+    this._renderCropButtons();
+    this._renderColorPreviews();
+  },
+
+  _renderSlotPicker() {
+    const container = this.$('slot-picker');
+    if (!container) return;
+    container.innerHTML = '';
+
+    GarmentSlots.keys().forEach(key => {
+      const active = this.activeSlots.includes(key);
+      const btn = document.createElement('button');
+      btn.className = 'bg-slate-700 px-4 py-2 rounded-lg font-semibold transition-all';
+      btn.classList.toggle('ring-2', active);
+      btn.classList.toggle('ring-blue-500', active);
+      btn.classList.toggle('opacity-50', !active);
+      btn.setAttribute('aria-pressed', String(active));
+      btn.textContent = GarmentSlots.label(key);
+      btn.addEventListener('click', () => this._toggleSlot(key));
+      container.appendChild(btn);
+    });
+  },
+
+  _renderManualPickers() {
+    const container = this.$('manual-slots');
+    if (!container) return;
+    container.innerHTML = '';
+
+    this.activeSlots.forEach(key => {
+      const slot = GarmentSlots.get(key);
+
+      const card = document.createElement('div');
+      card.className = 'bg-slate-700 rounded-lg p-4';
+
+      const label = document.createElement('label');
+      label.className = 'block text-lg font-semibold mb-3';
+      label.htmlFor = `${key}-color`;
+      label.textContent = GarmentSlots.label(key);
+
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.id = `${key}-color`;
+      input.value = this.garmentColors[key]?.hex || slot.defaultColor;
+      input.className = 'w-full h-16 rounded cursor-pointer';
+
+      // Live drag + final pick — one undo step per drag
+      const handler = (e) => this._recordEdit(
+        `${GarmentSlots.label(key)} color`,
+        () => this._handleManualColorChange(key, e.target.value),
+        `color-${key}`
+      );
+      input.addEventListener('input', handler);
+      input.addEventListener('change', handler);
+
+      card.appendChild(label);
+      card.appendChild(input);
+      container.appendChild(card);
+    });
+  },
+
+  _renderCropButtons() {
+    const container = this.$('crop-buttons');
+    const cancelBtn = this.$('cancel-crop-btn');
+    if (!container || !cancelBtn) return;
+
+    container.querySelectorAll('[data-slot]').forEach(btn => btn.remove());
+
+    this.activeSlots.forEach(key => {
+      const slot = GarmentSlots.get(key);
+      const btn = document.createElement('button');
+      btn.dataset.slot = key;
+      btn.className = 'px-4 py-2 rounded-lg font-semibold transition-all';
+      btn.style.background = slot.border;
+      btn.textContent = `Select ${slot.label} Region`;
+      btn.addEventListener('click', () => this._startCrop(key));
+      container.insertBefore(btn, cancelBtn);
+    });
+  },
+
+  _renderColorPreviews() {
+    const container = this.$('color-previews');
+    if (!container) return;
+    container.innerHTML = '';
+
+    this.activeSlots.forEach(key => {
+      const card = document.createElement('div');
+      card.className = 'bg-slate-700 rounded-lg p-4';
+
+      const title = document.createElement('h3');
+      title.className = 'text-lg font-semibold mb-3';
+      title.textContent = GarmentSlots.label(key);
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-4';
+
+      const preview = document.createElement('div');
+      preview.id = `${key}-preview`;
+      preview.className = 'color-preview w-24 h-24 rounded-full opacity-50';
+
+      const labelWrap = document.createElement('div');
+      const label = document.createElement('p');
+      label.id = `${key}-label`;
+      label.className = 'text-gray-400';
+      label.textContent = 'Not detected';
+      labelWrap.appendChild(label);
+
+      row.appendChild(preview);
+      row.appendChild(labelWrap);
+      card.appendChild(title);
+      card.appendChild(row);
+      container.appendChild(card);
+    });
+
+    this._updateColorPreviews();
+  },
+
+  /** Read every manual picker into garmentColors */
+  _applyManualInputs() {
+    this.activeSlots.forEach(garment => {
+      const input = this.$(`${garment}-color`);
+      if (input) this._handleManualColorChange(garment, input.value);
+    });
   },
 
   // ────────────────────────────────────────────
@@ -372,16 +804,15 @@ const App = {
       video.classList.remove('hidden');
       this.$('capture-btn').disabled = false;
       this.$('switch-camera-btn').disabled = false;
+      this.$('live-btn').disabled = false;
+      this.$('burst-btn').disabled = false;
+      this._updatePoseGuide();
+      this._refreshCameraControls();
 
       btn.textContent = '📷 Camera Active';
 
       const resolution = info ? `${info.width}×${info.height}` : '';
       this._toast(`Camera started ${resolution ? `(${resolution})` : ''}`, 'success');
-
-      // Show torch button if available
-      if (Camera.hasTorch()) {
-        this._toast('💡 Flashlight available — torch support detected', 'info');
-      }
     } catch (error) {
       btn.disabled = false;
       btn.textContent = '📷 Start Camera';
@@ -390,18 +821,31 @@ const App = {
   },
 
   async _switchCamera() {
+    const wasLive = !!this.liveController;
     try {
       const info = await Camera.switchCamera();
       const mode = Camera.getCurrentFacingMode();
+      // Restarting the stream stops the frame loop — pick up again on the new camera
+      if (wasLive) this._startLive();
+      this._updatePoseGuide();
+      this._refreshCameraControls();
       this._toast(`Switched to ${mode === 'environment' ? 'rear' : 'front'} camera`, 'info');
     } catch (error) {
+      if (wasLive) this._stopLive();
       this._toast('Failed to switch camera: ' + error.message, 'error');
     }
   },
 
   async _captureFrame() {
+    if (Camera.isCountingDown()) {
+      Camera.cancelCountdown();
+      return;
+    }
+    if (!(await this._runSelfTimer(this.$('capture-btn')))) return;
+
     try {
       const canvas = this.$('capture-canvas');
+      this._stopLive();
 
       // Try high-res capture first, fallback to frame capture
       try {
@@ -410,264 +854,1684 @@ const App = {
         Camera.captureFrame(canvas);
       }
 
-      Camera.stopCamera();
-      this.$('camera-preview').classList.add('hidden');
-      this.$('start-camera-btn').textContent = '📷 Start Camera';
-      this.$('start-camera-btn').disabled = false;
+      this._stopCameraAfterCapture();
 
       canvas.classList.remove('hidden');
       this._processImage(canvas);
-      this._toast('Frame captured! Colors auto-detected.', 'success');
+      this._toast('Frame captured!', 'success');
     } catch (error) {
       this._toast('Failed to capture frame: ' + error.message, 'error');
     }
   },
 
-  // ────────────────────────────────────────────
-  //  IMAGE UPLOAD
-  // ────────────────────────────────────────────
-
-  _handleImageUpload(event) {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    this._processUploadedFile(file);
-  },
-
-  _processUploadedFile(file) {
-    // Validate type
-    if (!this.ACCEPTED_TYPES.includes(file.type)) {
-      this._toast(`Unsupported file type. Use JPG, PNG, or WebP.`, 'error');
+  /** Take a burst, rank the frames off the main thread, keep the best (or fuse colors) */
+  async _captureBurst() {
+    if (Camera.isCountingDown()) {
+      Camera.cancelCountdown();
       return;
     }
+    const btn = this.$('burst-btn');
+    if (!(await this._runSelfTimer(btn))) return;
 
-    // Validate size
-    const sizeMB = file.size / (1024 * 1024);
-    if (sizeMB > this.MAX_FILE_SIZE_MB) {
-      this._toast(`File too large (${sizeMB.toFixed(1)}MB). Max ${this.MAX_FILE_SIZE_MB}MB.`, 'error');
+    const label = btn.textContent;
+    this._stopLive();
+    btn.disabled = true;
+    this.$('capture-btn').disabled = true;
+
+    let frames;
+    try {
+      frames = await Camera.captureBurst({
+        onFrame: (captured, count) => { btn.textContent = `🎞️ ${captured}/${count}`; },
+      });
+    } catch (error) {
+      btn.disabled = false;
+      this.$('capture-btn').disabled = false;
+      this._toast('Failed to capture burst: ' + error.message, 'error');
       return;
+    } finally {
+      btn.textContent = label;
     }
 
-    const reader = new FileReader();
-
-    reader.onerror = () => {
-      this._toast('Failed to read file', 'error');
-    };
-
-    reader.onload = (e) => {
-      const img = new Image();
-
-      img.onerror = () => {
-        this._toast('Failed to load image. It may be corrupted.', 'error');
-      };
+    this._stopCameraAfterCapture();
 
-      img.onload = () => {
-        const canvas = this.$('upload-canvas');
+    // A reference white belongs to the previous photo
+    this.whiteReference = null;
+    const mode = this.burstMode;
+    const signal = this._startPipeline('Ranking burst frames…');
+    this.isDetecting = true;
+    this._updateAnalyzeButton();
 
-        // Downscale if needed
-        let { width, height } = img;
-        if (width > this.MAX_IMAGE_DIMENSION || height > this.MAX_IMAGE_DIMENSION) {
-          const ratio = Math.min(this.MAX_IMAGE_DIMENSION / width, this.MAX_IMAGE_DIMENSION / height);
-          width = Math.round(width * ratio);
-          height = Math.round(height * ratio);
+    let result;
+    try {
+      result = await AnalysisPipeline.rankFrames(
+        frames.map(frame => frame.getContext('2d').getImageData(0, 0, frame.width, frame.height)),
+        {
+          mode,
+          smartCrop: true,
+          slots: this.activeSlots,
+          colorSpace: ColorAnalysis.getColorSpace(),
+          whiteBalance: this._whiteBalanceOptions(),
+          ...this._zoneOptions(),
+        },
+        {
+          signal,
+          onProgress: (progress, stage) => this._showPipelineProgress(stage, progress),
         }
+      );
+    } catch (error) {
+      if (!AnalysisPipeline.isAbortError(error)) {
+        console.error('Burst ranking failed:', error);
+        this._toast('Burst analysis failed: ' + (error.message || 'Unknown error'), 'error');
+      } else {
+        this._toast('Burst cancelled', 'info');
+      }
+      return;
+    } finally {
+      this._finishPipeline(signal);
+      this.isDetecting = !!this.pipelineController;
+      this._updateAnalyzeButton();
+    }
 
-        canvas.width = width;
-        canvas.height = height;
-
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, width, height);
-
-        canvas.classList.remove('hidden');
-        this._processImage(canvas);
-        this._toast(`Image loaded (${width}×${height}). Colors auto-detected.`, 'success');
-      };
-
-      img.src = e.target.result;
-    };
+    const best = frames[result.best];
+    const canvas = this.$('capture-canvas');
+    canvas.width = best.width;
+    canvas.height = best.height;
+    canvas.getContext('2d').drawImage(best, 0, 0);
+    canvas.classList.remove('hidden');
+
+    this._processImage(canvas, { zones: result.zones, colors: result.colors, correction: result.correction });
+
+    const { sharpness } = result.frames[result.best];
+    this._toast(
+      mode === 'fuse'
+        ? `Burst: colors fused from ${frames.length} frames (sharpest: frame ${result.best + 1})`
+        : `Burst: kept frame ${result.best + 1} of ${frames.length} (sharpness ${sharpness})`,
+      'success'
+    );
+  },
 
-    reader.readAsDataURL(file);
+  _stopCameraAfterCapture() {
+    Camera.stopCamera();
+    this.$('camera-preview').classList.add('hidden');
+    this.$('live-btn').disabled = true;
+    this.$('burst-btn').disabled = true;
+    this.$('start-camera-btn').textContent = '📷 Start Camera';
+    this.$('start-camera-btn').disabled = false;
+    this._updatePoseGuide();
+    this._refreshCameraControls();
   },
 
   // ────────────────────────────────────────────
-  //  IMAGE PROCESSING
+  //  SELF-TIMER & POSE GUIDE
   // ────────────────────────────────────────────
 
-  _processImage(canvas) {
-    this.capturedCanvas = canvas;
-
-    const ctx = canvas.getContext('2d');
-    this.originalImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  /**
+   * Count down before a capture when a self-timer is set. Clicking the
+   * same button again cancels (see _captureFrame / _captureBurst).
+   * @param {HTMLButtonElement} btn — shows "Cancel" while counting
+   * @returns {Promise<boolean>} false when cancelled
+   */
+  async _runSelfTimer(btn) {
+    if (!this.timerSeconds) return true;
 
-    // Smart zone detection (with body column detection)
-    this.detectedZones = GarmentDetection.detectZones(canvas, { smartCrop: true });
+    const display = this.$('countdown-display');
+    const label = btn.textContent;
+    btn.textContent = '✖ Cancel Timer';
+    display.classList.remove('hidden');
 
-    // Extract colors with skin rejection and confidence
-    this.garmentColors = GarmentDetection.extractZoneColors(canvas, this.detectedZones);
+    try {
+      await Camera.countdown(this.timerSeconds, {
+        onTick: left => {
+          display.textContent = left > 0 ? String(left) : '📸';
+          // Restart the pulse animation every second
+          display.classList.remove('countdown-tick');
+          void display.offsetWidth;
+          display.classList.add('countdown-tick');
+        },
+      });
+      return true;
+    } catch (error) {
+      if (error.name !== 'AbortError') console.warn('Self-timer failed:', error);
+      if (Camera.stream) this._toast('Self-timer cancelled', 'info');
+      return false;
+    } finally {
+      btn.textContent = label;
+      display.classList.add('hidden');
+    }
+  },
 
-    // Draw zones with extracted color swatches
-    GarmentDetection.drawZones(canvas, this.detectedZones, {
-      showSamplingRect: true,
-      extractedColors: this.garmentColors,
-    });
+  _togglePoseGuide() {
+    this.showPoseGuide = !this.showPoseGuide;
+    this.$('guide-btn').textContent = this.showPoseGuide ? '🧍 Hide Guide' : '🧍 Pose Guide';
+    this._updatePoseGuide();
+  },
 
-    // Show crop controls
-    this.$('crop-controls').classList.remove('hidden');
+  /** Draw the silhouette over the running preview, or hide it */
+  _updatePoseGuide() {
+    const overlay = this.$('guide-overlay');
+    const video = this.$('camera-preview');
+    if (!overlay) return;
 
-    this._updateColorPreviews();
-    this._updateAnalyzeButton();
+    if (!this.showPoseGuide || !Camera.stream || !video.videoWidth) {
+      overlay.classList.add('hidden');
+      return;
+    }
 
-    // Show confidence warnings for low-confidence zones
-    ['top', 'bottom', 'shoes'].forEach(garment => {
-      const color = this.garmentColors[garment];
-      if (color && color.confidence < 0.4) {
-        this._toast(
-          `Low confidence for ${garment} color — consider manually selecting the region`,
-          'warning'
-        );
-      }
-    });
+    overlay.width = video.videoWidth;
+    overlay.height = video.videoHeight;
+    GarmentDetection.drawPoseGuide(overlay, { slots: this.activeSlots });
+    overlay.classList.remove('hidden');
   },
 
   // ────────────────────────────────────────────
-  //  CROP TOOL
+  //  CAMERA CONTROLS
   // ────────────────────────────────────────────
 
-  _startCrop(garment) {
-    if (!this.capturedCanvas || !this.originalImageData) return;
+  /** Show the controls the current camera supports; hide the panel without a stream */
+  _refreshCameraControls() {
+    const panel = this.$('camera-controls');
+    const video = this.$('camera-preview');
+    if (!panel) return;
+
+    // A new stream starts unlocked, torch off
+    this.cameraControls = {
+      torch: false,
+      exposureLocked: false,
+      whiteBalanceLocked: false,
+      pendingZoom: null,
+      zoomBusy: false,
+      pinch: null,
+      focusTimer: null,
+    };
 
-    // Cancel existing crop first
-    if (this.cropMode) {
-      this._cancelCrop();
+    if (!Camera.stream) {
+      panel.classList.add('hidden');
+      video.classList.remove('touch-controls');
+      return;
     }
 
-    this.cropMode = true;
-    this.pendingCropGarment = garment;
+    const support = Camera.getControlSupport();
+    this._setControlSupport(this.$('torch-btn'), support.torch);
+    this._setControlSupport(this.$('zoom-slider'), support.zoom);
+    this._setControlSupport(this.$('exposure-slider'), support.exposure);
+    this._setControlSupport(this.$('exposure-lock-btn'), support.exposureLock);
+    this._setControlSupport(this.$('wb-lock-btn'), support.whiteBalanceLock);
 
-    // Restore original image
-    const ctx = this.capturedCanvas.getContext('2d');
-    ctx.putImageData(this.originalImageData, 0, 0);
+    this.$('torch-btn').textContent = '🔦 Torch';
+    this.$('exposure-lock-btn').textContent = '🔓 Exposure';
+    this.$('wb-lock-btn').textContent = '🔓 White Balance';
 
-    // Initialize crop tool
-    CropTool.init(this.capturedCanvas);
+    this._configureSlider(this.$('zoom-slider'), Camera.getZoomRange());
+    this._configureSlider(this.$('exposure-slider'), Camera.getExposureRange());
+    this._showZoom(Camera.getZoomRange()?.current);
+    this._showExposure(Camera.getExposureRange()?.current);
 
-    // Show instructions
-    const instructions = this.$('crop-instructions');
-    instructions.classList.remove('hidden');
-    const labels = { top: '👕 Top', bottom: '👖 Bottom', shoes: '👟 Shoes' };
-    instructions.textContent = `Drag on the image to select the ${labels[garment] || garment} region`;
+    this.$('focus-hint').textContent = support.focus
+      ? (support.zoom ? 'Tap the preview to focus · pinch to zoom' : 'Tap the preview to focus')
+      : (support.zoom ? 'Pinch the preview to zoom' : '');
+    video.classList.toggle('touch-controls', support.zoom);
 
-    this._setupCropCompletion();
+    panel.classList.remove('hidden');
   },
 
-  _setupCropCompletion() {
-    const canvas = this.capturedCanvas;
+  /** Grey out a control the camera doesn't support */
+  _setControlSupport(control, supported) {
+    control.disabled = !supported;
+    control.title = supported ? '' : 'Not supported by this camera';
+    const wrapper = control.closest('.camera-control');
+    if (wrapper) wrapper.classList.toggle('unsupported', !supported);
+  },
 
-    // Remove stacked handler
-    if (this.cropClickHandler) {
-      canvas.removeEventListener('click', this.cropClickHandler);
-      this.cropClickHandler = null;
+  _configureSlider(slider, range) {
+    if (!range) return;
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step;
+    slider.value = range.current;
+  },
+
+  _showZoom(level) {
+    this.$('zoom-value').textContent = level === undefined ? '' : `${level.toFixed(1)}×`;
+  },
+
+  _showExposure(ev) {
+    this.$('exposure-value').textContent = ev === undefined ? '' : `${ev > 0 ? '+' : ''}${ev.toFixed(1)} EV`;
+  },
+
+  async _toggleTorch() {
+    const on = !this.cameraControls.torch;
+    try {
+      await Camera.setTorch(on);
+      this.cameraControls.torch = on;
+      this.$('torch-btn').textContent = on ? '🔦 Torch On' : '🔦 Torch';
+    } catch (error) {
+      this._toast(error.message, 'error');
+    }
+  },
+
+  /** Zoom without queueing constraint calls — only the latest level is applied */
+  async _applyZoom(level) {
+    const controls = this.cameraControls;
+    controls.pendingZoom = level;
+    this._showZoom(level);
+    if (controls.zoomBusy) return;
+
+    controls.zoomBusy = true;
+    try {
+      while (controls.pendingZoom !== null) {
+        const next = controls.pendingZoom;
+        controls.pendingZoom = null;
+        await Camera.setZoom(next);
+      }
+    } catch (error) {
+      this._toast(error.message, 'error');
+    } finally {
+      controls.zoomBusy = false;
+    }
+  },
+
+  async _applyExposure(ev) {
+    try {
+      this._showExposure(await Camera.setExposureCompensation(ev));
+    } catch (error) {
+      this._toast(error.message, 'error');
+    }
+  },
+
+  async _toggleExposureLock() {
+    const locked = !this.cameraControls.exposureLocked;
+    try {
+      await Camera.setExposureLock(locked);
+      this.cameraControls.exposureLocked = locked;
+      this.$('exposure-lock-btn').textContent = locked ? '🔒 Exposure' : '🔓 Exposure';
+      if (locked) this._toast('Exposure locked — brightness stays the same between captures', 'info');
+    } catch (error) {
+      this._toast(error.message, 'error');
+    }
+  },
+
+  async _toggleWhiteBalanceLock() {
+    const locked = !this.cameraControls.whiteBalanceLocked;
+    try {
+      await Camera.setWhiteBalanceLock(locked);
+      this.cameraControls.whiteBalanceLocked = locked;
+      this.$('wb-lock-btn').textContent = locked ? '🔒 White Balance' : '🔓 White Balance';
+      if (locked) this._toast('White balance locked — colors stay comparable between outfits', 'info');
+    } catch (error) {
+      this._toast(error.message, 'error');
+    }
+  },
+
+  /** Tap-to-focus: focus and meter where the preview was tapped */
+  async _focusAt(event) {
+    if (!Camera.stream || !Camera.getControlSupport().focus) return;
+
+    const rect = this.$('camera-preview').getBoundingClientRect();
+    const x = (event.clientX - rect.left) / rect.width;
+    const y = (event.clientY - rect.top) / rect.height;
+
+    const ring = this.$('focus-ring');
+    ring.style.left = `${x * 100}%`;
+    ring.style.top = `${y * 100}%`;
+    ring.classList.add('hidden');
+    void ring.offsetWidth; // Restart the animation
+    ring.classList.remove('hidden');
+    clearTimeout(this.cameraControls.focusTimer);
+    this.cameraControls.focusTimer = setTimeout(() => ring.classList.add('hidden'), 1000);
+
+    try {
+      await Camera.focusAt(x, y);
+    } catch (error) {
+      this._toast(error.message, 'warning');
+    }
+  },
+
+  _onPreviewTouchStart(event) {
+    const range = Camera.getZoomRange();
+    if (event.touches.length !== 2 || !range) return;
+    this.cameraControls.pinch = {
+      distance: this._touchDistance(event.touches),
+      zoom: Number(this.$('zoom-slider').value) || range.current,
+    };
+  },
+
+  /** Pinch to zoom, scaled from the zoom level when the pinch started */
+  _onPreviewTouchMove(event) {
+    const pinch = this.cameraControls && this.cameraControls.pinch;
+    const range = Camera.getZoomRange();
+    if (!pinch || !range || event.touches.length !== 2) return;
+    event.preventDefault();
+
+    const scaled = pinch.zoom * (this._touchDistance(event.touches) / pinch.distance);
+    const level = Math.max(range.min, Math.min(range.max, scaled));
+    this.$('zoom-slider').value = level;
+    this._applyZoom(level);
+  },
+
+  _onPreviewTouchEnd(event) {
+    if (this.cameraControls && event.touches.length < 2) this.cameraControls.pinch = null;
+  },
+
+  _touchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY) || 1;
+  },
+
+  // ────────────────────────────────────────────
+  //  LIVE ANALYSIS
+  // ────────────────────────────────────────────
+
+  _toggleLive() {
+    if (this.liveController) {
+      this._stopLive();
+    } else {
+      this._startLive();
+    }
+  },
+
+  /** Analyze throttled preview frames and draw zones + score over the video */
+  _startLive() {
+    if (!Camera.stream) return;
+    this._stopLive();
+
+    this.liveController = new AbortController();
+    const signal = this.liveController.signal;
+    Camera.startFrameLoop(frame => this._analyzeLiveFrame(frame, signal));
+
+    this.$('live-overlay').classList.remove('hidden');
+    this.$('live-score').classList.remove('hidden');
+    this.$('live-btn').textContent = '⏹ Stop Live';
+  },
+
+  _stopLive() {
+    Camera.stopFrameLoop();
+    if (this.liveController) {
+      this.liveController.abort();
+      this.liveController = null;
+    }
+
+    this.liveColors = null;
+    this.liveZones = null;
+
+    const overlay = this.$('live-overlay');
+    overlay.getContext('2d').clearRect(0, 0, overlay.width, overlay.height);
+    overlay.classList.add('hidden');
+    this.$('live-score').classList.add('hidden');
+    this.$('live-score-value').textContent = '–';
+    this.$('live-score-detail').textContent = '';
+    this.$('live-btn').textContent = '🔴 Live Analysis';
+  },
+
+  async _analyzeLiveFrame(frame, signal) {
+    const imageData = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height);
+
+    let result;
+    try {
+      result = await AnalysisPipeline.detect(imageData, {
+        smartCrop: true,
+        slots: this.activeSlots,
+        colorSpace: ColorAnalysis.getColorSpace(),
+        whiteBalance: this._whiteBalanceOptions(),
+        ...this._zoneOptions(),
+        segment: false, // Too slow per frame — the captured photo gets the full pipeline
+      }, { signal });
+    } catch (error) {
+      if (AnalysisPipeline.isAbortError(error)) return;
+      throw error;
+    }
+    if (signal.aborted) return;
+
+    // Running averages so colors and boxes don't flicker between frames
+    this.liveZones = GarmentDetection.smoothZones(this.liveZones, result.zones);
+    this.liveColors = GarmentDetection.smoothColors(this.liveColors, result.colors);
+
+    const slots = Object.keys(this.liveColors);
+    const colors = slots.map(slot => this.liveColors[slot]);
+    const harmony = ColorAnalysis.analyzeHarmony(colors);
+    const mood = Scoring.detectMood(colors);
+    const score = Scoring.calculateOutfitScore(colors, harmony, {
+      occasion: this.currentOccasion,
+      profile: this.personalProfile,
+      mood,
+      slots,
+    });
+    const grade = Scoring.getGrade(score.total);
+
+    // Overlay shares the frame's coordinate space; CSS stretches it over the video
+    const overlay = this.$('live-overlay');
+    if (overlay.width !== frame.width || overlay.height !== frame.height) {
+      overlay.width = frame.width;
+      overlay.height = frame.height;
+    } else {
+      overlay.getContext('2d').clearRect(0, 0, overlay.width, overlay.height);
+    }
+    GarmentDetection.drawZones(overlay, this.liveZones, {
+      showSamplingRect: true,
+      extractedColors: this.liveColors,
+    });
+
+    this.$('live-score-value').textContent = `${score.total} · ${grade.letter}`;
+    this.$('live-score-detail').textContent = `${harmony.type} · ${mood.emoji} ${mood.mood}`;
+  },
+
+  // ────────────────────────────────────────────
+  //  IMAGE UPLOAD
+  // ────────────────────────────────────────────
+
+  _handleImageUpload(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    this._processUploadedFile(file);
+  },
+
+  _processUploadedFile(file) {
+    const canvas = this.$('upload-canvas');
+
+    this._loadImageFile(file, canvas, (width, height) => {
+      canvas.classList.remove('hidden');
+      this._processImage(canvas);
+      this._toast(`Image loaded (${width}×${height})`, 'success');
+    });
+  },
+
+  /**
+   * Validate an image file and draw it (downscaled) onto a canvas.
+   * @param {File} file
+   * @param {HTMLCanvasElement} canvas
+   * @param {(width: number, height: number) => void} onLoaded
+   */
+  _loadImageFile(file, canvas, onLoaded) {
+    // Validate type
+    if (!this.ACCEPTED_TYPES.includes(file.type)) {
+      this._toast(`Unsupported file type. Use JPG, PNG, or WebP.`, 'error');
+      return;
+    }
+
+    // Validate size
+    const sizeMB = file.size / (1024 * 1024);
+    if (sizeMB > this.MAX_FILE_SIZE_MB) {
+      this._toast(`File too large (${sizeMB.toFixed(1)}MB). Max ${this.MAX_FILE_SIZE_MB}MB.`, 'error');
+      return;
+    }
+
+    const reader = new FileReader();
+
+    reader.onerror = () => {
+      this._toast('Failed to read file', 'error');
+    };
+
+    reader.onload = (e) => {
+      const img = new Image();
+
+      img.onerror = () => {
+        this._toast('Failed to load image. It may be corrupted.', 'error');
+      };
+
+      img.onload = () => {
+        // Downscale if needed
+        let { width, height } = img;
+        if (width > this.MAX_IMAGE_DIMENSION || height > this.MAX_IMAGE_DIMENSION) {
+          const ratio = Math.min(this.MAX_IMAGE_DIMENSION / width, this.MAX_IMAGE_DIMENSION / height);
+          width = Math.round(width * ratio);
+          height = Math.round(height * ratio);
+        }
+
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+
+        onLoaded(width, height);
+      };
+
+      img.src = e.target.result;
+    };
+
+    reader.readAsDataURL(file);
+  },
+
+  // ────────────────────────────────────────────
+  //  IMAGE PROCESSING
+  // ────────────────────────────────────────────
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} [detection] — precomputed { zones, colors, correction } (burst capture)
+   */
+  _processImage(canvas, detection = null) {
+    this.capturedCanvas = canvas;
+    this.pendingDetection = detection;
+
+    const ctx = canvas.getContext('2d');
+    this.originalImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    // A reference white, zones, mask and pose belong to the photo they were found on
+    this.whiteReference = null;
+    this.detectedZones = null;
+    this.segmentation = null;
+    this.pose = null;
+
+    // Earlier edits referred to the previous photo
+    UndoStack.clear();
+    ZoneEditor.destroy();
+
+    this._checkImageQuality();
+  },
+
+  // ────────────────────────────────────────────
+  //  PHOTO QUALITY GATE
+  // ────────────────────────────────────────────
+
+  /** Check blur, exposure and framing; detect right away if the photo is fine */
+  async _checkImageQuality() {
+    const imageData = this.originalImageData;
+    if (!imageData) return;
+
+    this.imageQuality = null;
+    this.$('quality-panel').classList.add('hidden');
+    const signal = this._startPipeline('Checking photo quality…');
+
+    let quality;
+    try {
+      quality = await AnalysisPipeline.assessQuality(imageData, { signal });
+    } catch (error) {
+      if (AnalysisPipeline.isAbortError(error)) {
+        if (!this.pipelineController && this.originalImageData === imageData) {
+          this.$('crop-controls').classList.remove('hidden');
+          this._toast('Cancelled — select garment regions manually', 'info');
+        }
+        return;
+      }
+      // The gate is advisory — never let it block analysis
+      console.warn('Photo quality check failed:', error);
+    } finally {
+      this._finishPipeline(signal);
+    }
+
+    if (this.originalImageData !== imageData) return;
+    this.imageQuality = quality || null;
+
+    if (quality && !quality.ok) {
+      this._showQualityIssues(quality);
+    } else {
+      this._continueAfterQuality();
+    }
+  },
+
+  /** Use a burst's precomputed detection if it still matches the slots, else detect */
+  _continueAfterQuality() {
+    const detection = this.pendingDetection;
+    this.pendingDetection = null;
+
+    if (detection && Object.keys(detection.colors).join() === this.activeSlots.join()) {
+      this._applyDetection(detection);
+    } else {
+      this._detectGarments();
+    }
+  },
+
+  _showQualityIssues(quality) {
+    const list = this.$('quality-issues');
+    list.innerHTML = '';
+
+    quality.issues.forEach(issue => {
+      const item = document.createElement('li');
+      const label = document.createElement('strong');
+      label.textContent = `${issue.label}: `;
+      item.appendChild(label);
+      item.appendChild(document.createTextNode(issue.advice));
+      list.appendChild(item);
+    });
+
+    const panel = this.$('quality-panel');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  },
+
+  _retakePhoto() {
+    this.$('quality-panel').classList.add('hidden');
+
+    if (this.currentMode === 'camera') {
+      this.$('capture-canvas').classList.add('hidden');
+      this._startCamera();
+    } else if (this.currentMode === 'upload') {
+      this.$('upload-input').value = '';
+      this.$('upload-input').click();
+    }
+  },
+
+  /** Use the photo despite the warnings */
+  _overrideQuality() {
+    this.$('quality-panel').classList.add('hidden');
+    this._continueAfterQuality();
+  },
+
+  /**
+   * Detect zones for the active slots on the clean captured image.
+   * Re-detecting a photo that already has zones is one undoable step.
+   * @param {string} [label] - undo label for a re-detection
+   * @param {Object} [before] - _editState from before the change that triggered it
+   */
+  async _detectGarments(label = 'Re-detection', before = this._editState()) {
+    const canvas = this.capturedCanvas;
+    const imageData = this.originalImageData;
+    if (!canvas || !imageData) return;
+
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    ZoneEditor.destroy();
+
+    const signal = this._startPipeline('Detecting garments…');
+    this.isDetecting = true;
+    this._updateAnalyzeButton();
+
+    let result;
+    try {
+      // Smart zone detection + color extraction with skin rejection and confidence
+      result = await AnalysisPipeline.detect(imageData, {
+        smartCrop: true,
+        slots: this.activeSlots,
+        colorSpace: ColorAnalysis.getColorSpace(),
+        whiteBalance: this._whiteBalanceOptions(),
+        ...this._zoneOptions(),
+      }, {
+        signal,
+        onProgress: (progress, stage) => this._showPipelineProgress(stage, progress),
+      });
+    } catch (error) {
+      if (!AnalysisPipeline.isAbortError(error)) {
+        console.error('Garment detection failed:', error);
+        this._toast('Garment detection failed: ' + (error.message || 'Unknown error'), 'error');
+      } else if (!this.pipelineController && this.originalImageData === imageData) {
+        // Cancelled from the progress bar (not replaced by a newer run or a reset)
+        this.$('crop-controls').classList.remove('hidden');
+        this._toast('Detection cancelled — select garment regions manually', 'info');
+      }
+      return;
+    } finally {
+      this._finishPipeline(signal);
+      this.isDetecting = !!this.pipelineController;
+      this._updateAnalyzeButton();
+    }
+
+    this._applyDetection(result, { label, before });
+  },
+
+  /**
+   * Show detected zones and colors on the captured canvas.
+   * @param {Object} result - from AnalysisPipeline.detect / rankFrames
+   * @param {{ label: string, before: Object }} [edit] - record a re-detection of the same photo for undo
+   */
+  _applyDetection(result, edit = null) {
+    this.detectedZones = result.zones;
+    this.segmentation = result.segmentation || null;
+    this.pose = result.pose || null;
+    this.garmentColors = result.colors;
+    this.colorCorrection = result.correction;
+    this._updateWhiteBalanceStatus();
+
+    // Remember where each color came from (wardrobe thumbnails)
+    Object.entries(this.detectedZones).forEach(([key, zone]) => {
+      if (this.garmentColors[key]) this.garmentColors[key].sourceRect = zone.samplingRect;
+    });
+
+    // Replaced zones, crops and color edits come back with Undo
+    if (edit && edit.before.detectedZones && edit.before.originalImageData === this.originalImageData) {
+      this._recordSince(edit.before, edit.label);
+    }
+
+    // Draw zones with extracted color swatches and draggable boundaries
+    this._updateMaskButton();
+    this._redrawZones();
+
+    // Show crop controls
+    this.$('crop-controls').classList.remove('hidden');
+
+    this._updateColorPreviews();
+    this._updateAnalyzeButton();
+
+    // Slots the body landmarks put outside the photo
+    const missing = (result.missing || []).map(key => GarmentSlots.get(key).label.toLowerCase());
+    if (missing.length > 0) {
+      this._toast(
+        `Not in the photo: ${missing.join(', ')} — select ${missing.length > 1 ? 'them' : 'it'} manually or turn the slot off`,
+        'warning'
+      );
+    }
+
+    // Show confidence warnings for low-confidence zones — with the likely cause if the photo was flagged
+    const qualityIssue = this.imageQuality && this.imageQuality.issues[0];
+    this.activeSlots.forEach(garment => {
+      const color = this.garmentColors[garment];
+      if (color && color.confidence < 0.4) {
+        this._toast(
+          `Low confidence for ${GarmentSlots.get(garment).label.toLowerCase()} color — ` +
+            (qualityIssue ? qualityIssue.advice.toLowerCase() : 'consider manually selecting the region'),
+          'warning'
+        );
+      }
+    });
+  },
+
+  // ────────────────────────────────────────────
+  //  ZONE BOUNDARIES
+  //  Dividers between the zones and the sampling column edges
+  //  can be dragged on the photo. Colors re-extract while
+  //  dragging; the proportions are remembered for the next photo,
+  //  as shares of the body when its landmarks were found.
+  // ────────────────────────────────────────────
+
+  /** Detection options for the remembered proportions */
+  _zoneOptions() {
+    return {
+      overrides: GarmentDetection.proportionOverrides(this.zoneProportions),
+      column: this.zoneProportions.column,
+    };
+  },
+
+  /** Captured photo with its zone boxes, color swatches and draggable boundaries */
+  _redrawZones() {
+    const canvas = this.capturedCanvas;
+    if (!canvas || !this.originalImageData || !this.detectedZones) return;
+
+    // Not while selecting, or while a detection is about to replace the zones
+    const editable = !this.cropMode && !this.pipelineController;
+    const handles = editable ? GarmentDetection.zoneHandles(this.detectedZones) : null;
+    canvas.getContext('2d').putImageData(this.originalImageData, 0, 0);
+    if (this.showMask && this.segmentation) {
+      Segmentation.drawMask(canvas, this.segmentation);
+      if (this.pose) BodyLandmarks.draw(canvas, this.pose.landmarks);
+    }
+    GarmentDetection.drawZones(canvas, this.detectedZones, {
+      showSamplingRect: true,
+      extractedColors: this.garmentColors,
+      handles,
+      activeHandle: ZoneEditor.activeHandle,
+    });
+
+    if (!editable) {
+      ZoneEditor.destroy();
+      return;
+    }
+    if (ZoneEditor.canvas !== canvas) {
+      ZoneEditor.init(canvas, {
+        onDragStart: id => this._onZoneDragStart(id),
+        onDrag: (id, value) => this._onZoneDrag(id, value),
+        onDragEnd: () => this._onZoneDragEnd(),
+      });
+    }
+    ZoneEditor.setHandles(handles);
+  },
+
+  _onZoneDragStart(id) {
+    this.zoneDragBefore = this._editState();
+
+    // Dragging a column edge pins the column where body detection put it
+    if ((id === 'columnLeft' || id === 'columnRight') && !this.zoneProportions.column) {
+      this.zoneProportions = { ...this.zoneProportions, column: this._detectedColumn() };
+    }
+    this._redrawZones();
+  },
+
+  _onZoneDrag(id, value) {
+    const shown = ZoneEditor.handles.map(handle => handle.id);
+
+    // On zones placed by body landmarks, boundaries are remembered relative to the body
+    const share = this.pose && id !== 'columnLeft' && id !== 'columnRight'
+      ? GarmentDetection.bodyShare(this.pose, value * this.originalImageData.height)
+      : value;
+    this.zoneProportions = GarmentDetection.adjustProportions(this.zoneProportions, id, share, shown);
+
+    // Keep the detected column while a divider moves — body detection per frame is too slow
+    this._applyZoneProportions(this.zoneProportions.column || this._detectedColumn());
+  },
+
+  _onZoneDragEnd() {
+    const before = this.zoneDragBefore;
+    this.zoneDragBefore = null;
+    if (!before) return;
+
+    if (this.detectedZones === before.detectedZones) {
+      // Grabbed but never moved
+      this.zoneProportions = before.zoneProportions;
+    } else {
+      GarmentDetection.saveProportions(this.zoneProportions);
+      this._recordSince(before, 'Zone boundaries');
+    }
+    this._redrawZones();
+  },
+
+  /** Back to the detected body (or the registry bands) — and forget the saved proportions */
+  _resetZoneProportions() {
+    if (!this.detectedZones || this.cropMode) return;
+
+    this._recordEdit('Zone reset', () => {
+      this.zoneProportions = GarmentDetection.clearProportions();
+      this.pose = this.segmentation ? GarmentDetection.fitPose(BodyLandmarks.find(this.segmentation)) : null;
+      this._applyZoneProportions(null);
+    });
+    this._toast('Zone boundaries reset', 'info');
+  },
+
+  /**
+   * Re-detect zones for the current proportions and re-extract their colors
+   * from the white-balanced image (same source the detection sampled).
+   * @param {{ left, right }|null} column — null finds the body again
+   */
+  _applyZoneProportions(column) {
+    const source = this._correctedImageCanvas();
+    const zones = GarmentDetection.detectZonesWithProportions(source, { ...this.zoneProportions, column }, {
+      slots: Object.keys(this.detectedZones),
+      segmentation: this.segmentation,
+      pose: this.pose,
+    });
+
+    // Only zones whose sampling rect moved — a manual crop elsewhere stays
+    const previous = this.detectedZones;
+    const colors = { ...this.garmentColors };
+    Object.entries(zones).forEach(([key, zone]) => {
+      const before = previous[key] && previous[key].samplingRect;
+      if (before && ['x', 'y', 'width', 'height'].every(k => before[k] === zone.samplingRect[k])) return;
+      colors[key] = { ...GarmentDetection.extractZoneColor(source, zone, this.segmentation), sourceRect: zone.samplingRect };
+    });
+
+    this.detectedZones = zones;
+    this.garmentColors = colors;
+    this._redrawZones();
+    this._updateColorPreviews();
+    this._updateAnalyzeButton();
+  },
+
+  /** Sampling column of the current zones as shares of the width */
+  _detectedColumn() {
+    const { column } = Object.values(this.detectedZones)[0];
+    const width = this.originalImageData.width;
+    return { left: column.x / width, right: (column.x + column.width) / width };
+  },
+
+  /** Debug overlay for the person mask the colors were sampled through */
+  _toggleMask() {
+    if (!this.segmentation) return;
+    this.showMask = !this.showMask;
+    this._updateMaskButton();
+    if (!this.cropMode) this._redrawZones();
+  },
+
+  _updateMaskButton() {
+    const btn = this.$('mask-toggle-btn');
+    btn.classList.toggle('hidden', !this.segmentation);
+    btn.textContent = this.showMask ? '🎭 Hide Mask' : '🎭 Show Mask';
+  },
+
+  // ────────────────────────────────────────────
+  //  CROP TOOL
+  // ────────────────────────────────────────────
+
+  _startCrop(garment) {
+    if (!this.capturedCanvas || !this.originalImageData) return;
+
+    // Cancel existing crop first
+    if (this.cropMode) {
+      this._cancelCrop();
+    }
+
+    // A manual selection wins over a detection still in flight
+    this._cancelPipeline();
+
+    this.cropMode = true;
+    this.pendingCropGarment = garment;
+    this.cropCanvas = this.capturedCanvas;
+
+    // Boundaries can't be dragged while selecting
+    ZoneEditor.destroy();
+
+    // Restore original image
+    const ctx = this.capturedCanvas.getContext('2d');
+    ctx.putImageData(this.originalImageData, 0, 0);
+
+    // Initialize crop tool
+    CropTool.init(this.capturedCanvas, {
+      mode: this.cropShape,
+      onChange: () => this._onCropChange(),
+      onViewChange: ({ zoom }) => this._showCropZoom(zoom),
+    });
+    this.$('crop-zoom-controls').classList.remove('hidden');
+    this.$('crop-add-region-btn').classList.remove('hidden');
+    this._showCropZoom(1);
+    this._onCropChange();
+
+    // Show instructions
+    const instructions = this.$('crop-instructions');
+    instructions.classList.remove('hidden');
+    if (garment) {
+      instructions.textContent = this._cropHint(garment);
+    }
+
+    // Selections are confirmed with a button, so they can be nudged / zoomed into first
+    this.$('crop-confirm-btn').classList.remove('hidden');
+
+    this._setupCropCompletion();
+  },
+
+  _cropHint(garment) {
+    return this.cropShape === 'rect'
+      ? `Drag on the image to select the ${GarmentSlots.label(garment)} region — arrow keys nudge it, then press Enter`
+      : `${GarmentSlots.label(garment)}: ${CropTool.MODES[this.cropShape].hint}`;
+  },
+
+  /** Enable the crop buttons and list kept regions as removable chips */
+  _onCropChange() {
+    this.$('crop-confirm-btn').disabled = CropTool.getRegions().length === 0;
+    this.$('crop-add-region-btn').disabled = !CropTool.canAddRegion();
+
+    const container = this.$('crop-regions');
+    container.innerHTML = '';
+    for (let i = 0; i < CropTool.regions.length; i++) {
+      const chip = document.createElement('button');
+      chip.className = 'bg-gray-700 px-3 py-1 rounded-lg text-sm transition-all';
+      chip.textContent = `Region ${i + 1} ✕`;
+      chip.title = `Remove region ${i + 1}`;
+      chip.addEventListener('click', () => CropTool.removeRegion(i));
+      container.appendChild(chip);
+    }
+  },
+
+  _addCropRegion() {
+    if (CropTool.addRegion()) {
+      this.$('crop-instructions').textContent = 'Select the next part of the garment — or click ✔ Use Selection to merge the regions';
     }
+  },
 
-    this.cropClickHandler = () => {
-      if (CropTool.isSelecting) return;
+  _showCropZoom(zoom) {
+    this.$('crop-zoom-value').textContent = `${Math.round(zoom * 100)}%`;
+  },
 
-      setTimeout(() => {
-        const selection = CropTool.getSelection();
-        if (selection) {
-          const color = CropTool.extractColorFromCrop(selection);
-          if (color) {
-            // Add confidence and pattern data for manually-cropped regions
-            color.confidence = 0.95; // Manual selection = high confidence
-            color.dominantColors = [];
-            color.isPattern = false;
-
-            this.garmentColors[this.pendingCropGarment] = color;
-            this._updateColorPreviews();
-            this._updateAnalyzeButton();
-            this._toast(`${this.pendingCropGarment} color updated from selection`, 'success');
-          }
-        }
+  /** Fill the selection shape picker */
+  _populateCropShapes() {
+    const select = this.$('crop-shape-select');
+    if (!select) return;
 
-        // Cleanup
-        CropTool.destroy();
-        this.cropMode = false;
-        this.$('crop-instructions').classList.add('hidden');
-
-        canvas.removeEventListener('click', this.cropClickHandler);
-        this.cropClickHandler = null;
-
-        // Redraw zones
-        if (this.originalImageData && this.detectedZones) {
-          const ctx = canvas.getContext('2d');
-          ctx.putImageData(this.originalImageData, 0, 0);
-          GarmentDetection.drawZones(canvas, this.detectedZones, {
-            showSamplingRect: true,
-            extractedColors: this.garmentColors,
-          });
-        }
-      }, 100);
+    Object.entries(CropTool.MODES).forEach(([key, mode]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = mode.label;
+      select.appendChild(option);
+    });
+    select.value = this.cropShape;
+
+    this.$('wand-tolerance').value = CropTool.wandTolerance;
+    this.$('wand-connectivity').value = String(CropTool.wandConnectivity);
+    this._showWandTolerance(CropTool.wandTolerance);
+  },
+
+  _showWandTolerance(tolerance) {
+    this.$('wand-tolerance-value').textContent = `ΔE ${tolerance}`;
+  },
+
+  /** Change selection shape — an active garment / white crop switches over in place */
+  _setCropShape(shape) {
+    this.cropShape = shape;
+    this.$('wand-controls').classList.toggle('hidden', shape !== 'wand');
+    if (!this.cropMode || this.pendingPaletteFeature) return;
+
+    CropTool.setMode(shape);
+    if (this.pendingCropGarment && !this.pendingWhiteReference) {
+      this.$('crop-instructions').textContent = this._cropHint(this.pendingCropGarment);
+    }
+  },
+
+  _setupCropCompletion() {
+    const canvas = this.cropCanvas;
+
+    // Remove stacked handler
+    if (this.cropClickHandler) {
+      canvas.removeEventListener('click', this.cropClickHandler);
+      this.cropClickHandler = null;
+    }
+
+    // Palette rectangles complete on release; garment / white selections wait for "Use Selection"
+    this.cropClickHandler = () => {
+      if (CropTool.isSelecting || !this.pendingPaletteFeature) return;
+      setTimeout(() => this._completeCrop(), 100);
     };
 
     canvas.addEventListener('click', this.cropClickHandler);
   },
 
-  _cancelCrop() {
+  /** Apply the current selection to whatever the crop was started for */
+  _completeCrop() {
     if (!this.cropMode) return;
+    const canvas = this.cropCanvas;
+
+    const selection = CropTool.getSelection();
+    const regions = CropTool.getRegions();
+    if (selection && this.pendingPaletteFeature) {
+      this._applyPaletteSelection(this.pendingPaletteFeature, selection);
+    } else if (selection && this.pendingWhiteReference) {
+      this._applyWhiteReference(selection);
+    } else if (regions.length > 0 && !this.pendingPaletteFeature && !this.pendingWhiteReference) {
+      // Regions are merged by pixel count into one color and palette, sampled from
+      // the white-balanced image like the auto-detected zones
+      const color = CropTool.extractColorFromRegions(regions, this._correctedImageCanvas());
+      if (color) {
+        // Manual selection = high confidence; thumbnails show the largest region
+        color.confidence = 0.95;
+        const largest = regions.reduce((a, b) => (CropTool.pixelCount(b) > CropTool.pixelCount(a) ? b : a));
+        color.sourceRect = { x: largest.x, y: largest.y, width: largest.width, height: largest.height };
+
+        const garment = this.pendingCropGarment;
+        this._recordEdit(`${GarmentSlots.label(garment)} crop`, () => { this.garmentColors[garment] = color; });
+        this._updateColorPreviews();
+        this._updateAnalyzeButton();
+        this._toast(`${GarmentSlots.get(this.pendingCropGarment).label} color updated from selection`, 'success');
+      }
+    }
 
+    // Cleanup
     CropTool.destroy();
     this.cropMode = false;
-    this.$('crop-instructions').classList.add('hidden');
+    this.pendingWhiteReference = false;
+    this._cropInstructions().classList.add('hidden');
+    this.$('crop-confirm-btn').classList.add('hidden');
+    this.$('crop-zoom-controls').classList.add('hidden');
+    this.$('crop-add-region-btn').classList.add('hidden');
+    this.$('crop-regions').innerHTML = '';
+
+    canvas.removeEventListener('click', this.cropClickHandler);
+    this.cropClickHandler = null;
+    this.cropCanvas = null;
+
+    if (this.pendingPaletteFeature) {
+      this.pendingPaletteFeature = null;
+      this._drawPaletteRegions();
+      return;
+    }
+
+    // Redraw zones
+    this._redrawZones();
+  },
+
+  _cancelCrop() {
+    if (!this.cropMode) return;
 
-    if (this.cropClickHandler && this.capturedCanvas) {
-      this.capturedCanvas.removeEventListener('click', this.cropClickHandler);
+    CropTool.destroy();
+    this.cropMode = false;
+    this.pendingWhiteReference = false;
+    this._cropInstructions().classList.add('hidden');
+    this.$('crop-confirm-btn').classList.add('hidden');
+    this.$('crop-zoom-controls').classList.add('hidden');
+    this.$('crop-add-region-btn').classList.add('hidden');
+    this.$('crop-regions').innerHTML = '';
+
+    if (this.cropClickHandler && this.cropCanvas) {
+      this.cropCanvas.removeEventListener('click', this.cropClickHandler);
       this.cropClickHandler = null;
     }
+    this.cropCanvas = null;
+
+    if (this.pendingPaletteFeature) {
+      this.pendingPaletteFeature = null;
+      this._drawPaletteRegions();
+      return;
+    }
 
     // Restore original + redraw zones
-    if (this.originalImageData && this.capturedCanvas && this.detectedZones) {
-      const ctx = this.capturedCanvas.getContext('2d');
-      ctx.putImageData(this.originalImageData, 0, 0);
-      GarmentDetection.drawZones(this.capturedCanvas, this.detectedZones, {
-        showSamplingRect: true,
-        extractedColors: this.garmentColors,
+    this._redrawZones();
+  },
+
+  // ────────────────────────────────────────────
+  //  WHITE BALANCE
+  // ────────────────────────────────────────────
+
+  _whiteBalanceOptions() {
+    return { method: this.whiteBalanceMethod, reference: this.whiteReference };
+  },
+
+  _setWhiteBalanceMethod(method) {
+    this.whiteBalanceMethod = method;
+    WhiteBalance.saveMethod(method);
+
+    if (this.whiteReference) {
+      this._toast('A reference white is set — clear it to use this method', 'info');
+    } else if (this.capturedCanvas && this.originalImageData) {
+      this._detectGarments('White balance');
+    }
+  },
+
+  /** Drag over something white so the correction is measured, not guessed */
+  _startWhiteReference() {
+    if (!this.capturedCanvas || !this.originalImageData) return;
+
+    this._startCrop(null);
+    this.pendingWhiteReference = true;
+    this.$('crop-add-region-btn').classList.add('hidden');
+    this.$('crop-instructions').textContent =
+      'Select something white or light gray — a shirt, a wall or a sheet of paper';
+  },
+
+  _applyWhiteReference(rect) {
+    const reference = WhiteBalance.measureReference(this.originalImageData, rect);
+    if (!reference) {
+      this._toast('That region is too dark or blown out — pick a white or light gray area', 'warning');
+      return;
+    }
+
+    const before = this._editState();
+    this.whiteReference = reference;
+    this._toast('Reference white set — colors re-detected', 'success');
+    this._detectGarments('Reference white', before);
+  },
+
+  _clearWhiteReference() {
+    const before = this._editState();
+    this.whiteReference = null;
+    if (this.capturedCanvas && this.originalImageData) {
+      this._detectGarments('Reference white', before);
+    } else {
+      this._updateWhiteBalanceStatus();
+    }
+  },
+
+  _updateWhiteBalanceStatus() {
+    this.$('wb-status').textContent = this.colorCorrection ? WhiteBalance.describe(this.colorCorrection) : '';
+    this.$('wb-clear-reference-btn').classList.toggle('hidden', !this.whiteReference);
+  },
+
+  /** Instructions banner for the active crop (garment or palette) */
+  _cropInstructions() {
+    return this.$(this.pendingPaletteFeature ? 'palette-instructions' : 'crop-instructions');
+  },
+
+  // ────────────────────────────────────────────
+  //  PERSONAL PALETTE
+  // ────────────────────────────────────────────
+
+  _loadPersonalProfile() {
+    this.personalProfile = PersonalPalette.loadProfile();
+    this._renderPersonalProfile();
+  },
+
+  _handlePaletteUpload(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    if (this.cropMode) {
+      this._cancelCrop();
+    }
+
+    const canvas = this.$('palette-canvas');
+    this._loadImageFile(file, canvas, () => {
+      this.paletteImageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+      this.paletteSamples = { skin: null, hair: null, eyes: null };
+      this.paletteRegions = {};
+
+      this.$('palette-controls').classList.remove('hidden');
+      this._autoDetectPalette();
+    });
+  },
+
+  _autoDetectPalette() {
+    const canvas = this.$('palette-canvas');
+    if (!this.paletteImageData) return;
+
+    canvas.getContext('2d').putImageData(this.paletteImageData, 0, 0);
+    const regions = PersonalPalette.detectRegions(canvas);
+
+    if (!regions) {
+      this._drawPaletteRegions();
+      this._toast('No face found — select skin, hair, and eyes manually', 'warning');
+      return;
+    }
+
+    ['skin', 'hair', 'eyes'].forEach(feature => {
+      this._applyPaletteSelection(feature, regions[feature], true);
+    });
+
+    this._drawPaletteRegions();
+    this._toast('Face regions detected — adjust any region if it looks off', 'success');
+  },
+
+  _startPaletteCrop(feature) {
+    if (!this.paletteImageData) return;
+
+    if (this.cropMode) {
+      this._cancelCrop();
+    }
+
+    const canvas = this.$('palette-canvas');
+    this.cropMode = true;
+    this.pendingPaletteFeature = feature;
+    this.cropCanvas = canvas;
+
+    canvas.getContext('2d').putImageData(this.paletteImageData, 0, 0);
+    CropTool.init(canvas);
+
+    const instructions = this.$('palette-instructions');
+    instructions.classList.remove('hidden');
+    instructions.textContent = `Drag on the image to select your ${feature}`;
+
+    this._setupCropCompletion();
+  },
+
+  /** Sample one feature from a palette-canvas region */
+  _applyPaletteSelection(feature, rect, silent = false) {
+    const canvas = this.$('palette-canvas');
+
+    // Sample from the clean image, not the drawn overlay
+    canvas.getContext('2d').putImageData(this.paletteImageData, 0, 0);
+    const skin = feature === 'skin' ? null : this.paletteSamples.skin;
+    const sample = PersonalPalette.sampleFeature(canvas, rect, feature, skin);
+    if (!sample) return;
+
+    this.paletteSamples[feature] = sample;
+    this.paletteRegions[feature] = rect;
+    this._updatePaletteSamples();
+
+    if (!silent) {
+      this._toast(`${feature} sampled: ${sample.name} (${sample.hex})`, 'success');
+    }
+  },
+
+  _drawPaletteRegions() {
+    const canvas = this.$('palette-canvas');
+    if (!this.paletteImageData) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(this.paletteImageData, 0, 0);
+    ctx.lineWidth = Math.max(2, Math.round(canvas.width / 300));
+    ctx.font = `bold ${Math.max(12, Math.round(canvas.width / 50))}px sans-serif`;
+
+    Object.entries(this.paletteRegions).forEach(([feature, rect]) => {
+      ctx.strokeStyle = this.PALETTE_REGION_COLORS[feature];
+      ctx.fillStyle = this.PALETTE_REGION_COLORS[feature];
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.fillText(feature, rect.x + 4, Math.max(14, rect.y - 4));
+    });
+  },
+
+  _updatePaletteSamples() {
+    const container = this.$('palette-samples');
+    container.innerHTML = '';
+
+    ['skin', 'hair', 'eyes'].forEach(feature => {
+      const sample = this.paletteSamples[feature];
+      if (!sample) return;
+
+      const item = document.createElement('span');
+      item.style.cssText = 'display: inline-flex; align-items: center; gap: 0.5rem; margin-right: 1rem;';
+
+      const swatch = document.createElement('span');
+      swatch.style.cssText = `display: inline-block; width: 1rem; height: 1rem; border-radius: 9999px; background: ${sample.hex};`;
+
+      const text = document.createElement('span');
+      text.textContent = `${feature}: ${sample.name}`;
+
+      item.appendChild(swatch);
+      item.appendChild(text);
+      container.appendChild(item);
+    });
+
+    if (!container.hasChildNodes()) {
+      container.textContent = 'No samples yet';
+    }
+
+    this.$('palette-save-btn').disabled = !this.paletteSamples.skin;
+  },
+
+  _savePersonalProfile() {
+    try {
+      const profile = PersonalPalette.analyze(this.paletteSamples);
+      this.personalProfile = profile;
+
+      if (!PersonalPalette.saveProfile(profile)) {
+        this._toast('Profile applied, but could not be saved for next time', 'warning');
+      } else {
+        this._toast(`You're a ${profile.season} with a ${profile.undertone} undertone`, 'success');
+      }
+
+      this._renderPersonalProfile();
+    } catch (error) {
+      this._toast(error.message || 'Personal palette analysis failed', 'error');
+    }
+  },
+
+  _clearPersonalProfile() {
+    PersonalPalette.clearProfile();
+    this.personalProfile = null;
+    this._renderPersonalProfile();
+    this._toast('Personal palette cleared', 'info');
+  },
+
+  _renderPersonalProfile() {
+    const profile = this.personalProfile;
+    this.$('palette-result').classList.toggle('hidden', !profile);
+    if (!profile) return;
+
+    const icons = { Spring: '🌸', Summer: '🌊', Autumn: '🍂', Winter: '❄️' };
+    const season = PersonalPalette.SEASONS[profile.season];
+
+    this.$('palette-season').textContent =
+      `${icons[profile.family] || '🎨'} ${profile.season} · ${profile.undertone} undertone`;
+    this.$('palette-best').textContent = `Your best colors: ${season.best.join(', ')}`;
+  },
+
+  // ────────────────────────────────────────────
+  //  COLOR PREVIEWS — Enhanced with confidence
+  // ────────────────────────────────────────────
+
+  _updateColorPreviews() {
+    this.activeSlots.forEach(garment => {
+      const preview = this.$(`${garment}-preview`);
+      const label = this.$(`${garment}-label`);
+      if (!preview || !label) return;
+
+      const color = this.garmentColors[garment];
+      if (color) {
+        preview.style.backgroundColor = color.hex;
+        preview.classList.remove('opacity-50');
+
+        // Build label with name, hex, and confidence
+        let labelText = `${color.name} (${color.hex})`;
+
+        if (color.confidence !== undefined && color.confidence < 1.0) {
+          const pct = Math.round(color.confidence * 100);
+          labelText += ` · ${pct}% confident`;
+        }
+
+        if (color.isPattern) {
+          labelText += ' · 🔲 Pattern detected';
+        }
+
+        label.textContent = labelText;
+      } else {
+        preview.style.backgroundColor = '#374151';
+        label.textContent = this.detectedZones && !this.detectedZones[garment] ? 'Not in the photo' : 'Not detected';
+        preview.classList.add('opacity-50');
+      }
+    });
+
+    this._renderWardrobeSlotOptions();
+  },
+
+  // ────────────────────────────────────────────
+  //  WARDROBE
+  // ────────────────────────────────────────────
+
+  _initWardrobe() {
+    const filter = this.$('wardrobe-filter');
+    const occasion = this.$('generator-occasion');
+    const mood = this.$('generator-mood');
+    if (!filter || !occasion || !mood) return;
+
+    const addOption = (select, value, text) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    };
+
+    addOption(filter, '', 'All garments');
+    GarmentSlots.keys().forEach(key => addOption(filter, key, GarmentSlots.label(key)));
+
+    Object.entries(Scoring.OCCASIONS).forEach(([key, o]) => addOption(occasion, key, `${o.emoji} ${o.label}`));
+    occasion.value = this.currentOccasion;
+
+    addOption(mood, '', 'Any mood');
+    Scoring.MOODS.forEach(name => addOption(mood, name, name));
+
+    this._renderWardrobeSlotOptions();
+    this._renderWardrobe();
+  },
+
+  /** Only slots with a detected color can be saved */
+  _renderWardrobeSlotOptions() {
+    const select = this.$('wardrobe-slot-select');
+    const btn = this.$('wardrobe-add-btn');
+    if (!select || !btn) return;
+
+    const previous = select.value;
+    select.innerHTML = '';
+
+    const ready = this.activeSlots.filter(key => this.garmentColors[key]);
+    ready.forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${GarmentSlots.label(key)} — ${this.garmentColors[key].name}`;
+      select.appendChild(option);
+    });
+
+    if (ready.includes(previous)) select.value = previous;
+    btn.disabled = ready.length === 0;
+    btn.classList.toggle('opacity-50', ready.length === 0);
+  },
+
+  _addToWardrobe() {
+    const slot = this.$('wardrobe-slot-select').value;
+    const color = this.garmentColors[slot];
+    if (!color) {
+      this._toast('Detect or pick a garment color first.', 'warning');
+      return;
+    }
+
+    const item = Wardrobe.addItem({
+      name: this.$('wardrobe-name-input').value,
+      slot,
+      color,
+      tags: this.$('wardrobe-tags-input').value,
+      thumbnail: this._garmentThumbnail(color),
+    });
+
+    if (!item) {
+      this._toast('Could not save garment — wardrobe full or storage unavailable.', 'error');
+      return;
+    }
+
+    this.$('wardrobe-name-input').value = '';
+    this.$('wardrobe-tags-input').value = '';
+    this._renderWardrobe();
+    this._toast(`Saved "${item.name}" to your wardrobe`, 'success');
+  },
+
+  /** Thumbnail of the clean photo region a color was sampled from */
+  _garmentThumbnail(color) {
+    if (!color.sourceRect || !this.originalImageData) return null;
+    return Wardrobe.createThumbnail(this._cleanImageCanvas(), color.sourceRect);
+  },
+
+  _renderWardrobe() {
+    const container = this.$('wardrobe-items');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const slot = this.$('wardrobe-filter').value || undefined;
+    const items = Wardrobe.getItems({ slot });
+    this.$('wardrobe-count').textContent = Wardrobe.getItemCount();
+
+    if (items.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'text-gray-400';
+      empty.textContent = slot ? 'No garments saved for this slot yet.' : 'No garments saved yet.';
+      container.appendChild(empty);
+      return;
+    }
+
+    items.forEach(item => {
+      const card = document.createElement('div');
+      card.className = 'bg-slate-700 rounded-lg p-4 flex items-center gap-4';
+
+      card.appendChild(this._buildGarmentSwatch(item, 64));
+
+      const info = document.createElement('div');
+      info.style.flex = '1';
+
+      const name = document.createElement('p');
+      name.className = 'font-semibold';
+      name.textContent = item.name;
+
+      const meta = document.createElement('p');
+      meta.className = 'text-sm text-gray-400';
+      meta.textContent = `${GarmentSlots.label(item.slot)} · ${item.color.name}${item.isPattern ? ' · 🔲 Pattern' : ''}`;
+
+      info.appendChild(name);
+      info.appendChild(meta);
+
+      if (item.tags.length > 0) {
+        const tags = document.createElement('p');
+        tags.className = 'text-xs text-gray-400';
+        tags.textContent = item.tags.map(t => `#${t}`).join(' ');
+        info.appendChild(tags);
+      }
+
+      const del = document.createElement('button');
+      del.className = 'bg-red-600 hover:bg-red-700 px-4 py-2 rounded-lg text-sm transition-all';
+      del.textContent = '✕';
+      del.title = `Remove ${item.name}`;
+      del.addEventListener('click', () => {
+        Wardrobe.deleteItem(item.id);
+        this._renderWardrobe();
+        this._toast(`Removed "${item.name}"`, 'info');
       });
+
+      card.appendChild(info);
+      card.appendChild(del);
+      container.appendChild(card);
+    });
+  },
+
+  /** Thumbnail image, or a plain swatch when the item has none */
+  _buildGarmentSwatch(item, size) {
+    const el = document.createElement(item.thumbnail ? 'img' : 'div');
+    if (item.thumbnail) {
+      el.src = item.thumbnail;
+      el.alt = item.name;
+      el.style.objectFit = 'cover';
+    } else {
+      el.style.backgroundColor = item.color.hex;
+    }
+    el.className = 'rounded-lg';
+    el.style.width = `${size}px`;
+    el.style.height = `${size}px`;
+    el.style.flexShrink = '0';
+    el.title = `${item.name} (${item.color.hex})`;
+    return el;
+  },
+
+  /** Generate outfits in the analysis worker; clicking again while it runs cancels */
+  async _generateOutfits() {
+    if (this.generatorController) {
+      this.generatorController.abort();
+      return;
+    }
+
+    const btn = this.$('generate-btn');
+    const container = this.$('generator-results');
+    const controller = new AbortController();
+    this.generatorController = controller;
+    btn.textContent = '⏳ Generating… (click to cancel)';
+
+    try {
+      const result = await AnalysisPipeline.generateOutfits(Wardrobe.getItems(), {
+        slots: this.activeSlots,
+        occasion: this.$('generator-occasion').value,
+        mood: this.$('generator-mood').value || null,
+        profile: this.personalProfile,
+        colorSpace: ColorAnalysis.getColorSpace(),
+      }, {
+        signal: controller.signal,
+        onProgress: progress => {
+          btn.textContent = `⏳ Generating ${Math.round(progress * 100)}% (click to cancel)`;
+        },
+      });
+
+      container.innerHTML = '';
+
+      if (result.missingSlots.length > 0) {
+        const labels = result.missingSlots.map(k => GarmentSlots.get(k).label.toLowerCase()).join(', ');
+        this._toast(`Add at least one ${labels} to your wardrobe first.`, 'warning');
+        return;
+      }
+
+      if (result.outfits.length === 0) {
+        this._toast('No outfits match that mood — try "Any mood".', 'info');
+        return;
+      }
+
+      result.outfits.forEach((outfit, index) => {
+        container.appendChild(this._buildGeneratedOutfit(outfit, index + 1));
+      });
+
+      if (result.truncated) {
+        this._toast(`Large wardrobe — checked the ${result.evaluated} newest combinations.`, 'info');
+      }
+    } catch (error) {
+      if (AnalysisPipeline.isAbortError(error)) {
+        this._toast('Outfit generation cancelled.', 'info');
+        return;
+      }
+      console.error('Outfit generation failed:', error);
+      this._toast('Outfit generation failed.', 'error');
+    } finally {
+      this.generatorController = null;
+      btn.textContent = 'Generate Outfits';
     }
   },
 
-  // ────────────────────────────────────────────
-  //  COLOR PREVIEWS — Enhanced with confidence
-  // ────────────────────────────────────────────
+  _buildGeneratedOutfit(outfit, rank) {
+    const row = document.createElement('div');
+    row.className = 'bg-slate-700 rounded-lg p-4 flex flex-wrap items-center gap-4';
+
+    const rankEl = document.createElement('span');
+    rankEl.className = 'text-xl font-bold';
+    rankEl.textContent = `#${rank}`;
+    row.appendChild(rankEl);
+
+    const pieces = document.createElement('div');
+    pieces.className = 'flex gap-3';
+    outfit.items.forEach(item => pieces.appendChild(this._buildGarmentSwatch(item, 48)));
+    row.appendChild(pieces);
+
+    const info = document.createElement('div');
+    info.style.flex = '1';
+
+    const names = document.createElement('p');
+    names.className = 'font-semibold';
+    names.textContent = outfit.items.map(item => item.name).join(' + ');
+
+    const meta = document.createElement('p');
+    meta.className = 'text-sm text-gray-400';
+    meta.textContent = `${outfit.score.total}/100 (${outfit.grade.letter}) · ${outfit.harmony.type} · ${outfit.mood.emoji} ${outfit.mood.mood}`;
 
-  _updateColorPreviews() {
-    ['top', 'bottom', 'shoes'].forEach(garment => {
-      const preview = this.$(`${garment}-preview`);
-      const label = this.$(`${garment}-label`);
-      if (!preview || !label) return;
+    info.appendChild(names);
+    info.appendChild(meta);
+    row.appendChild(info);
 
-      const color = this.garmentColors[garment];
-      if (color) {
-        preview.style.backgroundColor = color.hex;
-        preview.classList.remove('opacity-50');
+    const load = document.createElement('button');
+    load.className = 'bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg font-semibold transition-all';
+    load.textContent = 'Try it';
+    load.addEventListener('click', () => this._loadGeneratedOutfit(outfit));
+    row.appendChild(load);
 
-        // Build label with name, hex, and confidence
-        let labelText = `${color.name} (${color.hex})`;
+    return row;
+  },
 
-        if (color.confidence !== undefined && color.confidence < 1.0) {
-          const pct = Math.round(color.confidence * 100);
-          labelText += ` · ${pct}% confident`;
-        }
+  /** Put a generated outfit into the manual pickers, ready to analyze */
+  _loadGeneratedOutfit(outfit) {
+    if (this.currentMode !== 'manual') {
+      this.selectMode('manual');
+    }
 
-        if (color.isPattern) {
-          labelText += ' · 🔲 Pattern detected';
-        }
+    this._setActiveSlots(outfit.slots, { redetect: false });
 
-        label.textContent = labelText;
-      } else {
-        preview.style.backgroundColor = '#374151';
-        label.textContent = 'Not detected';
-        preview.classList.add('opacity-50');
-      }
+    outfit.items.forEach(item => {
+      const input = this.$(`${item.slot}-color`);
+      if (input) input.value = item.color.hex;
     });
+    this._applyManualInputs();
+
+    this.$('occasion-select').value = this.$('generator-occasion').value;
+    this.currentOccasion = this.$('generator-occasion').value;
+
+    this.$('analyze-btn').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this._toast('Outfit loaded — press Analyze to see the full breakdown', 'success');
   },
 
   // ────────────────────────────────────────────
@@ -678,9 +2542,9 @@ const App = {
     const btn = this.$('analyze-btn');
     if (!btn) return;
 
-    const ready = !!(this.garmentColors.top && this.garmentColors.bottom && this.garmentColors.shoes);
+    const ready = this.activeSlots.every(slot => !!this.garmentColors[slot]);
 
-    btn.disabled = !ready || this.isAnalyzing;
+    btn.disabled = !ready || this.isAnalyzing || this.isDetecting;
     btn.classList.toggle('opacity-50', !ready);
     btn.classList.toggle('cursor-not-allowed', !ready);
   },
@@ -689,15 +2553,94 @@ const App = {
   //  OUTFIT ANALYSIS — Full pipeline
   // ────────────────────────────────────────────
 
+  /** Switch between perceptual LCh and legacy HSL; shown results are re-run to compare */
+  _setColorSpace(space) {
+    ColorAnalysis.setColorSpace(space);
+    ColorAnalysis.saveColorSpace(space);
+
+    const shown = !this.$('results-section').classList.contains('hidden');
+    if (shown && !this.isAnalyzing && this.activeSlots.every(slot => !!this.garmentColors[slot])) {
+      this._rescoreOutfit();
+    }
+  },
+
+  /** Re-score the shown outfit (e.g. in another color space) without saving it to history */
+  async _rescoreOutfit() {
+    if (this.isAnalyzing) return;
+    this.isAnalyzing = true;
+
+    const signal = this._startPipeline('Re-scoring…');
+
+    try {
+      const slots = [...this.activeSlots];
+      const analysisData = await this._scoreOutfit(slots, slots.map(slot => this.garmentColors[slot]), signal);
+
+      // Read-only, like _undoAnalysis — "previous" is the saved run of this outfit
+      this._displayResults(analysisData, await Comparison.compareOutfits(analysisData));
+      this._toast(
+        `${ColorAnalysis.getSpaceConfig().label}: ${analysisData.score.total}/100 — not saved to history`,
+        'info'
+      );
+    } catch (error) {
+      if (!AnalysisPipeline.isAbortError(error)) {
+        console.error('Re-scoring failed:', error);
+        this._toast('Re-scoring failed: ' + (error.message || 'Unknown error'), 'error');
+      }
+    } finally {
+      this._finishPipeline(signal);
+      this.isAnalyzing = false;
+      this._updateAnalyzeButton();
+    }
+  },
+
+  /**
+   * Score colors in the analysis pipeline.
+   * @param {string[]} slots
+   * @param {Object[]} colors — one per slot
+   * @param {AbortSignal} signal
+   * @returns {Promise<Object>} analysis data, as saved to history
+   */
+  async _scoreOutfit(slots, colors, signal) {
+    const occasion = Scoring.getOccasion(this.currentOccasion);
+    const {
+      harmony: harmonyResult, confidence, mood, score: scoreResult, grade,
+      suggestions, temperature, contrastRatios,
+    } = await AnalysisPipeline.analyze(colors, {
+      slots,
+      occasion: occasion.key,
+      profile: this.personalProfile,
+      colorSpace: ColorAnalysis.getColorSpace(),
+    }, {
+      signal,
+      onProgress: (progress, stage) => this._showPipelineProgress(stage, progress),
+    });
+
+    return {
+      timestamp: new Date().toISOString(),
+      colors: { ...this.garmentColors },
+      slots,
+      harmony: harmonyResult,
+      confidence,
+      mood,
+      score: scoreResult,
+      grade,
+      suggestions,
+      temperature,
+      contrastRatios,
+      colorSpace: ColorAnalysis.getColorSpace(),
+      personalSeason: this.personalProfile ? this.personalProfile.season : null,
+      colorCorrection: this.currentMode === 'manual' ? null : this.colorCorrection,
+      occasion: { key: occasion.key, label: occasion.label, emoji: occasion.emoji },
+      thumbnail: this._historyThumbnail(),
+    };
+  },
+
   async _analyzeOutfit() {
-    const colors = [
-      this.garmentColors.top,
-      this.garmentColors.bottom,
-      this.garmentColors.shoes
-    ].filter(Boolean);
-
-    if (colors.length < 3) {
-      this._toast('Please ensure all three garment colors are detected.', 'warning');
+    const slots = [...this.activeSlots];
+    const colors = slots.map(slot => this.garmentColors[slot]).filter(Boolean);
+
+    if (colors.length < slots.length) {
+      this._toast('Please ensure every garment color is detected.', 'warning');
       return;
     }
 
@@ -709,55 +2652,25 @@ const App = {
     btn.textContent = '⏳ Analyzing…';
     btn.disabled = true;
 
-    try {
-      // Let UI update before heavy computation
-      await new Promise(resolve => requestAnimationFrame(resolve));
-
-      // Core analysis
-      const harmonyResult = ColorAnalysis.analyzeHarmony(colors);
-      const confidence = Scoring.calculateConfidence(colors);
-      const mood = Scoring.detectMood(colors);
-      const scoreResult = Scoring.calculateOutfitScore(colors, harmonyResult);
-      const grade = Scoring.getGrade(scoreResult.total);
-
-      // Suggestions from ColorAnalysis
-      const suggestions = ColorAnalysis.generateSuggestions(colors, harmonyResult);
-
-      // Temperature analysis
-      const temperature = ColorAnalysis.analyzeTemperature(colors);
-
-      // WCAG contrast ratios
-      const contrastRatios = [];
-      for (let i = 0; i < colors.length; i++) {
-        for (let j = i + 1; j < colors.length; j++) {
-          contrastRatios.push({
-            pair: `${['Top', 'Bottom', 'Shoes'][i]} ↔ ${['Top', 'Bottom', 'Shoes'][j]}`,
-            ratio: ColorAnalysis.calculateContrast(colors[i], colors[j]),
-          });
-        }
-      }
+    const signal = this._startPipeline('Analyzing…');
 
-      const analysisData = {
-        timestamp: new Date().toISOString(),
-        colors: { ...this.garmentColors },
-        harmony: harmonyResult,
-        confidence,
-        mood,
-        score: scoreResult,
-        grade,
-        suggestions,
-        temperature,
-        contrastRatios,
-      };
+    try {
+      const analysisData = await this._scoreOutfit(slots, colors, signal);
+      const { score: scoreResult, grade, occasion } = analysisData;
 
       // Save to undo history
       this.analysisHistory.push(analysisData);
 
-      // Compare with previous
-      const comparison = Comparison.compareOutfits(analysisData);
+      // Compare with previous (before saving, so "previous" isn't this one)
+      const comparison = await Comparison.compareOutfits(analysisData);
 
       // Save to persistent storage
-      Comparison.saveAnalysis(analysisData);
+      const saved = await Comparison.saveAnalysis(analysisData);
+      if (saved) {
+        this._refreshHistory();
+      } else {
+        this._toast('Could not save this outfit to your history', 'warning');
+      }
 
       // Display results
       this._displayResults(analysisData, comparison);
@@ -770,20 +2683,60 @@ const App = {
       }
 
       this._toast(
-        `Score: ${scoreResult.total}/100 — ${grade.letter} (${grade.description})`,
+        `${occasion.emoji} ${occasion.label} score: ${scoreResult.total}/100 — ${grade.letter} (${grade.description})`,
         scoreResult.total >= 75 ? 'success' : scoreResult.total >= 50 ? 'warning' : 'error'
       );
 
     } catch (error) {
-      console.error('Analysis failed:', error);
-      this._toast('Analysis failed: ' + (error.message || 'Unknown error'), 'error');
+      if (AnalysisPipeline.isAbortError(error)) {
+        if (this.currentMode) this._toast('Analysis cancelled', 'info');
+      } else {
+        console.error('Analysis failed:', error);
+        this._toast('Analysis failed: ' + (error.message || 'Unknown error'), 'error');
+      }
     } finally {
+      this._finishPipeline(signal);
       this.isAnalyzing = false;
       btn.textContent = originalText;
       this._updateAnalyzeButton();
     }
   },
 
+  // ────────────────────────────────────────────
+  //  PIPELINE PROGRESS & CANCELLATION
+  // ────────────────────────────────────────────
+
+  /**
+   * Cancel whatever is running and start tracking a new run.
+   * @returns {AbortSignal}
+   */
+  _startPipeline(stage) {
+    this._cancelPipeline();
+    this.pipelineController = new AbortController();
+    this._showPipelineProgress(stage, 0);
+    return this.pipelineController.signal;
+  },
+
+  /** Stop tracking a run — unless a newer one has replaced it */
+  _finishPipeline(signal) {
+    if (!this.pipelineController || this.pipelineController.signal !== signal) return;
+    this.pipelineController = null;
+    this.$('pipeline-status').classList.add('hidden');
+  },
+
+  _cancelPipeline() {
+    if (!this.pipelineController) return;
+    const controller = this.pipelineController;
+    this._finishPipeline(controller.signal);
+    controller.abort();
+  },
+
+  _showPipelineProgress(stage, progress) {
+    this.$('pipeline-status').classList.remove('hidden');
+    this.$('pipeline-stage').textContent = stage;
+    this.$('pipeline-bar').style.width = `${Math.round(progress * 100)}%`;
+  },
+
   // ────────────────────────────────────────────
   //  DISPLAY RESULTS — Animated & comprehensive
   // ────────────────────────────────────────────
@@ -822,6 +2775,7 @@ const App = {
 
     // ── Temperature info ──
     this._buildTemperatureInfo(analysis.temperature);
+    this._buildCorrectionInfo(analysis.colorCorrection);
 
     // ── Contrast ratios ──
     this._buildContrastInfo(analysis.contrastRatios);
@@ -830,6 +2784,8 @@ const App = {
     if (comparison.hasPrevious) {
       this.$('comparison-section').classList.remove('hidden');
       this.$('comparison-message').textContent = comparison.message;
+      this._buildComparisonPhotos(analysis, comparison.previous)
+        .catch(error => console.warn('Could not show comparison photos:', error));
 
       if (comparison.details && comparison.details.length > 0) {
         this._buildComparisonDetails(comparison.details);
@@ -1006,6 +2962,28 @@ const App = {
     harmonySection.parentNode.insertBefore(info, harmonySection.nextSibling);
   },
 
+  /** Which white balance correction the colors went through */
+  _buildCorrectionInfo(correction) {
+    const existing = document.getElementById('correction-info');
+    if (existing) existing.remove();
+
+    if (!correction) return;
+
+    const anchor = document.getElementById('temperature-info') || this.$('harmony-explanation');
+    if (!anchor) return;
+
+    const info = document.createElement('div');
+    info.id = 'correction-info';
+    info.className = 'mt-3 p-3 bg-slate-800 rounded text-sm';
+
+    const text = document.createElement('span');
+    text.className = 'text-gray-300';
+    text.textContent = `⚪ White balance: ${WhiteBalance.describe(correction)}`;
+    info.appendChild(text);
+
+    anchor.parentNode.insertBefore(info, anchor.nextSibling);
+  },
+
   /** Build contrast ratios info */
   _buildContrastInfo(contrastRatios) {
     const existing = document.getElementById('contrast-info');
@@ -1049,9 +3027,64 @@ const App = {
     container.appendChild(info);
   },
 
+  /** Side-by-side photos of the previous and current outfit, when stored */
+  async _buildComparisonPhotos(analysis, previous) {
+    const container = this.$('comparison-photos');
+    if (!container) return;
+    container.innerHTML = '';
+    container.classList.add('hidden');
+
+    const previousPhoto = previous.hasThumbnail ? await Comparison.getThumbnail(previous.id) : null;
+    if (!previousPhoto && !analysis.thumbnail) return;
+
+    const figure = (src, caption, onDelete) => {
+      const fig = document.createElement('figure');
+      fig.className = 'text-center';
+
+      if (src) {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = caption;
+        img.className = 'rounded-lg mb-2';
+        img.style.maxHeight = '220px';
+        fig.appendChild(img);
+      } else {
+        const empty = document.createElement('div');
+        empty.className = 'border-2 border-dashed border-slate-600 rounded-lg mb-2 flex items-center justify-center text-gray-400 text-sm';
+        empty.style.width = '160px';
+        empty.style.height = '220px';
+        empty.textContent = 'No photo';
+        fig.appendChild(empty);
+      }
+
+      const cap = document.createElement('figcaption');
+      cap.className = 'text-sm text-gray-400';
+      cap.textContent = caption;
+      fig.appendChild(cap);
+
+      if (src && onDelete) {
+        const del = document.createElement('button');
+        del.className = 'text-xs text-gray-400 mt-2';
+        del.textContent = '🗑️ Remove photo';
+        del.addEventListener('click', onDelete);
+        fig.appendChild(del);
+      }
+      return fig;
+    };
+
+    container.appendChild(figure(
+      previousPhoto,
+      `Previous · ${previous.score.total}/100`,
+      async () => {
+        if (await this._deleteEntryPhoto(previous)) this._buildComparisonPhotos(analysis, previous);
+      }
+    ));
+    container.appendChild(figure(analysis.thumbnail, `This outfit · ${analysis.score.total}/100`));
+    container.classList.remove('hidden');
+  },
+
   /** Build comparison details with structured data */
-  _buildComparisonDetails(details) {
-    const container = this.$('comparison-details');
+  _buildComparisonDetails(details, container = this.$('comparison-details')) {
     if (!container) return;
     container.innerHTML = '';
 
@@ -1149,11 +3182,559 @@ const App = {
     compSection.appendChild(info);
   },
 
+  // ────────────────────────────────────────────
+  //  STATS DASHBOARD
+  // ────────────────────────────────────────────
+
+  async _renderDashboard() {
+    const content = this.$('dashboard-content');
+    if (!content) return;
+
+    const stats = await Comparison.getStatistics();
+    const hasData = stats.totalOutfits > 0;
+    this.$('dashboard-empty').classList.toggle('hidden', hasData);
+    content.classList.toggle('hidden', !hasData);
+    if (!hasData) return;
+
+    // ── Summary tiles ──
+    const tiles = this.$('dashboard-tiles');
+    tiles.innerHTML = '';
+    [
+      ['Outfits', stats.totalOutfits],
+      ['Average', `${stats.averageScore}/100`],
+      ['Best', `${stats.highestScore}/100`],
+      ['Improved', `${stats.improvementRate}%`],
+    ].forEach(([label, value]) => {
+      const tile = document.createElement('div');
+      tile.className = 'bg-slate-700 rounded-lg p-4 text-center';
+
+      const valueEl = document.createElement('p');
+      valueEl.className = 'text-3xl font-bold';
+      valueEl.textContent = value;
+
+      const labelEl = document.createElement('p');
+      labelEl.className = 'text-sm text-gray-400';
+      labelEl.textContent = label;
+
+      tile.appendChild(valueEl);
+      tile.appendChild(labelEl);
+      tiles.appendChild(tile);
+    });
+
+    // ── Score over time ──
+    const timeline = stats.scoreTimeline;
+    const dateLabel = ts => new Date(ts).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    this._mountChart('chart-score', Charts.lineChart([
+      { values: timeline.map(t => t.score), dots: timeline.length <= this.CHART_DOT_LIMIT },
+      { values: timeline.map(t => t.rollingAverage), dashed: true },
+    ], { xLabels: timeline.map(t => dateLabel(t.timestamp)) }));
+    this.$('chart-score-legend').textContent =
+      `Solid: score per outfit · Dashed: rolling average of the last ${Comparison.ROLLING_WINDOW}`;
+
+    // ── Scoring factors (weakest first) ──
+    const factors = stats.factorAverages;
+    this._mountChart('chart-factors', Charts.barChart(
+      factors.map(f => ({ label: f.category, value: f.average })),
+      { max: 100, format: v => `${v}%`, highlight: 0 }
+    ));
+    this.$('dashboard-weakest').textContent = factors.length > 0
+      ? `Weakest: ${factors[0].category} — you earn ${factors[0].average}% of its points on average.`
+      : '';
+
+    // ── Distributions ──
+    const distribution = counts => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([label, value]) => ({ label, value }));
+    this._mountChart('chart-harmony', Charts.barChart(distribution(stats.harmonyDistribution)));
+    this._mountChart('chart-mood', Charts.barChart(distribution(stats.moodDistribution)));
+
+    // ── Color wheel + most worn ──
+    const colors = this.$('chart-colors');
+    colors.innerHTML = '';
+    const wheel = Charts.colorWheel(stats.colorFrequency);
+    wheel.style.width = '260px';
+    colors.appendChild(wheel);
+
+    const list = document.createElement('ul');
+    list.className = 'space-y-2';
+    stats.colorFrequency.slice(0, this.TOP_COLORS).forEach(color => {
+      const li = document.createElement('li');
+      li.className = 'flex items-center gap-3 text-sm';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'rounded-full';
+      swatch.style.cssText = `display: inline-block; width: 16px; height: 16px; background: ${color.hex};`;
+
+      const text = document.createElement('span');
+      text.textContent = `${color.name} · ${color.count}×`;
+
+      li.appendChild(swatch);
+      li.appendChild(text);
+      list.appendChild(li);
+    });
+    colors.appendChild(list);
+  },
+
+  /** Replace a chart container's content */
+  _mountChart(id, chart) {
+    const container = this.$(id);
+    if (!container) return;
+    container.innerHTML = '';
+    container.appendChild(chart);
+  },
+
+  // ────────────────────────────────────────────
+  //  HISTORY BROWSER
+  // ────────────────────────────────────────────
+
+  /** Reload filter options, then the current page */
+  async _refreshHistory() {
+    const facets = await Comparison.getHistoryFacets();
+
+    const fill = (id, allLabel, values) => {
+      const select = this.$(id);
+      const previous = select.value;
+      select.innerHTML = '';
+      [['', allLabel], ...values.map(v => [v, v])].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = values.includes(previous) ? previous : '';
+    };
+
+    fill('history-harmony', 'All harmonies', facets.harmonies);
+    fill('history-mood', 'All moods', facets.moods);
+    fill('history-grade', 'All grades', facets.grades);
+
+    await Promise.all([this._renderHistory(), this._renderDashboard()]);
+  },
+
+  /** Read the filter bar — dates are local days, stored timestamps are UTC */
+  _historyFilters() {
+    const value = id => this.$(id).value.trim();
+    const score = id => (value(id) === '' ? undefined : Number(value(id)));
+
+    return {
+      from: value('history-from') ? new Date(`${value('history-from')}T00:00:00`).toISOString() : undefined,
+      to: value('history-to') ? new Date(`${value('history-to')}T23:59:59.999`).toISOString() : undefined,
+      minScore: score('history-min-score'),
+      maxScore: score('history-max-score'),
+      harmony: value('history-harmony') || undefined,
+      mood: value('history-mood') || undefined,
+      grade: value('history-grade') || undefined,
+    };
+  },
+
+  async _renderHistory() {
+    const list = this.$('history-list');
+    if (!list) return;
+
+    const result = await Comparison.searchHistory(this._historyFilters(), {
+      sort: this.$('history-sort').value,
+      page: this.historyPage,
+      pageSize: this.HISTORY_PAGE_SIZE,
+    });
+    this.historyPage = result.page;
+
+    list.innerHTML = '';
+    result.entries.forEach(entry => list.appendChild(this._buildHistoryRow(entry)));
+
+    if (result.total === 0) {
+      this.$('history-summary').textContent = 'No outfits match these filters.';
+    } else {
+      const first = (result.page - 1) * this.HISTORY_PAGE_SIZE + 1;
+      const last = first + result.entries.length - 1;
+      this.$('history-summary').textContent = `Showing ${first}–${last} of ${result.total} outfit${result.total !== 1 ? 's' : ''}`;
+    }
+
+    this.$('history-page').textContent = `Page ${result.page} of ${result.pages}`;
+    this.$('history-prev-btn').disabled = result.page <= 1;
+    this.$('history-next-btn').disabled = result.page >= result.pages;
+    this._updateHistoryCompareButton();
+  },
+
+  _buildHistoryRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'bg-slate-700 rounded-lg p-3 flex flex-wrap items-center gap-4';
+
+    const pick = document.createElement('input');
+    pick.type = 'checkbox';
+    pick.className = 'cursor-pointer';
+    pick.title = 'Select for side-by-side compare';
+    pick.dataset.id = entry.id;
+    pick.checked = this.historySelection.some(e => e.id === entry.id);
+    pick.addEventListener('change', () => this._toggleHistorySelection(entry));
+    row.appendChild(pick);
+
+    row.appendChild(this._buildEntryPhoto(entry, 64));
+
+    const info = document.createElement('div');
+    info.style.flex = '1';
+
+    const title = document.createElement('p');
+    title.className = 'font-semibold';
+    title.textContent = `${entry.score.total}/100${entry.grade ? ` · ${entry.grade.letter}` : ''} — ${entry.harmony?.type || 'Unknown harmony'}`;
+
+    const meta = document.createElement('p');
+    meta.className = 'text-sm text-gray-400';
+    const occasion = entry.occasion ? ` · ${entry.occasion.label}` : '';
+    meta.textContent = `${entry.mood?.emoji || ''} ${entry.mood?.mood || 'Unknown'}${occasion}`.trim();
+
+    const when = document.createElement('p');
+    when.className = 'text-xs text-gray-400';
+    when.textContent = Comparison.formatTimestamp(entry.timestamp);
+    when.title = new Date(entry.timestamp).toLocaleString();
+
+    info.appendChild(title);
+    info.appendChild(meta);
+    info.appendChild(when);
+    row.appendChild(info);
+
+    if (entry.hasThumbnail) row.appendChild(this._buildPhotoDeleteButton(entry));
+
+    const del = document.createElement('button');
+    del.className = 'bg-red-600 hover:bg-red-700 px-4 py-2 rounded-lg text-sm transition-all';
+    del.textContent = '✕';
+    del.title = 'Delete from history';
+    del.addEventListener('click', () => this._deleteHistoryEntry(entry));
+    row.appendChild(del);
+
+    return row;
+  },
+
+  /** Stored photo, or the outfit's color swatches when there is none */
+  _buildEntryPhoto(entry, size) {
+    if (entry.hasThumbnail) {
+      const img = document.createElement('img');
+      img.alt = 'Outfit photo';
+      img.className = 'rounded-lg';
+      img.style.height = `${size}px`;
+      img.style.flexShrink = '0';
+      Comparison.getThumbnail(entry.id).then(src => {
+        if (src) img.src = src;
+      });
+      return img;
+    }
+
+    const swatches = document.createElement('div');
+    swatches.className = 'flex';
+    swatches.style.flexShrink = '0';
+    const slots = entry.slots || Object.keys(entry.colors || {});
+    slots.forEach(slot => {
+      const color = entry.colors?.[slot];
+      if (!color) return;
+      const swatch = document.createElement('div');
+      swatch.style.width = `${Math.round(size / 2)}px`;
+      swatch.style.height = `${size}px`;
+      swatch.style.backgroundColor = color.hex;
+      swatch.title = `${GarmentSlots.label(slot)}: ${color.name} (${color.hex})`;
+      swatches.appendChild(swatch);
+    });
+    return swatches;
+  },
+
+  _buildPhotoDeleteButton(entry) {
+    const btn = document.createElement('button');
+    btn.className = 'text-xs text-gray-400 hover:text-white transition-all';
+    btn.textContent = '🗑️ Remove photo';
+    btn.title = 'Delete the photo, keep the outfit';
+    btn.addEventListener('click', () => this._deleteEntryPhoto(entry));
+    return btn;
+  },
+
+  /**
+   * Delete an entry's photo and refresh the history views showing it.
+   * @returns {Promise<boolean>} whether it was deleted
+   */
+  async _deleteEntryPhoto(entry) {
+    if (!await Comparison.deleteThumbnail(entry.id)) {
+      this._toast('Could not remove that photo', 'error');
+      return false;
+    }
+
+    entry.hasThumbnail = false;
+    this.historySelection = this.historySelection.map(e => (e.id === entry.id ? { ...e, hasThumbnail: false } : e));
+    await this._refreshHistory();
+    if (!this.$('history-compare').classList.contains('hidden')) this._compareHistorySelection();
+    this._toast('Photo removed from history', 'info');
+    return true;
+  },
+
+  _changeHistoryPage(delta) {
+    this.historyPage += delta;
+    this._renderHistory();
+  },
+
+  _resetHistoryFilters() {
+    ['history-from', 'history-to', 'history-min-score', 'history-max-score',
+      'history-harmony', 'history-mood', 'history-grade'].forEach(id => {
+      this.$(id).value = '';
+    });
+    this.$('history-sort').value = 'newest';
+    this.historyPage = 1;
+    this._renderHistory();
+  },
+
+  async _deleteHistoryEntry(entry) {
+    if (!await Comparison.deleteEntry(entry.id)) {
+      this._toast('Could not delete that outfit', 'error');
+      return;
+    }
+
+    this.historySelection = this.historySelection.filter(e => e.id !== entry.id);
+    this.$('history-compare').classList.add('hidden');
+    await this._refreshHistory();
+    this._toast('Outfit deleted from history', 'info');
+  },
+
+  /** Keep at most two picks — a third replaces the oldest pick */
+  _toggleHistorySelection(entry) {
+    if (this.historySelection.some(e => e.id === entry.id)) {
+      this.historySelection = this.historySelection.filter(e => e.id !== entry.id);
+    } else {
+      this.historySelection = [...this.historySelection, entry].slice(-2);
+    }
+
+    // Re-sync checkboxes on the visible page
+    this.$('history-list').querySelectorAll('input[type="checkbox"]').forEach(box => {
+      box.checked = this.historySelection.some(e => e.id === box.dataset.id);
+    });
+    this._updateHistoryCompareButton();
+  },
+
+  _updateHistoryCompareButton() {
+    const btn = this.$('history-compare-btn');
+    const count = this.historySelection.length;
+    btn.textContent = `Compare Selected (${count}/2)`;
+    btn.disabled = count !== 2;
+    btn.classList.toggle('opacity-50', count !== 2);
+  },
+
+  _compareHistorySelection() {
+    if (this.historySelection.length !== 2) return;
+
+    const [earlier, later] = [...this.historySelection]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const result = Comparison.compareEntries(earlier, later);
+
+    const entries = this.$('history-compare-entries');
+    entries.innerHTML = '';
+    [['Earlier', earlier], ['Later', later]].forEach(([label, entry]) => {
+      const card = document.createElement('div');
+      card.className = 'bg-slate-800 rounded-lg p-4 flex items-center gap-4';
+      card.appendChild(this._buildEntryPhoto(entry, 120));
+
+      const info = document.createElement('div');
+      const heading = document.createElement('p');
+      heading.className = 'text-sm text-gray-400';
+      heading.textContent = `${label} · ${new Date(entry.timestamp).toLocaleString()}`;
+
+      const score = document.createElement('p');
+      score.className = 'text-xl font-bold';
+      score.textContent = `${entry.score.total}/100${entry.grade ? ` (${entry.grade.letter})` : ''}`;
+
+      const meta = document.createElement('p');
+      meta.className = 'text-sm text-gray-400';
+      meta.textContent = `${entry.harmony?.type || ''} · ${entry.mood?.emoji || ''} ${entry.mood?.mood || ''}`;
+
+      info.appendChild(heading);
+      info.appendChild(score);
+      info.appendChild(meta);
+      if (entry.hasThumbnail) info.appendChild(this._buildPhotoDeleteButton(entry));
+      card.appendChild(info);
+      entries.appendChild(card);
+    });
+
+    this.$('history-compare-message').textContent = result.message;
+    this._buildComparisonDetails(result.details, this.$('history-compare-details'));
+
+    this.$('history-compare').classList.remove('hidden');
+    this.$('history-compare').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  },
+
+  // ────────────────────────────────────────────
+  //  IMAGE HELPERS
+  // ────────────────────────────────────────────
+
+  /** Offscreen copy of the captured image without zone overlays */
+  _cleanImageCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.originalImageData.width;
+    canvas.height = this.originalImageData.height;
+    canvas.getContext('2d').putImageData(this.originalImageData, 0, 0);
+    return canvas;
+  },
+
+  /** Clean image with the detection's white balance applied (cached per photo and correction) */
+  _correctedImageCanvas() {
+    const cached = this.correctedImage;
+    if (cached && cached.imageData === this.originalImageData && cached.correction === this.colorCorrection) {
+      return cached.canvas;
+    }
+
+    const canvas = this._cleanImageCanvas();
+    const correction = this.colorCorrection;
+    if (correction && correction.applied) {
+      const { data, width, height } = WhiteBalance.applyGains(this.originalImageData, correction.gains);
+      canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    }
+
+    this.correctedImage = { imageData: this.originalImageData, correction, canvas };
+    return canvas;
+  },
+
+  /** History photo: the captured image with its zone boxes (camera/upload only) */
+  _historyThumbnail() {
+    if (this.currentMode === 'manual' || !this.originalImageData || !this.detectedZones) return null;
+
+    const canvas = this._cleanImageCanvas();
+    GarmentDetection.drawZones(canvas, this.detectedZones, {
+      showSamplingRect: true,
+      extractedColors: this.garmentColors,
+    });
+    return Wardrobe.createThumbnail(canvas, null, {
+      size: Comparison.THUMBNAIL_SIZE,
+      quality: Comparison.THUMBNAIL_QUALITY,
+    });
+  },
+
   // ────────────────────────────────────────────
   //  UNDO
+  //  Edits (manual colors, crops, mode switches, re-detections) go on
+  //  UndoStack as before / after snapshots. With no edits
+  //  left, Ctrl+Z falls back to reverting the last analysis.
   // ────────────────────────────────────────────
 
-  _undoAnalysis() {
+  /**
+   * Apply a change and make it undoable.
+   * @param {string} label - e.g. "Top color"
+   * @param {Function} change - mutates App state
+   * @param {string} [mergeKey] - see UndoStack.record
+   */
+  _recordEdit(label, change, mergeKey) {
+    const before = this._editState();
+    change();
+    this._recordSince(before, label, mergeKey);
+  },
+
+  /** Make everything changed since `before` (an _editState snapshot) one undoable step */
+  _recordSince(before, label, mergeKey) {
+    const after = this._editState();
+
+    UndoStack.record({
+      label,
+      mergeKey,
+      undo: () => this._restoreEditState(before),
+      redo: () => this._restoreEditState(after),
+    });
+  },
+
+  /** Everything an undoable edit can change (objects are replaced on edit, never mutated) */
+  _editState() {
+    return {
+      mode: this.currentMode,
+      slots: this.activeSlots,
+      colors: { ...this.garmentColors },
+      capturedCanvas: this.capturedCanvas,
+      originalImageData: this.originalImageData,
+      detectedZones: this.detectedZones,
+      whiteReference: this.whiteReference,
+      colorCorrection: this.colorCorrection,
+      imageQuality: this.imageQuality,
+      zoneProportions: this.zoneProportions,
+      segmentation: this.segmentation,
+      pose: this.pose,
+    };
+  },
+
+  _restoreEditState(state) {
+    if (this.cropMode) this._cancelCrop();
+    this._cancelPipeline();
+
+    if (state.mode !== this.currentMode) this.selectMode(state.mode, { quiet: true });
+
+    this.garmentColors = { ...state.colors };
+    if (state.slots !== this.activeSlots) {
+      this.activeSlots = state.slots;
+      GarmentSlots.saveActive(this.activeSlots);
+      this._renderSlotControls();
+      this._updatePoseGuide();
+    }
+    this.capturedCanvas = state.capturedCanvas;
+    this.originalImageData = state.originalImageData;
+    this.detectedZones = state.detectedZones;
+    this.whiteReference = state.whiteReference;
+    this.colorCorrection = state.colorCorrection;
+    this.imageQuality = state.imageQuality;
+    this.segmentation = state.segmentation;
+    this.pose = state.pose;
+    if (state.zoneProportions !== this.zoneProportions) {
+      this.zoneProportions = state.zoneProportions;
+      GarmentDetection.saveProportions(this.zoneProportions);
+    }
+
+    // Manual pickers follow the restored colors
+    if (this.currentMode === 'manual') {
+      this.activeSlots.forEach(key => {
+        const input = this.$(`${key}-color`);
+        if (input && this.garmentColors[key]) input.value = this.garmentColors[key].hex;
+      });
+    }
+
+    // Photo with its zone boxes
+    this.$('crop-controls').classList.toggle('hidden', !this.detectedZones);
+    const canvas = this.capturedCanvas;
+    ZoneEditor.destroy();
+    if (canvas && this.originalImageData) {
+      canvas.width = this.originalImageData.width;
+      canvas.height = this.originalImageData.height;
+      canvas.getContext('2d').putImageData(this.originalImageData, 0, 0);
+      this._redrawZones();
+    }
+
+    this._updateWhiteBalanceStatus();
+    this._updateMaskButton();
+    this._updateColorPreviews();
+    this._updateAnalyzeButton();
+  },
+
+  _undoEdit() {
+    if (!UndoStack.canUndo()) {
+      this._undoAnalysis();
+      return;
+    }
+    const command = UndoStack.undo();
+    this._toast(`Undid ${command.label}`, 'info');
+  },
+
+  _redoEdit() {
+    const command = UndoStack.redo();
+    if (!command) {
+      this._toast('Nothing to redo', 'info');
+      return;
+    }
+    this._toast(`Redid ${command.label}`, 'info');
+  },
+
+  _updateUndoButtons({ canUndo, canRedo, undo, redo }) {
+    const undoBtn = this.$('undo-btn');
+    const redoBtn = this.$('redo-btn');
+    undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !canRedo;
+    undoBtn.title = canUndo ? `Undo ${undo} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = canRedo ? `Redo ${redo} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+  },
+
+  /** Typing targets keep the browser's own Ctrl+Z */
+  _isTextField(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !['color', 'range', 'checkbox', 'radio', 'button', 'file'].includes(el.type);
+  },
+
+  async _undoAnalysis() {
     if (this.analysisHistory.length < 2) {
       this._toast('No previous analysis to undo', 'info');
       return;
@@ -1163,11 +3744,18 @@ const App = {
     const previous = this.analysisHistory[this.analysisHistory.length - 1];
 
     if (previous) {
+      if (previous.slots) {
+        this._setActiveSlots(previous.slots, { redetect: false });
+      }
       this.garmentColors = { ...previous.colors };
+      if (previous.occasion) {
+        this.currentOccasion = previous.occasion.key;
+        this.$('occasion-select').value = previous.occasion.key;
+      }
       this._updateColorPreviews();
       this._updateAnalyzeButton();
 
-      const comparison = Comparison.compareOutfits(previous);
+      const comparison = await Comparison.compareOutfits(previous);
       this._displayResults(previous, comparison);
       this._toast('Reverted to previous analysis', 'info');
     }
@@ -1181,14 +3769,24 @@ const App = {
     if (this.cropMode) {
       this._cancelCrop();
     }
+    this._cancelPipeline();
 
     this.currentMode = null;
-    this.garmentColors = { top: null, bottom: null, shoes: null };
+    this.garmentColors = GarmentSlots.emptyColors(this.activeSlots);
     this.capturedCanvas = null;
     this.originalImageData = null;
     this.detectedZones = null;
+    this.whiteReference = null;
+    this.colorCorrection = null;
+    this.imageQuality = null;
+    this.pendingDetection = null;
+    this.correctedImage = null;
+    this.segmentation = null;
+    this.pose = null;
     this.cropMode = false;
     this.isAnalyzing = false;
+    UndoStack.clear();
+    ZoneEditor.destroy();
 
     // Reset mode buttons
     ['manual', 'camera', 'upload'].forEach(m => {
@@ -1196,7 +3794,7 @@ const App = {
     });
 
     // Hide sections
-    ['manual-section', 'camera-section', 'upload-section', 'results-section', 'crop-controls'].forEach(id => {
+    ['manual-section', 'camera-section', 'upload-section', 'results-section', 'quality-panel', 'crop-controls'].forEach(id => {
       this.$(id).classList.add('hidden');
     });
 
@@ -1211,24 +3809,30 @@ const App = {
     });
 
     // Stop camera
+    this._stopLive();
     Camera.stopCamera();
     this.$('camera-preview').classList.add('hidden');
     this.$('start-camera-btn').textContent = '📷 Start Camera';
     this.$('start-camera-btn').disabled = false;
     this.$('capture-btn').disabled = true;
     this.$('switch-camera-btn').disabled = true;
+    this.$('live-btn').disabled = true;
+    this.$('burst-btn').disabled = true;
+    this._updatePoseGuide();
+    this._refreshCameraControls();
 
     // Reset upload input
     this.$('upload-input').value = '';
 
     // Remove dynamically injected panels
-    ['suggestions-panel', 'temperature-info', 'contrast-info', 'trend-info'].forEach(id => {
+    ['suggestions-panel', 'temperature-info', 'correction-info', 'contrast-info', 'trend-info'].forEach(id => {
       const el = document.getElementById(id);
       if (el) el.remove();
     });
 
     this._updateColorPreviews();
     this._updateAnalyzeButton();
+    this._updateWhiteBalanceStatus();
 
     window.scrollTo({ top: 0, behavior: 'smooth' });
     this._toast('Reset complete — ready for a new outfit!', 'info');
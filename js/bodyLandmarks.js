@@ -0,0 +1,223 @@
+
+const BodyLandmarks = {
+
+  // ────────────────────────────────────────────
+  //  CONFIGURATION
+  //  Heuristic landmark finder on the person mask from
+  //  Segmentation.segment — reads the outline's width row by
+  //  row instead of running a pose model. Works for upright
+  //  poses, standing or seated facing the camera; anything it
+  //  can't see is reported as null.
+  // ────────────────────────────────────────────
+
+  _config: {
+    minBodyRows: 16,          // Fewer mask rows than this is not a body
+    headBand: 0.05,           // Top 5% of the body gives the head width
+    shoulderRatio: 1.6,       // Shoulders = outline at least 1.6× the head width…
+    shoulderSearch: 0.40,     // …within the top 40% of the body
+    splitStart: 0.25,         // Legs are looked for below 25% of shoulders → bottom
+    splitWindow: 0.15,        // Gap between the legs within ±15% of the column width from its center
+    splitRows: 3,             // Rows the gap must persist
+    hipsAboveCrotch: 0.25,    // Waistband sits this share of shoulders → crotch above the crotch
+    ankleSearch: 0.12,        // Ankles = narrowest row in the bottom 12% of the body
+    legRatio: 2,              // Standing, hips → ankles is about 2× shoulders → hips…
+    sittingLegRatio: 1.5,     // …under 1.5× the legs are folded: seated
+    sittingKneeShare: 0.25,   // Seated thighs point at the camera: knees look 25% of the way to the ankles
+    kneeSearch: 0.15,         // Knees = steepest narrowing of the outline within ±15% of hips → ankles…
+    kneeTaperRows: 2,         // …comparing rows this far above and below
+    lineColor: 'rgba(52, 211, 153, 0.9)',
+  },
+
+  // Standing, knees sit this share of the way from hips to ankles
+  KNEE_SHARE: 0.53,
+
+  // Drawn by draw(), head-to-toe
+  LABELS: { head: 'Head', shoulders: 'Shoulders', hips: 'Hips', knees: 'Knees', ankles: 'Ankles', feet: 'Feet' },
+
+  // ────────────────────────────────────────────
+  //  LANDMARKS
+  // ────────────────────────────────────────────
+
+  /**
+   * Find body landmarks on a person mask.
+   *
+   * @param {Object} segmentation — from Segmentation.segment
+   * @returns {{ head, shoulders, hips, knees, ankles, feet, sitting, height, confidence }|null}
+   *   landmarks are image rows in px, null when cut off or not found;
+   *   sitting: seated facing the camera (needs hips and ankles);
+   *   confidence is the share of landmarks found (0–1)
+   */
+  find(segmentation) {
+    if (!segmentation) return null;
+    const cfg = this._config;
+    const { gridWidth: gw, gridHeight: gh, mask, step } = segmentation;
+
+    const widths = new Uint16Array(gh);
+    for (let y = 0; y < gh; y++) {
+      for (let x = 0; x < gw; x++) widths[y] += mask[y * gw + x];
+    }
+
+    let top = 0;
+    while (top < gh && widths[top] === 0) top++;
+    let bottom = gh - 1;
+    while (bottom > top && widths[bottom] === 0) bottom--;
+    const bodyRows = bottom - top + 1;
+    if (top >= gh || bodyRows < cfg.minBodyRows) return null;
+
+    const croppedTop = top === 0;
+    const croppedBottom = bottom >= gh - 1;
+
+    const shoulders = this._shoulders(widths, top, bodyRows);
+    const crotch = shoulders === null ? null : this._crotch(segmentation, shoulders, bottom);
+    const hips = crotch === null ? null : Math.round(crotch - (crotch - shoulders) * cfg.hipsAboveCrotch);
+    const ankles = croppedBottom ? null : this._ankles(widths, bottom, bodyRows);
+    const sitting = hips !== null && ankles !== null && ankles - hips < (hips - shoulders) * cfg.sittingLegRatio;
+    const knees = hips === null ? null : this._knees(widths, shoulders, hips, ankles, sitting, bottom);
+
+    const rows = {
+      head: croppedTop ? null : top,
+      shoulders,
+      hips,
+      knees,
+      ankles,
+      feet: croppedBottom ? null : bottom + 1,
+    };
+    const landmarks = {};
+    Object.entries(rows).forEach(([name, row]) => {
+      landmarks[name] = row === null ? null : row * step;
+    });
+
+    const found = Object.values(landmarks).filter(y => y !== null).length;
+    return {
+      ...landmarks,
+      sitting,
+      height: segmentation.height,
+      confidence: Math.round((found / Object.keys(rows).length) * 100) / 100,
+    };
+  },
+
+  /** First row where the outline widens from head to shoulders */
+  _shoulders(widths, top, bodyRows) {
+    const cfg = this._config;
+    const headRows = Math.max(2, Math.round(bodyRows * cfg.headBand));
+    const head = Array.from(widths.subarray(top, top + headRows)).sort((a, b) => a - b);
+    const threshold = head[Math.floor(head.length / 2)] * cfg.shoulderRatio;
+
+    const limit = top + Math.round(bodyRows * cfg.shoulderSearch);
+    for (let y = top + 1; y < limit; y++) {
+      if (widths[y] >= threshold && widths[y + 1] >= threshold) return y;
+    }
+    return null;
+  },
+
+  /**
+   * First row of a lasting background gap near the column center with
+   * the body on both sides — the legs parting. Arms hang by the edges.
+   */
+  _crotch({ gridWidth: gw, mask, step, column }, shoulders, bottom) {
+    const cfg = this._config;
+    if (!column) return null;
+
+    const center = Math.round((column.x + column.width / 2) / step);
+    const half = Math.round(column.width / step / 2);
+    const reach = Math.max(1, Math.round((column.width / step) * cfg.splitWindow));
+    const person = (x, y) => x >= 0 && x < gw && mask[y * gw + x] === 1;
+
+    const parted = y => {
+      for (let x = center - reach; x <= center + reach; x++) {
+        if (person(x, y)) continue;
+        let left = false;
+        let right = false;
+        for (let d = 1; d <= half && !(left && right); d++) {
+          left = left || person(x - d, y);
+          right = right || person(x + d, y);
+        }
+        if (left && right) return true;
+      }
+      return false;
+    };
+
+    let run = 0;
+    for (let y = Math.round(shoulders + (bottom - shoulders) * cfg.splitStart); y <= bottom; y++) {
+      run = parted(y) ? run + 1 : 0;
+      if (run >= cfg.splitRows) return y - run + 1;
+    }
+    return null;
+  },
+
+  /**
+   * Steepest narrowing of the outline around where the knees should be —
+   * thighs (or a seated lap) taper into the shins. Without ankles the
+   * legs are assumed standing; null when that spot is outside the photo.
+   */
+  _knees(widths, shoulders, hips, ankles, sitting, bottom) {
+    const cfg = this._config;
+    const span = ankles !== null ? ankles - hips : (hips - shoulders) * cfg.legRatio;
+    const center = hips + span * (sitting ? cfg.sittingKneeShare : this.KNEE_SHARE);
+    const reach = span * cfg.kneeSearch;
+    const k = cfg.kneeTaperRows;
+    if (center + reach > bottom - k) return null;
+
+    let knees = null;
+    let steepest = 0;
+    for (let y = Math.max(hips + k, Math.round(center - reach)); y <= Math.round(center + reach); y++) {
+      const taper = widths[y - k] - widths[y + k];
+      if (taper > steepest) {
+        steepest = taper;
+        knees = y;
+      }
+    }
+    return knees;
+  },
+
+  /** Narrowest row just above the feet — shoes flare out below it */
+  _ankles(widths, bottom, bodyRows) {
+    const from = bottom - Math.max(2, Math.round(bodyRows * this._config.ankleSearch));
+    let ankles = from;
+    for (let y = from + 1; y < bottom; y++) {
+      if (widths[y] < widths[ankles]) ankles = y;
+    }
+    return ankles;
+  },
+
+  // ────────────────────────────────────────────
+  //  DRAWING
+  // ────────────────────────────────────────────
+
+  /**
+   * Debug overlay: a labelled line per found landmark.
+   * @param {HTMLCanvasElement} canvas — same size as the segmented image
+   * @param {Object} landmarks — from find()
+   */
+  draw(canvas, landmarks) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const fontSize = Math.max(11, Math.min(20, Math.floor(height * 0.022)));
+
+    ctx.save();
+    ctx.strokeStyle = this._config.lineColor;
+    ctx.fillStyle = this._config.lineColor;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.font = `bold ${fontSize}px Inter, system-ui, sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+
+    Object.entries(this.LABELS).forEach(([name, label]) => {
+      const y = landmarks[name];
+      if (y === null || y === undefined) return;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+      ctx.fillText(label, width - 8, y - 2);
+    });
+
+    ctx.restore();
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BodyLandmarks;
+}
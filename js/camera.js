@@ -13,6 +13,9 @@ const Camera = {
   _capabilities: null,                // Track capabilities
   _unloadHandler: null,               // Page unload cleanup
   _isStarting: false,                 // Prevent concurrent startCamera calls
+  _frameLoop: null,                   // Live frame sampling { canvas, timer, stopped }
+  _countdown: null,                   // Self-timer { timer, reject }
+  _audioContext: null,                // Created on first beep (needs a user gesture)
 
   // Configuration
   _config: {
@@ -23,8 +26,19 @@ const Camera = {
     fallbackHeight: 720,
     minWidth: 640,
     minHeight: 480,
+    liveInterval: 250,                // ms between live frames (after the previous one is handled)
+    liveMaxDimension: 480,            // Live frames are downscaled — plenty for zone colors
+    burstCount: 5,                    // Frames per burst
+    burstDuration: 1500,              // ms from first to last burst frame
+    burstMaxDimension: 1280,          // Burst frames are analyzed in full, keep them moderate
+    timerSound: true,                 // Beep on every countdown second
+    timerBeepFrequency: 880,          // Hz — each second
+    timerFinalFrequency: 1320,        // Hz — the shutter moment
   },
 
+  TIMER_OPTIONS: [0, 3, 5, 10],       // Self-timer choices in seconds (0 = off)
+  TIMER_STORAGE_KEY: 'outfit-intelligence-timer',
+
   // ────────────────────────────────────────────
   //  INITIALIZATION
   // ────────────────────────────────────────────
@@ -244,6 +258,7 @@ const Camera = {
    * @param {HTMLCanvasElement} canvas
    * @param {Object} options
    * @param {boolean} options.mirror - Override mirror setting (default: auto based on facing mode)
+   * @param {number} options.maxDimension - Downscale so the longest side fits (default: full size)
    * @returns {HTMLCanvasElement}
    */
   captureFrame(canvas, options = {}) {
@@ -260,8 +275,13 @@ const Camera = {
       throw new Error('Video is not ready yet. Wait for camera to fully initialize.');
     }
 
-    const width = video.videoWidth || this._config.fallbackWidth;
-    const height = video.videoHeight || this._config.fallbackHeight;
+    const videoWidth = video.videoWidth || this._config.fallbackWidth;
+    const videoHeight = video.videoHeight || this._config.fallbackHeight;
+    const scale = options.maxDimension
+      ? Math.min(1, options.maxDimension / Math.max(videoWidth, videoHeight))
+      : 1;
+    const width = Math.round(videoWidth * scale);
+    const height = Math.round(videoHeight * scale);
 
     canvas.width = width;
     canvas.height = height;
@@ -330,6 +350,216 @@ const Camera = {
     return this.captureFrame(canvas);
   },
 
+  /**
+   * Capture several video frames spread over a short interval, so the
+   * sharpest one can be kept (or colors fused) instead of a single shot.
+   *
+   * @param {Object} options
+   * @param {number} options.count - Number of frames
+   * @param {number} options.duration - ms from first to last frame
+   * @param {number} options.maxDimension - Longest side of each frame
+   * @param {Function} options.onFrame - (capturedCount, count) progress callback
+   * @returns {Promise<HTMLCanvasElement[]>}
+   */
+  async captureBurst(options = {}) {
+    if (!this.stream) {
+      throw new Error('Camera is not running');
+    }
+
+    const {
+      count = this._config.burstCount,
+      duration = this._config.burstDuration,
+      maxDimension = this._config.burstMaxDimension,
+      onFrame = null,
+    } = options;
+    const interval = count > 1 ? duration / (count - 1) : 0;
+    const frames = [];
+
+    for (let i = 0; i < count; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, interval));
+      if (!this.stream) {
+        throw new Error('Camera stopped during burst');
+      }
+      frames.push(this.captureFrame(document.createElement('canvas'), { maxDimension }));
+      if (onFrame) onFrame(i + 1, count);
+    }
+
+    return frames;
+  },
+
+  // ────────────────────────────────────────────
+  //  LIVE FRAMES
+  // ────────────────────────────────────────────
+
+  /**
+   * Hand throttled, downscaled preview frames to a callback.
+   * The next frame is scheduled only after the callback settles,
+   * so slow analysis lowers the frame rate instead of queueing work.
+   * Frames are skipped while the tab is hidden.
+   *
+   * @param {Function} onFrame - (canvas) => void | Promise; the canvas is reused between frames
+   * @param {Object} options
+   * @param {number} options.interval - ms between frames
+   * @param {number} options.maxDimension - longest side of each frame
+   */
+  startFrameLoop(onFrame, options = {}) {
+    if (!this.videoElement) {
+      throw new Error('Video element not initialized. Call init() first.');
+    }
+
+    this.stopFrameLoop();
+
+    const {
+      interval = this._config.liveInterval,
+      maxDimension = this._config.liveMaxDimension,
+    } = options;
+    const loop = { canvas: document.createElement('canvas'), timer: null, stopped: false };
+
+    const tick = async () => {
+      if (loop.stopped) return;
+
+      if (this.stream && !document.hidden && this.videoElement.readyState >= 2) {
+        try {
+          this.captureFrame(loop.canvas, { maxDimension });
+          await onFrame(loop.canvas);
+        } catch (err) {
+          console.warn('Live frame failed:', err);
+        }
+      }
+
+      if (!loop.stopped) loop.timer = setTimeout(tick, interval);
+    };
+
+    this._frameLoop = loop;
+    loop.timer = setTimeout(tick, 0);
+  },
+
+  /**
+   * Stop live frame sampling.
+   */
+  stopFrameLoop() {
+    if (!this._frameLoop) return;
+    this._frameLoop.stopped = true;
+    clearTimeout(this._frameLoop.timer);
+    this._frameLoop = null;
+  },
+
+  /**
+   * Whether live frames are being sampled.
+   */
+  isFrameLoopRunning() {
+    return !!this._frameLoop;
+  },
+
+  // ────────────────────────────────────────────
+  //  SELF-TIMER
+  // ────────────────────────────────────────────
+
+  /**
+   * Count down before a capture so the user can step back into frame.
+   * Beeps every second and once more, higher, at zero.
+   *
+   * @param {number} seconds
+   * @param {Object} options
+   * @param {Function} options.onTick - (secondsLeft) => void; called right away and every second down to 0
+   * @param {boolean} options.sound - Beep on each tick (default: _config.timerSound)
+   * @returns {Promise<void>} - Rejects with an AbortError if cancelled or the camera stops
+   */
+  countdown(seconds, options = {}) {
+    this.cancelCountdown();
+
+    const { onTick = null, sound = this._config.timerSound } = options;
+
+    return new Promise((resolve, reject) => {
+      const countdown = { timer: null, reject };
+      let left = Math.max(0, Math.round(seconds));
+
+      const tick = () => {
+        if (onTick) onTick(left);
+        if (sound) {
+          this._beep(left === 0 ? this._config.timerFinalFrequency : this._config.timerBeepFrequency, left === 0 ? 300 : 120);
+        }
+
+        if (left === 0) {
+          this._countdown = null;
+          resolve();
+          return;
+        }
+        left--;
+        countdown.timer = setTimeout(tick, 1000);
+      };
+
+      this._countdown = countdown;
+      tick();
+    });
+  },
+
+  /**
+   * Cancel a running countdown; its promise rejects with an AbortError.
+   */
+  cancelCountdown() {
+    if (!this._countdown) return;
+    clearTimeout(this._countdown.timer);
+    this._countdown.reject(new DOMException('Countdown cancelled', 'AbortError'));
+    this._countdown = null;
+  },
+
+  /**
+   * Whether a countdown is running.
+   */
+  isCountingDown() {
+    return !!this._countdown;
+  },
+
+  /** @returns {number} last chosen self-timer delay in seconds */
+  loadTimer() {
+    try {
+      const seconds = Number(localStorage.getItem(this.TIMER_STORAGE_KEY));
+      return this.TIMER_OPTIONS.includes(seconds) ? seconds : 0;
+    } catch {
+      return 0;
+    }
+  },
+
+  /** @returns {boolean} */
+  saveTimer(seconds) {
+    if (!this.TIMER_OPTIONS.includes(seconds)) return false;
+    try {
+      localStorage.setItem(this.TIMER_STORAGE_KEY, String(seconds));
+      return true;
+    } catch (err) {
+      console.warn('Failed to save self-timer:', err);
+      return false;
+    }
+  },
+
+  /**
+   * Short sine beep. Silently does nothing without Web Audio.
+   */
+  _beep(frequency, durationMs) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+
+    try {
+      if (!this._audioContext) this._audioContext = new AudioCtx();
+      const ctx = this._audioContext;
+      if (ctx.state === 'suspended') ctx.resume();
+
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      const end = ctx.currentTime + durationMs / 1000;
+
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, ctx.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, end);
+      oscillator.connect(gain).connect(ctx.destination);
+      oscillator.start();
+      oscillator.stop(end);
+    } catch (err) {
+      console.warn('Countdown beep failed:', err.message);
+    }
+  },
+
   // ────────────────────────────────────────────
   //  CAMERA SWITCHING
   // ────────────────────────────────────────────
@@ -375,6 +605,9 @@ const Camera = {
    * Stop camera and release all resources.
    */
   stopCamera() {
+    this.stopFrameLoop();
+    this.cancelCountdown();
+
     // Stop all tracks
     if (this.stream) {
       this.stream.getTracks().forEach(track => {
@@ -529,6 +762,94 @@ const Camera = {
     }
   },
 
+  // ────────────────────────────────────────────
+  //  EXPOSURE / WHITE BALANCE / FOCUS
+  //  Locking exposure and white balance keeps colors
+  //  comparable between captures under the same light.
+  // ────────────────────────────────────────────
+
+  /**
+   * Which manual controls the current camera supports.
+   * @returns {{ torch, zoom, exposure, exposureLock, whiteBalanceLock, focus }}
+   */
+  getControlSupport() {
+    const caps = this._capabilities || {};
+    return {
+      torch: this.hasTorch(),
+      zoom: !!caps.zoom,
+      exposure: !!caps.exposureCompensation,
+      exposureLock: (caps.exposureMode || []).includes('manual'),
+      whiteBalanceLock: (caps.whiteBalanceMode || []).includes('manual'),
+      focus: !!caps.pointsOfInterest &&
+        (caps.focusMode || []).some(mode => mode === 'single-shot' || mode === 'continuous'),
+    };
+  },
+
+  /**
+   * Get exposure compensation range (in EV).
+   * @returns {{ min, max, step, current } | null}
+   */
+  getExposureRange() {
+    const range = this._capabilities?.exposureCompensation;
+    if (!range) return null;
+
+    const track = this.stream?.getVideoTracks()[0];
+    const current = track ? track.getSettings().exposureCompensation : undefined;
+
+    return { ...range, current: current ?? 0 };
+  },
+
+  /**
+   * Set exposure compensation.
+   * @param {number} value - EV, clamped to the supported range
+   */
+  async setExposureCompensation(value) {
+    const range = this.getExposureRange();
+    if (!range) throw new Error('Exposure compensation is not available on this camera');
+
+    const clamped = Math.max(range.min, Math.min(range.max, value));
+    await this._applyAdvanced({ exposureCompensation: clamped }, 'Failed to set exposure');
+    return clamped;
+  },
+
+  /**
+   * Freeze (or release) auto exposure at its current level.
+   * @param {boolean} locked
+   */
+  async setExposureLock(locked) {
+    if (!this.getControlSupport().exposureLock) {
+      throw new Error('Exposure lock is not available on this camera');
+    }
+    await this._applyAdvanced({ exposureMode: locked ? 'manual' : 'continuous' }, 'Failed to lock exposure');
+  },
+
+  /**
+   * Freeze (or release) auto white balance at its current setting.
+   * @param {boolean} locked
+   */
+  async setWhiteBalanceLock(locked) {
+    if (!this.getControlSupport().whiteBalanceLock) {
+      throw new Error('White balance lock is not available on this camera');
+    }
+    await this._applyAdvanced({ whiteBalanceMode: locked ? 'manual' : 'continuous' }, 'Failed to lock white balance');
+  },
+
+  /**
+   * Focus (and meter) on a point of the preview.
+   * @param {number} x - 0–1 from the left edge as shown on screen
+   * @param {number} y - 0–1 from the top edge
+   */
+  async focusAt(x, y) {
+    if (!this.getControlSupport().focus) {
+      throw new Error('Tap to focus is not available on this camera');
+    }
+
+    // The front camera preview is mirrored; the sensor is not
+    const point = { x: this._isMirrored ? 1 - x : x, y };
+    const focusMode = this._capabilities.focusMode.includes('single-shot') ? 'single-shot' : 'continuous';
+    await this._applyAdvanced({ pointsOfInterest: [point], focusMode }, 'Failed to focus');
+  },
+
   // ────────────────────────────────────────────
   //  INTERNAL HELPERS
   // ────────────────────────────────────────────
@@ -569,6 +890,14 @@ const Camera = {
         } : null,
         focusMode: capabilities.focusMode || [],
         whiteBalanceMode: capabilities.whiteBalanceMode || [],
+        exposureMode: capabilities.exposureMode || [],
+        exposureCompensation: capabilities.exposureCompensation ? {
+          min: capabilities.exposureCompensation.min,
+          max: capabilities.exposureCompensation.max,
+          step: capabilities.exposureCompensation.step || 0.1,
+        } : null,
+        // Not reported by getCapabilities — only listed as a supported constraint
+        pointsOfInterest: !!navigator.mediaDevices?.getSupportedConstraints?.().pointsOfInterest,
         facingMode: capabilities.facingMode || [],
         width: capabilities.width || null,
         height: capabilities.height || null,
@@ -578,6 +907,21 @@ const Camera = {
     }
   },
 
+  /**
+   * Apply one advanced constraint set to the video track.
+   */
+  async _applyAdvanced(constraints, failMessage) {
+    const track = this.stream?.getVideoTracks()[0];
+    if (!track) throw new Error('No active video track');
+
+    try {
+      await track.applyConstraints({ advanced: [constraints] });
+    } catch (err) {
+      console.warn(`${failMessage}:`, err);
+      throw new Error(failMessage);
+    }
+  },
+
   /**
    * Pause all tracks (for background tab).
    */
@@ -643,6 +987,8 @@ const Camera = {
       facingMode: this._currentFacingMode,
       isMirrored: this._isMirrored,
       isStarting: this._isStarting,
+      isLive: this.isFrameLoopRunning(),
+      isCountingDown: this.isCountingDown(),
       capabilities: this._capabilities,
       settings: track?.getSettings() || null,
       videoReady: this.videoElement ? this.videoElement.readyState >= 2 : false,
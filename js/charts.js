@@ -0,0 +1,255 @@
+
+const Charts = {
+
+  // ────────────────────────────────────────────
+  //  CONFIG
+  // ────────────────────────────────────────────
+
+  SVG_NS: 'http://www.w3.org/2000/svg',
+
+  _config: {
+    width: 480,                  // viewBox units — charts scale to their container
+    lineHeight: 200,
+    padding: { top: 12, right: 12, bottom: 24, left: 32 },
+    barHeight: 22,
+    barGap: 8,
+    labelWidth: 170,
+    maxLabelLength: 26,          // Longer bar labels are truncated (full text in tooltip)
+    gridColor: 'rgba(148, 163, 184, 0.15)',
+    textColor: '#94a3b8',
+    font: '11px Inter, system-ui, sans-serif',
+    primary: '#818cf8',
+    secondary: '#a855f7',
+    warning: '#f87171',
+    wheelSize: 260,
+    wheelSectors: 36,
+  },
+
+  // ────────────────────────────────────────────
+  //  LINE CHART
+  // ────────────────────────────────────────────
+
+  /**
+   * Line chart on a fixed 0–yMax scale.
+   * @param {Array<{ values: number[], color?: string, dashed?: boolean, dots?: boolean }>} series
+   * @param {Object} [options]
+   * @param {number} [options.yMax]
+   * @param {string[]} [options.xLabels] — one per value; first and last are drawn
+   * @returns {SVGElement}
+   */
+  lineChart(series, options = {}) {
+    const { width, lineHeight: height, padding } = this._config;
+    const yMax = options.yMax || 100;
+    const xLabels = options.xLabels || [];
+    const svg = this._svg(width, height);
+
+    const plotW = width - padding.left - padding.right;
+    const plotH = height - padding.top - padding.bottom;
+    const count = Math.max(...series.map(s => s.values.length), 1);
+
+    const x = i => padding.left + (count === 1 ? plotW / 2 : (i / (count - 1)) * plotW);
+    const y = v => padding.top + plotH - (Math.max(0, Math.min(yMax, v)) / yMax) * plotH;
+
+    // Horizontal grid every quarter
+    for (let i = 0; i <= 4; i++) {
+      const value = (yMax / 4) * i;
+      svg.appendChild(this._el('line', {
+        x1: padding.left, x2: width - padding.right, y1: y(value), y2: y(value),
+        stroke: this._config.gridColor,
+      }));
+      svg.appendChild(this._text(padding.left - 6, y(value) + 4, Math.round(value), 'end'));
+    }
+
+    // First/last x labels
+    if (xLabels.length > 0) {
+      svg.appendChild(this._text(x(0), height - 6, xLabels[0], 'start'));
+      if (xLabels.length > 1) {
+        svg.appendChild(this._text(x(xLabels.length - 1), height - 6, xLabels[xLabels.length - 1], 'end'));
+      }
+    }
+
+    series.forEach((s, index) => {
+      const color = s.color || (index === 0 ? this._config.primary : this._config.secondary);
+      const points = s.values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+
+      svg.appendChild(this._el('polyline', {
+        points,
+        fill: 'none',
+        stroke: color,
+        'stroke-width': 2,
+        'stroke-linejoin': 'round',
+        'stroke-dasharray': s.dashed ? '6 4' : null,
+      }));
+
+      if (s.dots) {
+        s.values.forEach((v, i) => {
+          const dot = this._el('circle', { cx: x(i), cy: y(v), r: 3, fill: color });
+          dot.appendChild(this._title(`${xLabels[i] ? `${xLabels[i]}: ` : ''}${Math.round(v)}`));
+          svg.appendChild(dot);
+        });
+      }
+    });
+
+    return svg;
+  },
+
+  // ────────────────────────────────────────────
+  //  BAR CHART
+  // ────────────────────────────────────────────
+
+  /**
+   * Horizontal bar chart.
+   * @param {Array<{ label: string, value: number, color?: string }>} items
+   * @param {Object} [options]
+   * @param {number} [options.max] — defaults to the largest value
+   * @param {Function} [options.format] — value → label text
+   * @param {number} [options.highlight] — index of a bar to draw in the warning color
+   * @returns {SVGElement}
+   */
+  barChart(items, options = {}) {
+    const { width, barHeight, barGap, labelWidth } = this._config;
+    const max = options.max || Math.max(...items.map(i => i.value), 1);
+    const format = options.format || (v => String(v));
+    const valueWidth = 48;
+    const height = Math.max(1, items.length * (barHeight + barGap) - barGap);
+    const svg = this._svg(width, height);
+    const trackW = width - labelWidth - valueWidth;
+
+    items.forEach((item, i) => {
+      const top = i * (barHeight + barGap);
+      const barW = Math.max(2, (item.value / max) * trackW);
+
+      svg.appendChild(this._text(labelWidth - 8, top + barHeight / 2 + 4, this._truncate(item.label), 'end'));
+      svg.appendChild(this._el('rect', {
+        x: labelWidth, y: top, width: trackW, height: barHeight, rx: 4,
+        fill: this._config.gridColor,
+      }));
+
+      const bar = this._el('rect', {
+        x: labelWidth, y: top, width: barW, height: barHeight, rx: 4,
+        fill: item.color || (i === options.highlight ? this._config.warning : this._config.primary),
+      });
+      bar.appendChild(this._title(`${item.label}: ${format(item.value)}`));
+      svg.appendChild(bar);
+
+      svg.appendChild(this._text(labelWidth + trackW + 6, top + barHeight / 2 + 4, format(item.value), 'start'));
+    });
+
+    return svg;
+  },
+
+  // ────────────────────────────────────────────
+  //  COLOR WHEEL
+  // ────────────────────────────────────────────
+
+  /**
+   * Hue/saturation wheel: angle = hue, distance from centre = saturation
+   * (neutrals sit in the middle), dot area = how often the colour was worn.
+   * @param {Array<{ hex: string, hsl: { h, s, l }, count: number, name?: string }>} colors
+   * @returns {SVGElement}
+   */
+  colorWheel(colors) {
+    const size = this._config.wheelSize;
+    const sectors = this._config.wheelSectors;
+    const c = size / 2;
+    const radius = c - 16;
+    const svg = this._svg(size, size);
+
+    // Faint hue ring as a guide
+    for (let i = 0; i < sectors; i++) {
+      const a0 = (i / sectors) * 2 * Math.PI;
+      const a1 = ((i + 1) / sectors) * 2 * Math.PI;
+      const p0 = this._polar(c, radius, a0);
+      const p1 = this._polar(c, radius, a1);
+      svg.appendChild(this._el('path', {
+        d: `M${c},${c} L${p0.x.toFixed(1)},${p0.y.toFixed(1)} A${radius},${radius} 0 0 1 ${p1.x.toFixed(1)},${p1.y.toFixed(1)} Z`,
+        fill: `hsl(${(i + 0.5) * (360 / sectors)}, 70%, 50%)`,
+        opacity: 0.12,
+      }));
+    }
+    [0.5, 1].forEach(f => {
+      svg.appendChild(this._el('circle', {
+        cx: c, cy: c, r: radius * f, fill: 'none', stroke: this._config.gridColor,
+      }));
+    });
+
+    const maxCount = Math.max(...colors.map(col => col.count), 1);
+
+    // Largest first so small dots stay on top
+    [...colors].sort((a, b) => b.count - a.count).forEach(col => {
+      const angle = ((col.hsl?.h || 0) / 360) * 2 * Math.PI;
+      const p = this._polar(c, radius * Math.min(1, (col.hsl?.s || 0) / 100), angle);
+      const dot = this._el('circle', {
+        cx: p.x, cy: p.y,
+        r: 4 + 10 * Math.sqrt(col.count / maxCount),
+        fill: col.hex,
+        stroke: 'rgba(255, 255, 255, 0.6)',
+        'stroke-width': 1,
+      });
+      dot.appendChild(this._title(`${col.name || col.hex} — worn ${col.count}×`));
+      svg.appendChild(dot);
+    });
+
+    return svg;
+  },
+
+  // ────────────────────────────────────────────
+  //  SVG HELPERS
+  // ────────────────────────────────────────────
+
+  _svg(width, height) {
+    const svg = this._el('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      width: '100%',
+      preserveAspectRatio: 'xMidYMid meet',
+    });
+    svg.style.maxWidth = `${width}px`;
+    svg.style.display = 'block';
+    return svg;
+  },
+
+  /** Create an SVG element; null/undefined attributes are skipped */
+  _el(tag, attrs = {}) {
+    const el = document.createElementNS(this.SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) el.setAttribute(key, value);
+    });
+    return el;
+  },
+
+  _text(x, y, content, anchor = 'start') {
+    const text = this._el('text', {
+      x, y,
+      fill: this._config.textColor,
+      'text-anchor': anchor,
+      style: `font: ${this._config.font}`,
+    });
+    text.textContent = content;
+    return text;
+  },
+
+  _truncate(label) {
+    const max = this._config.maxLabelLength;
+    return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+  },
+
+  /** Native SVG tooltip */
+  _title(content) {
+    const title = this._el('title');
+    title.textContent = content;
+    return title;
+  },
+
+  /** Point on a circle; angle 0 = top, clockwise */
+  _polar(c, r, angle) {
+    return {
+      x: c + r * Math.sin(angle),
+      y: c - r * Math.cos(angle),
+    };
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Charts;
+}
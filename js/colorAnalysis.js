@@ -10,8 +10,9 @@ const ColorAnalysis = {
    * Uses median-based extraction with outlier rejection
    * instead of naive averaging (which gets skewed by
    * skin, tags, buttons, and background pixels).
+   * @param {Uint8Array} [mask] — width × height, only pixels set to 1 are sampled
    */
-  extractAverageColor(canvas, x, y, width, height) {
+  extractAverageColor(canvas, x, y, width, height, mask = null) {
     const ctx = canvas.getContext('2d');
 
     // Clamp to canvas bounds
@@ -33,6 +34,7 @@ const ColorAnalysis = {
     for (let i = 0; i < data.length; i += 16) {
       const a = data[i + 3];
       if (a < 128) continue; // Skip transparent pixels
+      if (mask && !mask[Math.floor(i / 4 / cw) * width + ((i / 4) % cw)]) continue;
 
       rValues.push(data[i]);
       gValues.push(data[i + 1]);
@@ -58,11 +60,12 @@ const ColorAnalysis = {
   },
 
   /**
-   * Extract top N dominant colors from a region using
-   * simple k-means-inspired bucketing. Useful for
-   * detecting patterns, prints, and multi-color garments.
+   * Extract top N dominant colors from a region using the
+   * palette quantizer. Useful for detecting patterns,
+   * prints, and multi-color garments.
+   * @returns {Array} clusters — see quantizePalette()
    */
-  extractDominantColors(canvas, x, y, width, height, count = 3) {
+  extractDominantColors(canvas, x, y, width, height, count = 3, options = {}) {
     const ctx = canvas.getContext('2d');
     const cx = Math.max(0, Math.round(x));
     const cy = Math.max(0, Math.round(y));
@@ -74,45 +77,283 @@ const ColorAnalysis = {
     const imageData = ctx.getImageData(cx, cy, cw, ch);
     const data = imageData.data;
 
-    // Bucket colors into a reduced color space (5-bit per channel = 32 levels)
-    const buckets = new Map();
-    const shift = 3; // 256 >> 3 = 32 buckets per channel
-
+    const pixels = [];
     for (let i = 0; i < data.length; i += 16) {
       if (data[i + 3] < 128) continue;
+      pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+    }
+
+    return this.quantizePalette(pixels, { ...options, count });
+  },
+
+  // ────────────────────────────────────────────
+  //  PALETTE QUANTIZATION — k-means++ / median cut
+  //  Clusters live in CIELAB so "similar" means
+  //  perceptually similar. Near-identical clusters
+  //  are merged so a solid garment yields one
+  //  cluster instead of three arbitrary shades.
+  // ────────────────────────────────────────────
+
+  _paletteDefaults: {
+    method: 'kmeans',        // 'kmeans' | 'median-cut'
+    seeding: 'kmeans++',     // k-means init: 'kmeans++' | 'median-cut'
+    count: 3,
+    maxIterations: 12,
+    maxSamples: 2000,        // Cap on pixels fed to the clusterer
+    mergeDeltaE: 8,          // Merge clusters closer than this (ΔE2000)
+    seed: 0x9e3779b9,        // Fixed seed → same image, same palette
+  },
+
+  /**
+   * Quantize an array of { r, g, b } pixels into a small palette.
+   *
+   * @param {Array<{r,g,b}>} pixels
+   * @param {Object} options — see _paletteDefaults
+   * @returns {Array<{ rgb, hsl, lab, hex, share, frequency, spread, count }>}
+   *   sorted by share (0–1). `spread` is the mean Lab distance of
+   *   members to the centroid (ΔE76) — low for solid fabric, high
+   *   for textured or noisy regions. `frequency` mirrors `share`.
+   */
+  quantizePalette(pixels, options = {}) {
+    const opts = { ...this._paletteDefaults, ...options };
+    if (!pixels || pixels.length === 0) return [];
+
+    // Deterministic stride sampling keeps results stable between captures
+    const stride = Math.max(1, Math.ceil(pixels.length / opts.maxSamples));
+    const samples = [];
+    for (let i = 0; i < pixels.length; i += stride) {
+      const px = pixels[i];
+      samples.push({ rgb: px, lab: this.rgbToLab(px.r, px.g, px.b) });
+    }
+
+    const k = Math.max(1, Math.min(opts.count, samples.length));
+    const assignments = opts.method === 'median-cut'
+      ? this._medianCut(samples, k)
+      : this._kMeans(samples, k, opts);
+
+    let clusters = this._buildClusters(samples, assignments, k);
+    clusters = this._mergeClusters(clusters, opts.mergeDeltaE);
+
+    return clusters
+      .sort((a, b) => b.count - a.count)
+      .map(c => this._finalizeCluster(c, samples.length));
+  },
+
+  /** Lloyd's k-means in Lab. Returns a cluster index per sample. */
+  _kMeans(samples, k, opts) {
+    const rand = this._seededRandom(opts.seed);
+    let centroids = opts.seeding === 'median-cut'
+      ? this._centroidsFromAssignments(samples, this._medianCut(samples, k), k)
+      : this._kMeansPlusPlus(samples, k, rand);
+
+    const assignments = new Int32Array(samples.length);
+
+    for (let iter = 0; iter < opts.maxIterations; iter++) {
+      let changed = 0;
 
-      const rKey = data[i] >> shift;
-      const gKey = data[i + 1] >> shift;
-      const bKey = data[i + 2] >> shift;
-      const key = `${rKey},${gKey},${bKey}`;
-
-      if (buckets.has(key)) {
-        const bucket = buckets.get(key);
-        bucket.count++;
-        bucket.totalR += data[i];
-        bucket.totalG += data[i + 1];
-        bucket.totalB += data[i + 2];
-      } else {
-        buckets.set(key, {
-          count: 1,
-          totalR: data[i],
-          totalG: data[i + 1],
-          totalB: data[i + 2]
+      samples.forEach((s, i) => {
+        let best = 0;
+        let bestDist = Infinity;
+        centroids.forEach((c, j) => {
+          const d = this._labDistSq(s.lab, c);
+          if (d < bestDist) { bestDist = d; best = j; }
         });
+        if (assignments[i] !== best || iter === 0) changed++;
+        assignments[i] = best;
+      });
+
+      const next = this._centroidsFromAssignments(samples, assignments, k);
+
+      // Empty cluster → reseed at the sample farthest from its centroid
+      next.forEach((c, j) => {
+        if (c) return;
+        let far = 0;
+        let farDist = -1;
+        samples.forEach((s, i) => {
+          const d = this._labDistSq(s.lab, next[assignments[i]] || centroids[assignments[i]]);
+          if (d > farDist) { farDist = d; far = i; }
+        });
+        next[j] = { ...samples[far].lab };
+        assignments[far] = j;
+      });
+
+      centroids = next;
+      if (changed === 0) break;
+    }
+
+    return assignments;
+  },
+
+  /** k-means++ seeding: each new centroid is picked ∝ squared distance */
+  _kMeansPlusPlus(samples, k, rand) {
+    const centroids = [{ ...samples[Math.floor(rand() * samples.length)].lab }];
+    const dist = new Float64Array(samples.length).fill(Infinity);
+
+    while (centroids.length < k) {
+      const last = centroids[centroids.length - 1];
+      let total = 0;
+      samples.forEach((s, i) => {
+        dist[i] = Math.min(dist[i], this._labDistSq(s.lab, last));
+        total += dist[i];
+      });
+
+      if (total === 0) break; // All samples identical
+
+      let target = rand() * total;
+      let pick = samples.length - 1;
+      for (let i = 0; i < samples.length; i++) {
+        target -= dist[i];
+        if (target <= 0) { pick = i; break; }
       }
+      centroids.push({ ...samples[pick].lab });
     }
 
-    // Sort buckets by frequency, take top N
-    const sorted = [...buckets.values()]
-      .sort((a, b) => b.count - a.count)
-      .slice(0, count);
+    while (centroids.length < k) centroids.push({ ...centroids[0] });
+    return centroids;
+  },
+
+  /**
+   * Median cut in Lab: repeatedly split the box with the widest
+   * channel range at its median. Returns a box index per sample.
+   */
+  _medianCut(samples, k) {
+    let boxes = [samples.map((_, i) => i)];
+
+    while (boxes.length < k) {
+      let bestBox = -1;
+      let bestRange = 0;
+      let bestChannel = 'L';
+
+      boxes.forEach((box, bi) => {
+        if (box.length < 2) return;
+        ['L', 'a', 'b'].forEach(ch => {
+          let min = Infinity;
+          let max = -Infinity;
+          box.forEach(i => {
+            const v = samples[i].lab[ch];
+            if (v < min) min = v;
+            if (v > max) max = v;
+          });
+          if (max - min > bestRange) {
+            bestRange = max - min;
+            bestBox = bi;
+            bestChannel = ch;
+          }
+        });
+      });
+
+      if (bestBox < 0) break; // Nothing left to split
+
+      const sorted = [...boxes[bestBox]].sort((a, b) => samples[a].lab[bestChannel] - samples[b].lab[bestChannel]);
+      const mid = Math.floor(sorted.length / 2);
+      boxes.splice(bestBox, 1, sorted.slice(0, mid), sorted.slice(mid));
+    }
+
+    const assignments = new Int32Array(samples.length);
+    boxes.forEach((box, bi) => box.forEach(i => { assignments[i] = bi; }));
+    return assignments;
+  },
+
+  /** Mean Lab per cluster index (null for empty clusters) */
+  _centroidsFromAssignments(samples, assignments, k) {
+    const sums = Array.from({ length: k }, () => ({ L: 0, a: 0, b: 0, n: 0 }));
+    samples.forEach((s, i) => {
+      const acc = sums[assignments[i]];
+      acc.L += s.lab.L;
+      acc.a += s.lab.a;
+      acc.b += s.lab.b;
+      acc.n++;
+    });
+    return sums.map(acc => acc.n > 0
+      ? { L: acc.L / acc.n, a: acc.a / acc.n, b: acc.b / acc.n }
+      : null);
+  },
+
+  /** Group samples into cluster accumulators */
+  _buildClusters(samples, assignments, k) {
+    const clusters = Array.from({ length: k }, () => ({ members: [] }));
+    samples.forEach((s, i) => clusters[assignments[i]].members.push(s));
+    return clusters
+      .filter(c => c.members.length > 0)
+      .map(c => this._summarizeMembers(c.members));
+  },
 
-    return sorted.map(b => ({
-      r: Math.round(b.totalR / b.count),
-      g: Math.round(b.totalG / b.count),
-      b: Math.round(b.totalB / b.count),
-      frequency: b.count
-    }));
+  /** Centroid (Lab + mean RGB) and member list for a cluster */
+  _summarizeMembers(members) {
+    const lab = { L: 0, a: 0, b: 0 };
+    const rgb = { r: 0, g: 0, b: 0 };
+    members.forEach(m => {
+      lab.L += m.lab.L; lab.a += m.lab.a; lab.b += m.lab.b;
+      rgb.r += m.rgb.r; rgb.g += m.rgb.g; rgb.b += m.rgb.b;
+    });
+    const n = members.length;
+    return {
+      members,
+      count: n,
+      lab: { L: lab.L / n, a: lab.a / n, b: lab.b / n },
+      rgb: { r: rgb.r / n, g: rgb.g / n, b: rgb.b / n },
+    };
+  },
+
+  /** Merge clusters whose centroids are perceptually indistinguishable */
+  _mergeClusters(clusters, threshold) {
+    let merged = true;
+    while (merged && clusters.length > 1) {
+      merged = false;
+      outer:
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          if (this.deltaE2000(clusters[i].lab, clusters[j].lab) < threshold) {
+            const combined = this._summarizeMembers([...clusters[i].members, ...clusters[j].members]);
+            clusters.splice(j, 1);
+            clusters.splice(i, 1, combined);
+            merged = true;
+            break outer;
+          }
+        }
+      }
+    }
+    return clusters;
+  },
+
+  /** Public cluster shape */
+  _finalizeCluster(cluster, total) {
+    const rgb = {
+      r: Math.round(cluster.rgb.r),
+      g: Math.round(cluster.rgb.g),
+      b: Math.round(cluster.rgb.b),
+    };
+    const spread = cluster.members.reduce((s, m) => s + Math.sqrt(this._labDistSq(m.lab, cluster.lab)), 0) / cluster.count;
+    const share = cluster.count / total;
+
+    return {
+      rgb,
+      hsl: this.rgbToHsl(rgb.r, rgb.g, rgb.b),
+      lab: cluster.lab,
+      hex: this.rgbToHex(rgb.r, rgb.g, rgb.b),
+      share,
+      frequency: share,
+      spread: Math.round(spread * 10) / 10,
+      count: cluster.count,
+    };
+  },
+
+  _labDistSq(l1, l2) {
+    const dL = l1.L - l2.L;
+    const da = l1.a - l2.a;
+    const db = l1.b - l2.b;
+    return dL * dL + da * da + db * db;
+  },
+
+  /** mulberry32 — small deterministic PRNG returning [0, 1) */
+  _seededRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+      t = (t + 0x6D2B79F5) >>> 0;
+      let r = Math.imul(t ^ (t >>> 15), 1 | t);
+      r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
   },
 
   // ────────────────────────────────────────────
@@ -148,6 +389,22 @@ const ColorAnalysis = {
     };
   },
 
+  /** Inverse of rgbToHsl — h in degrees, s/l in percent. */
+  hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+
+    return {
+      r: Math.round(f(0) * 255),
+      g: Math.round(f(8) * 255),
+      b: Math.round(f(4) * 255)
+    };
+  },
+
   rgbToHex(r, g, b) {
     return '#' + [r, g, b]
       .map(x => x.toString(16).padStart(2, '0'))
@@ -166,6 +423,309 @@ const ColorAnalysis = {
     return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
   },
 
+  // ────────────────────────────────────────────
+  //  PERCEPTUAL COLOR SPACE — CIELAB / LCh
+  //  HSL lightness is not perceptually uniform
+  //  (yellow and blue at the same `l` look very
+  //  different), so comparisons run on LCh by
+  //  default. HSL remains available as 'hsl'.
+  // ────────────────────────────────────────────
+
+  /** Active comparison space: 'lch' (perceptual) or 'hsl' (legacy) */
+  colorSpace: 'lch',
+  DEFAULT_COLOR_SPACE: 'lch',
+  COLOR_SPACE_STORAGE_KEY: 'outfit-intelligence-color-space',
+
+  /**
+   * Per-space thresholds. In LCh, `s` is chroma (clamped to 0–100)
+   * and `l` is L*. Hue ranges are remapped because LCh puts red
+   * at ~40°, yellow at ~100° and blue at ~305°.
+   *
+   * `harmony` holds the cut-offs of analyzeHarmony and `saturation`
+   * those of Scoring and the suggestions. The LCh ones are the median
+   * chroma, L* and hue gap of HSL colors sitting on the HSL cut-offs
+   * (lightness 35–65%, every 10° of hue). LCh hue gaps spread out
+   * around that median, so the complementary / split windows follow the
+   * lower quartile instead: wheel complements land anywhere from ~130°
+   * to ~176° apart in LCh, and triads are far from evenly spaced.
+   */
+  _spaces: {
+    hsl: {
+      label: 'HSL (legacy)',
+      neutralMax: 12,
+      nearNeutralMax: 20,
+      warmHues: [[0, 70], [300, 360]],
+      coolHues: [[170, 300]],
+      harmony: {
+        popSaturation: 50,      // One chromatic color above this is a "pop"
+        boldSaturation: 60,     // Unanchored complements above this are "bold"
+        clashSaturation: 45,    // Awkward hue angles only clash above this
+        saturationSpread: 25,   // Monochromatic needs this much variation…
+        lightnessSpread: 25,    // …in saturation or lightness
+        contrastLightness: 40,  // All-neutral outfits with this range are high-contrast
+        monochromaticHue: 25,   // Hue gaps below this are one color family…
+        analogousHue: 60,       // …up to this, neighbors
+        splitHues: [130, 170],  // A color and its complement's neighbors
+        complementaryHues: [150, 180],
+        triadicHues: [90, 150], // Every gap of a triad lies in here…
+        triadicSpread: 40,      // …or the gaps differ by less than this
+        clashHues: [60, 130],   // Average gaps in here are awkward angles
+      },
+      saturation: {
+        confident: 55,          // Confidence peaks at this average…
+        ideal: 45,              // …the intensity score at this one…
+        spread: 25,             // …and both fall off by this much
+        bold: 50,               // All-chromatic outfits above this average read as bold
+        loud: 70,               // Three colors above this get the "tone it down" suggestion
+        vibrant: 75,            // Three colors above this are penalized
+      },
+    },
+    lch: {
+      label: 'LCh (perceptual)',
+      neutralMax: 10,
+      nearNeutralMax: 16,
+      warmHues: [[0, 115], [325, 360]],
+      coolHues: [[180, 325]],
+      harmony: {
+        popSaturation: 50,
+        boldSaturation: 59,
+        clashSaturation: 45,
+        saturationSpread: 26,
+        lightnessSpread: 25,
+        contrastLightness: 39,
+        monochromaticHue: 22,
+        analogousHue: 60,
+        splitHues: [105, 130],
+        complementaryHues: [130, 180],
+        triadicHues: [75, 170],
+        triadicSpread: 40,
+        clashHues: [60, 105],
+      },
+      saturation: {
+        confident: 54,
+        ideal: 45,
+        spread: 25,
+        bold: 50,
+        loud: 66,
+        vibrant: 70,
+      },
+    },
+  },
+
+  // D65 reference white (2° observer)
+  _whitePoint: { x: 95.047, y: 100.0, z: 108.883 },
+
+  /**
+   * Switch the space used by harmony, confidence and scoring.
+   * @param {'lch'|'hsl'} space
+   */
+  setColorSpace(space) {
+    if (!this._spaces[space]) {
+      throw new Error(`Unknown color space: ${space}`);
+    }
+    this.colorSpace = space;
+  },
+
+  getColorSpace() {
+    return this.colorSpace;
+  },
+
+  /** Thresholds for the given (or active) space */
+  getSpaceConfig(space = this.colorSpace) {
+    return this._spaces[space] || this._spaces.hsl;
+  },
+
+  /** @returns {Array<{ key, label }>} spaces setColorSpace accepts, for pickers */
+  listColorSpaces() {
+    return Object.entries(this._spaces).map(([key, space]) => ({ key, label: space.label }));
+  },
+
+  /** @returns {string} last chosen space */
+  loadColorSpace() {
+    try {
+      const space = localStorage.getItem(this.COLOR_SPACE_STORAGE_KEY);
+      return this._spaces[space] ? space : this.DEFAULT_COLOR_SPACE;
+    } catch {
+      return this.DEFAULT_COLOR_SPACE;
+    }
+  },
+
+  /** @returns {boolean} */
+  saveColorSpace(space) {
+    if (!this._spaces[space]) return false;
+    try {
+      localStorage.setItem(this.COLOR_SPACE_STORAGE_KEY, space);
+      return true;
+    } catch (error) {
+      console.warn('Failed to save color space:', error);
+      return false;
+    }
+  },
+
+  /** sRGB channel (0–255) → linear light (0–1) */
+  _srgbToLinear(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  },
+
+  /** sRGB → CIE XYZ (D65, Y scaled 0–100) */
+  rgbToXyz(r, g, b) {
+    const rl = this._srgbToLinear(r);
+    const gl = this._srgbToLinear(g);
+    const bl = this._srgbToLinear(b);
+
+    return {
+      x: (rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375) * 100,
+      y: (rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750) * 100,
+      z: (rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041) * 100
+    };
+  },
+
+  /** CIE XYZ → CIELAB */
+  xyzToLab(x, y, z) {
+    const wp = this._whitePoint;
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+
+    const fx = f(x / wp.x);
+    const fy = f(y / wp.y);
+    const fz = f(z / wp.z);
+
+    return {
+      L: 116 * fy - 16,
+      a: 500 * (fx - fy),
+      b: 200 * (fy - fz)
+    };
+  },
+
+  rgbToLab(r, g, b) {
+    const { x, y, z } = this.rgbToXyz(r, g, b);
+    return this.xyzToLab(x, y, z);
+  },
+
+  /** CIELAB → LCh (cylindrical). Hue in degrees 0–360. */
+  labToLch(L, a, b) {
+    const C = Math.sqrt(a * a + b * b);
+    let h = Math.atan2(b, a) * 180 / Math.PI;
+    if (h < 0) h += 360;
+    return { L, C, h };
+  },
+
+  rgbToLch(r, g, b) {
+    const lab = this.rgbToLab(r, g, b);
+    return this.labToLch(lab.L, lab.a, lab.b);
+  },
+
+  /**
+   * CIEDE2000 color difference between two Lab colors.
+   * ~1 is the just-noticeable difference; >10 reads as a different color.
+   */
+  deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const deg = 180 / Math.PI;
+
+    const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const C2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+    const a1p = lab1.a * (1 + G);
+    const a2p = lab2.a * (1 + G);
+    const C1p = Math.sqrt(a1p * a1p + lab1.b * lab1.b);
+    const C2p = Math.sqrt(a2p * a2p + lab2.b * lab2.b);
+
+    const hp = (bv, ap) => {
+      if (bv === 0 && ap === 0) return 0;
+      const h = Math.atan2(bv, ap) * deg;
+      return h < 0 ? h + 360 : h;
+    };
+    const h1p = hp(lab1.b, a1p);
+    const h2p = hp(lab2.b, a2p);
+
+    const dLp = lab2.L - lab1.L;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const Lbarp = (lab1.L + lab2.L) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+      else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+      else hbarp = (h1p + h2p - 360) / 2;
+    }
+
+    const T = 1
+      - 0.17 * Math.cos((hbarp - 30) * rad)
+      + 0.24 * Math.cos((2 * hbarp) * rad)
+      + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+      - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin((2 * dTheta) * rad) * Rc;
+
+    return Math.sqrt(
+      Math.pow(dLp / Sl, 2) +
+      Math.pow(dCp / Sc, 2) +
+      Math.pow(dHp / Sh, 2) +
+      Rt * (dCp / Sc) * (dHp / Sh)
+    );
+  },
+
+  /**
+   * ΔE2000 between two color objects ({ rgb } / { hex } / { hsl }).
+   */
+  deltaE(color1, color2) {
+    const c1 = this._toRgb(color1);
+    const c2 = this._toRgb(color2);
+    return this.deltaE2000(this.rgbToLab(c1.r, c1.g, c1.b), this.rgbToLab(c2.r, c2.g, c2.b));
+  },
+
+  /**
+   * Hue / "saturation" / lightness of a color in the given space.
+   * All comparison code reads colors through this so the same
+   * thresholds work on either HSL or LCh.
+   * @returns {{ h: number, s: number, l: number }}
+   */
+  getMetrics(color, space = this.colorSpace) {
+    if (space === 'hsl') {
+      if (color.hsl) return color.hsl;
+      const rgb = this._toRgb(color);
+      return this.rgbToHsl(rgb.r, rgb.g, rgb.b);
+    }
+
+    const rgb = this._toRgb(color);
+    const lch = this.rgbToLch(rgb.r, rgb.g, rgb.b);
+    return {
+      h: Math.round(lch.h) % 360,
+      s: Math.min(100, Math.round(lch.C)),
+      l: Math.max(0, Math.min(100, Math.round(lch.L)))
+    };
+  },
+
+  /** Resolve a color object to { r, g, b } from whichever field it carries */
+  _toRgb(color) {
+    if (color.rgb) return color.rgb;
+    if (color.hex) {
+      const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color.hex);
+      if (m) return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
+    }
+    if (color.hsl) return this.hslToRgb(color.hsl.h, color.hsl.s, color.hsl.l);
+    return { r: 128, g: 128, b: 128 };
+  },
+
   // ────────────────────────────────────────────
   //  HUE UTILITIES
   // ────────────────────────────────────────────
@@ -176,14 +736,14 @@ const ColorAnalysis = {
     return Math.min(diff, 360 - diff);
   },
 
-  /** Check if hue is in the warm range */
-  isWarmHue(h) {
-    return (h >= 0 && h < 70) || h >= 300;
+  /** Check if hue (in the given space) is in the warm range */
+  isWarmHue(h, space = this.colorSpace) {
+    return this.getSpaceConfig(space).warmHues.some(([min, max]) => h >= min && h < max);
   },
 
-  /** Check if hue is in the cool range */
-  isCoolHue(h) {
-    return h >= 170 && h < 300;
+  /** Check if hue (in the given space) is in the cool range */
+  isCoolHue(h, space = this.colorSpace) {
+    return this.getSpaceConfig(space).coolHues.some(([min, max]) => h >= min && h < max);
   },
 
   // ────────────────────────────────────────────
@@ -192,11 +752,12 @@ const ColorAnalysis = {
 
   /** Is this color a neutral? (black, white, gray, off-white, charcoal) */
   isNeutral(color) {
-    const { s, l } = color.hsl;
-    // Very low saturation = achromatic neutral
-    if (s < 12) return true;
+    const { s, l } = this.getMetrics(color);
+    const cfg = this.getSpaceConfig();
+    // Very low saturation / chroma = achromatic neutral
+    if (s < cfg.neutralMax) return true;
     // Near-black or near-white with low-ish saturation
-    if ((l < 12 || l > 92) && s < 20) return true;
+    if ((l < 12 || l > 92) && s < cfg.nearNeutralMax) return true;
     return false;
   },
 
@@ -237,11 +798,11 @@ const ColorAnalysis = {
   },
 
   /**
-   * Simple lightness-based contrast (backward compatible).
+   * Simple lightness-based contrast (L* in LCh, l in HSL).
    * Returns 0–100.
    */
   lightnessContrast(color1, color2) {
-    return Math.abs(color1.hsl.l - color2.hsl.l);
+    return Math.abs(this.getMetrics(color1).l - this.getMetrics(color2).l);
   },
 
   // ────────────────────────────────────────────
@@ -254,7 +815,7 @@ const ColorAnalysis = {
    */
   getTemperature(color) {
     if (this.isNeutral(color)) return 'neutral';
-    return this.isWarmHue(color.hsl.h) ? 'warm' : 'cool';
+    return this.isWarmHue(this.getMetrics(color).h) ? 'warm' : 'cool';
   },
 
   /**
@@ -302,11 +863,13 @@ const ColorAnalysis = {
     // Separate neutrals from chromatic colors
     const neutrals = colors.filter(c => this.isNeutral(c));
     const chromatics = colors.filter(c => !this.isNeutral(c));
+    const metrics = c => this.getMetrics(c);
+    const limits = this.getSpaceConfig().harmony;
 
     // ── All neutrals ──
     if (chromatics.length === 0) {
-      const lightRange = Math.max(...colors.map(c => c.hsl.l)) - Math.min(...colors.map(c => c.hsl.l));
-      if (lightRange > 40) {
+      const lightRange = Math.max(...colors.map(c => metrics(c).l)) - Math.min(...colors.map(c => metrics(c).l));
+      if (lightRange > limits.contrastLightness) {
         return {
           type: 'Achromatic Contrast',
           score: 85,
@@ -324,8 +887,8 @@ const ColorAnalysis = {
 
     // ── One chromatic + neutrals ──
     if (chromatics.length === 1 && neutrals.length >= 1) {
-      const saturation = chromatics[0].hsl.s;
-      if (saturation > 50) {
+      const saturation = metrics(chromatics[0]).s;
+      if (saturation > limits.popSaturation) {
         return {
           type: 'Neutral-Anchored Pop',
           score: 88,
@@ -342,8 +905,9 @@ const ColorAnalysis = {
     }
 
     // ── Multiple chromatic colors: analyze hue relationships ──
-    const hues = chromatics.map(c => c.hsl.h);
-    const saturations = chromatics.map(c => c.hsl.s);
+    const hues = chromatics.map(c => metrics(c).h);
+    const within = (value, [min, max]) => value >= min && value <= max;
+    const saturations = chromatics.map(c => metrics(c).s);
     const avgSaturation = saturations.reduce((a, b) => a + b, 0) / saturations.length;
 
     // Pairwise hue differences (only between chromatic colors)
@@ -362,11 +926,11 @@ const ColorAnalysis = {
     const tempAnalysis = this.analyzeTemperature(chromatics);
 
     // ── Monochromatic (very similar hues) ──
-    if (maxDiff < 25) {
+    if (maxDiff < limits.monochromaticHue) {
       const satVariance = Math.max(...saturations) - Math.min(...saturations);
-      const lightVariance = Math.max(...chromatics.map(c => c.hsl.l)) - Math.min(...chromatics.map(c => c.hsl.l));
+      const lightVariance = Math.max(...chromatics.map(c => metrics(c).l)) - Math.min(...chromatics.map(c => metrics(c).l));
 
-      if (satVariance > 25 || lightVariance > 25) {
+      if (satVariance > limits.saturationSpread || lightVariance > limits.lightnessSpread) {
         return {
           type: 'Monochromatic',
           score: 87,
@@ -382,8 +946,8 @@ const ColorAnalysis = {
       };
     }
 
-    // ── Analogous (neighbors on color wheel: 25–60°) ──
-    if (maxDiff >= 25 && maxDiff <= 60) {
+    // ── Analogous (neighbors on color wheel) ──
+    if (maxDiff <= limits.analogousHue) {
       const bonus = neutrals.length > 0 ? 5 : 0;
       const tempBonus = tempAnalysis.coherence === 1 ? 3 : 0;
       return {
@@ -394,8 +958,24 @@ const ColorAnalysis = {
       };
     }
 
-    // ── Split-Complementary (one color + the two neighbors of its complement: ~130–170°) ──
-    if (chromatics.length >= 2 && differences.some(d => d >= 130 && d <= 170)) {
+    // ── Triadic (3 colors spread around the wheel) ──
+    // Before the split / complementary checks: a triad's widest gap falls in their windows
+    if (chromatics.length >= 3 && differences.length >= 3) {
+      const spreadVariance = maxDiff - minDiff;
+      const isTriadic = differences.every(d => within(d, limits.triadicHues)) || spreadVariance < limits.triadicSpread;
+
+      if (isTriadic && avgDiff >= 90) {
+        return {
+          type: 'Triadic',
+          score: 82,
+          explanation: 'Three evenly-spaced colors create vibrant, dynamic balance. Best when one color dominates and the others accent.',
+          details: { differences, spreadVariance }
+        };
+      }
+    }
+
+    // ── Split-Complementary (one color + the two neighbors of its complement) ──
+    if (chromatics.length >= 2 && differences.some(d => within(d, limits.splitHues))) {
       return {
         type: 'Split-Complementary',
         score: 84,
@@ -404,10 +984,10 @@ const ColorAnalysis = {
       };
     }
 
-    // ── Complementary (opposite: 150–180°) ──
-    if (maxDiff >= 150 && maxDiff <= 180) {
+    // ── Complementary (opposite) ──
+    if (within(maxDiff, limits.complementaryHues)) {
       const hasAnchor = neutrals.length > 0;
-      if (avgSaturation > 60 && !hasAnchor) {
+      if (avgSaturation > limits.boldSaturation && !hasAnchor) {
         return {
           type: 'Complementary - Bold',
           score: 75,
@@ -423,23 +1003,9 @@ const ColorAnalysis = {
       };
     }
 
-    // ── Triadic (3 colors roughly 120° apart) ──
-    if (chromatics.length >= 3 && differences.length >= 3) {
-      const spreadVariance = maxDiff - minDiff;
-      const isTriadic = differences.every(d => d >= 90 && d <= 150) || spreadVariance < 40;
-
-      if (isTriadic && avgDiff >= 90) {
-        return {
-          type: 'Triadic',
-          score: 82,
-          explanation: 'Three evenly-spaced colors create vibrant, dynamic balance. Best when one color dominates and the others accent.',
-          details: { differences, spreadVariance }
-        };
-      }
-    }
-
     // ── Color Clash — awkward angles with high saturation ──
-    if (avgDiff >= 60 && avgDiff < 130 && avgSaturation > 45) {
+    const [clashMin, clashMax] = limits.clashHues;
+    if (avgDiff >= clashMin && avgDiff < clashMax && avgSaturation > limits.clashSaturation) {
       // Check if neutrals rescue it
       if (neutrals.length >= 1 && chromatics.length <= 2) {
         return {
@@ -645,9 +1211,10 @@ const ColorAnalysis = {
 
   /**
    * Generate specific improvement suggestions based on the current outfit.
+   * Pass a PersonalPalette profile to flag pieces that fight the wearer's colouring.
    * Returns an array of suggestion strings.
    */
-  generateSuggestions(colors, harmonyResult) {
+  generateSuggestions(colors, harmonyResult, profile = null) {
     const suggestions = [];
     const neutrals = colors.filter(c => this.isNeutral(c));
     const chromatics = colors.filter(c => !this.isNeutral(c));
@@ -685,7 +1252,7 @@ const ColorAnalysis = {
     }
 
     // Too many saturated colors
-    const highSatCount = colors.filter(c => c.hsl.s > 70).length;
+    const highSatCount = colors.filter(c => this.getMetrics(c).s > this.getSpaceConfig().saturation.loud).length;
     if (highSatCount >= 3) {
       suggestions.push(
         'Multiple highly-saturated colors compete for attention. Tone down 1–2 pieces to let one color be the star.'
@@ -713,6 +1280,19 @@ const ColorAnalysis = {
       );
     }
 
+    // Personal palette — pieces that don't suit the wearer
+    const personal = profile ? PersonalPalette.evaluateOutfit(colors, profile) : null;
+    if (personal) {
+      const best = PersonalPalette.SEASONS[personal.season].best.slice(0, 3).join(', ');
+      personal.perColor.forEach((result, i) => {
+        if (result.fit < 0.6 && result.issue) {
+          suggestions.push(
+            `${colors[i].name || 'One piece'} reads ${result.issue} for your ${personal.season} colouring. Try ${best} instead.`
+          );
+        }
+      });
+    }
+
     return suggestions;
   }
 };
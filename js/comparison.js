@@ -2,13 +2,78 @@
 const Comparison = {
 
   // ────────────────────────────────────────────
-  //  STORAGE KEYS
+  //  STORAGE
+  //  History lives in IndexedDB. localStorage is the
+  //  legacy store: imported once, then only used as a
+  //  fallback when IndexedDB is unavailable.
   // ────────────────────────────────────────────
 
+  DB_NAME: 'outfit-intelligence',
+  DB_VERSION: 2,         // IndexedDB schema version (stores + indexes)
+  STORE: 'history',
+  META_STORE: 'meta',
+  THUMB_STORE: 'thumbnails',
+  MAX_HISTORY: 10000,
+  CURRENT_VERSION: 3,    // Entry schema version for migrations
+  LEGACY_SLOTS: ['top', 'bottom', 'shoes'], // Slots of every entry before v3
+
+  // Queryable fields — index name → key path
+  INDEXES: {
+    timestamp: 'timestamp',
+    score: 'score.total',
+    harmony: 'harmony.type',
+    mood: 'mood.mood',
+  },
+
+  // Legacy localStorage keys
   STORAGE_KEY: 'outfit-intelligence-history',
   BEST_KEY: 'outfit-intelligence-best',
-  MAX_HISTORY: 50,       // Keep last 50 analyses
-  CURRENT_VERSION: 2,    // Data schema version for migrations
+  LEGACY_MAX_HISTORY: 50,
+
+  // Outfit photos — oldest are dropped once the budget is used up
+  THUMBNAIL_SIZE: 320,       // Longest side in px (App makes them with Wardrobe.createThumbnail)
+  THUMBNAIL_QUALITY: 0.6,    // JPEG quality
+  THUMBNAIL_BUDGET_BYTES: 10 * 1024 * 1024,
+
+  _dbPromise: null,
+
+  // ────────────────────────────────────────────
+  //  MIGRATIONS
+  // ────────────────────────────────────────────
+
+  /**
+   * IndexedDB schema upgrades — SCHEMA_UPGRADES[n] takes the
+   * database from version n-1 to n.
+   */
+  SCHEMA_UPGRADES: {
+    1(db) {
+      const store = db.createObjectStore(Comparison.STORE, { keyPath: 'id' });
+      Object.entries(Comparison.INDEXES).forEach(([name, keyPath]) => {
+        store.createIndex(name, keyPath);
+      });
+      db.createObjectStore(Comparison.META_STORE, { keyPath: 'key' });
+    },
+    // v2: outfit photos, kept apart so history reads stay small
+    2(db) {
+      db.createObjectStore(Comparison.THUMB_STORE, { keyPath: 'id' });
+    },
+  },
+
+  /**
+   * Entry schema upgrades — ENTRY_MIGRATIONS[n] takes an entry
+   * from version n-1 to n.
+   */
+  ENTRY_MIGRATIONS: {
+    // v1 → v2: single stored entry without an id
+    2(entry) {
+      return { ...entry, id: entry.id || Comparison._generateId() };
+    },
+    // v2 → v3: entries gain `slots`; older entries were always top/bottom/shoes
+    3(entry) {
+      const colors = entry.colors || {};
+      return { ...entry, slots: Comparison.LEGACY_SLOTS.filter(key => colors[key]) };
+    },
+  },
 
   // ────────────────────────────────────────────
   //  SAVE
@@ -16,62 +81,66 @@ const Comparison = {
 
   /**
    * Save an analysis result to history.
-   * Also updates personal best if applicable.
+   * `analysisData.thumbnail` (a JPEG data URL, see THUMBNAIL_SIZE) is stored
+   * alongside the entry, within THUMBNAIL_BUDGET_BYTES.
    * @param {Object} analysisData
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  saveAnalysis(analysisData) {
+  async saveAnalysis(analysisData) {
     if (!this._validateAnalysisData(analysisData)) {
       console.error('Invalid analysis data — not saving');
       return false;
     }
 
-    try {
-      const entry = {
-        version: this.CURRENT_VERSION,
-        id: this._generateId(),
-        timestamp: new Date().toISOString(),
-        colors: this._serializeColors(analysisData.colors),
-        score: analysisData.score,
-        harmony: {
-          type: analysisData.harmony.type,
-          score: analysisData.harmony.score,
-        },
-        confidence: analysisData.confidence,
-        mood: {
-          mood: analysisData.mood.mood,
-          emoji: analysisData.mood.emoji,
-        },
-        grade: analysisData.grade ? {
-          letter: analysisData.grade.letter,
-          description: analysisData.grade.description,
-        } : null,
-      };
-
-      // Load existing history
-      const history = this._loadHistory();
-
-      // Add new entry
-      history.push(entry);
-
-      // Trim to max size (keep most recent)
-      if (history.length > this.MAX_HISTORY) {
-        history.splice(0, history.length - this.MAX_HISTORY);
-      }
-
-      this._saveHistory(history);
-
-      // Update personal best
-      this._updatePersonalBest(entry);
+    const entry = {
+      version: this.CURRENT_VERSION,
+      id: this._generateId(),
+      timestamp: new Date().toISOString(),
+      colors: this._serializeColors(analysisData.colors),
+      slots: analysisData.slots || Object.keys(analysisData.colors || {}),
+      score: analysisData.score,
+      harmony: {
+        type: analysisData.harmony.type,
+        score: analysisData.harmony.score,
+      },
+      confidence: analysisData.confidence,
+      mood: {
+        mood: analysisData.mood.mood,
+        emoji: analysisData.mood.emoji,
+      },
+      grade: analysisData.grade ? {
+        letter: analysisData.grade.letter,
+        description: analysisData.grade.description,
+      } : null,
+      colorSpace: analysisData.colorSpace || 'hsl',
+      personalSeason: analysisData.personalSeason || null,
+      colorCorrection: analysisData.colorCorrection ? {
+        method: analysisData.colorCorrection.method,
+        label: analysisData.colorCorrection.label,
+        applied: analysisData.colorCorrection.applied,
+        gains: analysisData.colorCorrection.gains,
+      } : null,
+      occasion: analysisData.occasion ? {
+        key: analysisData.occasion.key,
+        label: analysisData.occasion.label,
+      } : { key: 'everyday', label: 'Everyday' },
+      hasThumbnail: !!analysisData.thumbnail,
+      thumbnailBytes: analysisData.thumbnail ? analysisData.thumbnail.length : 0,
+    };
+    const thumbnails = analysisData.thumbnail ? { [entry.id]: analysisData.thumbnail } : {};
 
+    try {
+      await this._putEntries([entry], thumbnails);
+      await this._trimHistory();
+      await this._enforceThumbnailBudget();
       return true;
     } catch (error) {
       if (this._isQuotaError(error)) {
-        console.warn('localStorage quota exceeded — pruning old entries');
-        this._pruneHistory();
-        // Retry once
+        console.warn('Storage quota exceeded — pruning old entries');
         try {
-          return this.saveAnalysis(analysisData);
+          await this._pruneHistory();
+          await this._putEntries([entry], thumbnails);
+          return true;
         } catch {
           console.error('Failed to save even after pruning');
           return false;
@@ -88,39 +157,256 @@ const Comparison = {
 
   /**
    * Load the most recent analysis.
-   * @returns {Object|null}
+   * @returns {Promise<Object|null>}
    */
-  loadLastAnalysis() {
-    const history = this._loadHistory();
-    if (history.length === 0) return null;
-    return history[history.length - 1];
+  async loadLastAnalysis() {
+    return this.loadAnalysis(0);
   },
 
   /**
    * Load the Nth most recent analysis (0 = most recent).
    * @param {number} index
-   * @returns {Object|null}
+   * @returns {Promise<Object|null>}
    */
-  loadAnalysis(index = 0) {
-    const history = this._loadHistory();
-    const i = history.length - 1 - index;
-    return i >= 0 ? history[i] : null;
+  async loadAnalysis(index = 0) {
+    const recent = await this._recentEntries(index + 1);
+    return recent[index] || null;
   },
 
   /**
    * Load full history (newest first).
-   * @returns {Array}
+   * @returns {Promise<Array>}
    */
-  getFullHistory() {
-    return this._loadHistory().reverse();
+  async getFullHistory() {
+    return (await this._allEntries()).reverse();
   },
 
   /**
    * Get total number of analyses saved.
-   * @returns {number}
+   * @returns {Promise<number>}
+   */
+  async getHistoryCount() {
+    return this._countEntries();
+  },
+
+  /**
+   * Query history through one of the INDEXES.
+   * @param {Object} options
+   * @param {string} [options.by] — index name (timestamp, score, harmony, mood)
+   * @param {*} [options.only] — exact key to match
+   * @param {*} [options.lower] — lowest key (inclusive)
+   * @param {*} [options.upper] — highest key (inclusive)
+   * @param {string} [options.direction] — 'next' (ascending) or 'prev' (descending)
+   * @param {number} [options.limit]
+   * @returns {Promise<Array>}
+   */
+  async queryHistory(options = {}) {
+    const {
+      by = 'timestamp',
+      only,
+      lower,
+      upper,
+      direction = 'prev',
+      limit = Infinity,
+    } = options;
+
+    if (!this.INDEXES[by]) throw new Error(`Unknown history index: ${by}`);
+    if (lower !== undefined && upper !== undefined && lower > upper) return [];
+
+    const db = await this._ready();
+    if (!db) {
+      const keyOf = entry => this._keyAt(entry, this.INDEXES[by]);
+      const matches = this._loadHistory()
+        .filter(entry => {
+          const key = keyOf(entry);
+          if (key === undefined) return false;
+          if (only !== undefined) return key === only;
+          return (lower === undefined || key >= lower) && (upper === undefined || key <= upper);
+        })
+        .sort((a, b) => (keyOf(a) < keyOf(b) ? -1 : keyOf(a) > keyOf(b) ? 1 : 0));
+      if (direction === 'prev') matches.reverse();
+      return matches.slice(0, limit);
+    }
+
+    return this._readCursor(db, {
+      index: by,
+      range: this._keyRange(only, lower, upper),
+      direction,
+      limit,
+    });
+  },
+
+  /**
+   * Filter, sort and page the history (history browser).
+   * @param {Object} [filters]
+   * @param {string} [filters.from] — ISO timestamp, inclusive
+   * @param {string} [filters.to] — ISO timestamp, inclusive
+   * @param {number} [filters.minScore]
+   * @param {number} [filters.maxScore]
+   * @param {string} [filters.harmony]
+   * @param {string} [filters.mood]
+   * @param {string} [filters.grade] — grade letter
+   * @param {Object} [options]
+   * @param {string} [options.sort] — 'newest', 'oldest', 'score-desc' or 'score-asc'
+   * @param {number} [options.page] — 1-based
+   * @param {number} [options.pageSize]
+   * @returns {Promise<{ entries: Array, total: number, page: number, pages: number }>}
+   */
+  async searchHistory(filters = {}, options = {}) {
+    const { from, to, minScore, maxScore, harmony, mood, grade } = filters;
+    const { sort = 'newest', page = 1, pageSize = 20 } = options;
+
+    // Narrow with the most selective index, then filter the rest in memory
+    let entries;
+    if (harmony) {
+      entries = await this.queryHistory({ by: 'harmony', only: harmony });
+    } else if (mood) {
+      entries = await this.queryHistory({ by: 'mood', only: mood });
+    } else if (minScore !== undefined || maxScore !== undefined) {
+      entries = await this.queryHistory({ by: 'score', lower: minScore, upper: maxScore });
+    } else {
+      entries = await this.queryHistory({ by: 'timestamp', lower: from, upper: to });
+    }
+
+    const matches = entries.filter(entry =>
+      (from === undefined || entry.timestamp >= from) &&
+      (to === undefined || entry.timestamp <= to) &&
+      (minScore === undefined || entry.score.total >= minScore) &&
+      (maxScore === undefined || entry.score.total <= maxScore) &&
+      (!harmony || entry.harmony?.type === harmony) &&
+      (!mood || entry.mood?.mood === mood) &&
+      (!grade || entry.grade?.letter === grade)
+    );
+
+    const byTime = (a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+    const sorters = {
+      newest: (a, b) => byTime(b, a),
+      oldest: byTime,
+      'score-desc': (a, b) => b.score.total - a.score.total || byTime(b, a),
+      'score-asc': (a, b) => a.score.total - b.score.total || byTime(b, a),
+    };
+    matches.sort(sorters[sort] || sorters.newest);
+
+    const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const current = Math.min(Math.max(1, page), pages);
+
+    return {
+      entries: matches.slice((current - 1) * pageSize, current * pageSize),
+      total: matches.length,
+      page: current,
+      pages,
+    };
+  },
+
+  /**
+   * Distinct harmony types, moods and grades present in the history.
+   * @returns {Promise<{ harmonies: string[], moods: string[], grades: string[] }>}
+   */
+  async getHistoryFacets() {
+    const entries = await this._allEntries();
+    const unique = values => [...new Set(values.filter(Boolean))].sort();
+
+    // Grades best-first, ranked by the highest score that earned them
+    const gradeRank = {};
+    entries.forEach(e => {
+      const letter = e.grade?.letter;
+      if (letter) gradeRank[letter] = Math.max(gradeRank[letter] ?? -1, e.score.total);
+    });
+
+    return {
+      harmonies: unique(entries.map(e => e.harmony?.type)),
+      moods: unique(entries.map(e => e.mood?.mood)),
+      grades: Object.keys(gradeRank).sort((a, b) => gradeRank[b] - gradeRank[a]),
+    };
+  },
+
+  // ────────────────────────────────────────────
+  //  THUMBNAILS
+  // ────────────────────────────────────────────
+
+  /**
+   * Photo stored with a history entry.
+   * @param {string} id — entry id
+   * @returns {Promise<string|null>} data URL
+   */
+  async getThumbnail(id) {
+    try {
+      const db = await this._ready();
+      if (!db) return null;
+
+      return await this._runTransaction(db, 'readonly', (thumbs, done) => {
+        const request = thumbs.get(id);
+        request.onsuccess = () => done(request.result ? request.result.dataUrl : null);
+      }, [this.THUMB_STORE]);
+    } catch (error) {
+      console.error('Failed to load thumbnail:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Delete the photo of an entry, keeping the entry itself.
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async deleteThumbnail(id) {
+    try {
+      const db = await this._ready();
+      if (!db) return false;
+
+      return await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          const entry = request.result;
+          if (!entry || !entry.hasThumbnail) return done(false);
+          store.put({ ...entry, hasThumbnail: false, thumbnailBytes: 0 });
+          tx.objectStore(this.THUMB_STORE).delete(id);
+          done(true);
+        };
+      }, [this.STORE, this.THUMB_STORE]);
+    } catch (error) {
+      console.error('Failed to delete thumbnail:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Space used by outfit photos.
+   * @returns {Promise<{ count: number, bytes: number, budget: number }>}
    */
-  getHistoryCount() {
-    return this._loadHistory().length;
+  async getThumbnailUsage() {
+    const withPhotos = (await this._allEntries()).filter(entry => entry.hasThumbnail);
+    return {
+      count: withPhotos.length,
+      bytes: withPhotos.reduce((sum, entry) => sum + (entry.thumbnailBytes || 0), 0),
+      budget: this.THUMBNAIL_BUDGET_BYTES,
+    };
+  },
+
+  /** Drop the oldest photos until the newest ones fit the budget */
+  async _enforceThumbnailBudget() {
+    const db = await this._ready();
+    if (!db) return;
+
+    await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+      const thumbs = tx.objectStore(this.THUMB_STORE);
+      let used = 0;
+
+      store.index('timestamp').openCursor(null, 'prev').onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const entry = cursor.value;
+        if (entry.hasThumbnail) {
+          used += entry.thumbnailBytes || 0;
+          if (used > this.THUMBNAIL_BUDGET_BYTES) {
+            thumbs.delete(entry.id);
+            cursor.update({ ...entry, hasThumbnail: false, thumbnailBytes: 0 });
+          }
+        }
+        cursor.continue();
+      };
+    }, [this.STORE, this.THUMB_STORE]);
   },
 
   // ────────────────────────────────────────────
@@ -131,10 +417,11 @@ const Comparison = {
    * Compare current outfit with the most recent previous one.
    * Returns a rich comparison object with structured diffs.
    * @param {Object} currentAnalysis
-   * @returns {Object}
+   * @returns {Promise<Object>}
    */
-  compareOutfits(currentAnalysis) {
-    const history = this._loadHistory();
+  async compareOutfits(currentAnalysis) {
+    // Oldest first, like the trend expects
+    const history = (await this._recentEntries(this.TREND_WINDOW)).reverse();
     const previousAnalysis = history.length > 0 ? history[history.length - 1] : null;
 
     if (!previousAnalysis) {
@@ -148,6 +435,61 @@ const Comparison = {
       };
     }
 
+    const { scoreDiff, confidenceDiff, harmonyScoreDiff, details } =
+      this._diffEntries(currentAnalysis, previousAnalysis);
+
+    // ── Summary message ──
+    const message = this._generateComparisonMessage(scoreDiff, confidenceDiff, details);
+
+    // ── Trend analysis ──
+    const trend = this._analyzeTrend(history, currentAnalysis, await this._countEntries());
+
+    // ── Personal best check ──
+    const personalBest = await this.getPersonalBest();
+    const isNewBest = personalBest
+      ? currentAnalysis.score.total > personalBest.score.total
+      : true;
+
+    return {
+      hasPrevious: true,
+      isFirstAnalysis: false,
+      previous: previousAnalysis,
+      scoreDiff,
+      confidenceDiff,
+      harmonyScoreDiff,
+      isImprovement: scoreDiff > 0,
+      isNewPersonalBest: isNewBest,
+      message,
+      details,
+      trend,
+      personalBest,
+      timeSinceLast: previousAnalysis.timestamp
+        ? this.formatTimestamp(previousAnalysis.timestamp)
+        : null,
+    };
+  },
+
+  /**
+   * Compare any two history entries (not just current vs. last).
+   * @param {Object} earlier
+   * @param {Object} later
+   * @returns {{ scoreDiff, confidenceDiff, harmonyScoreDiff, details: Array, message: string }}
+   */
+  compareEntries(earlier, later) {
+    const diff = this._diffEntries(later, earlier);
+
+    let message = `⚖️ Both outfits score ${later.score.total}/100.`;
+    if (diff.scoreDiff > 0) message = `📈 The later outfit scores ${diff.scoreDiff} point${diff.scoreDiff !== 1 ? 's' : ''} higher.`;
+    if (diff.scoreDiff < 0) message = `📉 The earlier outfit scores ${-diff.scoreDiff} point${diff.scoreDiff !== -1 ? 's' : ''} higher.`;
+
+    return { ...diff, message };
+  },
+
+  /**
+   * Structured diffs between two analyses — score, confidence, harmony,
+   * mood, occasion, per-category breakdown and grade.
+   */
+  _diffEntries(currentAnalysis, previousAnalysis) {
     const scoreDiff = currentAnalysis.score.total - previousAnalysis.score.total;
     const confidenceDiff = currentAnalysis.confidence - previousAnalysis.confidence;
     const harmonyScoreDiff = currentAnalysis.harmony.score - previousAnalysis.harmony.score;
@@ -207,6 +549,20 @@ const Comparison = {
       });
     }
 
+    // Occasion change — the two scores used different weights
+    const previousOccasion = previousAnalysis.occasion || { key: 'everyday', label: 'Everyday' };
+    if (currentAnalysis.occasion && currentAnalysis.occasion.key !== previousOccasion.key) {
+      details.push({
+        category: 'Occasion',
+        icon: '🗓️',
+        previous: previousOccasion.label,
+        current: currentAnalysis.occasion.label,
+        diff: null,
+        text: `Occasion: ${previousOccasion.label} → ${currentAnalysis.occasion.label} (scored with different weights)`,
+        sentiment: 'neutral',
+      });
+    }
+
     // Per-category score breakdown comparison
     if (currentAnalysis.score.breakdown && previousAnalysis.score?.breakdown) {
       this._compareBreakdowns(currentAnalysis.score.breakdown, previousAnalysis.score.breakdown, details);
@@ -226,35 +582,7 @@ const Comparison = {
       });
     }
 
-    // ── Summary message ──
-    const message = this._generateComparisonMessage(scoreDiff, confidenceDiff, details);
-
-    // ── Trend analysis ──
-    const trend = this._analyzeTrend(history, currentAnalysis);
-
-    // ── Personal best check ──
-    const personalBest = this._getPersonalBest();
-    const isNewBest = personalBest
-      ? currentAnalysis.score.total > personalBest.score.total
-      : true;
-
-    return {
-      hasPrevious: true,
-      isFirstAnalysis: false,
-      previous: previousAnalysis,
-      scoreDiff,
-      confidenceDiff,
-      harmonyScoreDiff,
-      isImprovement: scoreDiff > 0,
-      isNewPersonalBest: isNewBest,
-      message,
-      details,
-      trend,
-      personalBest,
-      timeSinceLast: previousAnalysis.timestamp
-        ? this.formatTimestamp(previousAnalysis.timestamp)
-        : null,
-    };
+    return { scoreDiff, confidenceDiff, harmonyScoreDiff, details };
   },
 
   /**
@@ -321,13 +649,16 @@ const Comparison = {
   //  TREND ANALYSIS
   // ────────────────────────────────────────────
 
+  TREND_WINDOW: 9,       // Previous outfits included in a trend
+
   /**
    * Analyze scoring trends over recent history.
-   * @param {Array} history
+   * @param {Array} history — most recent entries, oldest first
    * @param {Object} currentAnalysis
+   * @param {number} totalCount — entries in the whole history
    * @returns {Object}
    */
-  _analyzeTrend(history, currentAnalysis) {
+  _analyzeTrend(history, currentAnalysis, totalCount = history.length) {
     // Need at least 3 data points (including current) for a trend
     if (history.length < 2) {
       return {
@@ -340,7 +671,7 @@ const Comparison = {
     }
 
     // Last N scores (newest last) + current
-    const recentHistory = history.slice(-9); // Up to last 9 + current
+    const recentHistory = history.slice(-this.TREND_WINDOW); // Up to last 9 + current
     const scores = recentHistory.map(h => h.score?.total || 0);
     scores.push(currentAnalysis.score.total);
 
@@ -395,7 +726,7 @@ const Comparison = {
       recentScores: scores,
       averageScore: avgScore,
       streak,
-      totalAnalyses: history.length + 1,
+      totalAnalyses: totalCount + 1,
     };
   },
 
@@ -404,39 +735,15 @@ const Comparison = {
   // ────────────────────────────────────────────
 
   /**
-   * Update personal best if current score is higher.
+   * Get personal best outfit — the top of the score index.
+   * @returns {Promise<Object|null>}
    */
-  _updatePersonalBest(entry) {
-    try {
-      const current = this._getPersonalBest();
-      if (!current || entry.score.total > current.score.total) {
-        localStorage.setItem(this.BEST_KEY, JSON.stringify(entry));
-      }
-    } catch (error) {
-      console.warn('Failed to update personal best:', error);
-    }
-  },
+  async getPersonalBest() {
+    const db = await this._ready();
+    if (!db) return this._getLegacyBest();
 
-  /**
-   * Get personal best outfit.
-   * @returns {Object|null}
-   */
-  _getPersonalBest() {
-    try {
-      const data = localStorage.getItem(this.BEST_KEY);
-      if (!data) return null;
-      const parsed = JSON.parse(data);
-      return this._validateStoredEntry(parsed) ? parsed : null;
-    } catch {
-      return null;
-    }
-  },
-
-  /**
-   * Get personal best (public API).
-   */
-  getPersonalBest() {
-    return this._getPersonalBest();
+    const [best] = await this._readCursor(db, { index: 'score', direction: 'prev', limit: 1 });
+    return best || null;
   },
 
   // ────────────────────────────────────────────
@@ -445,10 +752,10 @@ const Comparison = {
 
   /**
    * Get aggregate statistics across all history.
-   * @returns {Object}
+   * @returns {Promise<Object>}
    */
-  getStatistics() {
-    const history = this._loadHistory();
+  async getStatistics() {
+    const history = await this._allEntries();
 
     if (history.length === 0) {
       return {
@@ -461,6 +768,11 @@ const Comparison = {
         mostCommonMood: null,
         scoreDistribution: {},
         improvementRate: 0,
+        scoreTimeline: [],
+        harmonyDistribution: {},
+        moodDistribution: {},
+        factorAverages: [],
+        colorFrequency: [],
       };
     }
 
@@ -500,20 +812,89 @@ const Comparison = {
         : 0,
       firstAnalysis: history[0]?.timestamp || null,
       lastAnalysis: history[history.length - 1]?.timestamp || null,
+      scoreTimeline: this._scoreTimeline(history),
+      harmonyDistribution: this._countBy(harmonies),
+      moodDistribution: this._countBy(moods),
+      factorAverages: this._factorAverages(history),
+      colorFrequency: this._colorFrequency(history),
     };
   },
 
+  ROLLING_WINDOW: 5,     // Outfits in the rolling score average
+
+  /** Score per entry (oldest first) with a trailing rolling average */
+  _scoreTimeline(history) {
+    const scores = history.map(h => h.score?.total || 0);
+
+    return history.map((h, i) => {
+      const window = scores.slice(Math.max(0, i - this.ROLLING_WINDOW + 1), i + 1);
+      return {
+        timestamp: h.timestamp,
+        score: scores[i],
+        rollingAverage: Math.round(window.reduce((a, b) => a + b, 0) / window.length),
+      };
+    });
+  },
+
+  /**
+   * Average share of the available points per scoring factor.
+   * Uses percentages since occasions weight factors differently.
+   * @returns {Array<{ category: string, average: number, samples: number }>} weakest first
+   */
+  _factorAverages(history) {
+    const totals = new Map();
+
+    history.forEach(h => {
+      (h.score?.breakdown || []).forEach(item => {
+        if (!item.max) return;
+        const total = totals.get(item.category) || { sum: 0, samples: 0 };
+        total.sum += (item.points / item.max) * 100;
+        total.samples++;
+        totals.set(item.category, total);
+      });
+    });
+
+    return [...totals.entries()]
+      .map(([category, t]) => ({ category, average: Math.round(t.sum / t.samples), samples: t.samples }))
+      .sort((a, b) => a.average - b.average);
+  },
+
+  /**
+   * Every garment color worn, grouped by color name.
+   * @returns {Array<{ name: string, hex: string, hsl: Object, count: number }>} most worn first
+   */
+  _colorFrequency(history) {
+    const groups = new Map();
+
+    history.forEach(h => {
+      Object.values(h.colors || {}).forEach(color => {
+        if (!color || !color.hex) return;
+        const key = color.name || color.hex;
+        const group = groups.get(key);
+        if (group) {
+          group.count++;
+        } else {
+          groups.set(key, { name: key, hex: color.hex, hsl: color.hsl || null, count: 1 });
+        }
+      });
+    });
+
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  },
+
   // ────────────────────────────────────────────
   //  EXPORT / IMPORT
   // ────────────────────────────────────────────
 
   /**
-   * Export all data as a JSON string.
-   * @returns {string}
+   * Export all data as a JSON string (without photos).
+   * @returns {Promise<string>}
    */
-  exportData() {
-    const history = this._loadHistory();
-    const best = this._getPersonalBest();
+  async exportData() {
+    // Photos aren't exported — drop the flags that point at them
+    const withoutPhoto = entry => entry && { ...entry, hasThumbnail: false, thumbnailBytes: 0 };
+    const history = (await this._allEntries()).map(withoutPhoto);
+    const best = withoutPhoto(await this.getPersonalBest());
 
     return JSON.stringify({
       version: this.CURRENT_VERSION,
@@ -525,55 +906,49 @@ const Comparison = {
 
   /**
    * Import data from a JSON string.
-   * Merges with existing history (deduplicates by id).
+   * Merges with existing history (deduplicates by id). A personal
+   * best that is missing from the history is imported as an entry.
    * @param {string} jsonString
-   * @returns {{ success: boolean, imported: number, message: string }}
+   * @returns {Promise<{ success: boolean, imported: number, message: string }>}
    */
-  importData(jsonString) {
+  async importData(jsonString) {
+    let data;
     try {
-      const data = JSON.parse(jsonString);
+      data = JSON.parse(jsonString);
+    } catch (error) {
+      return { success: false, imported: 0, message: 'Failed to parse import data: ' + error.message };
+    }
 
-      if (!data || !Array.isArray(data.history)) {
-        return { success: false, imported: 0, message: 'Invalid data format.' };
-      }
+    if (!data || !Array.isArray(data.history)) {
+      return { success: false, imported: 0, message: 'Invalid data format.' };
+    }
 
-      const existing = this._loadHistory();
-      const existingIds = new Set(existing.map(e => e.id));
+    try {
+      const existingIds = new Set((await this._allEntries()).map(e => e.id));
+      const incoming = data.personalBest ? [...data.history, data.personalBest] : data.history;
 
       // Merge — only add entries we don't already have
-      let importedCount = 0;
-      data.history.forEach(entry => {
-        if (this._validateStoredEntry(entry) && !existingIds.has(entry.id)) {
-          existing.push(entry);
-          importedCount++;
-        }
+      const additions = [];
+      incoming.forEach(entry => {
+        if (!this._validateStoredEntry(entry)) return;
+        const migrated = this._migrateEntry(entry);
+        if (existingIds.has(migrated.id)) return;
+        existingIds.add(migrated.id);
+        additions.push({ ...migrated, hasThumbnail: false, thumbnailBytes: 0 });
       });
 
-      // Sort by timestamp
-      existing.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-      // Trim
-      if (existing.length > this.MAX_HISTORY) {
-        existing.splice(0, existing.length - this.MAX_HISTORY);
-      }
-
-      this._saveHistory(existing);
-
-      // Update personal best
-      if (data.personalBest && this._validateStoredEntry(data.personalBest)) {
-        const currentBest = this._getPersonalBest();
-        if (!currentBest || data.personalBest.score.total > currentBest.score.total) {
-          localStorage.setItem(this.BEST_KEY, JSON.stringify(data.personalBest));
-        }
-      }
+      await this._putEntries(additions);
+      await this._trimHistory();
 
+      const importedCount = additions.length;
       return {
         success: true,
         imported: importedCount,
         message: `Successfully imported ${importedCount} outfit${importedCount !== 1 ? 's' : ''}.`
       };
     } catch (error) {
-      return { success: false, imported: 0, message: 'Failed to parse import data: ' + error.message };
+      console.error('Failed to import history:', error);
+      return { success: false, imported: 0, message: 'Failed to store imported data: ' + error.message };
     }
   },
 
@@ -583,10 +958,17 @@ const Comparison = {
 
   /**
    * Clear all history.
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  clearHistory() {
+  async clearHistory() {
     try {
+      const db = await this._ready();
+      if (db) {
+        await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+          store.clear();
+          tx.objectStore(this.THUMB_STORE).clear();
+        }, [this.STORE, this.THUMB_STORE]);
+      }
       localStorage.removeItem(this.STORAGE_KEY);
       localStorage.removeItem(this.BEST_KEY);
       return true;
@@ -599,24 +981,22 @@ const Comparison = {
   /**
    * Delete a specific entry by id.
    * @param {string} id
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  deleteEntry(id) {
+  async deleteEntry(id) {
     try {
-      const history = this._loadHistory();
-      const filtered = history.filter(h => h.id !== id);
-
-      if (filtered.length === history.length) return false; // Not found
-
-      this._saveHistory(filtered);
-
-      // Recalculate personal best if we deleted it
-      const best = this._getPersonalBest();
-      if (best && best.id === id) {
-        this._recalculatePersonalBest();
-      }
-
-      return true;
+      const db = await this._ready();
+      if (!db) return this._deleteLegacyEntry(id);
+
+      return await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) return done(false); // Not found
+          store.delete(id);
+          tx.objectStore(this.THUMB_STORE).delete(id);
+          done(true);
+        };
+      }, [this.STORE, this.THUMB_STORE]);
     } catch (error) {
       console.error('Failed to delete entry:', error);
       return false;
@@ -667,7 +1047,263 @@ const Comparison = {
   },
 
   // ────────────────────────────────────────────
-  //  INTERNAL HELPERS
+  //  INDEXEDDB BACKEND
+  // ────────────────────────────────────────────
+
+  /**
+   * Open the database once, importing legacy localStorage history
+   * and migrating old entries on first use.
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+   */
+  _ready() {
+    if (!this._dbPromise) {
+      this._dbPromise = this._openDatabase().then(async db => {
+        if (!db) return null;
+        try {
+          await this._importLegacyStorage(db);
+          await this._migrateStoredEntries(db);
+        } catch (error) {
+          console.error('History migration failed:', error);
+        }
+        return db;
+      });
+    }
+    return this._dbPromise;
+  },
+
+  _openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('IndexedDB unavailable — keeping history in localStorage');
+      return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        for (let v = event.oldVersion + 1; v <= this.DB_VERSION; v++) {
+          this.SCHEMA_UPGRADES[v](request.result, request.transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema — reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        console.warn('Failed to open IndexedDB — keeping history in localStorage:', request.error);
+        resolve(null);
+      };
+
+      request.onblocked = () => {
+        console.warn('History database upgrade blocked by another open tab');
+      };
+    });
+  },
+
+  /**
+   * Run `work(store, done, tx)` in a transaction; `store` is the first of `stores`.
+   * Resolves with the value passed to `done` once the transaction commits.
+   */
+  _runTransaction(db, mode, work, stores = [this.STORE]) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      work(tx.objectStore(stores[0]), value => { result = value; }, tx);
+    });
+  },
+
+  /** Walk a cursor over the store or one of its indexes, collecting entries */
+  _readCursor(db, { index = null, range = null, direction = 'next', limit = Infinity } = {}) {
+    return this._runTransaction(db, 'readonly', (store, done) => {
+      const source = index ? store.index(index) : store;
+      const entries = [];
+      done(entries);
+
+      if (limit <= 0) return;
+      source.openCursor(range, direction).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        entries.push(this._migrateEntry(cursor.value));
+        if (entries.length < limit) cursor.continue();
+      };
+    });
+  },
+
+  /** Build an IDBKeyRange from query bounds (null = everything) */
+  _keyRange(only, lower, upper) {
+    if (only !== undefined) return IDBKeyRange.only(only);
+    if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper);
+    if (lower !== undefined) return IDBKeyRange.lowerBound(lower);
+    if (upper !== undefined) return IDBKeyRange.upperBound(upper);
+    return null;
+  },
+
+  /** Resolve a dotted key path (e.g. 'score.total') on an entry */
+  _keyAt(entry, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), entry);
+  },
+
+  /**
+   * Copy localStorage history (and a personal best trimmed out of it)
+   * into IndexedDB, then remove the legacy keys.
+   */
+  async _importLegacyStorage(db) {
+    const imported = await this._runTransaction(db, 'readonly', (meta, done) => {
+      const request = meta.get('legacyImported');
+      request.onsuccess = () => done(!!request.result);
+    }, [this.META_STORE]);
+    if (imported) return;
+
+    const entries = this._loadHistory();
+    const best = this._getLegacyBest();
+    if (best && !entries.some(e => e.id === best.id)) {
+      entries.push(best);
+    }
+
+    await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+      entries.forEach(entry => store.put(entry));
+      tx.objectStore(this.META_STORE).put({ key: 'legacyImported', value: new Date().toISOString() });
+      done(entries.length);
+    }, [this.STORE, this.META_STORE]);
+
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+      localStorage.removeItem(this.BEST_KEY);
+    } catch { /* already imported — stale keys are harmless */ }
+  },
+
+  /** Upgrade stored entries older than CURRENT_VERSION in place */
+  _migrateStoredEntries(db) {
+    return this._runTransaction(db, 'readwrite', (store, done, tx) => {
+      const meta = tx.objectStore(this.META_STORE);
+      const request = meta.get('entryVersion');
+
+      request.onsuccess = () => {
+        if (request.result && request.result.value >= this.CURRENT_VERSION) return;
+
+        store.openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            meta.put({ key: 'entryVersion', value: this.CURRENT_VERSION });
+            return;
+          }
+          if ((cursor.value.version || 1) < this.CURRENT_VERSION) {
+            cursor.update(this._migrateEntry(cursor.value));
+          }
+          cursor.continue();
+        };
+      };
+    }, [this.STORE, this.META_STORE]);
+  },
+
+  // ── Storage primitives (IndexedDB, or legacy localStorage fallback) ──
+
+  /** All entries, oldest first */
+  async _allEntries() {
+    const db = await this._ready();
+    if (!db) return this._loadHistory();
+    return this._readCursor(db, { index: 'timestamp' });
+  },
+
+  /** Most recent entries, newest first */
+  async _recentEntries(limit) {
+    const db = await this._ready();
+    if (!db) return this._loadHistory().reverse().slice(0, limit);
+    return this._readCursor(db, { index: 'timestamp', direction: 'prev', limit });
+  },
+
+  async _countEntries() {
+    const db = await this._ready();
+    if (!db) return this._loadHistory().length;
+
+    return this._runTransaction(db, 'readonly', (store, done) => {
+      const request = store.count();
+      request.onsuccess = () => done(request.result);
+    });
+  },
+
+  /**
+   * @param {Array} entries
+   * @param {Object} [thumbnails] — entry id → data URL
+   */
+  async _putEntries(entries, thumbnails = {}) {
+    if (entries.length === 0) return;
+
+    const db = await this._ready();
+    if (!db) {
+      // Photos don't fit in localStorage
+      const stripped = entries.map(entry => ({ ...entry, hasThumbnail: false, thumbnailBytes: 0 }));
+      const history = this._loadHistory().concat(stripped);
+      history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      this._saveHistory(history.slice(-this.LEGACY_MAX_HISTORY));
+      stripped.forEach(entry => this._updateLegacyBest(entry));
+      return;
+    }
+
+    await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+      const thumbs = tx.objectStore(this.THUMB_STORE);
+      entries.forEach(entry => {
+        store.put(entry);
+        if (thumbnails[entry.id]) {
+          thumbs.put({ id: entry.id, dataUrl: thumbnails[entry.id] });
+        }
+      });
+    }, [this.STORE, this.THUMB_STORE]);
+  },
+
+  /** Delete the oldest entries beyond `keep` */
+  async _deleteOldest(keep) {
+    const db = await this._ready();
+    if (!db) {
+      const history = this._loadHistory();
+      this._saveHistory(keep > 0 ? history.slice(-keep) : []);
+      return;
+    }
+
+    await this._runTransaction(db, 'readwrite', (store, done, tx) => {
+      const thumbs = tx.objectStore(this.THUMB_STORE);
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - keep;
+        if (excess <= 0) return;
+
+        store.index('timestamp').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || excess <= 0) return;
+          thumbs.delete(cursor.primaryKey);
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+    }, [this.STORE, this.THUMB_STORE]);
+  },
+
+  /** Enforce MAX_HISTORY (keep most recent) */
+  _trimHistory() {
+    return this._deleteOldest(this.MAX_HISTORY);
+  },
+
+  /** Remove oldest half of history to free space */
+  async _pruneHistory() {
+    const count = await this._countEntries();
+    await this._deleteOldest(Math.ceil(count / 2));
+  },
+
+  // ────────────────────────────────────────────
+  //  LEGACY LOCALSTORAGE
   // ────────────────────────────────────────────
 
   /** Load history array from localStorage */
@@ -679,18 +1315,16 @@ const Comparison = {
       const parsed = JSON.parse(raw);
 
       // Handle legacy format (single object instead of array)
-      if (!Array.isArray(parsed)) {
-        // Migrate v1 (single entry) to v2 (array)
-        if (parsed && typeof parsed === 'object' && parsed.score) {
-          const migrated = { ...parsed, version: this.CURRENT_VERSION, id: this._generateId() };
-          this._saveHistory([migrated]);
-          return [migrated];
-        }
-        return [];
+      const entries = (Array.isArray(parsed) ? parsed : [parsed])
+        .filter(entry => this._validateStoredEntry(entry));
+
+      // Persist migrations so generated ids stay stable
+      if (!Array.isArray(parsed) || entries.some(entry => (entry.version || 1) < this.CURRENT_VERSION)) {
+        const migrated = entries.map(entry => this._migrateEntry(entry));
+        try { this._saveHistory(migrated); } catch { /* still usable read-only */ }
+        return migrated;
       }
-
-      // Validate entries
-      return parsed.filter(entry => this._validateStoredEntry(entry));
+      return entries;
     } catch (error) {
       console.error('Failed to load history:', error);
       return [];
@@ -702,6 +1336,48 @@ const Comparison = {
     localStorage.setItem(this.STORAGE_KEY, JSON.stringify(history));
   },
 
+  _getLegacyBest() {
+    try {
+      const data = localStorage.getItem(this.BEST_KEY);
+      if (!data) return null;
+      const parsed = JSON.parse(data);
+      return this._validateStoredEntry(parsed) ? this._migrateEntry(parsed) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  _updateLegacyBest(entry) {
+    try {
+      const current = this._getLegacyBest();
+      if (!current || entry.score.total > current.score.total) {
+        localStorage.setItem(this.BEST_KEY, JSON.stringify(entry));
+      }
+    } catch (error) {
+      console.warn('Failed to update personal best:', error);
+    }
+  },
+
+  _deleteLegacyEntry(id) {
+    const history = this._loadHistory();
+    const filtered = history.filter(h => h.id !== id);
+    if (filtered.length === history.length) return false; // Not found
+
+    this._saveHistory(filtered);
+
+    // Recalculate personal best if we deleted it
+    const best = this._getLegacyBest();
+    if (best && best.id === id) {
+      localStorage.removeItem(this.BEST_KEY);
+      filtered.forEach(entry => this._updateLegacyBest(entry));
+    }
+    return true;
+  },
+
+  // ────────────────────────────────────────────
+  //  INTERNAL HELPERS
+  // ────────────────────────────────────────────
+
   /** Validate that an analysis object has required fields */
   _validateAnalysisData(data) {
     if (!data || typeof data !== 'object') return false;
@@ -720,12 +1396,21 @@ const Comparison = {
     return true;
   },
 
+  /** Bring an entry up to CURRENT_VERSION, one migration at a time */
+  _migrateEntry(entry) {
+    let migrated = entry;
+    for (let v = (entry.version || 1) + 1; v <= this.CURRENT_VERSION; v++) {
+      migrated = { ...this.ENTRY_MIGRATIONS[v](migrated), version: v };
+    }
+    return migrated;
+  },
+
   /** Serialize colors for storage (strip unnecessary data) */
   _serializeColors(colors) {
     if (!colors) return null;
 
     const result = {};
-    ['top', 'bottom', 'shoes'].forEach(key => {
+    Object.keys(colors).forEach(key => {
       if (colors[key]) {
         result[key] = {
           hex: colors[key].hex,
@@ -748,6 +1433,15 @@ const Comparison = {
     return String(diff);
   },
 
+  /** Count occurrences of each item */
+  _countBy(arr) {
+    const counts = {};
+    arr.forEach(item => {
+      counts[item] = (counts[item] || 0) + 1;
+    });
+    return counts;
+  },
+
   /** Find most frequent item in an array */
   _mostFrequent(arr) {
     if (!arr || arr.length === 0) return null;
@@ -768,7 +1462,7 @@ const Comparison = {
     return maxItem;
   },
 
-  /** Check if error is a localStorage quota error */
+  /** Check if error is a storage quota error */
   _isQuotaError(error) {
     return (
       error.name === 'QuotaExceededError' ||
@@ -777,36 +1471,6 @@ const Comparison = {
       error.message?.includes('quota')
     );
   },
-
-  /** Remove oldest half of history to free space */
-  _pruneHistory() {
-    try {
-      const history = this._loadHistory();
-      const pruned = history.slice(Math.floor(history.length / 2));
-      this._saveHistory(pruned);
-    } catch {
-      // Last resort: clear everything
-      try { localStorage.removeItem(this.STORAGE_KEY); } catch { /* give up */ }
-    }
-  },
-
-  /** Recalculate personal best from history */
-  _recalculatePersonalBest() {
-    const history = this._loadHistory();
-    if (history.length === 0) {
-      localStorage.removeItem(this.BEST_KEY);
-      return;
-    }
-
-    let best = history[0];
-    history.forEach(entry => {
-      if (entry.score.total > best.score.total) {
-        best = entry;
-      }
-    });
-
-    localStorage.setItem(this.BEST_KEY, JSON.stringify(best));
-  },
 };
 
 // Export
@@ -25,6 +25,58 @@ const CropTool = {
   // Current finalized selection (in canvas pixel coords)
   _selection: null,
 
+  // Selection shape: 'rect' | 'lasso' | 'polygon' | 'wand'
+  mode: 'rect',
+
+  // Lasso / polygon state
+  _points: [],              // Vertices in canvas pixel coords
+  _shapeClosed: false,
+  _dragVertex: null,        // Index of the vertex being dragged
+  _hoverPoint: null,        // Cursor position while placing polygon points
+  _onChange: null,          // (selection | null) => void
+
+  // Magic wand state
+  wandTolerance: 12,        // ΔE (CIE76) from the tapped color
+  wandConnectivity: 4,      // 4 or 8 neighbours
+  _wandOps: [],             // [{ x, y, operation }] — replayed when tolerance / connectivity change
+  _wandMask: null,          // Uint8Array over the whole canvas
+  _wandBounds: null,        // Bounding box of _wandMask
+  _labCache: null,          // Float32Array L, a, b per pixel, filled lazily (NaN = not yet)
+
+  // Regions kept with addRegion — several selections that together make one garment
+  regions: [],              // Selections as returned by getSelection
+
+  // View — the canvas is zoomed / panned with a CSS transform, and
+  // _getCanvasCoords reads the transformed box, so selections stay in image px
+  zoom: 1,
+  _pan: { x: 0, y: 0 },     // CSS px translation, ≤ 0
+  _viewport: null,          // Wrapper that clips the zoomed canvas
+  _panDrag: null,           // { x, y, button } while dragging the view
+  _pinch: null,             // { distance, x, y } of the two-finger gesture
+  _spaceHeld: false,
+  _pointerInside: false,
+  _suppressClick: false,    // Swallow the click that ends a pan drag
+  _touchVertex: null,       // Polygon point placed by the touch in progress
+  _wandTap: null,           // Wand point under the finger, picked on release
+  _onViewChange: null,      // ({ zoom }) => void
+  _loupe: null,             // Magnifier canvas
+  _loupeSource: null,       // Clean copy of the image for the magnifier
+
+  MODES: {
+    rect:    { label: 'Rectangle', hint: 'Drag on the image to select a region — arrow keys nudge it, Shift+arrows resize it' },
+    lasso:   { label: 'Lasso',     hint: 'Draw around the garment, then drag points (or use the arrow keys) to adjust' },
+    polygon: { label: 'Polygon',   hint: 'Click to place points, click the first point (or double-click) to close — drag points to adjust, right-click one to remove it' },
+    wand:    { label: 'Magic Wand', hint: 'Tap the garment — Shift+click adds a region, Alt+click removes one; change the tolerance if it leaks or stops short' },
+  },
+
+  // [dx, dy] — Shift resizes instead of moving
+  NUDGE_KEYS: {
+    ArrowLeft:  [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp:    [0, -1],
+    ArrowDown:  [0, 1],
+  },
+
   // Visual config
   _config: {
     minSelectionSize: 15,        // Minimum px for valid selection
@@ -38,16 +90,41 @@ const CropTool = {
     infoFont: 'bold 13px Inter, system-ui, sans-serif',
     infoColor: '#ffffff',
     infoBg: 'rgba(0, 0, 0, 0.7)',
+    vertexRadius: 6,             // Display px — scaled to canvas px when drawing
+    lassoMinDistance: 4,         // Canvas px between recorded lasso points
+    lassoTolerance: 2,           // Simplification tolerance (canvas px)
+    closeDistance: 12,           // Display px — clicking this close to the first point closes the polygon
+    wandMinPixels: 50,           // Smaller wand regions don't count as a selection
+    wandMaxTolerance: 50,
+    wandEdgeColor: [250, 204, 21],
+    maxZoom: 8,
+    wheelZoomSpeed: 0.0015,      // Zoom factor per wheel delta px (exponential)
+    pixelatedZoom: 3,            // Show hard pixel edges from this zoom up
+    loupeSize: 120,              // Display px
+    loupeRadius: 7,              // Image px each side of the centre → 15 × 15 grid
+    loupeOffset: 24,             // Display px between pointer and loupe
+    loupeFont: 'bold 11px Inter, system-ui, sans-serif',
+    maxRegions: 8,
+    regionStroke: '#34d399',     // Green — kept regions vs. the indigo selection in progress
+    regionBadgeRadius: 10,       // Display px
   },
 
   // ────────────────────────────────────────────
   //  INITIALIZATION
   // ────────────────────────────────────────────
 
-  init(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {string} options.mode - 'rect' (default) | 'lasso' | 'polygon' | 'wand'
+   * @param {Function} options.onViewChange - called with { zoom } when the zoom level changes
+   * @param {Function} options.onChange - called with getSelection() whenever the selection changes
+   */
+  init(canvas, options = {}) {
     // Clean up any previous instance
     if (this.canvas) {
       this._removeListeners();
+      this._teardownView();
     }
 
     this.canvas = canvas;
@@ -56,9 +133,16 @@ const CropTool = {
     this.hasSelection = false;
     this._selection = null;
     this._resizeHandle = null;
+    this.mode = this.MODES[options.mode] ? options.mode : 'rect';
+    this._onChange = options.onChange || null;
+    this._onViewChange = options.onViewChange || null;
+    this._labCache = null;
+    this.regions = [];
+    this._clearShape();
 
     // Save original image data (before any overlays)
     this.originalImageData = this.ctx.getImageData(0, 0, canvas.width, canvas.height);
+    this._wrapViewport(canvas);
 
     // Create bound handlers ONCE so we can remove them later
     this._boundHandlers = {
@@ -68,7 +152,12 @@ const CropTool = {
       touchstart: this._onTouchStart.bind(this),
       touchmove: this._onTouchMove.bind(this),
       touchend: this._onTouchEnd.bind(this),
+      dblclick: this._onDoubleClick.bind(this),
       contextmenu: (e) => e.preventDefault(), // Prevent right-click menu on canvas
+      wheel: this._onWheel.bind(this),
+      click: this._onClickCapture.bind(this),
+      keydown: this._onKeyDown.bind(this),
+      keyup: this._onKeyUp.bind(this),
     };
 
     // Attach listeners
@@ -78,19 +167,24 @@ const CropTool = {
     canvas.addEventListener('touchstart', this._boundHandlers.touchstart, { passive: false });
     canvas.addEventListener('touchmove', this._boundHandlers.touchmove, { passive: false });
     canvas.addEventListener('touchend', this._boundHandlers.touchend, { passive: false });
+    canvas.addEventListener('dblclick', this._boundHandlers.dblclick);
     canvas.addEventListener('contextmenu', this._boundHandlers.contextmenu);
+    canvas.addEventListener('wheel', this._boundHandlers.wheel, { passive: false });
+    canvas.addEventListener('click', this._boundHandlers.click, true);
 
     // Also listen on document for mouseup (in case user drags outside canvas)
     document.addEventListener('mouseup', this._boundHandlers.mouseup);
     document.addEventListener('mousemove', this._boundHandlers.mousemove);
+    document.addEventListener('keydown', this._boundHandlers.keydown);
+    document.addEventListener('keyup', this._boundHandlers.keyup);
 
     canvas.style.cursor = 'crosshair';
   },
 
   // ────────────────────────────────────────────
   //  COORDINATE SCALING
-  //  Canvas can be CSS-scaled (max-width: 100%),
-  //  so display size ≠ canvas pixel size.
+  //  Canvas can be CSS-scaled (max-width: 100%) and
+  //  zoomed, so display size ≠ canvas pixel size.
   // ────────────────────────────────────────────
 
   _getCanvasCoords(clientX, clientY) {
@@ -115,6 +209,28 @@ const CropTool = {
   // ────────────────────────────────────────────
 
   _onMouseDown(e) {
+    this._suppressClick = false;
+
+    // Middle button or Space + drag pans the view
+    if (e.button === 1 || (e.button === 0 && this._spaceHeld)) {
+      e.preventDefault();
+      this._panDrag = { x: e.clientX, y: e.clientY, button: e.button };
+      this.canvas.style.cursor = 'grabbing';
+      this._hideLoupe();
+      return;
+    }
+
+    if (this.mode === 'wand') {
+      if (e.button === 0) {
+        const operation = e.shiftKey ? 'add' : e.altKey ? 'subtract' : 'replace';
+        this._wandSelect(this._getCanvasCoords(e.clientX, e.clientY), operation);
+      }
+      return;
+    }
+    if (this.mode !== 'rect') {
+      this._shapeStart(this._getCanvasCoords(e.clientX, e.clientY), e.button);
+      return;
+    }
     if (e.button !== 0) return; // Left click only
 
     const coords = this._getCanvasCoords(e.clientX, e.clientY);
@@ -144,8 +260,29 @@ const CropTool = {
   },
 
   _onMouseMove(e) {
+    if (this._panDrag) {
+      this._panBy(e.clientX - this._panDrag.x, e.clientY - this._panDrag.y);
+      this._panDrag.x = e.clientX;
+      this._panDrag.y = e.clientY;
+      return;
+    }
+
     const coords = this._getCanvasCoords(e.clientX, e.clientY);
 
+    this._pointerInside = e.target === this.canvas;
+    if (this._pointerInside) {
+      this._showLoupe(e.clientX, e.clientY, coords);
+    } else {
+      this._hideLoupe();
+    }
+
+    if (this.mode === 'wand') return;
+
+    if (this.mode !== 'rect') {
+      this._shapeMove(coords, e.target === this.canvas);
+      return;
+    }
+
     // Resize handle drag
     if (this._resizeHandle && this._resizeStartSelection) {
       this._performResize(coords.x, coords.y);
@@ -171,6 +308,18 @@ const CropTool = {
   },
 
   _onMouseUp(e) {
+    if (this._panDrag) {
+      this._suppressClick = this._panDrag.button === 0;
+      this._panDrag = null;
+      this.canvas.style.cursor = this._spaceHeld ? 'grab' : 'crosshair';
+      return;
+    }
+    if (this.mode === 'wand') return;
+    if (this.mode !== 'rect') {
+      this._shapeEnd();
+      return;
+    }
+
     if (this._resizeHandle) {
       this._resizeHandle = null;
       this._resizeStartSelection = null;
@@ -189,15 +338,34 @@ const CropTool = {
   },
 
   // ────────────────────────────────────────────
-  //  TOUCH EVENTS (single-touch only)
+  //  TOUCH EVENTS (one finger selects, two zoom / pan)
   // ────────────────────────────────────────────
 
   _onTouchStart(e) {
-    if (e.touches.length !== 1) return; // Ignore multi-touch
+    if (e.touches.length === 2) {
+      e.preventDefault();
+      this._startPinch(e.touches);
+      return;
+    }
+    if (e.touches.length !== 1 || this._pinch) return; // Ignore other multi-touch
     e.preventDefault();
 
     const touch = e.touches[0];
     const coords = this._getCanvasCoords(touch.clientX, touch.clientY);
+    this._showLoupe(touch.clientX, touch.clientY, coords, true);
+
+    // The wand picks where the finger lifts, so the loupe can be used to aim
+    if (this.mode === 'wand') {
+      this._wandTap = coords;
+      return;
+    }
+    if (this.mode !== 'rect') {
+      this._shapeStart(coords, 0);
+      this._touchVertex = this.mode === 'polygon' && this.isSelecting
+        ? this._points[this._points.length - 1]
+        : null;
+      return;
+    }
 
     // Check resize handles
     if (this.hasSelection && this._selection) {
@@ -221,11 +389,27 @@ const CropTool = {
   },
 
   _onTouchMove(e) {
+    if (this._pinch) {
+      e.preventDefault();
+      if (e.touches.length === 2) this._movePinch(e.touches);
+      return;
+    }
     if (e.touches.length !== 1) return;
     e.preventDefault();
 
     const touch = e.touches[0];
     const coords = this._getCanvasCoords(touch.clientX, touch.clientY);
+    this._showLoupe(touch.clientX, touch.clientY, coords, true);
+
+    if (this.mode === 'wand') {
+      this._wandTap = coords;
+      return;
+    }
+
+    if (this.mode !== 'rect') {
+      this._shapeMove(coords, true);
+      return;
+    }
 
     if (this._resizeHandle && this._resizeStartSelection) {
       this._performResize(coords.x, coords.y);
@@ -242,6 +426,23 @@ const CropTool = {
   _onTouchEnd(e) {
     e.preventDefault();
 
+    if (this._pinch) {
+      if (e.touches.length === 0) this._pinch = null;
+      return;
+    }
+    this._hideLoupe();
+    this._touchVertex = null;
+
+    if (this.mode === 'wand') {
+      if (this._wandTap) this._wandSelect(this._wandTap, 'replace');
+      this._wandTap = null;
+      return;
+    }
+    if (this.mode !== 'rect') {
+      this._shapeEnd();
+      return;
+    }
+
     if (this._resizeHandle) {
       this._resizeHandle = null;
       this._resizeStartSelection = null;
@@ -254,6 +455,337 @@ const CropTool = {
     this._finalizeCurrentSelection();
   },
 
+  // ────────────────────────────────────────────
+  //  ZOOM & PAN
+  //  Wheel / pinch zoom about the pointer; Space + drag,
+  //  middle-drag or two fingers pan. The view never leaves
+  //  the canvas's own box, so the image always fills it.
+  // ────────────────────────────────────────────
+
+  _onWheel(e) {
+    e.preventDefault();
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Lines → px
+    this._zoomAt(e.clientX, e.clientY, this.zoom * Math.exp(-delta * this._config.wheelZoomSpeed));
+    this._showLoupe(e.clientX, e.clientY, this._getCanvasCoords(e.clientX, e.clientY));
+  },
+
+  /** Zoom to `zoom`, keeping the image point under (clientX, clientY) in place */
+  _zoomAt(clientX, clientY, zoom) {
+    const next = Math.max(1, Math.min(this._config.maxZoom, zoom));
+    if (next === this.zoom) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const u = (clientX - rect.left) / this.zoom;
+    const v = (clientY - rect.top) / this.zoom;
+    const originX = rect.left - this._pan.x;
+    const originY = rect.top - this._pan.y;
+
+    this.zoom = next;
+    this._pan = { x: clientX - originX - u * next, y: clientY - originY - v * next };
+    this._applyView();
+    if (this._onViewChange) this._onViewChange({ zoom: this.zoom });
+  },
+
+  _panBy(dx, dy) {
+    this._pan = { x: this._pan.x + dx, y: this._pan.y + dy };
+    this._applyView();
+  },
+
+  _applyView() {
+    const canvas = this.canvas;
+    const width = canvas.offsetWidth;   // Layout size — unaffected by the transform
+    const height = canvas.offsetHeight;
+
+    this._pan.x = Math.min(0, Math.max(width - width * this.zoom, this._pan.x));
+    this._pan.y = Math.min(0, Math.max(height - height * this.zoom, this._pan.y));
+
+    canvas.style.transformOrigin = '0 0';
+    canvas.style.transform = this.zoom === 1
+      ? ''
+      : `translate(${this._pan.x}px, ${this._pan.y}px) scale(${this.zoom})`;
+    canvas.style.imageRendering = this.zoom >= this._config.pixelatedZoom ? 'pixelated' : '';
+  },
+
+  _startPinch(touches) {
+    this._abortTouch();
+    this._hideLoupe();
+    this._pinch = this._pinchState(touches);
+  },
+
+  _movePinch(touches) {
+    const previous = this._pinch;
+    const next = this._pinchState(touches);
+
+    this._panBy(next.x - previous.x, next.y - previous.y);
+    if (previous.distance > 0) {
+      this._zoomAt(next.x, next.y, this.zoom * (next.distance / previous.distance));
+    }
+    this._pinch = next;
+  },
+
+  _pinchState(touches) {
+    const a = touches[0];
+    const b = touches[1];
+    return {
+      distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+      x: (a.clientX + b.clientX) / 2,
+      y: (a.clientY + b.clientY) / 2,
+    };
+  },
+
+  /** A second finger turned the touch into a pinch — drop what the first one started */
+  _abortTouch() {
+    this._wandTap = null;
+    this._dragVertex = null;
+
+    if (this.mode === 'rect') {
+      if (this._resizeHandle) this._selection = this._resizeStartSelection;
+      this._resizeHandle = null;
+      this._resizeStartSelection = null;
+      this.isSelecting = false;
+      this.hasSelection = !!this._selection;
+    } else if (this.mode === 'lasso' && this.isSelecting) {
+      this._points = [];
+      this.isSelecting = false;
+    } else if (this.mode === 'polygon' && this._touchVertex) {
+      if (this._points[this._points.length - 1] === this._touchVertex) this._points.pop();
+      if (this._points.length === 0) this.isSelecting = false;
+    }
+
+    this._touchVertex = null;
+    if (this.mode === 'rect' && !this._selection) {
+      this._restoreImage();
+    } else {
+      this._draw();
+    }
+  },
+
+  /** Put the canvas in a clipping box so the zoomed image stays in place on the page */
+  _wrapViewport(canvas) {
+    if (!canvas.parentNode) return;
+
+    const viewport = document.createElement('div');
+    viewport.className = 'crop-viewport';
+    canvas.parentNode.insertBefore(viewport, canvas);
+    viewport.appendChild(canvas);
+    this._viewport = viewport;
+  },
+
+  /** Undo zoom, unwrap the canvas and drop the loupe */
+  _teardownView() {
+    const canvas = this.canvas;
+    this.zoom = 1;
+    this._pan = { x: 0, y: 0 };
+    this._panDrag = null;
+    this._pinch = null;
+    this._spaceHeld = false;
+    this._pointerInside = false;
+    this._suppressClick = false;
+    this._touchVertex = null;
+    this._wandTap = null;
+
+    if (canvas) {
+      canvas.style.transform = '';
+      canvas.style.transformOrigin = '';
+      canvas.style.imageRendering = '';
+    }
+    if (this._viewport) {
+      if (canvas && this._viewport.parentNode) this._viewport.parentNode.insertBefore(canvas, this._viewport);
+      this._viewport.remove();
+      this._viewport = null;
+    }
+    if (this._loupe) {
+      this._loupe.remove();
+      this._loupe = null;
+    }
+    this._loupeSource = null;
+  },
+
+  _onClickCapture(e) {
+    if (!this._suppressClick) return;
+    this._suppressClick = false;
+    e.stopImmediatePropagation();
+  },
+
+  // ────────────────────────────────────────────
+  //  KEYBOARD — nudge / resize, Space to pan
+  // ────────────────────────────────────────────
+
+  _onKeyDown(e) {
+    if (this._isFormField(e.target)) return;
+
+    if (e.key === ' ') {
+      if (!this._pointerInside && !this._spaceHeld) return;
+      e.preventDefault(); // No page scroll, no re-pressing a focused button
+      if (!this._spaceHeld) {
+        this._spaceHeld = true;
+        this.canvas.style.cursor = 'grab';
+        this._hideLoupe();
+      }
+      return;
+    }
+
+    const arrow = this.NUDGE_KEYS[e.key];
+    if (!arrow || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (this._nudge(arrow[0], arrow[1], e.shiftKey)) e.preventDefault();
+  },
+
+  _onKeyUp(e) {
+    if (e.key !== ' ' || !this._spaceHeld) return;
+    e.preventDefault();
+    this._spaceHeld = false;
+    if (!this._panDrag) this.canvas.style.cursor = 'crosshair';
+  },
+
+  /** Keys typed into a control belong to the control */
+  _isFormField(el) {
+    return !!el && (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || el.isContentEditable);
+  },
+
+  /**
+   * Move (or with `resize`, grow / shrink) the finished selection by one
+   * display px — so the steps get finer as you zoom in.
+   * @returns {boolean} whether there was a selection to nudge
+   */
+  _nudge(dx, dy, resize) {
+    const step = Math.max(1, Math.round(this._toCanvasPx(1)));
+    if (this.mode === 'rect') return this._nudgeRect(dx * step, dy * step, resize);
+    if (this.mode === 'lasso' || this.mode === 'polygon') return this._nudgeShape(dx * step, dy * step, resize);
+    return false; // A wand selection follows the colors, not a position
+  },
+
+  _nudgeRect(dx, dy, resize) {
+    const sel = this._selection;
+    if (!this.hasSelection || !sel || this.isSelecting || this._resizeHandle) return false;
+
+    const { width, height } = this.canvas;
+    const min = this._config.minSelectionSize;
+    if (resize) {
+      sel.width = Math.max(min, Math.min(width - sel.x, sel.width + dx));
+      sel.height = Math.max(min, Math.min(height - sel.y, sel.height + dy));
+    } else {
+      sel.x = Math.max(0, Math.min(width - sel.width, sel.x + dx));
+      sel.y = Math.max(0, Math.min(height - sel.height, sel.y + dy));
+    }
+
+    this._draw();
+    this._emitChange();
+    return true;
+  },
+
+  /** Shift the vertices, or scale them from the bounding box's top-left corner */
+  _nudgeShape(dx, dy, resize) {
+    const points = this._points;
+    if (!this._shapeClosed || this._dragVertex !== null) return false;
+
+    const { width, height } = this.canvas;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(...ys);
+
+    if (resize) {
+      const min = this._config.minSelectionSize;
+      const w = maxX - minX;
+      const h = maxY - minY;
+      const sx = w > 0 ? Math.max(min, Math.min(width - minX, w + dx)) / w : 1;
+      const sy = h > 0 ? Math.max(min, Math.min(height - minY, h + dy)) / h : 1;
+      this._points = points.map(p => ({ x: minX + (p.x - minX) * sx, y: minY + (p.y - minY) * sy }));
+    } else {
+      const mx = Math.max(-minX, Math.min(width - maxX, dx));
+      const my = Math.max(-minY, Math.min(height - maxY, dy));
+      this._points = points.map(p => ({ x: p.x + mx, y: p.y + my }));
+    }
+
+    this._draw();
+    this._emitChange();
+    return true;
+  },
+
+  // ────────────────────────────────────────────
+  //  LOUPE — magnified pixels and the color under the pointer
+  // ────────────────────────────────────────────
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {{ x, y }} coords - image px under the pointer
+   * @param {boolean} touch - place it above the finger instead of beside the cursor
+   */
+  _showLoupe(clientX, clientY, { x, y }, touch = false) {
+    if (!this.originalImageData || this._panDrag || this._spaceHeld) return;
+
+    const cfg = this._config;
+    const loupe = this._ensureLoupe();
+    const ctx = loupe.getContext('2d');
+    const size = cfg.loupeSize;
+    const radius = cfg.loupeRadius;
+    const cell = size / (radius * 2 + 1);
+    const px = Math.min(this.canvas.width - 1, Math.floor(x));
+    const py = Math.min(this.canvas.height - 1, Math.floor(y));
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, size, size);
+    ctx.drawImage(this._loupeSource, px - radius, py - radius, radius * 2 + 1, radius * 2 + 1, 0, 0, size, size);
+
+    // Outline the centre pixel in black and white so it shows on any color
+    const c = radius * cell;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#000000';
+    ctx.strokeRect(c - 0.5, c - 0.5, cell + 1, cell + 1);
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeRect(c + 0.5, c + 0.5, cell - 1, cell - 1);
+
+    // Color readout
+    const data = this.originalImageData.data;
+    const i = (py * this.canvas.width + px) * 4;
+    const hex = ColorAnalysis.rgbToHex(data[i], data[i + 1], data[i + 2]);
+    const labelH = 20;
+    ctx.fillStyle = cfg.infoBg;
+    ctx.fillRect(0, size - labelH, size, labelH);
+    ctx.fillStyle = hex;
+    ctx.fillRect(4, size - labelH + 4, labelH - 8, labelH - 8);
+    ctx.font = cfg.loupeFont;
+    ctx.fillStyle = cfg.infoColor;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(hex.toUpperCase(), labelH, size - labelH / 2);
+
+    // Beside the cursor, or above the finger so it isn't covered
+    const gap = cfg.loupeOffset;
+    const left = touch ? clientX - size / 2 : clientX + gap;
+    const top = touch ? clientY - size - gap * 2 : clientY + gap;
+    loupe.style.left = `${Math.max(0, Math.min(window.innerWidth - size, left))}px`;
+    loupe.style.top = `${Math.max(0, Math.min(window.innerHeight - size, top))}px`;
+    loupe.style.display = 'block';
+  },
+
+  _hideLoupe() {
+    if (this._loupe) this._loupe.style.display = 'none';
+  },
+
+  _ensureLoupe() {
+    if (!this._loupeSource) {
+      const source = document.createElement('canvas');
+      source.width = this.canvas.width;
+      source.height = this.canvas.height;
+      source.getContext('2d').putImageData(this.originalImageData, 0, 0);
+      this._loupeSource = source;
+    }
+
+    if (!this._loupe) {
+      const loupe = document.createElement('canvas');
+      loupe.className = 'crop-loupe';
+      loupe.width = this._config.loupeSize;
+      loupe.height = this._config.loupeSize;
+      document.body.appendChild(loupe);
+      this._loupe = loupe;
+    }
+    return this._loupe;
+  },
+
   // ────────────────────────────────────────────
   //  SELECTION LOGIC
   // ──────��─────────────────────────────────────
@@ -281,6 +813,7 @@ const CropTool = {
       this.hasSelection = false;
       this._selection = null;
       this._restoreImage();
+      this._emitChange();
       return;
     }
 
@@ -292,6 +825,250 @@ const CropTool = {
     };
     this.hasSelection = true;
     this._draw();
+    this._emitChange();
+  },
+
+  _emitChange() {
+    if (this._onChange) this._onChange(this.getSelection());
+  },
+
+  // ────────────────────────────────────────────
+  //  LASSO / POLYGON
+  //  Lasso: press, draw, release. Polygon: one click per
+  //  vertex. Once closed, vertices can be dragged, inserted
+  //  (drag an edge midpoint) or removed (right-click).
+  // ────────────────────────────────────────────
+
+  _shapeStart({ x, y }, button = 0) {
+    const points = this._points;
+
+    if (this._shapeClosed) {
+      const vertex = this._hitTestVertex(x, y);
+      if (vertex !== null) {
+        if (button === 2) {
+          this._removeVertex(vertex);
+        } else if (button === 0) {
+          this._dragVertex = vertex;
+        }
+        return;
+      }
+
+      const midpoint = this._hitTestMidpoint(x, y);
+      if (midpoint !== null && button === 0) {
+        points.splice(midpoint + 1, 0, { x, y });
+        this._dragVertex = midpoint + 1;
+        this._draw();
+        return;
+      }
+
+      if (button !== 0) return;
+
+      // Pressing elsewhere starts a new shape
+      this._clearShape();
+      this.hasSelection = false;
+      this._emitChange();
+    }
+
+    if (button === 2) {
+      // Right-click while placing a polygon undoes the last point
+      if (this.mode === 'polygon' && points.length > 0) {
+        points.pop();
+        if (points.length === 0) this.isSelecting = false;
+        this._draw();
+      }
+      return;
+    }
+    if (button !== 0) return;
+
+    if (this.mode === 'lasso') {
+      this._points = [{ x, y }];
+      this.isSelecting = true;
+      return;
+    }
+
+    // Polygon: clicking near the first point closes it
+    if (points.length >= 3 && this._isNearFirstPoint(x, y)) {
+      this._closeShape();
+      return;
+    }
+
+    points.push({ x, y });
+    this.isSelecting = true;
+    this._hoverPoint = { x, y };
+    this._draw();
+  },
+
+  _shapeMove(coords, overCanvas) {
+    if (this._dragVertex !== null) {
+      this._points[this._dragVertex] = coords;
+      this._draw();
+      return;
+    }
+
+    if (this.isSelecting && this.mode === 'lasso') {
+      const last = this._points[this._points.length - 1];
+      if (Math.hypot(coords.x - last.x, coords.y - last.y) >= this._config.lassoMinDistance) {
+        this._points.push(coords);
+        this._draw();
+      }
+      return;
+    }
+
+    if (this.isSelecting && this.mode === 'polygon') {
+      this._hoverPoint = coords;
+      this._draw();
+      return;
+    }
+
+    if (this._shapeClosed && overCanvas) {
+      this.canvas.style.cursor = this._hitTestVertex(coords.x, coords.y) !== null
+        ? 'move'
+        : this._hitTestMidpoint(coords.x, coords.y) !== null ? 'copy' : 'crosshair';
+    }
+  },
+
+  _shapeEnd() {
+    if (this._dragVertex !== null) {
+      this._dragVertex = null;
+      this._draw();
+      this._emitChange();
+      return;
+    }
+
+    if (this.mode === 'lasso' && this.isSelecting) {
+      this.isSelecting = false;
+      this._points = this._simplify(this._points, this._config.lassoTolerance);
+      this._closeShape();
+    }
+  },
+
+  /** Double-click closes a polygon (its two clicks added duplicate points) */
+  _onDoubleClick(e) {
+    if (this.mode !== 'polygon' || !this.isSelecting) return;
+    e.preventDefault();
+
+    const points = this._points;
+    while (points.length > 1) {
+      const a = points[points.length - 1];
+      const b = points[points.length - 2];
+      if (Math.hypot(a.x - b.x, a.y - b.y) > this._toCanvasPx(this._config.closeDistance)) break;
+      points.pop();
+    }
+    this._closeShape();
+  },
+
+  _closeShape() {
+    const bounds = this._bounds(this._points);
+    const min = this._config.minSelectionSize;
+
+    this.isSelecting = false;
+    this._hoverPoint = null;
+
+    if (this._points.length < 3 || bounds.width < min || bounds.height < min) {
+      // Too small — start over
+      this._clearShape();
+      this.hasSelection = false;
+      this._restoreImage();
+      this._emitChange();
+      return;
+    }
+
+    this._shapeClosed = true;
+    this.hasSelection = true;
+    this._draw();
+    this._emitChange();
+  },
+
+  _removeVertex(index) {
+    if (this._points.length <= 3) return;
+    this._points.splice(index, 1);
+    this._draw();
+    this._emitChange();
+  },
+
+  _clearShape() {
+    this._points = [];
+    this._shapeClosed = false;
+    this._dragVertex = null;
+    this._hoverPoint = null;
+    this._wandOps = [];
+    this._wandMask = null;
+    this._wandBounds = null;
+  },
+
+  _isNearFirstPoint(x, y) {
+    const first = this._points[0];
+    return Math.hypot(x - first.x, y - first.y) <= this._toCanvasPx(this._config.closeDistance);
+  },
+
+  _hitTestVertex(x, y) {
+    const radius = this._toCanvasPx(this._config.vertexRadius + 6);
+    const index = this._points.findIndex(p => Math.hypot(x - p.x, y - p.y) <= radius);
+    return index === -1 ? null : index;
+  },
+
+  /** Index of the edge whose midpoint is under (x, y) */
+  _hitTestMidpoint(x, y) {
+    const radius = this._toCanvasPx(this._config.vertexRadius + 2);
+    const points = this._points;
+    for (let i = 0; i < points.length; i++) {
+      const mid = this._midpoint(points[i], points[(i + 1) % points.length]);
+      if (Math.hypot(x - mid.x, y - mid.y) <= radius) return i;
+    }
+    return null;
+  },
+
+  _midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  },
+
+  /** Convert a display-px size to canvas px (the canvas may be CSS-scaled) */
+  _toCanvasPx(size) {
+    const rect = this.canvas.getBoundingClientRect();
+    return rect.width > 0 ? size * (this.canvas.width / rect.width) : size;
+  },
+
+  /** Integer bounding box, clamped to the canvas */
+  _bounds(points) {
+    if (points.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const x = Math.max(0, Math.floor(Math.min(...xs)));
+    const y = Math.max(0, Math.floor(Math.min(...ys)));
+    return {
+      x,
+      y,
+      width: Math.min(this.canvas.width, Math.ceil(Math.max(...xs))) - x,
+      height: Math.min(this.canvas.height, Math.ceil(Math.max(...ys))) - y,
+    };
+  },
+
+  /** Ramer–Douglas–Peucker — drops lasso points that don't change the outline */
+  _simplify(points, tolerance) {
+    if (points.length < 3) return points;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const length = Math.hypot(last.x - first.x, last.y - first.y);
+    let maxDistance = 0;
+    let index = 0;
+
+    for (let i = 1; i < points.length - 1; i++) {
+      const p = points[i];
+      const distance = length === 0
+        ? Math.hypot(p.x - first.x, p.y - first.y)
+        : Math.abs((last.x - first.x) * (first.y - p.y) - (first.x - p.x) * (last.y - first.y)) / length;
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (maxDistance <= tolerance) return [first, last];
+    return [
+      ...this._simplify(points.slice(0, index + 1), tolerance).slice(0, -1),
+      ...this._simplify(points.slice(index), tolerance),
+    ];
   },
 
   // ────────────────────────────────────────────
@@ -391,11 +1168,208 @@ const CropTool = {
     this.hasSelection = true;
   },
 
+  // ────────────────────────────────────────────
+  //  MAGIC WAND
+  //  Region growing from the tapped pixel: neighbours join while
+  //  they stay within wandTolerance (ΔE) of the seed color. Skin
+  //  stops the fill unless the seed itself is skin-colored.
+  // ────────────────────────────────────────────
+
+  /**
+   * @param {{ x, y }} coords
+   * @param {'replace'|'add'|'subtract'} operation
+   */
+  _wandSelect({ x, y }, operation) {
+    if (operation === 'replace') this._wandOps = [];
+    if (operation === 'subtract' && !this._wandMask) return;
+
+    this._wandOps.push({
+      x: Math.min(this.canvas.width - 1, Math.floor(x)),
+      y: Math.min(this.canvas.height - 1, Math.floor(y)),
+      operation,
+    });
+    this._runWand();
+  },
+
+  /** Rebuild the mask from every wand click so far */
+  _runWand() {
+    const { width, height } = this.canvas;
+    const mask = new Uint8Array(width * height);
+
+    this._wandOps.forEach(({ x, y, operation }) => {
+      const region = this._floodFill(x, y);
+      const value = operation === 'subtract' ? 0 : 1;
+      for (let i = 0; i < region.length; i++) {
+        if (region[i] === 1) mask[i] = value;
+      }
+    });
+
+    // Bounding box and size
+    let count = 0;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) {
+        if (!mask[row + x]) continue;
+        count++;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+
+    if (count < this._config.wandMinPixels) {
+      this._wandMask = null;
+      this._wandBounds = null;
+      this.hasSelection = false;
+    } else {
+      this._wandMask = mask;
+      this._wandBounds = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, count };
+      this.hasSelection = true;
+    }
+
+    this._draw();
+    this._emitChange();
+  },
+
+  /**
+   * Grow a region from (sx, sy).
+   * @returns {Uint8Array} per canvas pixel: 1 = in the region, 2 = tested and rejected
+   */
+  _floodFill(sx, sy) {
+    const { width, height } = this.canvas;
+    const data = this.originalImageData.data;
+    const region = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    const tolerance2 = this.wandTolerance * this.wandTolerance;
+    const eight = this.wandConnectivity === 8;
+
+    const seed = this._seedColor(sx, sy);
+    const rejectSkin = !GarmentDetection._isSkinColor(seed.rgb);
+
+    const accepts = p => {
+      const lab = this._labAt(p);
+      const dL = lab[0] - seed.lab.L;
+      const da = lab[1] - seed.lab.a;
+      const db = lab[2] - seed.lab.b;
+      if (dL * dL + da * da + db * db > tolerance2) return false;
+      if (!rejectSkin) return true;
+      const i = p * 4;
+      return !GarmentDetection._isSkinColor({ r: data[i], g: data[i + 1], b: data[i + 2] });
+    };
+
+    let head = 0;
+    let tail = 0;
+    const start = sy * width + sx;
+    region[start] = 1;
+    queue[tail++] = start;
+
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width;
+      const y = (p - x) / width;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          if (!eight && dx !== 0 && dy !== 0) continue;
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+
+          const q = ny * width + nx;
+          if (region[q]) continue;
+          if (accepts(q)) {
+            region[q] = 1;
+            queue[tail++] = q;
+          } else {
+            region[q] = 2;
+          }
+        }
+      }
+    }
+
+    return region;
+  },
+
+  /** Mean color of the 3×3 block around the tap — one noisy pixel shouldn't set the target */
+  _seedColor(sx, sy) {
+    const { width, height } = this.canvas;
+    const data = this.originalImageData.data;
+    const sum = { r: 0, g: 0, b: 0 };
+    let count = 0;
+
+    for (let y = Math.max(0, sy - 1); y <= Math.min(height - 1, sy + 1); y++) {
+      for (let x = Math.max(0, sx - 1); x <= Math.min(width - 1, sx + 1); x++) {
+        const i = (y * width + x) * 4;
+        sum.r += data[i];
+        sum.g += data[i + 1];
+        sum.b += data[i + 2];
+        count++;
+      }
+    }
+
+    const rgb = { r: Math.round(sum.r / count), g: Math.round(sum.g / count), b: Math.round(sum.b / count) };
+    return { rgb, lab: ColorAnalysis.rgbToLab(rgb.r, rgb.g, rgb.b) };
+  },
+
+  /** Lab of one pixel, converted on first use and cached for the rest of the session */
+  _labAt(p) {
+    if (!this._labCache) {
+      this._labCache = new Float32Array(this.canvas.width * this.canvas.height * 3).fill(NaN);
+    }
+
+    const cache = this._labCache;
+    const j = p * 3;
+    if (Number.isNaN(cache[j])) {
+      const data = this.originalImageData.data;
+      const i = p * 4;
+      const lab = ColorAnalysis.rgbToLab(data[i], data[i + 1], data[i + 2]);
+      cache[j] = lab.L;
+      cache[j + 1] = lab.a;
+      cache[j + 2] = lab.b;
+    }
+    return cache.subarray(j, j + 3);
+  },
+
+  /**
+   * Set the wand tolerance (ΔE) and redo the current selection with it.
+   * @param {number} tolerance
+   */
+  setWandTolerance(tolerance) {
+    this.wandTolerance = Math.max(1, Math.min(this._config.wandMaxTolerance, Number(tolerance) || 1));
+    if (this.canvas && this.mode === 'wand' && this._wandOps.length > 0) this._runWand();
+  },
+
+  /**
+   * Set wand connectivity and redo the current selection with it.
+   * @param {number} connectivity - 4 (edges only) or 8 (edges and corners)
+   */
+  setWandConnectivity(connectivity) {
+    this.wandConnectivity = Number(connectivity) === 8 ? 8 : 4;
+    if (this.canvas && this.mode === 'wand' && this._wandOps.length > 0) this._runWand();
+  },
+
   // ────────────────────────────────────────────
   //  DRAWING — Rich visual feedback
   // ────────────────────────────────────────────
 
   _draw() {
+    if (this.mode === 'wand') {
+      this._drawWand();
+    } else if (this.mode !== 'rect') {
+      this._drawShape();
+    } else {
+      this._drawRect();
+    }
+
+    // Kept regions stay visible on top of the dimmed overlay
+    this._drawRegions();
+  },
+
+  _drawRect() {
     const cfg = this._config;
 
     // Restore original image
@@ -448,9 +1422,126 @@ const CropTool = {
     this._drawSizeLabel(rect);
   },
 
-  _drawSizeLabel(rect) {
+  _drawShape() {
+    const cfg = this._config;
+    const ctx = this.ctx;
+    const points = this._points;
+    const closed = this._shapeClosed;
+
+    this._restoreImage();
+    if (points.length === 0) return;
+
+    const tracePath = () => {
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      if (closed) ctx.closePath();
+    };
+
+    if (closed) {
+      // ── Dim everything outside the shape ──
+      ctx.beginPath();
+      ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+      tracePath();
+      ctx.fillStyle = cfg.overlayColor;
+      ctx.fill('evenodd');
+
+      ctx.beginPath();
+      tracePath();
+      ctx.fillStyle = cfg.selectionFill;
+      ctx.fill();
+    }
+
+    // ── Outline (plus the rubber band to the cursor while placing points) ──
+    ctx.beginPath();
+    tracePath();
+    if (!closed && this._hoverPoint) ctx.lineTo(this._hoverPoint.x, this._hoverPoint.y);
+    ctx.strokeStyle = this.isSelecting ? cfg.selectionStrokeActive : cfg.selectionStroke;
+    ctx.lineWidth = this._toCanvasPx(2);
+    ctx.setLineDash([6, 4].map(v => this._toCanvasPx(v)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // ── Vertices (not while freehand drawing) ──
+    if (this.mode === 'polygon' || closed) {
+      const radius = this._toCanvasPx(cfg.vertexRadius);
+      const closable = !closed && points.length >= 3 && this._hoverPoint &&
+        this._isNearFirstPoint(this._hoverPoint.x, this._hoverPoint.y);
+
+      points.forEach((p, i) => {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, i === 0 && closable ? radius * 1.5 : radius, 0, Math.PI * 2);
+        ctx.fillStyle = i === 0 && closable ? cfg.selectionStrokeActive : cfg.handleColor;
+        ctx.fill();
+        ctx.strokeStyle = cfg.handleBorder;
+        ctx.lineWidth = this._toCanvasPx(2);
+        ctx.stroke();
+      });
+
+      // Edge midpoints — drag one to insert a vertex
+      if (closed) {
+        ctx.fillStyle = cfg.handleBorder;
+        points.forEach((p, i) => {
+          const mid = this._midpoint(p, points[(i + 1) % points.length]);
+          ctx.beginPath();
+          ctx.arc(mid.x, mid.y, radius * 0.5, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      }
+    }
+
+    if (closed) {
+      const bounds = this._bounds(points);
+      this._drawSizeLabel(bounds, `${bounds.width} × ${bounds.height} · ${points.length} points`);
+    }
+  },
+
+  /** Dim outside the wand mask, tint inside, outline its edge */
+  _drawWand() {
+    const mask = this._wandMask;
+    if (!mask) {
+      this._restoreImage();
+      return;
+    }
+
+    const { width, height } = this.canvas;
+    const out = this.ctx.createImageData(width, height);
+    const src = this.originalImageData.data;
+    const dst = out.data;
+    const [er, eg, eb] = this._config.wandEdgeColor;
+    dst.set(src);
+
+    for (let p = 0; p < mask.length; p++) {
+      const i = p * 4;
+      if (!mask[p]) {
+        dst[i] = src[i] * 0.45;
+        dst[i + 1] = src[i + 1] * 0.45;
+        dst[i + 2] = src[i + 2] * 0.45;
+        continue;
+      }
+
+      const x = p % width;
+      const edge = x === 0 || x === width - 1 || p < width || p >= mask.length - width ||
+        !mask[p - 1] || !mask[p + 1] || !mask[p - width] || !mask[p + width];
+      if (edge) {
+        dst[i] = er;
+        dst[i + 1] = eg;
+        dst[i + 2] = eb;
+      } else {
+        // Same indigo as selectionFill
+        dst[i] = src[i] * 0.88 + 129 * 0.12;
+        dst[i + 1] = src[i + 1] * 0.88 + 140 * 0.12;
+        dst[i + 2] = src[i + 2] * 0.88 + 248 * 0.12;
+      }
+    }
+
+    this.ctx.putImageData(out, 0, 0);
+
+    const bounds = this._wandBounds;
+    const share = Math.round((bounds.count / (width * height)) * 1000) / 10;
+    this._drawSizeLabel(bounds, `${bounds.width} × ${bounds.height} · ${share}% of image`);
+  },
+
+  _drawSizeLabel(rect, text = `${Math.round(rect.width)} × ${Math.round(rect.height)}`) {
     const cfg = this._config;
-    const text = `${Math.round(rect.width)} × ${Math.round(rect.height)}`;
 
     this.ctx.font = cfg.infoFont;
     const metrics = this.ctx.measureText(text);
@@ -489,15 +1580,79 @@ const CropTool = {
   _restoreImage() {
     if (this.originalImageData && this.ctx) {
       this.ctx.putImageData(this.originalImageData, 0, 0);
+      this._drawRegions();
     }
   },
 
+  /** Outline and number each kept region */
+  _drawRegions() {
+    if (this.regions.length === 0) return;
+
+    const cfg = this._config;
+    const ctx = this.ctx;
+    const lineWidth = this._toCanvasPx(2);
+    const radius = this._toCanvasPx(cfg.regionBadgeRadius);
+
+    ctx.save();
+    ctx.setLineDash([]);
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = cfg.regionStroke;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${Math.round(radius * 1.2)}px Inter, system-ui, sans-serif`;
+
+    this.regions.forEach((region, i) => {
+      ctx.beginPath();
+      if (region.polygon) {
+        region.polygon.forEach((p, j) => (j === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+      } else {
+        ctx.rect(region.x, region.y, region.width, region.height);
+      }
+      ctx.stroke();
+
+      const bx = region.x + radius + lineWidth;
+      const by = region.y + radius + lineWidth;
+      ctx.fillStyle = cfg.regionStroke;
+      ctx.beginPath();
+      ctx.arc(bx, by, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#0f172a';
+      ctx.fillText(String(i + 1), bx, by);
+    });
+
+    ctx.restore();
+  },
+
   // ────────────────────────────────────────────
   //  PUBLIC API
   // ────────────────────────────────────────────
 
-  /** Get the current selection rectangle (in canvas pixel coords), or null */
+  /**
+   * Get the current selection (in canvas pixel coords), or null.
+   * Lasso / polygon selections are their bounding box plus
+   * `polygon` (vertices) and `mask` (see getMask); magic wand
+   * selections are a bounding box plus `mask`.
+   */
   getSelection() {
+    if (this.mode === 'wand') {
+      if (!this._wandMask) return null;
+      const { x, y, width, height } = this._wandBounds;
+      const mask = new Uint8Array(width * height);
+      for (let row = 0; row < height; row++) {
+        const start = (y + row) * this.canvas.width + x;
+        mask.set(this._wandMask.subarray(start, start + width), row * width);
+      }
+      return { x, y, width, height, mask };
+    }
+
+    if (this.mode !== 'rect') {
+      if (!this._shapeClosed) return null;
+      const polygon = this._points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+      const bounds = this._bounds(polygon);
+      return { ...bounds, polygon, mask: this.polygonMask(polygon, bounds) };
+    }
+
     if (this.hasSelection && this._selection) {
       return { ...this._selection };
     }
@@ -518,8 +1673,142 @@ const CropTool = {
     return null;
   },
 
+  /**
+   * The selection as a mask over its bounding box: 1 = selected pixel.
+   * A rectangle selects every pixel of its box.
+   * @returns {{ x, y, width, height, data: Uint8Array } | null}
+   */
+  getMask() {
+    const selection = this.getSelection();
+    if (!selection) return null;
+
+    const { x, y, width, height } = selection;
+    const data = selection.mask || new Uint8Array(width * height).fill(1);
+    return { x, y, width, height, data };
+  },
+
+  /**
+   * Rasterize a polygon over a rectangle, one byte per pixel.
+   * Scanline fill with the even-odd rule — a pixel is in when its centre
+   * passes the point-in-polygon test — without testing every pixel.
+   *
+   * @param {Array<{ x, y }>} polygon
+   * @param {{ x, y, width, height }} rect - integer box the mask covers
+   * @returns {Uint8Array} width × height, row-major
+   */
+  polygonMask(polygon, rect) {
+    const mask = new Uint8Array(rect.width * rect.height);
+    const n = polygon.length;
+
+    for (let row = 0; row < rect.height; row++) {
+      const cy = rect.y + row + 0.5;
+      const crossings = [];
+
+      for (let i = 0; i < n; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % n];
+        if ((a.y <= cy) !== (b.y <= cy)) {
+          crossings.push(a.x + ((cy - a.y) * (b.x - a.x)) / (b.y - a.y));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        const from = Math.max(0, Math.ceil(crossings[k] - rect.x - 0.5));
+        const to = Math.min(rect.width - 1, Math.ceil(crossings[k + 1] - rect.x - 0.5) - 1);
+        if (to >= from) mask.fill(1, row * rect.width + from, row * rect.width + to + 1);
+      }
+    }
+
+    return mask;
+  },
+
+  /**
+   * Switch selection shape; clears the current selection.
+   * @param {string} mode - 'rect' | 'lasso' | 'polygon' | 'wand'
+   */
+  setMode(mode) {
+    if (!this.MODES[mode]) {
+      throw new Error(`Unknown selection mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.reset();
+    if (this.canvas) this._emitChange();
+  },
+
+  /**
+   * Keep the current selection as a region and start a new one — for a
+   * garment split by an arm, a strap or a belt. Survives setMode, so
+   * regions can mix shapes.
+   * @returns {number} regions kept so far, or 0 when nothing was added
+   */
+  addRegion() {
+    if (!this.canAddRegion()) return 0;
+
+    this.regions.push(this.getSelection());
+    this.reset();
+    this._emitChange();
+    return this.regions.length;
+  },
+
+  /** @returns {boolean} there's a selection to keep and room for it */
+  canAddRegion() {
+    return !!this.getSelection() && this.regions.length < this._config.maxRegions;
+  },
+
+  /**
+   * @param {number} index - 0-based, as numbered on the canvas minus one
+   * @returns {boolean}
+   */
+  removeRegion(index) {
+    if (index < 0 || index >= this.regions.length) return false;
+
+    this.regions.splice(index, 1);
+    this._draw();
+    this._emitChange();
+    return true;
+  },
+
+  /**
+   * Kept regions plus the selection in progress, if any.
+   * @returns {Array<{ x, y, width, height, mask?, polygon? }>}
+   */
+  getRegions() {
+    const current = this.getSelection();
+    return current ? [...this.regions, current] : [...this.regions];
+  },
+
+  /** Pixels a selection covers — the set mask pixels, or the whole rect */
+  pixelCount(selection) {
+    if (!selection.mask) return Math.round(selection.width) * Math.round(selection.height);
+
+    let count = 0;
+    for (let i = 0; i < selection.mask.length; i++) count += selection.mask[i];
+    return count;
+  },
+
+  /**
+   * Zoom about the centre of the view.
+   * @param {number} factor - e.g. 1.5 to zoom in, 1 / 1.5 to zoom out
+   */
+  zoomBy(factor) {
+    if (!this.canvas) return;
+    const rect = (this._viewport || this.canvas).getBoundingClientRect();
+    this._zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, this.zoom * factor);
+  },
+
+  /** Back to the whole image */
+  resetView() {
+    if (!this.canvas || this.zoom === 1) return;
+    this.zoom = 1;
+    this._pan = { x: 0, y: 0 };
+    this._applyView();
+    if (this._onViewChange) this._onViewChange({ zoom: 1 });
+  },
+
   /** Reset selection and restore original image */
   reset() {
+    this._clearShape();
     this.isSelecting = false;
     this.hasSelection = false;
     this._selection = null;
@@ -534,25 +1823,19 @@ const CropTool = {
 
   /**
    * Extract color from the current crop selection.
-   * Uses the original (un-overlayed) image data for accurate color.
+   * Uses the original (un-overlayed) image data for accurate color;
+   * lasso / polygon / wand selections only sample pixels inside the mask.
    */
-  extractColorFromCrop(cropArea) {
-    if (!cropArea || !this.originalImageData) return null;
-
-    // Create a temporary canvas with original image data
-    // to avoid sampling from the overlay-drawn canvas
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = this.canvas.width;
-    tempCanvas.height = this.canvas.height;
-    const tempCtx = tempCanvas.getContext('2d');
-    tempCtx.putImageData(this.originalImageData, 0, 0);
+  extractColorFromCrop(cropArea, tempCanvas = this._cleanCanvas()) {
+    if (!cropArea || !tempCanvas) return null;
 
     const rgb = ColorAnalysis.extractAverageColor(
       tempCanvas,
       cropArea.x,
       cropArea.y,
       cropArea.width,
-      cropArea.height
+      cropArea.height,
+      cropArea.mask || null
     );
 
     const hsl = ColorAnalysis.rgbToHsl(rgb.r, rgb.g, rgb.b);
@@ -565,6 +1848,69 @@ const CropTool = {
     };
   },
 
+  /**
+   * One color for several regions: each region's average weighted by its
+   * pixel count, plus a palette quantized from all of their pixels together.
+   * @param {Array<{ x, y, width, height, mask? }>} regions - e.g. getRegions()
+   * @param {HTMLCanvasElement} [tempCanvas] - image to sample (default: the clean original)
+   * @returns {{ rgb, hsl, hex, name, dominantColors, isPattern, pixelCount }|null}
+   */
+  extractColorFromRegions(regions, tempCanvas = this._cleanCanvas()) {
+    if (!regions || regions.length === 0 || !tempCanvas) return null;
+
+    const sums = { r: 0, g: 0, b: 0 };
+    let total = 0;
+    let pixels = [];
+
+    regions.forEach(region => {
+      const weight = this.pixelCount(region);
+      if (weight === 0) return;
+
+      const { rgb } = this.extractColorFromCrop(region, tempCanvas);
+      sums.r += rgb.r * weight;
+      sums.g += rgb.g * weight;
+      sums.b += rgb.b * weight;
+      total += weight;
+
+      // Sampled at a fixed stride, so bigger regions already contribute more
+      pixels = pixels.concat(GarmentDetection._getPixelData(tempCanvas, region));
+    });
+
+    if (total === 0) return null;
+
+    const rgb = {
+      r: Math.round(sums.r / total),
+      g: Math.round(sums.g / total),
+      b: Math.round(sums.b / total),
+    };
+    const hsl = ColorAnalysis.rgbToHsl(rgb.r, rgb.g, rgb.b);
+    const dominantColors = GarmentDetection._getDominantColorsFromPixels(pixels, GarmentDetection._config.palette.count);
+
+    return {
+      rgb,
+      hsl,
+      hex: ColorAnalysis.rgbToHex(rgb.r, rgb.g, rgb.b),
+      name: ColorAnalysis.getColorDescription({ hsl }),
+      dominantColors,
+      isPattern: GarmentDetection._isPattern(dominantColors),
+      pixelCount: total,
+    };
+  },
+
+  /**
+   * A canvas holding the original image data, so sampling
+   * never picks up the overlay drawn on the visible one.
+   */
+  _cleanCanvas() {
+    if (!this.originalImageData) return null;
+
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = this.originalImageData.width;
+    tempCanvas.height = this.originalImageData.height;
+    tempCanvas.getContext('2d').putImageData(this.originalImageData, 0, 0);
+    return tempCanvas;
+  },
+
   /**
    * Get a live color preview of the current selection.
    * Useful for showing the user what color they're selecting
@@ -584,6 +1930,7 @@ const CropTool = {
   /** Remove all event listeners and free memory. Does NOT replace the canvas node. */
   destroy() {
     this._removeListeners();
+    this._teardownView();
 
     if (this.canvas) {
       this.canvas.style.cursor = 'default';
@@ -594,6 +1941,11 @@ const CropTool = {
     this.ctx = null;
     this.originalImageData = null;
     this._selection = null;
+    this._onChange = null;
+    this._onViewChange = null;
+    this._labCache = null;
+    this.regions = [];
+    this._clearShape();
     this._resizeHandle = null;
     this._resizeStartSelection = null;
     this.isSelecting = false;
@@ -614,10 +1966,15 @@ const CropTool = {
     this.canvas.removeEventListener('touchstart', this._boundHandlers.touchstart);
     this.canvas.removeEventListener('touchmove', this._boundHandlers.touchmove);
     this.canvas.removeEventListener('touchend', this._boundHandlers.touchend);
+    this.canvas.removeEventListener('dblclick', this._boundHandlers.dblclick);
     this.canvas.removeEventListener('contextmenu', this._boundHandlers.contextmenu);
+    this.canvas.removeEventListener('wheel', this._boundHandlers.wheel);
+    this.canvas.removeEventListener('click', this._boundHandlers.click, true);
 
     document.removeEventListener('mouseup', this._boundHandlers.mouseup);
     document.removeEventListener('mousemove', this._boundHandlers.mousemove);
+    document.removeEventListener('keydown', this._boundHandlers.keydown);
+    document.removeEventListener('keyup', this._boundHandlers.keyup);
 
     this._boundHandlers = null;
   }
@@ -6,13 +6,7 @@ const GarmentDetection = {
   // ────────────────────────────────────────────
 
   _config: {
-    // Zone proportions (based on typical outfit photo framing)
-    // Head/neck gap at top, larger torso, shoes are smallest
-    zones: {
-      top:    { yStart: 0.08, yEnd: 0.42, label: '👕 Top',    color: 'rgba(129, 140, 248, ALPHA)', border: '#818cf8' },
-      bottom: { yStart: 0.42, yEnd: 0.78, label: '👖 Bottom', color: 'rgba(168, 85, 247, ALPHA)',  border: '#a855f7' },
-      shoes:  { yStart: 0.78, yEnd: 0.97, label: '👟 Shoes',  color: 'rgba(6, 182, 212, ALPHA)',   border: '#06b6d4' },
-    },
+    // Zone proportions and colors come from the GarmentSlots registry
 
     // Horizontal margins — sample the center portion, skip background edges
     horizontalInset: 0.20,  // Skip 20% on each side → sample center 60%
@@ -29,11 +23,40 @@ const GarmentDetection = {
     // Minimum color confidence (0–1) to consider a detection valid
     minConfidence: 0.25,
 
+    // Palette quantizer (see ColorAnalysis.quantizePalette)
+    palette: {
+      method: 'kmeans',      // 'kmeans' | 'median-cut'
+      seeding: 'kmeans++',   // 'kmeans++' | 'median-cut'
+      count: 3,
+    },
+
+    // Live mode — weight of the newest frame in the running average (0–1)
+    liveSmoothing: 0.3,
+    // ΔE2000 jump treated as a garment change: follow it at once instead of fading
+    liveResetDeltaE: 35,
+
+    // Pose guide drawn over the camera preview
+    guideFill: 'rgba(255, 255, 255, 0.16)',
+    guideStroke: 'rgba(255, 255, 255, 0.75)',
+    guideShoulderWidth: 0.11,   // Half shoulder width, as a share of image height
+
     // Overlay
     overlayAlpha: 0.18,
     overlayAlphaHover: 0.30,
     borderWidth: 2,
     labelPadding: 8,
+
+    // Draggable zone boundaries (see ZONE PROPORTIONS)
+    minZoneShare: 0.04,       // Zones stay at least 4% of the height tall
+    minColumnShare: 0.10,     // Sampling column at least 10% of the width
+    handleColor: '#ffffff',
+    handleActiveColor: '#fbbf24',
+    handleRadius: 7,          // Knob size on a ~500 px tall image; scales with the canvas
+
+    // Zones from body landmarks (see POSE ZONES)
+    poseMinAnchors: 3,        // Shoulders plus at least two more landmarks
+    poseMaxStretch: 3,        // Body segments may be at most 3× longer or shorter than the registry's
+    poseMinVisible: 0.3,      // A slot less than 30% inside the photo is missing
   },
 
   // ────────────────────────────────────────────
@@ -41,16 +64,33 @@ const GarmentDetection = {
   // ──────��─────────────────────────────────────
 
   /**
-   * Detect three garment zones with smart proportions.
+   * Detect a zone per active garment slot with smart proportions.
    * Optionally uses edge-based body detection for horizontal cropping.
    *
    * @param {HTMLCanvasElement} canvas
    * @param {Object} options
    * @param {boolean} options.smartCrop — attempt to find body center (default: true)
-   * @returns {Object} zones — { top, bottom, shoes } each with { x, y, width, height, label, samplingRect }
+   * @param {string[]} options.slots — active slot keys (default: top, bottom, shoes)
+   * @param {Object} options.overrides — per-slot zone proportion overrides
+   * @param {{ left, right }|null} options.column — sampling column (0–1 of width); skips body detection
+   * @param {Object|null} options.segmentation — person mask (Segmentation.segment); its torso
+   *   column replaces the edge-based body detection
+   * @param {Object|null} options.pose — from fitPose; slot bands (overrides included) are
+   *   shares of the body instead of the height, and slots outside the photo get no zone
+   * @param {Object|null} options.landmarks — from BodyLandmarks.find; slots below the ankles
+   *   get no zone when the body runs off the bottom edge, fitted pose or not (see cutOffSlots)
+   * @returns {Object} zones — keyed by slot, each with { x, y, width, height, label, samplingRect, column }
    */
   detectZones(canvas, options = {}) {
-    const { smartCrop = true } = options;
+    const {
+      smartCrop = true,
+      slots = GarmentSlots.DEFAULT_ACTIVE,
+      overrides = {},
+      column = null,
+      segmentation = null,
+      pose = null,
+      landmarks = null,
+    } = options;
     const height = canvas.height;
     const width = canvas.width;
     const cfg = this._config;
@@ -58,7 +98,13 @@ const GarmentDetection = {
     // Determine horizontal sampling bounds
     let sampleX, sampleWidth;
 
-    if (smartCrop) {
+    if (column) {
+      sampleX = Math.round(width * column.left);
+      sampleWidth = Math.round(width * column.right) - sampleX;
+    } else if (segmentation && segmentation.column) {
+      sampleX = segmentation.column.x;
+      sampleWidth = segmentation.column.width;
+    } else if (smartCrop) {
       const bodyBounds = this._detectBodyColumn(canvas);
       if (bodyBounds) {
         sampleX = bodyBounds.x;
@@ -79,31 +125,43 @@ const GarmentDetection = {
     sampleWidth = Math.max(1, sampleWidth);
 
     // Build zones
+    const active = GarmentSlots.resolveActive(slots);
+    const cutOff = this.cutOffSlots(landmarks, active);
     const zones = {};
-    for (const [key, zCfg] of Object.entries(cfg.zones)) {
+    for (const key of active) {
+      const zone = { ...GarmentSlots.zoneFor(key, active), ...overrides[key] };
+      const zCfg = pose ? this._poseZone(pose, zone, height) : zone;
+      if (!zCfg || cutOff.includes(key)) continue;
       const zoneY = Math.floor(height * zCfg.yStart);
-      const zoneH = Math.floor(height * (zCfg.yEnd - zCfg.yStart));
+      const zoneH = Math.max(1, Math.floor(height * (zCfg.yEnd - zCfg.yStart)));
 
       // Inner sampling rect (with vertical inset to avoid zone boundaries)
       const vInset = Math.floor(zoneH * cfg.verticalInsetRatio);
       const innerY = zoneY + vInset;
       const innerH = Math.max(1, zoneH - vInset * 2);
 
+      // Horizontal span within the body column
+      const innerX = sampleX + Math.floor(sampleWidth * zCfg.xStart);
+      const innerW = Math.max(1, Math.floor(sampleWidth * (zCfg.xEnd - zCfg.xStart)));
+
       zones[key] = {
         // Full zone (for overlay drawing)
         x: 0,
         y: zoneY,
         width: width,
         height: zoneH,
-        label: zCfg.label,
+        label: GarmentSlots.label(key),
 
         // Inner sampling rectangle (for color extraction)
         samplingRect: {
-          x: sampleX,
+          x: innerX,
           y: innerY,
-          width: sampleWidth,
+          width: innerW,
           height: innerH,
         },
+
+        // Body column the sampling rect sits in (for the column handles)
+        column: { x: sampleX, width: sampleWidth },
       };
     }
 
@@ -197,54 +255,72 @@ const GarmentDetection = {
    *
    * @param {HTMLCanvasElement} canvas
    * @param {Object} zones
-   * @returns {Object} — { top, bottom, shoes } each with { rgb, hsl, hex, name, confidence, dominantColors }
+   * @param {Object|null} [segmentation] — person mask; background pixels are left out
+   * @returns {Object} — keyed by slot, each with { rgb, hsl, hex, name, confidence, dominantColors }
    */
-  extractZoneColors(canvas, zones) {
+  extractZoneColors(canvas, zones, segmentation = null) {
     const colors = {};
 
     for (const [key, zone] of Object.entries(zones)) {
-      const rect = zone.samplingRect || {
-        x: zone.x, y: zone.y, width: zone.width, height: zone.height
-      };
+      colors[key] = this.extractZoneColor(canvas, zone, segmentation);
+    }
+
+    return colors;
+  },
 
-      // Get raw pixel data for this zone
-      const pixelData = this._getPixelData(canvas, rect);
+  /**
+   * Extract the color of a single zone (see extractZoneColors).
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} zone
+   * @param {Object|null} [segmentation] — person mask (Segmentation.segment)
+   * @returns {{ rgb, hsl, hex, name, confidence, dominantColors, isPattern, pixelCount, filteredCount, masked }}
+   */
+  extractZoneColor(canvas, zone, segmentation = null) {
+    let rect = zone.samplingRect || {
+      x: zone.x, y: zone.y, width: zone.width, height: zone.height
+    };
 
-      // Filter out skin-colored pixels
-      const filtered = this._rejectSkinPixels(pixelData);
+    // Only the person's pixels — unless the mask barely reaches this zone
+    const mask = segmentation ? Segmentation.maskRect(segmentation, rect) : null;
+    if (mask) rect = { ...rect, mask };
 
-      // Get dominant color (trimmed mean of filtered pixels)
-      const dominant = this._getDominantFromPixels(filtered.length > 0 ? filtered : pixelData);
+    // Get raw pixel data for this zone
+    const pixelData = this._getPixelData(canvas, rect);
 
-      // Get top 3 dominant colors for pattern detection
-      const dominantColors = this._getDominantColorsFromPixels(
-        filtered.length > 0 ? filtered : pixelData,
-        3
-      );
+    // Filter out skin-colored pixels
+    const filtered = this._rejectSkinPixels(pixelData);
 
-      // Calculate confidence
-      const confidence = this._calculateConfidence(pixelData, filtered, dominant);
+    // Get dominant color (trimmed mean of filtered pixels)
+    const dominant = this._getDominantFromPixels(filtered.length > 0 ? filtered : pixelData);
 
-      const hsl = ColorAnalysis.rgbToHsl(dominant.r, dominant.g, dominant.b);
+    // Quantize into a small palette for pattern detection
+    const dominantColors = this._getDominantColorsFromPixels(
+      filtered.length > 0 ? filtered : pixelData,
+      this._config.palette.count
+    );
 
-      colors[key] = {
-        rgb: dominant,
-        hsl,
-        hex: ColorAnalysis.rgbToHex(dominant.r, dominant.g, dominant.b),
-        name: ColorAnalysis.getColorDescription({ hsl }),
-        confidence,
-        dominantColors,
-        isPattern: this._isPattern(dominantColors),
-        pixelCount: pixelData.length,
-        filteredCount: filtered.length,
-      };
-    }
+    // Calculate confidence
+    const confidence = this._calculateConfidence(pixelData, filtered, dominantColors);
 
-    return colors;
+    const hsl = ColorAnalysis.rgbToHsl(dominant.r, dominant.g, dominant.b);
+
+    return {
+      rgb: dominant,
+      hsl,
+      hex: ColorAnalysis.rgbToHex(dominant.r, dominant.g, dominant.b),
+      name: ColorAnalysis.getColorDescription({ hsl }),
+      confidence,
+      dominantColors,
+      isPattern: this._isPattern(dominantColors),
+      pixelCount: pixelData.length,
+      filteredCount: filtered.length,
+      masked: !!mask,
+    };
   },
 
   /**
    * Get array of { r, g, b } pixels from a canvas region.
+   * A rect.mask (Uint8Array over the rect, e.g. a lasso selection) limits sampling to its set pixels.
    */
   _getPixelData(canvas, rect) {
     const ctx = canvas.getContext('2d');
@@ -264,6 +340,7 @@ const GarmentDetection = {
     // Sample every 4th pixel for performance
     for (let i = 0; i < data.length; i += 16) {
       if (data[i + 3] < 128) continue; // Skip transparent
+      if (rect.mask && !rect.mask[Math.floor(i / 4 / w) * Math.round(rect.width) + ((i / 4) % w)]) continue;
       pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
     }
 
@@ -307,49 +384,19 @@ const GarmentDetection = {
   },
 
   /**
-   * Get top N dominant colors from pixel array using color bucketing.
+   * Get top N palette clusters from a pixel array.
+   * Each cluster has { rgb, hsl, lab, hex, share, spread, count }.
    */
   _getDominantColorsFromPixels(pixels, count = 3) {
     if (pixels.length === 0) return [];
 
-    const buckets = new Map();
-    const shift = 4; // 256 >> 4 = 16 buckets per channel
-
-    pixels.forEach(px => {
-      const key = `${px.r >> shift},${px.g >> shift},${px.b >> shift}`;
-      if (buckets.has(key)) {
-        const b = buckets.get(key);
-        b.count++;
-        b.totalR += px.r;
-        b.totalG += px.g;
-        b.totalB += px.b;
-      } else {
-        buckets.set(key, { count: 1, totalR: px.r, totalG: px.g, totalB: px.b });
-      }
-    });
-
-    return [...buckets.values()]
-      .sort((a, b) => b.count - a.count)
-      .slice(0, count)
-      .map(b => {
-        const rgb = {
-          r: Math.round(b.totalR / b.count),
-          g: Math.round(b.totalG / b.count),
-          b: Math.round(b.totalB / b.count),
-        };
-        const hsl = ColorAnalysis.rgbToHsl(rgb.r, rgb.g, rgb.b);
-        return {
-          rgb,
-          hsl,
-          hex: ColorAnalysis.rgbToHex(rgb.r, rgb.g, rgb.b),
-          frequency: b.count / pixels.length,
-        };
-      });
+    const { method, seeding } = this._config.palette;
+    return ColorAnalysis.quantizePalette(pixels, { method, seeding, count });
   },
 
   /**
    * Detect if the zone is likely a pattern (stripes, plaid, print).
-   * If the top 2 colors each have >20% frequency and are distinct, it's a pattern.
+   * If the top 2 clusters both hold a meaningful share and are distinct, it's a pattern.
    */
   _isPattern(dominantColors) {
     if (!dominantColors || dominantColors.length < 2) return false;
@@ -358,9 +405,13 @@ const GarmentDetection = {
     const c2 = dominantColors[1];
 
     // Both colors must have meaningful presence
-    if (c1.frequency < 0.25 || c2.frequency < 0.15) return false;
+    if (c1.share < 0.25 || c2.share < 0.15) return false;
+
+    // Colors must be visually distinct — ΔE2000 > 15 reads as a different color
+    if (ColorAnalysis.getColorSpace() === 'lch') {
+      return ColorAnalysis.deltaE(c1, c2) > 15;
+    }
 
-    // Colors must be visually distinct
     const hueDiff = ColorAnalysis.hueDifference(c1.hsl.h, c2.hsl.h);
     const lightDiff = Math.abs(c1.hsl.l - c2.hsl.l);
     const satDiff = Math.abs(c1.hsl.s - c2.hsl.s);
@@ -371,10 +422,10 @@ const GarmentDetection = {
   /**
    * Calculate detection confidence (0–1).
    * Based on: how many pixels survived filtering,
-   * color consistency within the zone, and whether
-   * a clear dominant color exists.
+   * color consistency within the zone (share and spread
+   * of the main palette cluster), and sample size.
    */
-  _calculateConfidence(allPixels, filteredPixels, dominantColor) {
+  _calculateConfidence(allPixels, filteredPixels, palette) {
     if (allPixels.length === 0) return 0;
 
     let confidence = 0;
@@ -383,22 +434,13 @@ const GarmentDetection = {
     const survivalRate = filteredPixels.length / allPixels.length;
     confidence += Math.min(1, survivalRate / 0.5) * 0.4; // 50%+ survival = full score
 
-    // Factor 2: Color consistency — how close are pixels to the dominant color (0.4 weight)
+    // Factor 2: Color consistency — a clear main cluster that is tight (0.4 weight)
     const samplePixels = filteredPixels.length > 0 ? filteredPixels : allPixels;
-    const sample = samplePixels.slice(0, 200); // Limit for performance
-    if (sample.length > 0) {
-      let totalDist = 0;
-      sample.forEach(px => {
-        totalDist += Math.sqrt(
-          Math.pow(px.r - dominantColor.r, 2) +
-          Math.pow(px.g - dominantColor.g, 2) +
-          Math.pow(px.b - dominantColor.b, 2)
-        );
-      });
-      const avgDist = totalDist / sample.length;
-      // Lower distance = higher confidence. Max expected distance ~200
-      const consistencyScore = Math.max(0, 1 - avgDist / 150);
-      confidence += consistencyScore * 0.4;
+    const main = palette && palette[0];
+    if (main) {
+      const shareScore = Math.min(1, main.share / 0.6);         // 60%+ in one cluster = full score
+      const compactness = Math.max(0, 1 - main.spread / 30);    // ΔE76 spread of ~30 = noise
+      confidence += shareScore * compactness * 0.4;
     }
 
     // Factor 3: Sufficient pixel count (0.2 weight)
@@ -420,6 +462,352 @@ const GarmentDetection = {
     return Math.round(trimmed.reduce((s, v) => s + v, 0) / trimmed.length);
   },
 
+  // ────────────────────────────────────────────
+  //  LIVE SMOOTHING
+  //  Exponential moving average across camera frames so
+  //  colors and zone boxes don't flicker.
+  // ────────────────────────────────────────────
+
+  /**
+   * Blend newly extracted colors into the running colors.
+   * @param {Object|null} previous — last smoothed colors, keyed by slot
+   * @param {Object} next — colors from the newest frame
+   * @param {number} [factor] — weight of the newest frame
+   * @returns {Object} smoothed colors, keyed by slot
+   */
+  smoothColors(previous, next, factor = this._config.liveSmoothing) {
+    const smoothed = {};
+
+    for (const [key, color] of Object.entries(next)) {
+      const prev = previous && previous[key];
+      if (!prev || ColorAnalysis.deltaE(prev, color) > this._config.liveResetDeltaE) {
+        smoothed[key] = color;
+        continue;
+      }
+
+      const mix = (a, b) => Math.round(a + (b - a) * factor);
+      const rgb = {
+        r: mix(prev.rgb.r, color.rgb.r),
+        g: mix(prev.rgb.g, color.rgb.g),
+        b: mix(prev.rgb.b, color.rgb.b),
+      };
+      const hsl = ColorAnalysis.rgbToHsl(rgb.r, rgb.g, rgb.b);
+
+      smoothed[key] = {
+        ...color,
+        rgb,
+        hsl,
+        hex: ColorAnalysis.rgbToHex(rgb.r, rgb.g, rgb.b),
+        name: ColorAnalysis.getColorDescription({ hsl }),
+        confidence: Math.round((prev.confidence + (color.confidence - prev.confidence) * factor) * 100) / 100,
+      };
+    }
+
+    return smoothed;
+  },
+
+  /**
+   * Blend newly detected zones into the running zones.
+   * @param {Object|null} previous
+   * @param {Object} next
+   * @param {number} [factor]
+   * @returns {Object} zones
+   */
+  smoothZones(previous, next, factor = this._config.liveSmoothing) {
+    const smoothed = {};
+    const mixRect = (a, b) => {
+      const rect = {};
+      ['x', 'y', 'width', 'height'].forEach(k => {
+        rect[k] = Math.round(a[k] + (b[k] - a[k]) * factor);
+      });
+      return rect;
+    };
+
+    for (const [key, zone] of Object.entries(next)) {
+      const prev = previous && previous[key];
+      // Frame size changed (camera switch) — start over
+      if (!prev || prev.width !== zone.width) {
+        smoothed[key] = zone;
+        continue;
+      }
+
+      smoothed[key] = {
+        ...zone,
+        ...mixRect(prev, zone),
+        samplingRect: mixRect(prev.samplingRect, zone.samplingRect),
+      };
+    }
+
+    return smoothed;
+  },
+
+  // ────────────────────────────────────────────
+  //  BURST FUSION
+  // ────────────────────────────────────────────
+
+  /**
+   * Fuse colors extracted from several frames of the same outfit.
+   * Per slot, takes the per-channel median (robust to a blurred or
+   * badly lit frame) and keeps the palette of the frame closest to it.
+   *
+   * @param {Object[]} colorSets — extractZoneColors results, one per frame
+   * @returns {Object} fused colors, keyed by slot
+   */
+  fuseColors(colorSets) {
+    const fused = {};
+    const sets = colorSets.filter(Boolean);
+    if (sets.length === 0) return fused;
+
+    for (const key of Object.keys(sets[0])) {
+      const samples = sets.map(set => set[key]).filter(Boolean);
+      if (samples.length === 0) {
+        fused[key] = null; // Slot missing from every frame
+        continue;
+      }
+
+      const rgb = {
+        r: Math.round(this._median(samples.map(c => c.rgb.r))),
+        g: Math.round(this._median(samples.map(c => c.rgb.g))),
+        b: Math.round(this._median(samples.map(c => c.rgb.b))),
+      };
+      const closest = samples.reduce((best, c) =>
+        (ColorAnalysis.deltaE(c, { rgb }) < ColorAnalysis.deltaE(best, { rgb }) ? c : best)
+      );
+      const hsl = ColorAnalysis.rgbToHsl(rgb.r, rgb.g, rgb.b);
+
+      fused[key] = {
+        ...closest,
+        rgb,
+        hsl,
+        hex: ColorAnalysis.rgbToHex(rgb.r, rgb.g, rgb.b),
+        name: ColorAnalysis.getColorDescription({ hsl }),
+        confidence: Math.round(this._median(samples.map(c => c.confidence)) * 100) / 100,
+        fusedFrames: samples.length,
+      };
+    }
+
+    return fused;
+  },
+
+  _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+
+  // ────────────────────────────────────────────
+  //  POSE GUIDE
+  // ────────────────────────────────────────────
+
+  /**
+   * Where detectZones expects the body, as fractions of image height —
+   * read from the slot zones, so the guide follows any change to them.
+   * @returns {{ head, chin, waist, knees, ankles, feet }}
+   */
+  poseLandmarks() {
+    const { hat, top, bottom, shoes } = GarmentSlots.SLOTS;
+    return {
+      head: hat.zone.yStart,
+      chin: top.zone.yStart,
+      waist: bottom.zone.yStart,
+      knees: bottom.zone.yStart + (shoes.zone.yStart - bottom.zone.yStart) * BodyLandmarks.KNEE_SHARE,
+      ankles: shoes.zone.yStart,
+      feet: shoes.zone.yEnd,
+    };
+  },
+
+  /**
+   * Draw a semi-transparent silhouette with chin / waist / feet lines,
+   * plus a band per active slot along the right edge. Clears the canvas first.
+   *
+   * @param {HTMLCanvasElement} canvas — overlay sized like the video frame
+   * @param {Object} options
+   * @param {string[]} options.slots — active slot keys
+   */
+  drawPoseGuide(canvas, options = {}) {
+    const { slots = GarmentSlots.DEFAULT_ACTIVE } = options;
+    const ctx = canvas.getContext('2d');
+    const cfg = this._config;
+    const { width, height } = canvas;
+    const mark = this.poseLandmarks();
+    const y = fraction => fraction * height;
+    const cx = width / 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Never wider than the column detectZones samples without a detected body
+    const shoulder = Math.min(height * cfg.guideShoulderWidth, width * (0.5 - cfg.horizontalInset));
+    const hip = shoulder * 0.8;
+    const headRy = (y(mark.chin) - y(mark.head)) * 0.5;
+    const headCy = y(mark.head) + headRy;
+    const hipY = y(mark.waist) + (y(mark.ankles) - y(mark.waist)) * 0.1;
+
+    ctx.beginPath();
+    // Head
+    ctx.ellipse(cx, headCy, headRy * 0.8, headRy * 0.95, 0, 0, Math.PI * 2);
+    // Torso: shoulders → waist → hips
+    ctx.moveTo(cx - shoulder, y(mark.chin) + headRy * 0.3);
+    ctx.lineTo(cx + shoulder, y(mark.chin) + headRy * 0.3);
+    ctx.lineTo(cx + hip * 0.9, y(mark.waist));
+    ctx.lineTo(cx + hip, hipY);
+    ctx.lineTo(cx - hip, hipY);
+    ctx.lineTo(cx - hip * 0.9, y(mark.waist));
+    ctx.closePath();
+    // Legs and feet
+    [-1, 1].forEach(side => {
+      ctx.moveTo(cx + side * hip * 0.05, hipY);
+      ctx.lineTo(cx + side * hip, hipY);
+      ctx.lineTo(cx + side * hip * 0.6, y(mark.ankles));
+      ctx.lineTo(cx + side * hip * 0.75, y(mark.feet));
+      ctx.lineTo(cx + side * hip * 0.15, y(mark.feet));
+      ctx.lineTo(cx + side * hip * 0.2, y(mark.ankles));
+      ctx.closePath();
+    });
+    // Arms hanging beside the torso
+    [-1, 1].forEach(side => {
+      ctx.moveTo(cx + side * shoulder, y(mark.chin) + headRy * 0.3);
+      ctx.lineTo(cx + side * shoulder * 1.25, y(mark.waist) + headRy);
+      ctx.lineTo(cx + side * shoulder * 1.05, y(mark.waist) + headRy * 1.2);
+      ctx.lineTo(cx + side * shoulder * 0.95, y(mark.chin) + headRy * 1.2);
+      ctx.closePath();
+    });
+
+    ctx.fillStyle = cfg.guideFill;
+    ctx.fill();
+    ctx.strokeStyle = cfg.guideStroke;
+    ctx.lineWidth = cfg.borderWidth;
+    ctx.setLineDash([6, 4]);
+    ctx.stroke();
+
+    // Landmark lines
+    const fontSize = Math.max(11, Math.min(20, Math.floor(height * 0.022)));
+    ctx.font = `bold ${fontSize}px Inter, system-ui, sans-serif`;
+    ctx.textBaseline = 'bottom';
+    ctx.lineWidth = 1;
+    [['Chin', mark.chin], ['Waist', mark.waist], ['Feet', mark.feet]].forEach(([label, fraction]) => {
+      ctx.beginPath();
+      ctx.moveTo(0, y(fraction));
+      ctx.lineTo(width, y(fraction));
+      ctx.stroke();
+      ctx.fillStyle = cfg.guideStroke;
+      ctx.fillText(label, cfg.labelPadding, y(fraction) - 2);
+    });
+    ctx.setLineDash([]);
+
+    // Active slot bands
+    const active = GarmentSlots.resolveActive(slots);
+    const bandWidth = Math.max(4, Math.round(width * 0.012));
+    active.forEach(key => {
+      const zone = GarmentSlots.zoneFor(key, active);
+      ctx.fillStyle = GarmentSlots.get(key).border;
+      ctx.fillRect(width - bandWidth, y(zone.yStart), bandWidth, y(zone.yEnd - zone.yStart));
+    });
+
+    ctx.textBaseline = 'alphabetic';
+  },
+
+  // ────────────────────────────────────────────
+  //  POSE ZONES
+  //  Body landmarks (BodyLandmarks.find) pinned to the
+  //  registry's pose: head, chin, waist, knees, ankles, feet.
+  //  Slot bands are mapped piecewise-linearly between them, and
+  //  past the outermost ones with the nearest segment's scale.
+  // ────────────────────────────────────────────
+
+  // Landmark → the poseLandmarks() key it stands for
+  POSE_ANCHORS: { head: 'head', shoulders: 'chin', hips: 'waist', knees: 'knees', ankles: 'ankles', feet: 'feet' },
+
+  /**
+   * Fit the registry pose to found landmarks.
+   *
+   * @param {Object|null} landmarks — from BodyLandmarks.find
+   * @returns {{ anchors: Array<{ at, y }>, frame: { top, bottom }, landmarks }|null}
+   *   at: registry share of height, y: image px; frame: the photo's top and bottom
+   *   edges as registry shares. null when the landmarks are too few or implausible
+   */
+  fitPose(landmarks) {
+    const { poseMinAnchors, poseMaxStretch } = this._config;
+    if (!landmarks || landmarks.shoulders === null) return null;
+
+    const registry = this.poseLandmarks();
+    const anchors = Object.entries(this.POSE_ANCHORS)
+      .filter(([name]) => landmarks[name] !== null && landmarks[name] !== undefined)
+      .map(([name, key]) => ({ name, at: registry[key], y: landmarks[name] }));
+    if (anchors.length < poseMinAnchors) return null;
+
+    // Head-to-toe in order, and no segment wildly out of proportion —
+    // except seated thighs, which point at the camera and look short
+    const scales = anchors.slice(1).map((a, i) => (a.y - anchors[i].y) / (a.at - anchors[i].at));
+    if (scales.some(s => s <= 0)) return null;
+    const judged = scales.filter((_, i) => !(landmarks.sitting && anchors[i + 1].name === 'knees'));
+    const median = this._median(judged);
+    if (judged.some(s => s > median * poseMaxStretch || s < median / poseMaxStretch)) return null;
+
+    const pose = { anchors, landmarks, frame: null };
+    pose.frame = { top: this._poseAt(pose, 0), bottom: this._poseAt(pose, landmarks.height) };
+    return pose;
+  },
+
+  /**
+   * Slots that must be below the photo: the body runs off the bottom edge and
+   * neither ankles nor feet were found (e.g. cropped at the knee), so anything
+   * reaching below the ankle line is not in it — even where a pose fitted on the
+   * upper body would extrapolate the legs back into frame.
+   *
+   * @param {Object|null} landmarks — from BodyLandmarks.find
+   * @param {string[]} active — resolved slot keys
+   * @returns {string[]}
+   */
+  cutOffSlots(landmarks, active) {
+    if (!landmarks || landmarks.feet !== null || landmarks.ankles !== null) return [];
+    const { ankles } = this.poseLandmarks();
+    return active.filter(key => GarmentSlots.zoneFor(key, active).yEnd > ankles);
+  },
+
+  /**
+   * Image row → share of the registry body, so a boundary dragged on a
+   * photo placed by landmarks is kept relative to the body.
+   * @param {Object} pose — from fitPose
+   * @param {number} y — image px
+   * @returns {number}
+   */
+  bodyShare(pose, y) {
+    return this._poseAt(pose, y);
+  },
+
+  /**
+   * A registry zone moved onto the body, as shares of the image height.
+   * @returns {Object|null} the zone with new yStart / yEnd; null when it is mostly outside the photo
+   */
+  _poseZone(pose, zone, height) {
+    const { top, bottom } = pose.frame;
+    const start = Math.max(zone.yStart, top);
+    const end = Math.min(zone.yEnd, bottom);
+    if (end - start < (zone.yEnd - zone.yStart) * this._config.poseMinVisible) return null;
+
+    const share = at => Math.max(0, Math.min(1, this._poseY(pose, at) / height));
+    return { ...zone, yStart: share(start), yEnd: share(end) };
+  },
+
+  /** Registry share → image px */
+  _poseY(pose, at) {
+    return this._interpolate(pose.anchors, at, 'at', 'y');
+  },
+
+  /** Image px → registry share */
+  _poseAt(pose, y) {
+    return this._interpolate(pose.anchors, y, 'y', 'at');
+  },
+
+  /** Piecewise-linear through the anchors, extended past both ends */
+  _interpolate(anchors, value, from, to) {
+    let i = 0;
+    while (i < anchors.length - 2 && value > anchors[i + 1][from]) i++;
+    const a = anchors[i];
+    const b = anchors[i + 1];
+    return a[to] + ((value - a[from]) * (b[to] - a[to])) / (b[from] - a[from]);
+  },
+
   // ──────────────────────────────────────────���─
   //  ZONE OVERLAY DRAWING — Polished visuals
   // ────────────────────────────────────────────
@@ -431,9 +819,11 @@ const GarmentDetection = {
    * @param {Object} options
    * @param {boolean} options.showSamplingRect — show the inner sampling area
    * @param {Object} options.extractedColors — color data to show swatches
+   * @param {Array} options.handles — draggable boundaries to draw (see zoneHandles)
+   * @param {string} options.activeHandle — id of the handle being dragged
    */
   drawZones(canvas, zones, options = {}) {
-    const { showSamplingRect = true, extractedColors = null } = options;
+    const { showSamplingRect = true, extractedColors = null, handles = null, activeHandle = null } = options;
     const ctx = canvas.getContext('2d');
     const cfg = this._config;
 
@@ -441,7 +831,7 @@ const GarmentDetection = {
     const baseFontSize = Math.max(12, Math.min(28, Math.floor(canvas.height * 0.028)));
 
     Object.entries(zones).forEach(([key, zone]) => {
-      const zoneCfg = cfg.zones[key];
+      const zoneCfg = GarmentSlots.get(key);
       if (!zoneCfg) return;
 
       // ── Zone fill ──
@@ -518,6 +908,40 @@ const GarmentDetection = {
       ctx.textAlign = 'start';
       ctx.textBaseline = 'alphabetic';
     });
+
+    if (handles) this._drawHandles(ctx, handles, activeHandle, canvas.height);
+  },
+
+  /** Boundary lines with a round knob in the middle — on top of the zones */
+  _drawHandles(ctx, handles, activeHandle, canvasHeight) {
+    const cfg = this._config;
+    const radius = Math.max(cfg.handleRadius, Math.round(cfg.handleRadius * canvasHeight / 500));
+
+    handles.forEach(handle => {
+      const color = handle.id === activeHandle ? cfg.handleActiveColor : cfg.handleColor;
+      const middle = (handle.start + handle.end) / 2;
+      const from = handle.axis === 'y' ? [handle.start, handle.position] : [handle.position, handle.start];
+      const to = handle.axis === 'y' ? [handle.end, handle.position] : [handle.position, handle.end];
+      const knob = handle.axis === 'y' ? [middle, handle.position] : [handle.position, middle];
+
+      // Dark halo keeps the line visible on light clothing
+      [['rgba(0, 0, 0, 0.5)', 4], [color, 2]].forEach(([stroke, width]) => {
+        ctx.beginPath();
+        ctx.moveTo(...from);
+        ctx.lineTo(...to);
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = width;
+        ctx.stroke();
+      });
+
+      ctx.beginPath();
+      ctx.arc(knob[0], knob[1], radius, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    });
   },
 
   /**
@@ -562,41 +986,204 @@ const GarmentDetection = {
   },
 
   // ────────────────────────────────────────────
-  //  UTILITY: ZONE ADJUSTMENT
+  //  ZONE PROPORTIONS
+  //  Boundaries between the main garment zones as shares of
+  //  the body (the image height when no pose was fitted), plus
+  //  an optional fixed sampling column (shares of the width).
+  //  Users drag them on the photo and the last choice is
+  //  reused for the next one, following that photo's body.
   // ────────────────────────────────────────────
 
+  // Slot edges each boundary moves, head-to-toe
+  BOUNDARIES: {
+    topStart:  { top: 'yStart', dress: 'yStart' },
+    topEnd:    { top: 'yEnd', bottom: 'yStart' },
+    bottomEnd: { dress: 'yEnd', bottom: 'yEnd', shoes: 'yStart' },
+    shoesEnd:  { shoes: 'yEnd' },
+  },
+
+  // Same bands as the GarmentSlots registry; column null = find the body
+  DEFAULT_PROPORTIONS: { topStart: 0.08, topEnd: 0.42, bottomEnd: 0.78, shoesEnd: 0.97, column: null },
+  PROPORTIONS_STORAGE_KEY: 'outfit-intelligence-zone-proportions',
+
+  /**
+   * Per-slot overrides for detectZones.
+   * @param {Object} proportions — see DEFAULT_PROPORTIONS
+   * @returns {Object} e.g. { top: { yStart, yEnd }, bottom: { … } }
+   */
+  proportionOverrides(proportions) {
+    const overrides = {};
+    Object.entries(this.BOUNDARIES).forEach(([boundary, edges]) => {
+      Object.entries(edges).forEach(([slot, edge]) => {
+        overrides[slot] = { ...overrides[slot], [edge]: proportions[boundary] };
+      });
+    });
+    return overrides;
+  },
+
   /**
    * Allow manual adjustment of zone proportions.
    * Returns new zones with updated proportions.
-   * Useful if the user wants to shift zone boundaries.
    *
    * @param {HTMLCanvasElement} canvas
-   * @param {Object} proportions — { topEnd: 0.42, bottomEnd: 0.78 }
+   * @param {Object} proportions — { topEnd: 0.42, bottomEnd: 0.78, column: { left, right } }
+   * @param {Object} [options] — as detectZones
    * @returns {Object} zones
    */
-  detectZonesWithProportions(canvas, proportions = {}) {
-    const {
-      topStart = 0.08,
-      topEnd = 0.42,
-      bottomEnd = 0.78,
-      shoesEnd = 0.97,
-    } = proportions;
-
-    // Temporarily override config
-    const original = { ...this._config.zones };
-
-    this._config.zones = {
-      top:    { ...original.top,    yStart: topStart, yEnd: topEnd },
-      bottom: { ...original.bottom, yStart: topEnd,   yEnd: bottomEnd },
-      shoes:  { ...original.shoes,  yStart: bottomEnd, yEnd: shoesEnd },
+  detectZonesWithProportions(canvas, proportions = {}, options = {}) {
+    const merged = { ...this.DEFAULT_PROPORTIONS, ...proportions };
+    return this.detectZones(canvas, {
+      ...options,
+      overrides: this.proportionOverrides(merged),
+      column: merged.column,
+    });
+  },
+
+  /**
+   * Draggable handles for detected zones, in canvas pixels: one per boundary
+   * that touches an active slot, plus the left and right column edges.
+   *
+   * @param {Object} zones — from detectZones
+   * @returns {Array<{ id, axis: 'x'|'y', position, start, end }>}
+   *   id: BOUNDARIES key, 'columnLeft' or 'columnRight'; start / end span the other axis
+   */
+  zoneHandles(zones) {
+    const entries = Object.values(zones);
+    if (entries.length === 0) return [];
+
+    const handles = [];
+    Object.entries(this.BOUNDARIES).forEach(([id, edges]) => {
+      const slot = Object.keys(edges).find(key => zones[key]);
+      if (!slot) return;
+      const zone = zones[slot];
+      handles.push({
+        id,
+        axis: 'y',
+        position: edges[slot] === 'yStart' ? zone.y : zone.y + zone.height,
+        start: zone.x,
+        end: zone.x + zone.width,
+      });
+    });
+
+    const { column } = entries[0];
+    if (column) {
+      const top = Math.min(...entries.map(z => z.y));
+      const bottom = Math.max(...entries.map(z => z.y + z.height));
+      handles.push({ id: 'columnLeft', axis: 'x', position: column.x, start: top, end: bottom });
+      handles.push({ id: 'columnRight', axis: 'x', position: column.x + column.width, start: top, end: bottom });
+    }
+
+    return handles;
+  },
+
+  /**
+   * Move one boundary, keeping the zones in order and at least minZoneShare tall.
+   * Boundaries that are not shown (no active slot) are pushed along instead of blocking.
+   *
+   * @param {Object} proportions
+   * @param {string} id — BOUNDARIES key, 'columnLeft' or 'columnRight'
+   * @param {number} value — 0–1 of the image height (boundaries) or width (column)
+   * @param {string[]} [shown] — ids of the boundaries currently drawn
+   * @returns {Object} new proportions
+   */
+  adjustProportions(proportions, id, value, shown = Object.keys(this.BOUNDARIES)) {
+    const { minZoneShare, minColumnShare } = this._config;
+    const round = v => Math.round(v * 10000) / 10000;
+    const clamp = (v, min, max) => round(Math.max(min, Math.min(max, v)));
+    const next = { ...proportions };
+
+    if (id === 'columnLeft' || id === 'columnRight') {
+      const column = { ...(proportions.column || { left: this._config.horizontalInset, right: 1 - this._config.horizontalInset }) };
+      if (id === 'columnLeft') column.left = clamp(value, 0, column.right - minColumnShare);
+      else column.right = clamp(value, column.left + minColumnShare, 1);
+      next.column = column;
+      return next;
+    }
+
+    const order = Object.keys(this.BOUNDARIES);
+    const index = order.indexOf(id);
+    if (index < 0) {
+      throw new Error(`Unknown zone boundary: ${id}`);
+    }
+
+    // Nearest shown neighbours, leaving room for any hidden boundaries in between
+    let min = minZoneShare * index;
+    let max = 1 - minZoneShare * (order.length - 1 - index);
+    for (let j = index - 1; j >= 0; j--) {
+      if (shown.includes(order[j])) { min = proportions[order[j]] + minZoneShare * (index - j); break; }
+    }
+    for (let j = index + 1; j < order.length; j++) {
+      if (shown.includes(order[j])) { max = proportions[order[j]] - minZoneShare * (j - index); break; }
+    }
+    next[id] = clamp(value, min, max);
+
+    for (let j = index + 1; j < order.length; j++) {
+      next[order[j]] = round(Math.max(next[order[j]], next[order[j - 1]] + minZoneShare));
+    }
+    for (let j = index - 1; j >= 0; j--) {
+      next[order[j]] = round(Math.min(next[order[j]], next[order[j + 1]] - minZoneShare));
+    }
+    return next;
+  },
+
+  /**
+   * Fill in missing or invalid values; falls back to the defaults when the
+   * boundaries are out of order.
+   * @returns {Object} proportions
+   */
+  normalizeProportions(raw) {
+    const { minZoneShare, minColumnShare } = this._config;
+    const valid = v => typeof v === 'number' && v >= 0 && v <= 1;
+    const proportions = { ...this.DEFAULT_PROPORTIONS };
+    if (!raw || typeof raw !== 'object') return proportions;
+
+    const order = Object.keys(this.BOUNDARIES);
+    order.forEach(id => {
+      if (valid(raw[id])) proportions[id] = raw[id];
+    });
+    const ordered = order.every((id, i) => i === 0 || proportions[id] - proportions[order[i - 1]] >= minZoneShare - 1e-6);
+    const column = raw.column;
+    const columnOk = !!column && valid(column.left) && valid(column.right) &&
+      column.right - column.left >= minColumnShare - 1e-6;
+
+    return {
+      ...(ordered ? proportions : this.DEFAULT_PROPORTIONS),
+      column: columnOk ? { left: column.left, right: column.right } : null,
     };
+  },
+
+  // ────────────────────────────────────────────
+  //  PERSISTENCE
+  // ────────────────────────────────────────────
 
-    const zones = this.detectZones(canvas);
+  /** @returns {Object} last chosen zone proportions */
+  loadProportions() {
+    try {
+      return this.normalizeProportions(JSON.parse(localStorage.getItem(this.PROPORTIONS_STORAGE_KEY)));
+    } catch {
+      return { ...this.DEFAULT_PROPORTIONS };
+    }
+  },
 
-    // Restore config
-    this._config.zones = original;
+  /** @returns {boolean} */
+  saveProportions(proportions) {
+    try {
+      localStorage.setItem(this.PROPORTIONS_STORAGE_KEY, JSON.stringify(this.normalizeProportions(proportions)));
+      return true;
+    } catch (error) {
+      console.warn('Failed to save zone proportions:', error);
+      return false;
+    }
+  },
 
-    return zones;
+  /** Forget adjusted proportions — back to the registry bands and body detection */
+  clearProportions() {
+    try {
+      localStorage.removeItem(this.PROPORTIONS_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Failed to clear zone proportions:', error);
+    }
+    return { ...this.DEFAULT_PROPORTIONS };
   },
 };
 
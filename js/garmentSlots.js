@@ -0,0 +1,174 @@
+
+const GarmentSlots = {
+
+  // ────────────────────────────────────────────
+  //  SLOT REGISTRY
+  //  Declared head-to-toe — this order is used for colors,
+  //  zones, previews and storage everywhere.
+  //
+  //  zone:       vertical band (0–1 of image height) and horizontal
+  //              span (0–1 of the detected body column)
+  //  narrowedBy: zone overrides when another slot is also active
+  //              (e.g. an open jacket leaves only the middle of the top visible)
+  //  covers:     slots this one replaces (a dress covers top + bottom)
+  //  nearFace:   sits close to the face — weighs more for personal palette
+  //  accessory:  small item — weighs less for personal palette
+  // ────────────────────────────────────────────
+
+  SLOTS: {
+    hat: {
+      label: 'Hat', emoji: '🧢', defaultColor: '#1f2937',
+      zone: { yStart: 0.00, yEnd: 0.08, xStart: 0.25, xEnd: 0.75 },
+      color: 'rgba(244, 114, 182, ALPHA)', border: '#f472b6',
+      nearFace: true, accessory: true,
+    },
+    scarf: {
+      label: 'Scarf', emoji: '🧣', defaultColor: '#b91c1c',
+      zone: { yStart: 0.10, yEnd: 0.20, xStart: 0.2, xEnd: 0.8 },
+      color: 'rgba(251, 146, 60, ALPHA)', border: '#fb923c',
+      nearFace: true, accessory: true,
+    },
+    outerwear: {
+      label: 'Outerwear', emoji: '🧥', defaultColor: '#78716c',
+      zone: { yStart: 0.08, yEnd: 0.50, xStart: 0.0, xEnd: 0.3 },
+      color: 'rgba(250, 204, 21, ALPHA)', border: '#facc15',
+      nearFace: true,
+    },
+    top: {
+      label: 'Top', emoji: '👕', defaultColor: '#3b82f6',
+      zone: { yStart: 0.08, yEnd: 0.42 },
+      narrowedBy: { outerwear: { xStart: 0.35, xEnd: 0.65 } },
+      color: 'rgba(129, 140, 248, ALPHA)', border: '#818cf8',
+      nearFace: true,
+    },
+    dress: {
+      label: 'Dress / Jumpsuit', emoji: '👗', defaultColor: '#be185d',
+      zone: { yStart: 0.08, yEnd: 0.78 },
+      narrowedBy: { outerwear: { xStart: 0.35, xEnd: 0.65 } },
+      color: 'rgba(236, 72, 153, ALPHA)', border: '#ec4899',
+      covers: ['top', 'bottom'],
+      nearFace: true,
+    },
+    belt: {
+      label: 'Belt', emoji: '🎗️', defaultColor: '#451a03',
+      zone: { yStart: 0.40, yEnd: 0.46, xStart: 0.2, xEnd: 0.8 },
+      color: 'rgba(161, 98, 7, ALPHA)', border: '#a16207',
+      accessory: true,
+    },
+    bottom: {
+      label: 'Bottom', emoji: '👖', defaultColor: '#1e293b',
+      zone: { yStart: 0.42, yEnd: 0.78 },
+      color: 'rgba(168, 85, 247, ALPHA)', border: '#a855f7',
+    },
+    bag: {
+      label: 'Bag', emoji: '👜', defaultColor: '#92400e',
+      zone: { yStart: 0.38, yEnd: 0.60, xStart: 0.8, xEnd: 1.0 },
+      color: 'rgba(34, 197, 94, ALPHA)', border: '#22c55e',
+      accessory: true,
+    },
+    socks: {
+      label: 'Socks', emoji: '🧦', defaultColor: '#f5f5f4',
+      zone: { yStart: 0.76, yEnd: 0.82, xStart: 0.2, xEnd: 0.8 },
+      color: 'rgba(148, 163, 184, ALPHA)', border: '#94a3b8',
+      accessory: true,
+    },
+    shoes: {
+      label: 'Shoes', emoji: '👟', defaultColor: '#ffffff',
+      zone: { yStart: 0.78, yEnd: 0.97 },
+      color: 'rgba(6, 182, 212, ALPHA)', border: '#06b6d4',
+    },
+  },
+
+  DEFAULT_ACTIVE: ['top', 'bottom', 'shoes'],
+  MIN_ACTIVE: 2,
+  STORAGE_KEY: 'outfit-intelligence-slots',
+
+  // ────────────────────────────────────────────
+  //  LOOKUP
+  // ────────────────────────────────────────────
+
+  /** All slot keys in registry order */
+  keys() {
+    return Object.keys(this.SLOTS);
+  },
+
+  /** @returns {Object|null} slot definition */
+  get(key) {
+    return this.SLOTS[key] || null;
+  },
+
+  /** Display label with emoji, e.g. "👕 Top" */
+  label(key) {
+    const slot = this.get(key);
+    return slot ? `${slot.emoji} ${slot.label}` : key;
+  },
+
+  /**
+   * Normalize a list of slot keys: drop unknowns and duplicates,
+   * drop slots covered by another active slot, sort head-to-toe.
+   * @param {string[]} keys
+   * @returns {string[]}
+   */
+  resolveActive(keys) {
+    const requested = new Set((keys || []).filter(k => this.SLOTS[k]));
+
+    requested.forEach(key => {
+      (this.SLOTS[key].covers || []).forEach(covered => requested.delete(covered));
+    });
+
+    return this.keys().filter(k => requested.has(k));
+  },
+
+  /**
+   * Zone proportions for a slot given the other active slots.
+   * @returns {{ yStart, yEnd, xStart, xEnd }}
+   */
+  zoneFor(key, active = []) {
+    const slot = this.get(key);
+    if (!slot) return null;
+
+    let zone = { xStart: 0, xEnd: 1, ...slot.zone };
+    Object.entries(slot.narrowedBy || {}).forEach(([other, override]) => {
+      if (active.includes(other)) zone = { ...zone, ...override };
+    });
+    return zone;
+  },
+
+  /** An empty { slot: null } map for the given slots */
+  emptyColors(active) {
+    const colors = {};
+    active.forEach(key => { colors[key] = null; });
+    return colors;
+  },
+
+  // ────────────────────────────────────────────
+  //  PERSISTENCE
+  // ────────────────────────────────────────────
+
+  /** @returns {string[]} last used active slots */
+  loadActive() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      const resolved = this.resolveActive(Array.isArray(parsed) ? parsed : []);
+      return resolved.length >= this.MIN_ACTIVE ? resolved : [...this.DEFAULT_ACTIVE];
+    } catch {
+      return [...this.DEFAULT_ACTIVE];
+    }
+  },
+
+  /** @returns {boolean} */
+  saveActive(keys) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.resolveActive(keys)));
+      return true;
+    } catch (error) {
+      console.warn('Failed to save active slots:', error);
+      return false;
+    }
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GarmentSlots;
+}
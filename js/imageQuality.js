@@ -0,0 +1,168 @@
+
+const ImageQuality = {
+
+  // ────────────────────────────────────────────
+  //  CONFIGURATION
+  // ────────────────────────────────────────────
+
+  _config: {
+    maxSamples: 400,          // Analyze on a grid of at most 400 px per side
+
+    // Sharpness — variance of the Laplacian on the luminance grid
+    blurThreshold: 60,
+
+    // Exposure — luminance histogram
+    darkLevel: 16,            // ≤ this counts as crushed shadow
+    brightLevel: 240,         // ≥ this counts as blown highlight
+    maxDarkClip: 0.35,        // Share of crushed pixels before warning
+    maxBrightClip: 0.25,
+    minMean: 55,              // Mean luminance bounds
+    maxMean: 205,
+
+    // Framing
+    minDimension: 240,        // Smaller images have too few pixels per zone
+    minPortraitRatio: 1.1,    // height / width — a full-length shot is taller than wide
+
+    // Burst frame ranking — sharpness above this counts as fully sharp
+    sharpnessTarget: 300,
+    sharpnessWeight: 0.4,     // The rest of the frame score is zone confidence
+  },
+
+  ISSUES: {
+    small:     { label: 'Low resolution', advice: 'Use a larger photo — this one is too small to sample reliably' },
+    blurry:    { label: 'Blurry',         advice: 'Hold still — or rest the phone on something — the photo is blurry' },
+    dark:      { label: 'Underexposed',   advice: 'Move closer to a light source or turn on more lights' },
+    bright:    { label: 'Overexposed',    advice: 'Step out of direct sunlight or turn off the flash — highlights are blown out' },
+    noBody:    { label: 'No person found', advice: 'Stand in the middle of the frame against a plain background' },
+    landscape: { label: 'Cropped outfit', advice: 'Step back so your shoes are visible — a full-length portrait photo works best' },
+  },
+
+  // ────────────────────────────────────────────
+  //  ASSESSMENT
+  // ────────────────────────────────────────────
+
+  /**
+   * Check sharpness, exposure and framing.
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas — clean image (no overlays)
+   * @returns {{ ok: boolean, issues: Array<{ code, label, advice }>, metrics: Object }}
+   */
+  assess(canvas) {
+    const cfg = this._config;
+    const { width, height } = canvas;
+    const luma = this._luminanceGrid(canvas);
+
+    const metrics = {
+      width,
+      height,
+      sharpness: Math.round(this._laplacianVariance(luma)),
+      ...this._exposure(luma),
+      bodyFound: !!GarmentDetection._detectBodyColumn(canvas),
+      aspect: Math.round((height / width) * 100) / 100,
+    };
+
+    const codes = [];
+    if (Math.min(width, height) < cfg.minDimension) codes.push('small');
+    if (metrics.sharpness < cfg.blurThreshold) codes.push('blurry');
+    if (metrics.darkClip > cfg.maxDarkClip || metrics.mean < cfg.minMean) codes.push('dark');
+    if (metrics.brightClip > cfg.maxBrightClip || metrics.mean > cfg.maxMean) codes.push('bright');
+    if (!metrics.bodyFound) codes.push('noBody');
+    if (metrics.aspect < cfg.minPortraitRatio) codes.push('landscape');
+
+    return {
+      ok: codes.length === 0,
+      issues: codes.map(code => ({ code, ...this.ISSUES[code] })),
+      metrics,
+    };
+  },
+
+  /**
+   * Sharpness alone (variance of the Laplacian) — cheaper than a full assess().
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @returns {number}
+   */
+  sharpness(canvas) {
+    return Math.round(this._laplacianVariance(this._luminanceGrid(canvas)));
+  },
+
+  /**
+   * Rank a burst frame: sharpness and average zone confidence, 0–1.
+   * @param {{ sharpness: number, confidence: number }} frame — confidence 0–1
+   * @returns {number}
+   */
+  scoreFrame({ sharpness, confidence }) {
+    const { sharpnessTarget, sharpnessWeight } = this._config;
+    const sharp = Math.min(1, sharpness / sharpnessTarget);
+    return Math.round((sharp * sharpnessWeight + confidence * (1 - sharpnessWeight)) * 1000) / 1000;
+  },
+
+  /**
+   * Luminance on a downsampled grid, so thresholds don't depend on resolution.
+   * @returns {{ width, height, values: Float32Array }}
+   */
+  _luminanceGrid(canvas) {
+    const { width, height } = canvas;
+    const step = Math.max(1, Math.ceil(Math.max(width, height) / this._config.maxSamples));
+    const gw = Math.floor(width / step);
+    const gh = Math.floor(height / step);
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const values = new Float32Array(gw * gh);
+
+    for (let y = 0; y < gh; y++) {
+      for (let x = 0; x < gw; x++) {
+        const i = ((y * step) * width + x * step) * 4;
+        values[y * gw + x] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      }
+    }
+
+    return { width: gw, height: gh, values };
+  },
+
+  /** Variance of the 4-neighbour Laplacian — low means few sharp edges */
+  _laplacianVariance({ width, height, values }) {
+    if (width < 3 || height < 3) return 0;
+
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const lap = 4 * values[i] - values[i - 1] - values[i + 1] - values[i - width] - values[i + width];
+        sum += lap;
+        sumSq += lap * lap;
+        count++;
+      }
+    }
+
+    const mean = sum / count;
+    return sumSq / count - mean * mean;
+  },
+
+  /** Mean luminance and the share of crushed / blown pixels */
+  _exposure({ values }) {
+    const { darkLevel, brightLevel } = this._config;
+    let sum = 0;
+    let dark = 0;
+    let bright = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      sum += v;
+      if (v <= darkLevel) dark++;
+      else if (v >= brightLevel) bright++;
+    }
+
+    const count = Math.max(1, values.length);
+    return {
+      mean: Math.round(sum / count),
+      darkClip: Math.round((dark / count) * 100) / 100,
+      brightClip: Math.round((bright / count) * 100) / 100,
+    };
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageQuality;
+}
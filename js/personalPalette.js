@@ -0,0 +1,472 @@
+
+const PersonalPalette = {
+
+  // ────────────────────────────────────────────
+  //  STORAGE
+  // ────────────────────────────────────────────
+
+  STORAGE_KEY: 'outfit-intelligence-profile',
+  PROFILE_VERSION: 1,
+
+  // ────────────────────────────────────────────
+  //  SEASON TABLE — 12-season system
+  //  Ranges are in LCh: L* (lightness) and C (chroma).
+  //  Garments inside a season's ranges flatter it.
+  // ────────────────────────────────────────────
+
+  SEASONS: {
+    'Light Spring':  { family: 'Spring', temperature: 'warm', lightness: [60, 90], chroma: [20, 60],  best: ['Peach', 'Light Coral', 'Warm Aqua', 'Buttercream'] },
+    'Warm Spring':   { family: 'Spring', temperature: 'warm', lightness: [50, 80], chroma: [35, 75],  best: ['Coral', 'Golden Yellow', 'Warm Turquoise', 'Camel'] },
+    'Bright Spring': { family: 'Spring', temperature: 'warm', lightness: [45, 75], chroma: [50, 100], best: ['Tomato Red', 'Bright Coral', 'Kelly Green', 'Turquoise'] },
+    'Light Summer':  { family: 'Summer', temperature: 'cool', lightness: [60, 90], chroma: [10, 40],  best: ['Powder Blue', 'Lavender', 'Soft Rose', 'Light Gray'] },
+    'Cool Summer':   { family: 'Summer', temperature: 'cool', lightness: [45, 75], chroma: [15, 45],  best: ['Periwinkle', 'Raspberry', 'Slate Blue', 'Soft Navy'] },
+    'Soft Summer':   { family: 'Summer', temperature: 'cool', lightness: [35, 70], chroma: [5, 30],   best: ['Dusty Rose', 'Sage', 'Mauve', 'Taupe'] },
+    'Soft Autumn':   { family: 'Autumn', temperature: 'warm', lightness: [35, 70], chroma: [10, 35],  best: ['Olive', 'Khaki', 'Salmon', 'Mushroom'] },
+    'Warm Autumn':   { family: 'Autumn', temperature: 'warm', lightness: [30, 60], chroma: [30, 65],  best: ['Rust', 'Mustard', 'Pumpkin', 'Forest Green'] },
+    'Deep Autumn':   { family: 'Autumn', temperature: 'warm', lightness: [15, 45], chroma: [25, 60],  best: ['Chocolate', 'Burgundy', 'Teal', 'Dark Olive'] },
+    'Deep Winter':   { family: 'Winter', temperature: 'cool', lightness: [5, 40],  chroma: [20, 70],  best: ['Black', 'Emerald', 'Burgundy', 'Navy'] },
+    'Cool Winter':   { family: 'Winter', temperature: 'cool', lightness: [10, 60], chroma: [30, 80],  best: ['Pure White', 'Royal Blue', 'Fuchsia', 'Icy Pink'] },
+    'Bright Winter': { family: 'Winter', temperature: 'cool', lightness: [20, 70], chroma: [50, 100], best: ['True Red', 'Cobalt', 'Hot Pink', 'Black & White'] },
+  },
+
+  _config: {
+    // Skin hue angle (Lab a*/b*) — yellower skin reads warm, pinker reads cool
+    warmSkinHue: 62,
+    coolSkinHue: 52,
+
+    // Fit weights per garment color
+    fitWeights: { temperature: 0.40, lightness: 0.35, chroma: 0.25 },
+
+    // Falloff (in L* / C units) outside a season's range
+    rangeFalloff: 15,
+
+    // Auto-detection searches the upper part of the image for a face
+    faceSearchHeight: 0.55,
+    gridStep: 4,
+    skinToneDistance: 20,   // ΔE76 from the detected skin tone
+
+    // Hair/eye clusters closer than this (ΔE2000) to the skin sample are skin
+    skinExclusionDeltaE: 12,
+  },
+
+  // ────────────────────────────────────────────
+  //  REGION DETECTION
+  // ────────────────────────────────────────────
+
+  /**
+   * Heuristically locate skin, hair, and eye regions from the
+   * largest patch of skin pixels in the upper part of the image.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @returns {{ skin, hair, eyes, face } | null} rects in canvas pixels
+   */
+  detectRegions(canvas) {
+    const cfg = this._config;
+    const width = canvas.width;
+    const height = Math.floor(canvas.height * cfg.faceSearchHeight);
+    if (width < 20 || height < 20) return null;
+
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const step = cfg.gridStep;
+
+    // Pass 1: skin-range pixels. Brown hair also falls in the skin range,
+    // so the largest cluster of these is taken as the face's skin tone.
+    const candidates = [];
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        const i = (y * width + x) * 4;
+        const px = { r: data[i], g: data[i + 1], b: data[i + 2] };
+        if (GarmentDetection._isSkinColor(px)) candidates.push({ x, y, px });
+      }
+    }
+
+    if (candidates.length < 40) return null;
+
+    const skinLab = ColorAnalysis.quantizePalette(candidates.map(c => c.px), { count: 2 })[0].lab;
+
+    // Pass 2: only pixels close to that tone
+    const rowCounts = new Array(Math.ceil(height / step)).fill(0);
+    const colCounts = new Array(Math.ceil(width / step)).fill(0);
+    const maxDistSq = cfg.skinToneDistance * cfg.skinToneDistance;
+
+    candidates.forEach(({ x, y, px }) => {
+      const lab = ColorAnalysis.rgbToLab(px.r, px.g, px.b);
+      if (this._labDistSq(lab, skinLab) <= maxDistSq) {
+        rowCounts[y / step]++;
+        colCounts[x / step]++;
+      }
+    });
+
+    const rows = this._denseSpan(rowCounts);
+    const cols = this._denseSpan(colCounts);
+    if (!rows || !cols) return null;
+
+    const face = {
+      x: cols.start * step,
+      y: rows.start * step,
+      width: (cols.end - cols.start + 1) * step,
+      height: (rows.end - rows.start + 1) * step,
+    };
+
+    if (face.width < 16 || face.height < 16) return null;
+
+    const rect = (fx, fy, fw, fh) => this._clampRect({
+      x: face.x + face.width * fx,
+      y: face.y + face.height * fy,
+      width: face.width * fw,
+      height: face.height * fh,
+    }, canvas);
+
+    // Hair sits above the face; if the face touches the top edge, use its top strip
+    const hairAbove = face.y > face.height * 0.1;
+    const hair = hairAbove
+      ? this._clampRect({
+          x: face.x + face.width * 0.15,
+          y: face.y - face.height * 0.25,
+          width: face.width * 0.7,
+          height: face.height * 0.25,
+        }, canvas)
+      : rect(0.15, 0, 0.7, 0.12);
+
+    return {
+      face,
+      skin: rect(0.25, 0.5, 0.5, 0.25),   // Cheeks
+      eyes: rect(0.2, 0.35, 0.6, 0.13),
+      hair,
+    };
+  },
+
+  /** Longest run of bins whose count is at least 30% of the peak */
+  _denseSpan(counts) {
+    const peak = Math.max(...counts);
+    if (peak === 0) return null;
+
+    const threshold = peak * 0.3;
+    let best = null;
+    let start = -1;
+
+    for (let i = 0; i <= counts.length; i++) {
+      const dense = i < counts.length && counts[i] >= threshold;
+      if (dense && start < 0) start = i;
+      if (!dense && start >= 0) {
+        if (!best || i - 1 - start > best.end - best.start) best = { start, end: i - 1 };
+        start = -1;
+      }
+    }
+    return best;
+  },
+
+  _labDistSq(a, b) {
+    return (a.L - b.L) ** 2 + (a.a - b.a) ** 2 + (a.b - b.b) ** 2;
+  },
+
+  _clampRect(rect, canvas) {
+    const x = Math.max(0, Math.round(rect.x));
+    const y = Math.max(0, Math.round(rect.y));
+    return {
+      x,
+      y,
+      width: Math.max(1, Math.min(Math.round(rect.width), canvas.width - x)),
+      height: Math.max(1, Math.min(Math.round(rect.height), canvas.height - y)),
+    };
+  },
+
+  // ────────────────────────────────────────────
+  //  FEATURE SAMPLING
+  // ────────────────────────────────────────────
+
+  /**
+   * Sample a single feature color from a canvas region.
+   * Hair and eyes exclude clusters matching `skin` when it is given,
+   * otherwise anything in the generic skin range.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ x, y, width, height }} rect
+   * @param {'skin'|'hair'|'eyes'} feature
+   * @param {Object} [skin] — previously sampled skin color
+   * @returns {{ rgb, hsl, hex, name } | null}
+   */
+  sampleFeature(canvas, rect, feature, skin = null) {
+    const pixels = GarmentDetection._getPixelData(canvas, rect);
+    if (pixels.length === 0) return null;
+
+    let rgb;
+
+    if (feature === 'skin') {
+      // Skin: keep skin-range pixels only, then trimmed mean
+      const skin = pixels.filter(px => GarmentDetection._isSkinColor(px));
+      rgb = GarmentDetection._getDominantFromPixels(skin.length > 0 ? skin : pixels);
+    } else {
+      const palette = ColorAnalysis.quantizePalette(pixels, { count: 4 });
+
+      const isSkin = skin
+        ? c => ColorAnalysis.deltaE(c, skin) < this._config.skinExclusionDeltaE
+        : c => GarmentDetection._isSkinColor(c.rgb);
+
+      // Hair: biggest non-skin cluster. Eyes: biggest cluster that is
+      // neither skin nor the bright sclera.
+      const candidates = palette.filter(c =>
+        !isSkin(c) && (feature !== 'eyes' || c.lab.L < 80)
+      );
+      rgb = (candidates[0] || palette[0]).rgb;
+    }
+
+    const hsl = ColorAnalysis.rgbToHsl(rgb.r, rgb.g, rgb.b);
+    return {
+      rgb,
+      hsl,
+      hex: ColorAnalysis.rgbToHex(rgb.r, rgb.g, rgb.b),
+      name: ColorAnalysis.getColorDescription({ hsl }),
+    };
+  },
+
+  // ────────────────────────────────────────────
+  //  CLASSIFICATION — Undertone + 12 seasons
+  // ────────────────────────────────────────────
+
+  /**
+   * Classify undertone and season from sampled feature colors.
+   * Hair and eyes are optional but improve the contrast reading.
+   *
+   * @param {{ skin, hair?, eyes? }} samples — color objects with `rgb`
+   * @returns {Object} profile
+   */
+  analyze(samples) {
+    if (!samples || !samples.skin) {
+      throw new Error('A skin sample is required for personal palette analysis');
+    }
+
+    const cfg = this._config;
+    const lab = key => {
+      const c = samples[key];
+      return c ? ColorAnalysis.rgbToLab(c.rgb.r, c.rgb.g, c.rgb.b) : null;
+    };
+
+    const skin = lab('skin');
+    const hair = lab('hair');
+    const eyes = lab('eyes');
+
+    // ── Temperature: skin hue angle, nudged by golden vs. ash hair ──
+    const skinLch = ColorAnalysis.labToLch(skin.L, skin.a, skin.b);
+    const mid = (cfg.warmSkinHue + cfg.coolSkinHue) / 2;
+    const halfBand = (cfg.warmSkinHue - cfg.coolSkinHue) / 2;
+    let temperature = Math.max(-1, Math.min(1, (skinLch.h - mid) / (halfBand * 2)));
+
+    // Near-black hair says little about temperature, so it is skipped
+    if (hair && hair.L >= 25) {
+      const hairLch = ColorAnalysis.labToLch(hair.L, hair.a, hair.b);
+      const hairWarmth = hairLch.C < 8 ? -1 : (ColorAnalysis.isWarmHue(hairLch.h, 'lch') ? 1 : -1);
+      temperature = temperature * 0.75 + hairWarmth * 0.25;
+    }
+
+    let undertone = 'neutral';
+    if (skinLch.h >= cfg.warmSkinHue || temperature > 0.35) undertone = 'warm';
+    else if (skinLch.h <= cfg.coolSkinHue || temperature < -0.35) undertone = 'cool';
+
+    // ── Value and contrast ──
+    const features = [skin, hair, eyes].filter(Boolean);
+    const value = features.reduce((s, f) => s + f.L, 0) / features.length;
+    const lightnesses = features.map(f => f.L);
+    const contrast = Math.max(...lightnesses) - Math.min(...lightnesses);
+
+    // ── Which characteristic dominates? ──
+    const clamp01 = v => Math.max(0, Math.min(1, v));
+    const traits = {
+      warm: clamp01(temperature),
+      cool: clamp01(-temperature),
+      light: clamp01((value - 55) / 25),
+      deep: clamp01((45 - value) / 25),
+      bright: clamp01((contrast - 35) / 30),
+      soft: clamp01((25 - contrast) / 20),
+    };
+
+    const dominant = Object.entries(traits).sort((a, b) => b[1] - a[1])[0][0];
+    const leansWarm = temperature > 0 || (temperature === 0 && value >= 50);
+    const season = this._seasonFor(dominant, leansWarm, value);
+
+    return {
+      version: this.PROFILE_VERSION,
+      createdAt: new Date().toISOString(),
+      undertone,
+      season,
+      family: this.SEASONS[season].family,
+      dominant,
+      metrics: {
+        temperature: Math.round(temperature * 100) / 100,
+        value: Math.round(value),
+        contrast: Math.round(contrast),
+      },
+      samples: this._serializeSamples(samples),
+    };
+  },
+
+  /** Map the dominant trait (+ secondary temperature) onto a season */
+  _seasonFor(dominant, leansWarm, value) {
+    switch (dominant) {
+      case 'light':  return leansWarm ? 'Light Spring' : 'Light Summer';
+      case 'deep':   return leansWarm ? 'Deep Autumn' : 'Deep Winter';
+      case 'bright': return leansWarm ? 'Bright Spring' : 'Bright Winter';
+      case 'soft':   return leansWarm ? 'Soft Autumn' : 'Soft Summer';
+      case 'warm':   return value >= 55 ? 'Warm Spring' : 'Warm Autumn';
+      case 'cool':   return value >= 55 ? 'Cool Summer' : 'Cool Winter';
+      default:       return 'Soft Summer';
+    }
+  },
+
+  _serializeSamples(samples) {
+    const result = {};
+    ['skin', 'hair', 'eyes'].forEach(key => {
+      if (samples[key]) {
+        result[key] = {
+          rgb: samples[key].rgb,
+          hex: samples[key].hex,
+          name: samples[key].name,
+        };
+      }
+    });
+    return result;
+  },
+
+  // ────────────────────────────────────────────
+  //  GARMENT FIT
+  // ────────────────────────────────────────────
+
+  /**
+   * How well a single garment color suits a profile (0–1).
+   * @returns {{ fit: number, issue: string|null }}
+   */
+  scoreColor(color, profile) {
+    const season = this.SEASONS[profile?.season];
+    if (!season) return { fit: 1, issue: null };
+
+    const cfg = this._config;
+    const m = ColorAnalysis.getMetrics(color, 'lch');
+    const neutral = m.s < ColorAnalysis.getSpaceConfig('lch').neutralMax;
+
+    // Temperature — neutrals go with everything
+    let temperatureFit = 1;
+    let temperatureIssue = null;
+    if (!neutral) {
+      const warm = ColorAnalysis.isWarmHue(m.h, 'lch');
+      if ((season.temperature === 'warm') !== warm) {
+        temperatureFit = 0.3;
+        temperatureIssue = warm ? 'too warm' : 'too cool';
+      }
+    }
+
+    const rangeFit = (v, [min, max]) => {
+      if (v >= min && v <= max) return 1;
+      const dist = v < min ? min - v : v - max;
+      return Math.exp(-0.5 * Math.pow(dist / cfg.rangeFalloff, 2));
+    };
+
+    const lightnessFit = rangeFit(m.l, season.lightness);
+    const chromaFit = neutral ? 1 : rangeFit(m.s, season.chroma);
+
+    const w = cfg.fitWeights;
+    const fit = temperatureFit * w.temperature + lightnessFit * w.lightness + chromaFit * w.chroma;
+
+    // Report the weakest factor
+    const issues = [
+      { score: temperatureFit, text: temperatureIssue },
+      { score: lightnessFit, text: m.l < season.lightness[0] ? 'too dark' : 'too light' },
+      { score: chromaFit, text: m.s < season.chroma[0] ? 'too muted' : 'too vivid' },
+    ].filter(i => i.score < 0.7 && i.text).sort((a, b) => a.score - b.score);
+
+    return {
+      fit: Math.round(fit * 100) / 100,
+      issue: issues.length > 0 ? issues[0].text : null,
+    };
+  },
+
+  /**
+   * Evaluate a whole outfit against a profile.
+   * With `slots` (parallel to colors), pieces near the face count double
+   * and accessories half. Without it, the first color is treated as the
+   * top and carries half the weight.
+   *
+   * @param {Array} colors
+   * @param {Object} profile
+   * @param {string[]} [slots]
+   * @returns {{ fit: number, season: string, perColor: Array<{ fit, issue }> } | null}
+   */
+  evaluateOutfit(colors, profile, slots = null) {
+    if (!profile || !this.SEASONS[profile.season] || !colors || colors.length === 0) return null;
+
+    const perColor = colors.map(c => this.scoreColor(c, profile));
+    const weights = this._garmentWeights(colors.length, slots);
+
+    const fit = perColor.reduce((s, r, i) => s + r.fit * weights[i], 0);
+
+    return {
+      fit: Math.round(fit * 100) / 100,
+      season: profile.season,
+      perColor,
+    };
+  },
+
+  /** Normalized per-garment weights (sum to 1) */
+  _garmentWeights(count, slots) {
+    if (count === 1) return [1];
+
+    if (!slots || slots.length !== count) {
+      return Array.from({ length: count }, (_, i) => (i === 0 ? 0.5 : 0.5 / (count - 1)));
+    }
+
+    const raw = slots.map(key => {
+      const slot = GarmentSlots.get(key) || {};
+      return (slot.nearFace ? 2 : 1) * (slot.accessory ? 0.5 : 1);
+    });
+    const total = raw.reduce((a, b) => a + b, 0);
+    return raw.map(w => w / total);
+  },
+
+  // ────────────────────────────────────────────
+  //  PERSISTENCE
+  // ────────────────────────────────────────────
+
+  /**
+   * Save a profile to localStorage.
+   * @returns {boolean}
+   */
+  saveProfile(profile) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(profile));
+      return true;
+    } catch (error) {
+      console.error('Failed to save personal palette:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Load the saved profile.
+   * @returns {Object|null}
+   */
+  loadProfile() {
+    try {
+      const raw = localStorage.getItem(this.STORAGE_KEY);
+      if (!raw) return null;
+      const parsed = JSON.parse(raw);
+      return parsed && this.SEASONS[parsed.season] ? parsed : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /** @returns {boolean} */
+  clearProfile() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear personal palette:', error);
+      return false;
+    }
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PersonalPalette;
+}
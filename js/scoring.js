@@ -13,6 +13,14 @@ const Scoring = {
     return Math.exp(-0.5 * Math.pow((value - center) / spread, 2));
   },
 
+  /**
+   * Hue / saturation (chroma) / lightness of a color in the
+   * active ColorAnalysis space (LCh by default, HSL as legacy).
+   */
+  _metrics(color, space = ColorAnalysis.getColorSpace()) {
+    return ColorAnalysis.getMetrics(color, space);
+  },
+
   /**
    * Compute pairwise lightness contrasts for a color array.
    */
@@ -20,7 +28,7 @@ const Scoring = {
     const contrasts = [];
     for (let i = 0; i < colors.length; i++) {
       for (let j = i + 1; j < colors.length; j++) {
-        contrasts.push(Math.abs(colors[i].hsl.l - colors[j].hsl.l));
+        contrasts.push(Math.abs(this._metrics(colors[i]).l - this._metrics(colors[j]).l));
       }
     }
     return contrasts;
@@ -37,22 +45,22 @@ const Scoring = {
   /**
    * Check if a color is a neutral (black, white, gray).
    */
-  _isNeutral(color) {
-    return color.hsl.s < 12;
+  _isNeutral(color, space = ColorAnalysis.getColorSpace()) {
+    return this._metrics(color, space).s < ColorAnalysis.getSpaceConfig(space).neutralMax;
   },
 
   /**
    * Check if hue is in the warm range.
    */
-  _isWarmHue(h) {
-    return (h >= 0 && h < 70) || h >= 300;
+  _isWarmHue(h, space = ColorAnalysis.getColorSpace()) {
+    return ColorAnalysis.isWarmHue(h, space);
   },
 
   /**
    * Check if hue is in the cool range.
    */
-  _isCoolHue(h) {
-    return h >= 170 && h < 300;
+  _isCoolHue(h, space = ColorAnalysis.getColorSpace()) {
+    return ColorAnalysis.isCoolHue(h, space);
   },
 
   // ───────────────────────���────────────────────
@@ -75,14 +83,15 @@ const Scoring = {
     }
 
     // --- Factor 2: Saturation strength (20 pts) ---
-    const avgSat = colors.reduce((s, c) => s + c.hsl.s, 0) / colors.length;
-    // Moderate-to-high saturation (40–70) is most confident
-    score += this._bellCurve(avgSat, 55, 25) * weights.saturation;
+    const saturation = ColorAnalysis.getSpaceConfig().saturation;
+    const avgSat = colors.reduce((s, c) => s + this._metrics(c).s, 0) / colors.length;
+    // Moderate-to-high saturation is most confident
+    score += this._bellCurve(avgSat, saturation.confident, saturation.spread) * weights.saturation;
 
     // --- Factor 3: Visual balance (15 pts) ---
     // Standard deviation of lightness — lower = more balanced
-    const avgLight = colors.reduce((s, c) => s + c.hsl.l, 0) / colors.length;
-    const lightStdDev = Math.sqrt(colors.reduce((s, c) => s + Math.pow(c.hsl.l - avgLight, 2), 0) / colors.length);
+    const avgLight = colors.reduce((s, c) => s + this._metrics(c).l, 0) / colors.length;
+    const lightStdDev = Math.sqrt(colors.reduce((s, c) => s + Math.pow(this._metrics(c).l - avgLight, 2), 0) / colors.length);
     // Ideal std dev is 10–20 (some contrast but balanced)
     score += this._bellCurve(lightStdDev, 15, 12) * weights.balance;
 
@@ -95,7 +104,7 @@ const Scoring = {
       score += weights.neutralAnchor; // Perfect anchor
     } else if (neutralCount === colors.length) {
       score += weights.neutralAnchor * 0.75; // All neutral = minimalist
-    } else if (neutralCount === 0 && avgSat > 50) {
+    } else if (neutralCount === 0 && avgSat > saturation.bold) {
       score += weights.neutralAnchor * 0.6; // Bold, no anchor
     } else if (neutralCount >= 2) {
       score += weights.neutralAnchor * 0.5; // Multiple neutrals = safe
@@ -104,8 +113,8 @@ const Scoring = {
     // --- Factor 5: Intentionality — warm/cool coherence (15 pts) ---
     const chromaticColors = colors.filter(c => !this._isNeutral(c));
     if (chromaticColors.length >= 2) {
-      const warmCount = chromaticColors.filter(c => this._isWarmHue(c.hsl.h)).length;
-      const coolCount = chromaticColors.filter(c => this._isCoolHue(c.hsl.h)).length;
+      const warmCount = chromaticColors.filter(c => this._isWarmHue(this._metrics(c).h)).length;
+      const coolCount = chromaticColors.filter(c => this._isCoolHue(this._metrics(c).h)).length;
       const coherence = Math.max(warmCount, coolCount) / chromaticColors.length;
       score += coherence * weights.intentionality;
     } else {
@@ -131,6 +140,15 @@ const Scoring = {
   //  MOOD DETECTION — Expanded categories
   // ────────────────────────────────────────────
 
+  /** Every mood detectMood can return, in check order */
+  MOODS: [
+    'Dark / Edgy', 'Monochrome Minimal', 'Energetic / Bold', 'Romantic / Soft',
+    'Earthy / Natural', 'Calm / Professional', 'Playful / Creative', 'Fresh / Sporty',
+    'Minimal / Elegant', 'Neutral / Classic', 'Balanced',
+  ],
+
+  // Mood ranges are tuned to HSL hue names (pinks, oranges…),
+  // so mood detection always reads HSL regardless of the active space.
   detectMood(colors) {
     if (!colors || colors.length === 0) {
       return { mood: 'Unknown', emoji: '❓', explanation: 'No colors detected.' };
@@ -143,15 +161,15 @@ const Scoring = {
     const lightnesses = colors.map(c => c.hsl.l);
     const maxContrast = Math.max(...lightnesses) - Math.min(...lightnesses);
 
-    const chromaticColors = colors.filter(c => !this._isNeutral(c));
-    const neutralCount = colors.filter(c => this._isNeutral(c)).length;
+    const chromaticColors = colors.filter(c => !this._isNeutral(c, 'hsl'));
+    const neutralCount = colors.filter(c => this._isNeutral(c, 'hsl')).length;
     const hues = chromaticColors.map(c => c.hsl.h);
     const hueSpread = hues.length >= 2
       ? Math.max(...hues) - Math.min(...hues)
       : 0;
 
-    const isWarm = this._isWarmHue(avgHue);
-    const isCool = this._isCoolHue(avgHue);
+    const isWarm = this._isWarmHue(avgHue, 'hsl');
+    const isCool = this._isCoolHue(avgHue, 'hsl');
 
     // --- Priority-ordered mood checks ---
 
@@ -253,31 +271,163 @@ const Scoring = {
     };
   },
 
+  // ────────────────────────────────────────────
+  //  OCCASION PROFILES
+  //  Weights are the max points per factor and sum to 100.
+  //  harmonyPrefs multiply the harmony score by type;
+  //  penalties map _penaltyRules keys to polish points lost.
+  // ────────────────────────────────────────────
+
+  DEFAULT_OCCASION: 'everyday',
+
+  OCCASIONS: {
+    everyday: {
+      label: 'Everyday',
+      emoji: '☀️',
+      weights: { harmony: 30, contrast: 18, intensity: 15, coherence: 12, anchoring: 10, polish: 15 },
+      harmonyPrefs: {},
+      moods: { target: [], avoid: [] },
+      penalties: { clash: 8, highSat: 5, tempClash: 4, extremeLightness: 3 },
+    },
+    office: {
+      label: 'Office',
+      emoji: '💼',
+      weights: { harmony: 25, contrast: 18, intensity: 10, coherence: 12, anchoring: 15, polish: 20 },
+      harmonyPrefs: { 'Color Clash': 0.5, 'Complementary - Bold': 0.85, 'Neutral-Anchored': 1.1, 'Achromatic Contrast': 1.1 },
+      moods: {
+        target: ['Calm / Professional', 'Neutral / Classic', 'Minimal / Elegant', 'Monochrome Minimal'],
+        avoid: ['Playful / Creative', 'Energetic / Bold'],
+      },
+      penalties: { clash: 10, highSat: 7, tempClash: 4, extremeLightness: 3 },
+    },
+    interview: {
+      label: 'Interview',
+      emoji: '🤝',
+      weights: { harmony: 25, contrast: 15, intensity: 8, coherence: 12, anchoring: 15, polish: 25 },
+      harmonyPrefs: { 'Color Clash': 0.3, 'Tension (Neutral-Rescued)': 0.7, 'Complementary - Bold': 0.75, 'Neutral-Anchored': 1.15, 'Achromatic Contrast': 1.15 },
+      moods: {
+        target: ['Calm / Professional', 'Neutral / Classic', 'Minimal / Elegant'],
+        avoid: ['Playful / Creative', 'Energetic / Bold', 'Dark / Edgy'],
+      },
+      penalties: { clash: 15, highSat: 10, tempClash: 6, extremeLightness: 4 },
+    },
+    'wedding-guest': {
+      label: 'Wedding Guest',
+      emoji: '💐',
+      weights: { harmony: 30, contrast: 12, intensity: 18, coherence: 12, anchoring: 8, polish: 20 },
+      harmonyPrefs: { 'Color Clash': 0.5, 'Achromatic': 0.85, 'Analogous': 1.1 },
+      moods: {
+        target: ['Romantic / Soft', 'Minimal / Elegant', 'Fresh / Sporty'],
+        avoid: ['Dark / Edgy'],
+      },
+      penalties: { clash: 8, highSat: 4, tempClash: 4, extremeLightness: 3, bridalWhite: 10, allDark: 5 },
+    },
+    gym: {
+      label: 'Gym',
+      emoji: '🏋️',
+      weights: { harmony: 20, contrast: 15, intensity: 25, coherence: 10, anchoring: 10, polish: 20 },
+      harmonyPrefs: { 'Color Clash': 1.6, 'Complementary - Bold': 1.1, 'Triadic': 1.1 },
+      moods: {
+        target: ['Fresh / Sporty', 'Energetic / Bold', 'Playful / Creative'],
+        avoid: [],
+      },
+      penalties: { clash: 2, tempClash: 2 },
+    },
+    date: {
+      label: 'Date',
+      emoji: '🌹',
+      weights: { harmony: 30, contrast: 20, intensity: 15, coherence: 12, anchoring: 8, polish: 15 },
+      harmonyPrefs: { 'Color Clash': 0.7, 'Monochromatic - Flat': 0.85 },
+      moods: {
+        target: ['Romantic / Soft', 'Minimal / Elegant', 'Dark / Edgy', 'Energetic / Bold'],
+        avoid: ['Fresh / Sporty'],
+      },
+      penalties: { clash: 8, highSat: 5, tempClash: 4, extremeLightness: 3 },
+    },
+  },
+
+  /**
+   * Polish penalty rules. Each test receives the scoring context
+   * built in calculateOutfitScore.
+   */
+  _penaltyRules: {
+    clash: {
+      label: 'Color clash detected',
+      test: ctx => ctx.harmonyResult.type === 'Color Clash',
+    },
+    highSat: {
+      label: 'Too many vibrant colors',
+      test: ctx => ctx.metrics.filter(m => m.s > ctx.saturation.vibrant).length >= 3,
+    },
+    tempClash: {
+      label: 'Warm/cool temperature clash',
+      test: ctx => ctx.warmCount > 0 && ctx.coolCount > 0 && Math.abs(ctx.warmCount - ctx.coolCount) <= 1,
+    },
+    extremeLightness: {
+      label: 'Extreme lightness variation',
+      test: ctx => ctx.lightStdDev > 30,
+    },
+    bridalWhite: {
+      label: 'Reads as bridal white',
+      test: ctx => ctx.upperIndices.some(i => ctx.metrics[i].l > 90 && ctx.neutrals[i]),
+    },
+    allDark: {
+      label: 'Head-to-toe dark',
+      test: ctx => ctx.metrics.every(m => m.l < 25),
+    },
+  },
+
+  /**
+   * Look up an occasion profile, falling back to everyday.
+   * @returns {Object} profile with its `key`
+   */
+  getOccasion(key) {
+    const resolved = this.OCCASIONS[key] ? key : this.DEFAULT_OCCASION;
+    return { key: resolved, ...this.OCCASIONS[resolved] };
+  },
+
   // ────────────────────────────────────────────
   //  OUTFIT SCORE (0–100) — 6 weighted factors
+  //  (+ Personal Palette when a profile is set)
   // ────────────────────────────────────────────
 
-  calculateOutfitScore(colors, harmonyResult) {
+  /**
+   * @param {Array} colors
+   * @param {Object} harmonyResult
+   * @param {{ occasion?: string, profile?: Object, mood?: Object, slots?: string[] }} options
+   *   slots — GarmentSlots keys parallel to `colors`
+   */
+  calculateOutfitScore(colors, harmonyResult, options = {}) {
+    const occasion = this.getOccasion(options.occasion);
+    const profile = options.profile || null;
+    const slots = options.slots && options.slots.length === colors.length ? options.slots : null;
+    const mood = options.mood || this.detectMood(colors);
+    const w = occasion.weights;
+
     let score = 0;
     const breakdown = [];
 
-    // ── 1. Color Harmony (30 pts) ──
-    const harmonyPoints = Math.round(harmonyResult.score * 0.30);
+    // ── 1. Color Harmony ──
+    const harmonyPref = occasion.harmonyPrefs[harmonyResult.type] ?? 1;
+    const harmonyScore = Math.max(0, Math.min(100, harmonyResult.score * harmonyPref));
+    const harmonyPoints = Math.round(harmonyScore * w.harmony / 100);
     score += harmonyPoints;
     breakdown.push({
       category: '🎨 Color Harmony',
       points: harmonyPoints,
-      max: 30,
-      detail: harmonyResult.type
+      max: w.harmony,
+      detail: harmonyPref === 1
+        ? harmonyResult.type
+        : `${harmonyResult.type} · ${harmonyPref > 1 ? 'favored' : 'discouraged'} for ${occasion.label}`
     });
 
-    // ── 2. Contrast Balance (18 pts) ──
+    // ── 2. Contrast Balance ──
     const contrasts = this._pairwiseContrasts(colors);
     let contrastPoints = 0;
     if (contrasts.length > 0) {
       const avgContrast = contrasts.reduce((a, b) => a + b, 0) / contrasts.length;
       // Bell curve: ideal contrast at 38%, spread 18
-      contrastPoints = Math.round(this._bellCurve(avgContrast, 38, 18) * 18);
+      contrastPoints = Math.round(this._bellCurve(avgContrast, 38, 18) * w.contrast);
     }
     score += contrastPoints;
     const avgContrastDisplay = contrasts.length > 0
@@ -286,149 +436,177 @@ const Scoring = {
     breakdown.push({
       category: '🔲 Contrast Balance',
       points: contrastPoints,
-      max: 18,
+      max: w.contrast,
       detail: contrasts.length > 0 ? `Avg difference: ${avgContrastDisplay}%` : 'N/A'
     });
 
-    // ── 3. Color Intensity (15 pts) ──
-    const avgSat = colors.reduce((s, c) => s + c.hsl.s, 0) / colors.length;
-    const satVariance = Math.max(...colors.map(c => c.hsl.s)) - Math.min(...colors.map(c => c.hsl.s));
+    // ── 3. Color Intensity ──
+    const metrics = colors.map(c => this._metrics(c));
+    const avgSat = metrics.reduce((s, m) => s + m.s, 0) / metrics.length;
+    const satVariance = Math.max(...metrics.map(m => m.s)) - Math.min(...metrics.map(m => m.s));
 
-    let intensityPoints = 0;
     // Reward good saturation variance (20–50) and moderate avg saturation
+    const saturation = ColorAnalysis.getSpaceConfig().saturation;
     const satVarScore = this._bellCurve(satVariance, 35, 20) * 8;
-    const avgSatScore = this._bellCurve(avgSat, 45, 25) * 7;
-    intensityPoints = Math.round(satVarScore + avgSatScore);
+    const avgSatScore = this._bellCurve(avgSat, saturation.ideal, saturation.spread) * 7;
+    const intensityPoints = Math.round((satVarScore + avgSatScore) / 15 * w.intensity);
 
     score += intensityPoints;
     breakdown.push({
       category: '💡 Color Intensity',
       points: intensityPoints,
-      max: 15,
+      max: w.intensity,
       detail: `Avg saturation: ${Math.round(avgSat)}% · Variance: ${Math.round(satVariance)}%`
     });
 
-    // ── 4. Warm/Cool Coherence (12 pts) ──
-    const chromaticColors = colors.filter(c => !this._isNeutral(c));
-    let coherencePoints = 0;
+    // ── 4. Warm/Cool Coherence ──
+    const neutrals = colors.map(c => this._isNeutral(c));
+    const chromaticMetrics = metrics.filter((_, i) => !neutrals[i]);
+    const warmCount = chromaticMetrics.filter(m => this._isWarmHue(m.h)).length;
+    const coolCount = chromaticMetrics.filter(m => this._isCoolHue(m.h)).length;
+    let coherenceRaw = 0;
 
-    if (chromaticColors.length >= 2) {
-      const warmCount = chromaticColors.filter(c => this._isWarmHue(c.hsl.h)).length;
-      const coolCount = chromaticColors.filter(c => this._isCoolHue(c.hsl.h)).length;
-      const dominance = Math.max(warmCount, coolCount) / chromaticColors.length;
+    if (chromaticMetrics.length >= 2) {
+      const dominance = Math.max(warmCount, coolCount) / chromaticMetrics.length;
 
       if (dominance === 1) {
-        coherencePoints = 12; // Perfect coherence
+        coherenceRaw = 12; // Perfect coherence
       } else if (dominance >= 0.66) {
-        coherencePoints = 8;  // Mostly coherent
+        coherenceRaw = 8;  // Mostly coherent
       } else {
-        coherencePoints = 4;  // Mixed warm/cool
+        coherenceRaw = 4;  // Mixed warm/cool
       }
     } else {
-      coherencePoints = 10; // All neutral or single chromatic — fine
+      coherenceRaw = 10; // All neutral or single chromatic — fine
     }
 
+    const coherencePoints = Math.round(coherenceRaw / 12 * w.coherence);
     score += coherencePoints;
-    const warmCoolLabel = chromaticColors.length >= 2
-      ? (() => {
-          const w = chromaticColors.filter(c => this._isWarmHue(c.hsl.h)).length;
-          const k = chromaticColors.filter(c => this._isCoolHue(c.hsl.h)).length;
-          if (w > k) return `Warm-dominant (${w}/${chromaticColors.length})`;
-          if (k > w) return `Cool-dominant (${k}/${chromaticColors.length})`;
-          return 'Mixed warm/cool';
-        })()
-      : 'Neutral palette';
+
+    let warmCoolLabel = 'Neutral palette';
+    if (chromaticMetrics.length >= 2) {
+      if (warmCount > coolCount) warmCoolLabel = `Warm-dominant (${warmCount}/${chromaticMetrics.length})`;
+      else if (coolCount > warmCount) warmCoolLabel = `Cool-dominant (${coolCount}/${chromaticMetrics.length})`;
+      else warmCoolLabel = 'Mixed warm/cool';
+    }
 
     breakdown.push({
       category: '🌡️ Warm/Cool Coherence',
       points: coherencePoints,
-      max: 12,
+      max: w.coherence,
       detail: warmCoolLabel
     });
 
-    // ── 5. Neutral Anchoring (10 pts) ──
-    const neutralCount = colors.filter(c => this._isNeutral(c)).length;
-    let anchorPoints = 0;
-
-    if (neutralCount === 1 && chromaticColors.length >= 1) {
-      anchorPoints = 10; // Perfect: 1 neutral grounds the outfit
-    } else if (neutralCount === 2 && colors.length === 3) {
-      anchorPoints = 7; // Safe but less interesting
-    } else if (neutralCount === 0 && avgSat > 50) {
-      anchorPoints = 5; // All chromatic — bold but risky
+    // ── 5. Neutral Anchoring ──
+    const neutralCount = neutrals.filter(Boolean).length;
+    let anchorRaw = 0;
+
+    if (neutralCount === 1 && chromaticMetrics.length >= 1) {
+      anchorRaw = 10; // Perfect: 1 neutral grounds the outfit
+    } else if (neutralCount >= 2 && neutralCount >= colors.length / 2 && chromaticMetrics.length >= 1) {
+      anchorRaw = 7; // Safe but less interesting
+    } else if (neutralCount === 0 && avgSat > saturation.bold) {
+      anchorRaw = 5; // All chromatic — bold but risky
     } else if (neutralCount === colors.length) {
-      anchorPoints = 8; // All neutral — clean, intentional
+      anchorRaw = 8; // All neutral — clean, intentional
     } else {
-      anchorPoints = 6;
+      anchorRaw = 6;
     }
 
+    const anchorPoints = Math.round(anchorRaw / 10 * w.anchoring);
     score += anchorPoints;
     breakdown.push({
       category: '⚓ Neutral Anchoring',
       points: anchorPoints,
-      max: 10,
+      max: w.anchoring,
       detail: `${neutralCount} neutral${neutralCount !== 1 ? 's' : ''} out of ${colors.length} items`
     });
 
-    // ── 6. Professional Polish (15 pts) ──
-    let polishPoints = 15;
+    // ── 6. Professional Polish — occasion penalty rules ──
+    let polishRaw = 15;
     const issues = [];
 
-    // Penalty: Color clash
-    if (harmonyResult.type === 'Color Clash') {
-      polishPoints -= 8;
-      issues.push('Color clash detected');
-    }
-
-    // Penalty: Too many high-saturation colors
-    const highSatCount = colors.filter(c => c.hsl.s > 75).length;
-    if (highSatCount >= 3) {
-      polishPoints -= 5;
-      issues.push('Too many vibrant colors');
-    }
+    const lightnesses = metrics.map(m => m.l);
+    const meanLightness = lightnesses.reduce((a, b) => a + b, 0) / lightnesses.length;
+    const lightStdDev = Math.sqrt(lightnesses.reduce((s, l) => s + Math.pow(l - meanLightness, 2), 0) / lightnesses.length);
+
+    const ctx = {
+      harmonyResult,
+      metrics,
+      neutrals,
+      saturation,
+      warmCount: chromaticMetrics.length >= 2 ? warmCount : 0,
+      coolCount: chromaticMetrics.length >= 2 ? coolCount : 0,
+      lightStdDev,
+      // Main garments next to the face (the first color when slots are unknown)
+      upperIndices: slots
+        ? slots.map((key, i) => {
+            const slot = GarmentSlots.get(key);
+            return slot && slot.nearFace && !slot.accessory ? i : -1;
+          }).filter(i => i >= 0)
+        : [0],
+    };
 
-    // Penalty: Warm/cool clash (mixing warm and cool chromatics equally)
-    if (chromaticColors.length >= 2) {
-      const warmC = chromaticColors.filter(c => this._isWarmHue(c.hsl.h)).length;
-      const coolC = chromaticColors.filter(c => this._isCoolHue(c.hsl.h)).length;
-      if (warmC > 0 && coolC > 0 && Math.abs(warmC - coolC) <= 1) {
-        polishPoints -= 4;
-        issues.push('Warm/cool temperature clash');
+    Object.entries(occasion.penalties).forEach(([rule, points]) => {
+      const penalty = this._penaltyRules[rule];
+      if (penalty && points > 0 && penalty.test(ctx)) {
+        polishRaw -= points;
+        issues.push(penalty.label);
       }
-    }
-
-    // Penalty: Extreme lightness mismatch (e.g., neon top with black bottom with white shoes)
-    const lightnesses = colors.map(c => c.hsl.l);
-    const lightStdDev = Math.sqrt(lightnesses.reduce((s, l) => s + Math.pow(l - lightnesses.reduce((a, b) => a + b, 0) / lightnesses.length, 2), 0) / lightnesses.length);
-    if (lightStdDev > 30) {
-      polishPoints -= 3;
-      issues.push('Extreme lightness variation');
-    }
+    });
 
     // Bonus: Strong intentional design
     if (harmonyResult.type === 'Analogous') {
-      polishPoints += 3;
+      polishRaw += 3;
       issues.push('Analogous harmony (+)');
     } else if (harmonyResult.type === 'Complementary') {
-      polishPoints += 2;
+      polishRaw += 2;
       issues.push('Complementary intent (+)');
-    } else if (harmonyResult.type === 'Monochromatic' && chromaticColors.length >= 2) {
-      polishPoints += 2;
+    } else if (harmonyResult.type === 'Monochromatic' && chromaticMetrics.length >= 2) {
+      polishRaw += 2;
       issues.push('Monochromatic intent (+)');
     }
 
-    polishPoints = Math.max(0, Math.min(15, polishPoints));
+    // Mood vs. occasion
+    if (occasion.moods.target.includes(mood.mood)) {
+      polishRaw += 3;
+      issues.push(`${mood.mood} suits ${occasion.label} (+)`);
+    } else if (occasion.moods.avoid.includes(mood.mood)) {
+      polishRaw -= 4;
+      issues.push(`${mood.mood} is off for ${occasion.label}`);
+    }
+
+    polishRaw = Math.max(0, Math.min(15, polishRaw));
+    const polishPoints = Math.round(polishRaw / 15 * w.polish);
     score += polishPoints;
     breakdown.push({
       category: '👔 Professional Polish',
       points: polishPoints,
-      max: 15,
+      max: w.polish,
       detail: issues.length > 0 ? issues.join(' · ') : 'No issues detected'
     });
 
+    // ── 7. Personal Palette (10 pts, only with a profile) ──
+    const personal = profile ? PersonalPalette.evaluateOutfit(colors, profile, slots) : null;
+    if (personal) {
+      const personalPoints = Math.round(personal.fit * 10);
+      score += personalPoints;
+      breakdown.push({
+        category: '🪞 Personal Palette',
+        points: personalPoints,
+        max: 10,
+        detail: `${personal.season} · ${Math.round(personal.fit * 100)}% match`
+      });
+    }
+
+    // Normalize back to 0–100 when extra factors are present
+    const maxPoints = breakdown.reduce((s, b) => s + b.max, 0);
+    score = score * 100 / maxPoints;
+
     return {
       total: Math.max(0, Math.min(100, Math.round(score))),
-      breakdown: breakdown
+      breakdown: breakdown,
+      occasion: occasion.key
     };
   },
 
@@ -0,0 +1,478 @@
+
+const Segmentation = {
+
+  // ────────────────────────────────────────────
+  //  CONFIGURATION
+  //  GrabCut-style person mask: color models for person and
+  //  background, then a min-cut on a downsampled pixel grid
+  //  that trades color fit against smooth outlines. Runs on
+  //  the CPU in the analysis worker; no model files.
+  // ────────────────────────────────────────────
+
+  _config: {
+    maxSide: 120,             // Grid is at most 120 cells per side
+    seedRect: { left: 0.22, right: 0.78 },  // Initially "person" — the rest starts as background
+    borderShare: 0.05,        // Left / right strips that are always background
+    components: 5,            // Colors per model (ColorAnalysis.quantizePalette clusters)
+    minSigma: 3,              // ΔE floor on a component's spread
+    iterations: 3,            // Refit models → cut rounds
+    smoothness: 50,           // GrabCut gamma — weight of the outline term
+    minCoverage: 0.04,        // Below / above this share of the image, the cut failed
+    maxCoverage: 0.80,
+    torsoBand: [0.15, 0.60],  // Rows (share of height) used to find the body column
+    columnOccupancy: 0.35,    // Column = grid columns at least 35% person (relative to the fullest)
+    minZoneShare: 0.25,       // A zone must be at least 25% person to sample through the mask
+    overlayColor: [15, 23, 42, 170],  // RGBA drawn over the background by drawMask
+  },
+
+  // ────────────────────────────────────────────
+  //  SEGMENTATION
+  // ────────────────────────────────────────────
+
+  /**
+   * Estimate which pixels belong to the person.
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas — clean image (no overlays)
+   * @returns {{ width, height, step, gridWidth, gridHeight, mask: Uint8Array, coverage, column: { x, width } }|null}
+   *   mask is over the grid (1 = person); null when the cut found no plausible person
+   */
+  segment(canvas) {
+    const cfg = this._config;
+    const grid = this._grid(canvas);
+    if (!grid) return null;
+
+    const { gridWidth: gw, gridHeight: gh, rgb, lab } = grid;
+    const n = gw * gh;
+
+    // 0 = background, 1 = person, 2 = always background
+    const labels = new Uint8Array(n);
+    const seedLeft = Math.floor(gw * cfg.seedRect.left);
+    const seedRight = Math.ceil(gw * cfg.seedRect.right);
+    const border = Math.max(1, Math.round(gw * cfg.borderShare));
+    for (let y = 0; y < gh; y++) {
+      for (let x = 0; x < gw; x++) {
+        const i = y * gw + x;
+        if (x < border || x >= gw - border) labels[i] = 2;
+        else if (x >= seedLeft && x < seedRight) labels[i] = 1;
+      }
+    }
+
+    const smooth = this._smoothnessWeights(lab, gw, gh);
+
+    for (let iter = 0; iter < cfg.iterations; iter++) {
+      const person = this._fitModel(rgb, labels, [1]);
+      const background = this._fitModel(rgb, labels, [0, 2]);
+      if (!person || !background) return null;
+
+      const foreground = this._cut(lab, labels, person, background, smooth, gw, gh);
+      for (let i = 0; i < n; i++) {
+        if (labels[i] !== 2) labels[i] = foreground[i];
+      }
+    }
+
+    const mask = this._largestComponent(labels, gw, gh);
+    let count = 0;
+    for (let i = 0; i < n; i++) count += mask[i];
+    const coverage = count / n;
+    if (coverage < cfg.minCoverage || coverage > cfg.maxCoverage) return null;
+
+    const result = {
+      width: canvas.width,
+      height: canvas.height,
+      step: grid.step,
+      gridWidth: gw,
+      gridHeight: gh,
+      mask,
+      coverage: Math.round(coverage * 1000) / 1000,
+      column: null,
+    };
+    result.column = this._bodyColumn(result);
+    return result;
+  },
+
+  /**
+   * Mask over a rectangle of the image, laid out like the rect masks
+   * GarmentDetection._getPixelData reads (row stride = rect width).
+   *
+   * @param {Object} segmentation — from segment()
+   * @param {{ x, y, width, height }} rect
+   * @returns {Uint8Array|null} null when too little of the rect is person
+   */
+  maskRect(segmentation, rect) {
+    const { step, gridWidth, gridHeight, mask } = segmentation;
+    const x0 = Math.round(rect.x);
+    const y0 = Math.round(rect.y);
+    const w = Math.round(rect.width);
+    const h = Math.round(rect.height);
+    if (w <= 0 || h <= 0) return null;
+
+    const out = new Uint8Array(w * h);
+    let count = 0;
+    for (let y = 0; y < h; y++) {
+      const gy = Math.min(gridHeight - 1, Math.floor((y0 + y) / step));
+      for (let x = 0; x < w; x++) {
+        const gx = Math.min(gridWidth - 1, Math.floor((x0 + x) / step));
+        if (mask[gy * gridWidth + gx]) {
+          out[y * w + x] = 1;
+          count++;
+        }
+      }
+    }
+
+    return count / (w * h) >= this._config.minZoneShare ? out : null;
+  },
+
+  /**
+   * Debug overlay: dim everything outside the person mask.
+   * @param {HTMLCanvasElement} canvas — same size as the segmented image
+   * @param {Object} segmentation
+   */
+  drawMask(canvas, segmentation) {
+    const { gridWidth: gw, gridHeight: gh, mask, step } = segmentation;
+    const [r, g, b, a] = this._config.overlayColor;
+
+    const tile = document.createElement('canvas');
+    tile.width = gw;
+    tile.height = gh;
+    const tileCtx = tile.getContext('2d');
+    const image = tileCtx.createImageData(gw, gh);
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) continue;
+      image.data[i * 4] = r;
+      image.data[i * 4 + 1] = g;
+      image.data[i * 4 + 2] = b;
+      image.data[i * 4 + 3] = a;
+    }
+    tileCtx.putImageData(image, 0, 0);
+
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(tile, 0, 0, gw * step, gh * step);
+    ctx.restore();
+  },
+
+  // ────────────────────────────────────────────
+  //  GRID
+  // ────────────────────────────────────────────
+
+  /** Block-averaged colors (RGB and Lab), at most maxSide cells per side */
+  _grid(canvas) {
+    const { width, height } = canvas;
+    const step = Math.max(1, Math.ceil(Math.max(width, height) / this._config.maxSide));
+    const gw = Math.floor(width / step);
+    const gh = Math.floor(height / step);
+    if (gw < 8 || gh < 8) return null;
+
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const rgb = new Float32Array(gw * gh * 3);
+    const lab = new Float32Array(gw * gh * 3);
+    const area = step * step;
+
+    for (let gy = 0; gy < gh; gy++) {
+      for (let gx = 0; gx < gw; gx++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let y = gy * step; y < (gy + 1) * step; y++) {
+          let i = (y * width + gx * step) * 4;
+          for (let x = 0; x < step; x++, i += 4) {
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+          }
+        }
+        const j = (gy * gw + gx) * 3;
+        rgb[j] = r / area;
+        rgb[j + 1] = g / area;
+        rgb[j + 2] = b / area;
+        const c = ColorAnalysis.rgbToLab(rgb[j], rgb[j + 1], rgb[j + 2]);
+        lab[j] = c.L;
+        lab[j + 1] = c.a;
+        lab[j + 2] = c.b;
+      }
+    }
+
+    return { step, gridWidth: gw, gridHeight: gh, rgb, lab };
+  },
+
+  // ────────────────────────────────────────────
+  //  COLOR MODELS
+  //  A mixture of isotropic Gaussians in Lab, one per
+  //  palette cluster: mean = centroid, σ from its spread.
+  // ────────────────────────────────────────────
+
+  /** @returns {Array<{ L, a, b, weight, sigma }>|null} model of the cells with one of the labels */
+  _fitModel(rgb, labels, wanted) {
+    const pixels = [];
+    for (let i = 0; i < labels.length; i++) {
+      if (wanted.includes(labels[i])) pixels.push({ r: rgb[i * 3], g: rgb[i * 3 + 1], b: rgb[i * 3 + 2] });
+    }
+    if (pixels.length < this._config.components) return null;
+
+    const clusters = ColorAnalysis.quantizePalette(pixels, { count: this._config.components, mergeDeltaE: 0 });
+    return clusters.map(c => ({
+      L: c.lab.L,
+      a: c.lab.a,
+      b: c.lab.b,
+      weight: c.share,
+      // Mean distance from a 3-D Gaussian's centre is ≈ 1.6 σ
+      sigma: Math.max(this._config.minSigma, c.spread / 1.6),
+    }));
+  },
+
+  /** Cost (−log likelihood) of a cell's color under a model */
+  _cost(model, L, a, b) {
+    let likelihood = 0;
+    for (const c of model) {
+      const d2 = (L - c.L) ** 2 + (a - c.a) ** 2 + (b - c.b) ** 2;
+      const variance = c.sigma * c.sigma;
+      likelihood += c.weight * Math.exp(-d2 / (2 * variance)) / Math.pow(2 * Math.PI * variance, 1.5);
+    }
+    return -Math.log(Math.max(likelihood, 1e-300));
+  },
+
+  // ────────────────────────────────────────────
+  //  GRAPH CUT
+  //  Source = person, sink = background. Cutting source → cell
+  //  labels it background (pays its background cost) and vice
+  //  versa; neighbour links make edges between similar colors
+  //  expensive to cut.
+  // ────────────────────────────────────────────
+
+  /** Outline weights to the right and lower neighbour: gamma · exp(−β · ΔE²) */
+  _smoothnessWeights(lab, gw, gh) {
+    const n = gw * gh;
+    const right = new Float32Array(n);
+    const down = new Float32Array(n);
+    const d2 = (i, j) => (lab[i * 3] - lab[j * 3]) ** 2 +
+      (lab[i * 3 + 1] - lab[j * 3 + 1]) ** 2 + (lab[i * 3 + 2] - lab[j * 3 + 2]) ** 2;
+
+    let sum = 0;
+    let count = 0;
+    for (let y = 0; y < gh; y++) {
+      for (let x = 0; x < gw; x++) {
+        const i = y * gw + x;
+        if (x + 1 < gw) { right[i] = d2(i, i + 1); sum += right[i]; count++; }
+        if (y + 1 < gh) { down[i] = d2(i, i + gw); sum += down[i]; count++; }
+      }
+    }
+
+    // β adapts the weights to the image's overall contrast
+    const beta = sum > 0 ? count / (2 * sum) : 0;
+    const gamma = this._config.smoothness;
+    for (let i = 0; i < n; i++) {
+      right[i] = (i + 1) % gw === 0 ? 0 : gamma * Math.exp(-beta * right[i]);
+      down[i] = i + gw >= n ? 0 : gamma * Math.exp(-beta * down[i]);
+    }
+    return { right, down };
+  },
+
+  /** @returns {Uint8Array} 1 for cells on the person side of the minimum cut */
+  _cut(lab, labels, person, background, smooth, gw, gh) {
+    const n = gw * gh;
+    const source = n;
+    const sink = n + 1;
+    const nodes = n + 2;
+    const maxEdges = 2 * 3 * n;
+
+    const head = new Int32Array(nodes).fill(-1);
+    const next = new Int32Array(maxEdges);
+    const to = new Int32Array(maxEdges);
+    const cap = new Float64Array(maxEdges);
+    let edges = 0;
+    const link = (u, v, c, reverse) => {
+      to[edges] = v; cap[edges] = c; next[edges] = head[u]; head[u] = edges++;
+      to[edges] = u; cap[edges] = reverse; next[edges] = head[v]; head[v] = edges++;
+    };
+
+    for (let i = 0; i < n; i++) {
+      let toSource;
+      let toSink;
+      if (labels[i] === 2) {
+        toSource = 0;
+        toSink = 1e9;
+      } else {
+        const L = lab[i * 3];
+        const a = lab[i * 3 + 1];
+        const b = lab[i * 3 + 2];
+        toSource = this._cost(background, L, a, b);
+        toSink = this._cost(person, L, a, b);
+        // Only the difference matters — one t-link per cell keeps the flow short
+        const shared = Math.min(toSource, toSink);
+        toSource -= shared;
+        toSink -= shared;
+      }
+      if (toSource > 0) link(source, i, toSource, 0);
+      if (toSink > 0) link(i, sink, toSink, 0);
+      if (smooth.right[i] > 0) link(i, i + 1, smooth.right[i], smooth.right[i]);
+      if (smooth.down[i] > 0) link(i, i + gw, smooth.down[i], smooth.down[i]);
+    }
+
+    this._maxFlow({ head, next, to, cap }, nodes, source, sink);
+
+    // Person = still reachable from the source through unsaturated edges
+    const foreground = new Uint8Array(n);
+    const seen = new Uint8Array(nodes);
+    const queue = new Int32Array(nodes);
+    let qHead = 0;
+    let qTail = 0;
+    queue[qTail++] = source;
+    seen[source] = 1;
+    while (qHead < qTail) {
+      const u = queue[qHead++];
+      for (let e = head[u]; e !== -1; e = next[e]) {
+        const v = to[e];
+        if (seen[v] || cap[e] <= 1e-9) continue;
+        seen[v] = 1;
+        queue[qTail++] = v;
+        if (v < n) foreground[v] = 1;
+      }
+    }
+    return foreground;
+  },
+
+  /** Dinic's max-flow; leaves the residual capacities in graph.cap */
+  _maxFlow({ head, next, to, cap }, nodes, source, sink) {
+    const EPS = 1e-9;
+    const level = new Int32Array(nodes);
+    const iter = new Int32Array(nodes);
+    const queue = new Int32Array(nodes);
+    const path = new Int32Array(nodes);
+
+    const buildLevels = () => {
+      level.fill(-1);
+      level[source] = 0;
+      let qHead = 0;
+      let qTail = 0;
+      queue[qTail++] = source;
+      while (qHead < qTail) {
+        const u = queue[qHead++];
+        for (let e = head[u]; e !== -1; e = next[e]) {
+          if (cap[e] > EPS && level[to[e]] < 0) {
+            level[to[e]] = level[u] + 1;
+            queue[qTail++] = to[e];
+          }
+        }
+      }
+      return level[sink] >= 0;
+    };
+
+    while (buildLevels()) {
+      iter.set(head);
+
+      // Blocking flow: walk forward along the level graph, retreat from dead ends
+      let u = source;
+      let depth = 0;
+      for (;;) {
+        if (u === sink) {
+          let flow = Infinity;
+          for (let k = 0; k < depth; k++) flow = Math.min(flow, cap[path[k]]);
+          for (let k = 0; k < depth; k++) {
+            cap[path[k]] -= flow;
+            cap[path[k] ^ 1] += flow;
+          }
+          u = source;
+          depth = 0;
+          continue;
+        }
+
+        let e = iter[u];
+        while (e !== -1 && !(cap[e] > EPS && level[to[e]] === level[u] + 1)) e = next[e];
+        iter[u] = e;
+
+        if (e !== -1) {
+          path[depth++] = e;
+          u = to[e];
+        } else if (u === source) {
+          break;
+        } else {
+          level[u] = -1;
+          u = to[path[--depth] ^ 1];
+          iter[u] = next[iter[u]];
+        }
+      }
+    }
+  },
+
+  // ────────────────────────────────────────────
+  //  CLEAN-UP
+  // ────────────────────────────────────────────
+
+  /** Keep only the largest 4-connected person region — stray background blobs go */
+  _largestComponent(labels, gw, gh) {
+    const n = gw * gh;
+    const component = new Int32Array(n).fill(-1);
+    const queue = new Int32Array(n);
+    let best = -1;
+    let bestSize = 0;
+    let id = 0;
+
+    for (let start = 0; start < n; start++) {
+      if (labels[start] !== 1 || component[start] >= 0) continue;
+
+      let qHead = 0;
+      let qTail = 0;
+      queue[qTail++] = start;
+      component[start] = id;
+      while (qHead < qTail) {
+        const i = queue[qHead++];
+        const x = i % gw;
+        const neighbours = [x > 0 ? i - 1 : -1, x < gw - 1 ? i + 1 : -1, i - gw, i + gw];
+        for (const j of neighbours) {
+          if (j < 0 || j >= n || labels[j] !== 1 || component[j] >= 0) continue;
+          component[j] = id;
+          queue[qTail++] = j;
+        }
+      }
+
+      if (qTail > bestSize) {
+        bestSize = qTail;
+        best = id;
+      }
+      id++;
+    }
+
+    const mask = new Uint8Array(n);
+    if (best < 0) return mask;
+    for (let i = 0; i < n; i++) {
+      if (component[i] === best) mask[i] = 1;
+    }
+    return mask;
+  },
+
+  /**
+   * Horizontal extent of the torso: grid columns around the fullest one
+   * that are at least columnOccupancy as full, in image pixels.
+   * @returns {{ x, width }|null}
+   */
+  _bodyColumn({ gridWidth: gw, gridHeight: gh, mask, step }) {
+    const [bandTop, bandBottom] = this._config.torsoBand;
+    const y0 = Math.floor(gh * bandTop);
+    const y1 = Math.ceil(gh * bandBottom);
+
+    const occupancy = new Float32Array(gw);
+    for (let x = 0; x < gw; x++) {
+      for (let y = y0; y < y1; y++) occupancy[x] += mask[y * gw + x];
+    }
+
+    let peak = 0;
+    for (let x = 1; x < gw; x++) {
+      if (occupancy[x] > occupancy[peak]) peak = x;
+    }
+    if (occupancy[peak] === 0) return null;
+
+    const threshold = occupancy[peak] * this._config.columnOccupancy;
+    let left = peak;
+    let right = peak;
+    while (left > 0 && occupancy[left - 1] >= threshold) left--;
+    while (right < gw - 1 && occupancy[right + 1] >= threshold) right++;
+
+    return { x: left * step, width: (right - left + 1) * step };
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Segmentation;
+}
@@ -0,0 +1,133 @@
+
+const UndoStack = {
+
+  // ────────────────────────────────────────────
+  //  CONFIG & STATE
+  //  Command pattern: each entry knows how to undo and redo
+  //  itself. The stack never runs commands on its own — the
+  //  caller applies the change first, then records it.
+  // ────────────────────────────────────────────
+
+  _config: {
+    maxSize: 50,              // Oldest commands are dropped beyond this
+    mergeWindow: 1000,        // ms — same-mergeKey commands this close become one step
+  },
+
+  _undo: [],
+  _redo: [],
+  _onChange: null,          // ({ canUndo, canRedo, undo, redo }) => void
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - called after every change with
+   *   { canUndo, canRedo, undo, redo } (undo / redo: next step labels or null)
+   */
+  init(options = {}) {
+    this._undo = [];
+    this._redo = [];
+    this._onChange = options.onChange || null;
+    this._emit();
+  },
+
+  // ────────────────────────────────────────────
+  //  RECORDING
+  // ────────────────────────────────────────────
+
+  /**
+   * Record a change that has already been applied.
+   *
+   * @param {Object} command
+   * @param {string} command.label — shown in button tooltips and toasts, e.g. "Top color"
+   * @param {Function} command.undo
+   * @param {Function} command.redo
+   * @param {string} [command.mergeKey] — consecutive commands with the same key
+   *   (e.g. one color picker being dragged) collapse into a single step
+   */
+  record(command) {
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      throw new Error('UndoStack.record needs a command with undo() and redo()');
+    }
+
+    const now = Date.now();
+    const top = this._undo[this._undo.length - 1];
+
+    if (command.mergeKey && top && top.mergeKey === command.mergeKey &&
+        now - top.time <= this._config.mergeWindow) {
+      // Keep the oldest undo, take the newest redo
+      top.redo = command.redo;
+      top.time = now;
+    } else {
+      this._undo.push({ ...command, time: now });
+      if (this._undo.length > this._config.maxSize) this._undo.shift();
+    }
+
+    this._redo = [];
+    this._emit();
+  },
+
+  // ────────────────────────────────────────────
+  //  UNDO / REDO
+  // ────────────────────────────────────────────
+
+  /** @returns {Object|null} the command that was undone */
+  undo() {
+    const command = this._undo.pop();
+    if (!command) return null;
+
+    try {
+      command.undo();
+    } catch (error) {
+      console.error(`Undo failed (${command.label}):`, error);
+    }
+    this._redo.push(command);
+    this._emit();
+    return command;
+  },
+
+  /** @returns {Object|null} the command that was redone */
+  redo() {
+    const command = this._redo.pop();
+    if (!command) return null;
+
+    try {
+      command.redo();
+    } catch (error) {
+      console.error(`Redo failed (${command.label}):`, error);
+    }
+    command.time = 0; // Never merge into a redone step
+    this._undo.push(command);
+    this._emit();
+    return command;
+  },
+
+  canUndo() {
+    return this._undo.length > 0;
+  },
+
+  canRedo() {
+    return this._redo.length > 0;
+  },
+
+  /** Labels of the next undo / redo steps (null when there is none) */
+  peek() {
+    const label = stack => (stack.length > 0 ? stack[stack.length - 1].label : null);
+    return { undo: label(this._undo), redo: label(this._redo) };
+  },
+
+  /** Forget everything — e.g. when a new photo replaces what the commands refer to */
+  clear() {
+    if (this._undo.length === 0 && this._redo.length === 0) return;
+    this._undo = [];
+    this._redo = [];
+    this._emit();
+  },
+
+  _emit() {
+    if (this._onChange) this._onChange({ canUndo: this.canUndo(), canRedo: this.canRedo(), ...this.peek() });
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UndoStack;
+}
@@ -0,0 +1,341 @@
+
+const Wardrobe = {
+
+  // ────────────────────────────────────────────
+  //  STORAGE KEYS
+  // ────────────────────────────────────────────
+
+  STORAGE_KEY: 'outfit-intelligence-wardrobe',
+  MAX_ITEMS: 200,
+  CURRENT_VERSION: 1,
+
+  THUMBNAIL_SIZE: 96,        // Longest side in px
+  THUMBNAIL_QUALITY: 0.7,    // JPEG quality
+
+  // Generator limits — the cartesian product grows fast
+  MAX_COMBINATIONS: 5000,
+  DEFAULT_LIMIT: 5,
+
+  // ────────────────────────────────────────────
+  //  ITEMS — CRUD
+  // ────────────────────────────────────────────
+
+  /**
+   * Add a garment to the wardrobe.
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} data.slot — GarmentSlots key
+   * @param {Object} data.color — { rgb, hsl, hex, name, isPattern?, dominantColors? }
+   * @param {string[]|string} [data.tags] — array or comma-separated string
+   * @param {string|null} [data.thumbnail] — data URL
+   * @returns {Object|null} saved item
+   */
+  addItem(data) {
+    if (!data || !data.color || !GarmentSlots.get(data.slot)) {
+      console.error('Invalid wardrobe item — not saving');
+      return null;
+    }
+
+    const items = this._loadItems();
+    if (items.length >= this.MAX_ITEMS) {
+      console.warn(`Wardrobe is full (${this.MAX_ITEMS} items)`);
+      return null;
+    }
+
+    const item = {
+      version: this.CURRENT_VERSION,
+      id: this._generateId(),
+      createdAt: new Date().toISOString(),
+      name: (data.name || '').trim() || `${data.color.name} ${GarmentSlots.get(data.slot).label}`,
+      slot: data.slot,
+      color: this._serializeColor(data.color),
+      isPattern: !!data.color.isPattern,
+      tags: this._normalizeTags(data.tags),
+      thumbnail: data.thumbnail || null,
+    };
+
+    items.push(item);
+    return this._saveItems(items) ? item : null;
+  },
+
+  /**
+   * Update name, slot or tags of an item.
+   * @returns {Object|null} updated item
+   */
+  updateItem(id, changes = {}) {
+    const items = this._loadItems();
+    const item = items.find(i => i.id === id);
+    if (!item) return null;
+
+    if (typeof changes.name === 'string' && changes.name.trim()) item.name = changes.name.trim();
+    if (changes.slot && GarmentSlots.get(changes.slot)) item.slot = changes.slot;
+    if (changes.tags !== undefined) item.tags = this._normalizeTags(changes.tags);
+
+    return this._saveItems(items) ? item : null;
+  },
+
+  /** @returns {boolean} */
+  deleteItem(id) {
+    const items = this._loadItems();
+    const filtered = items.filter(i => i.id !== id);
+    if (filtered.length === items.length) return false;
+    return this._saveItems(filtered);
+  },
+
+  /**
+   * Get items, optionally filtered.
+   * @param {{ slot?: string, tag?: string }} filter
+   * @returns {Array}
+   */
+  getItems(filter = {}) {
+    return this._loadItems().filter(item =>
+      (!filter.slot || item.slot === filter.slot) &&
+      (!filter.tag || item.tags.includes(filter.tag.toLowerCase()))
+    );
+  },
+
+  /** @returns {Object|null} */
+  getItem(id) {
+    return this._loadItems().find(i => i.id === id) || null;
+  },
+
+  /** @returns {number} */
+  getItemCount() {
+    return this._loadItems().length;
+  },
+
+  /** All tags in use, sorted */
+  getTags() {
+    const tags = new Set();
+    this._loadItems().forEach(item => item.tags.forEach(t => tags.add(t)));
+    return [...tags].sort();
+  },
+
+  /** @returns {boolean} */
+  clearWardrobe() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear wardrobe:', error);
+      return false;
+    }
+  },
+
+  // ────────────────────────────────────────────
+  //  THUMBNAILS
+  // ────────────────────────────────────────────
+
+  /**
+   * Crop a region of a canvas into a small JPEG data URL.
+   * Also makes the history photos (see Comparison.THUMBNAIL_SIZE).
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ x, y, width, height }} [rect] — defaults to the whole canvas
+   * @param {{ size?: number, quality?: number }} [options] — longest side in px and JPEG
+   *   quality; default to the garment thumbnail settings
+   * @returns {string|null}
+   */
+  createThumbnail(canvas, rect = null, options = {}) {
+    const { size = this.THUMBNAIL_SIZE, quality = this.THUMBNAIL_QUALITY } = options;
+    try {
+      const src = rect || { x: 0, y: 0, width: canvas.width, height: canvas.height };
+      if (src.width < 1 || src.height < 1) return null;
+
+      const scale = Math.min(1, size / Math.max(src.width, src.height));
+      const thumb = document.createElement('canvas');
+      thumb.width = Math.max(1, Math.round(src.width * scale));
+      thumb.height = Math.max(1, Math.round(src.height * scale));
+
+      thumb.getContext('2d').drawImage(
+        canvas,
+        src.x, src.y, src.width, src.height,
+        0, 0, thumb.width, thumb.height
+      );
+
+      return thumb.toDataURL('image/jpeg', quality);
+    } catch (error) {
+      console.warn('Failed to create thumbnail:', error);
+      return null;
+    }
+  },
+
+  // ────────────────────────────────────────────
+  //  OUTFIT GENERATOR
+  // ────────────────────────────────────────────
+
+  /**
+   * Enumerate outfits from the wardrobe and rank them, all at once.
+   * Large wardrobes go through AnalysisPipeline.generateOutfits instead,
+   * which scores the same plan in batches off the main thread.
+   *
+   * @param {Object} options — as planOutfits, plus occasion / mood / profile / limit (see scoreOutfits)
+   * @returns {{ outfits: Array, missingSlots: string[], evaluated: number, truncated: boolean }}
+   */
+  generateOutfits(options = {}) {
+    const plan = this.planOutfits(options);
+    return this.rankOutfits(plan, this.scoreOutfits(plan, 0, plan.total, options), options.limit);
+  },
+
+  /**
+   * Candidate items per slot, capped at MAX_COMBINATIONS.
+   *
+   * @param {Object} options
+   * @param {string[]} [options.slots] — slots every outfit must fill
+   * @param {string} [options.tag] — only use items with this tag
+   * @param {Array} [options.items] — items to pick from (default: the saved wardrobe;
+   *   the worker has no localStorage)
+   * @returns {{ active: string[], lists: Array[], missingSlots: string[], total: number, truncated: boolean }}
+   *   total: combinations to score (0 when a slot has no items)
+   */
+  planOutfits(options = {}) {
+    const { slots = GarmentSlots.DEFAULT_ACTIVE, tag = null, items = null } = options;
+    const pool = items || this._loadItems();
+    const active = GarmentSlots.resolveActive(slots);
+    const candidates = active.map(slot => pool.filter(item =>
+      item.slot === slot && (!tag || item.tags.includes(tag.toLowerCase()))
+    ));
+    const missingSlots = active.filter((_, i) => candidates[i].length === 0);
+
+    if (missingSlots.length > 0) {
+      return { active, lists: [], missingSlots, total: 0, truncated: false };
+    }
+
+    const lists = this._capCandidates(candidates, this.MAX_COMBINATIONS);
+    return {
+      active,
+      lists,
+      missingSlots,
+      total: lists.reduce((product, list) => product * list.length, 1),
+      truncated: lists.some((list, i) => list.length < candidates[i].length),
+    };
+  },
+
+  /**
+   * Score combinations `start` (inclusive) to `end` (exclusive) of a plan.
+   *
+   * @param {Object} plan — from planOutfits
+   * @param {number} start
+   * @param {number} end
+   * @param {Object} options
+   * @param {string} [options.occasion] — Scoring occasion key
+   * @param {string} [options.mood] — only keep outfits with this mood
+   * @param {Object} [options.profile] — PersonalPalette profile
+   * @returns {Array<{ items, slots, harmony, mood, score }>}
+   */
+  scoreOutfits(plan, start, end, options = {}) {
+    const { occasion = Scoring.DEFAULT_OCCASION, mood = null, profile = null } = options;
+    const results = [];
+
+    for (let index = start; index < Math.min(end, plan.total); index++) {
+      const combo = this._combinationAt(plan.lists, index);
+      const colors = combo.map(item => ({ ...item.color, isPattern: item.isPattern }));
+
+      const outfitMood = Scoring.detectMood(colors);
+      if (mood && outfitMood.mood !== mood) continue;
+
+      const harmony = ColorAnalysis.analyzeHarmony(colors);
+      const score = Scoring.calculateOutfitScore(colors, harmony, {
+        occasion,
+        profile,
+        mood: outfitMood,
+        slots: plan.active,
+      });
+
+      results.push({ items: combo, slots: plan.active, harmony, mood: outfitMood, score });
+    }
+
+    return results;
+  },
+
+  /**
+   * Best scored outfits, graded.
+   * @param {Object} plan — from planOutfits
+   * @param {Array} results — from scoreOutfits, any number of batches
+   * @param {number} [limit]
+   * @returns {{ outfits: Array, missingSlots: string[], evaluated: number, truncated: boolean }}
+   */
+  rankOutfits(plan, results, limit = this.DEFAULT_LIMIT) {
+    const ranked = results.slice().sort((a, b) => b.score.total - a.score.total);
+    return {
+      outfits: ranked.slice(0, limit).map(r => ({ ...r, grade: Scoring.getGrade(r.score.total) })),
+      missingSlots: plan.missingSlots,
+      evaluated: plan.total,
+      truncated: plan.truncated,
+    };
+  },
+
+  /**
+   * Shrink the longest candidate lists (dropping their oldest items)
+   * until the number of combinations fits in `max`.
+   */
+  _capCandidates(lists, max) {
+    const capped = lists.map(list => list.slice());
+    const product = () => capped.reduce((p, list) => p * list.length, 1);
+
+    while (product() > max) {
+      const longest = capped.reduce((a, b) => (b.length > a.length ? b : a));
+      if (longest.length <= 1) break;
+      longest.shift();
+    }
+    return capped;
+  },
+
+  /** Combination number `index`, one item from each list (the last list changes fastest) */
+  _combinationAt(lists, index) {
+    const combo = new Array(lists.length);
+    for (let i = lists.length - 1; i >= 0; i--) {
+      combo[i] = lists[i][index % lists[i].length];
+      index = Math.floor(index / lists[i].length);
+    }
+    return combo;
+  },
+
+  // ────────────────────────────────────────────
+  //  INTERNAL HELPERS
+  // ────────────────────────────────────────────
+
+  _loadItems() {
+    try {
+      const raw = localStorage.getItem(this.STORAGE_KEY);
+      if (!raw) return [];
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed.filter(item => item && item.id && item.color) : [];
+    } catch (error) {
+      console.error('Failed to load wardrobe:', error);
+      return [];
+    }
+  },
+
+  _saveItems(items) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
+      return true;
+    } catch (error) {
+      console.error('Failed to save wardrobe:', error);
+      return false;
+    }
+  },
+
+  _serializeColor(color) {
+    return {
+      rgb: color.rgb,
+      hsl: color.hsl,
+      hex: color.hex,
+      name: color.name,
+    };
+  },
+
+  _normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  },
+
+  _generateId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 8);
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Wardrobe;
+}
@@ -0,0 +1,251 @@
+
+const WhiteBalance = {
+
+  // ────────────────────────────────────────────
+  //  METHODS
+  //  Each estimates the color of the light, then per-channel
+  //  gains map that color back to neutral (von Kries scaling).
+  // ────────────────────────────────────────────
+
+  METHODS: {
+    'none':           { label: 'Off' },
+    'gray-world':     { label: 'Gray world',     description: 'Assumes the scene averages out to gray' },
+    'white-patch':    { label: 'White patch',    description: 'Assumes the brightest pixels are white' },
+    'shades-of-gray': { label: 'Shades of gray', description: 'Minkowski mean between gray world and white patch' },
+  },
+
+  DEFAULT_METHOD: 'shades-of-gray',
+  STORAGE_KEY: 'outfit-intelligence-white-balance',
+
+  _config: {
+    sampleStep: 4,               // Estimate from every 4th pixel
+    minValue: 8,                 // Near-black pixels carry no color information
+    clipValue: 250,              // Saturated pixels no longer show the light's color
+    whitePatchPercentile: 0.99,  // "Brightest" = 99th percentile, robust to speculars
+    minkowskiP: 6,               // Shades-of-gray norm (1 = gray world, ∞ = white patch)
+    maxGain: 1.8,                // Clamp gains — a strongly colored scene is not a colored light
+    minCorrection: 0.02,         // Gains within 2% of 1 are left alone
+  },
+
+  // ────────────────────────────────────────────
+  //  CORRECTION
+  // ────────────────────────────────────────────
+
+  /**
+   * Color-correct an image.
+   *
+   * @param {ImageData|{ width, height, data }} imageData — left untouched
+   * @param {Object} [options]
+   * @param {string} [options.method] — METHODS key
+   * @param {{ r, g, b }|null} [options.reference] — measured reference white; wins over method
+   * @returns {{ imageData, correction: { method, label, reference, applied, illuminant, gains } }}
+   */
+  correct(imageData, options = {}) {
+    const method = this.METHODS[options.method] ? options.method : this.DEFAULT_METHOD;
+    const reference = options.reference || null;
+
+    const illuminant = reference || (method === 'none' ? null : this.estimateIlluminant(imageData, method));
+    const gains = illuminant ? this.gainsFor(illuminant) : null;
+    const applied = !!gains && ['r', 'g', 'b'].some(c => Math.abs(gains[c] - 1) >= this._config.minCorrection);
+
+    const correction = {
+      method: reference ? 'reference' : method,
+      label: reference ? 'Reference white' : this.METHODS[method].label,
+      reference: !!reference,
+      applied,
+      illuminant,
+      gains: applied ? gains : { r: 1, g: 1, b: 1 },
+    };
+
+    return {
+      imageData: applied ? this.applyGains(imageData, gains) : imageData,
+      correction,
+    };
+  },
+
+  /**
+   * Estimate the light's color from an image.
+   * @param {ImageData|{ width, height, data }} imageData
+   * @param {string} method — 'gray-world' | 'white-patch' | 'shades-of-gray'
+   * @returns {{ r, g, b }|null} null when there are too few usable pixels
+   */
+  estimateIlluminant(imageData, method) {
+    const pixels = this._usablePixels(imageData.data, this._config.sampleStep);
+    if (pixels.r.length < 16) return null;
+
+    switch (method) {
+      case 'gray-world':
+        return this._mapChannels(pixels, values => this._mean(values));
+      case 'white-patch':
+        return this._mapChannels(pixels, values => this._percentile(values, this._config.whitePatchPercentile));
+      case 'shades-of-gray':
+        return this._mapChannels(pixels, values => this._minkowskiMean(values, this._config.minkowskiP));
+      default:
+        throw new Error(`Unknown white balance method: ${method}`);
+    }
+  },
+
+  /**
+   * Average color of a region the user marked as white or light gray.
+   * @param {ImageData} imageData
+   * @param {{ x, y, width, height, mask? }} rect — mask: Uint8Array over the rect (lasso / polygon)
+   * @returns {{ r, g, b }|null}
+   */
+  measureReference(imageData, rect) {
+    const x0 = Math.max(0, Math.round(rect.x));
+    const y0 = Math.max(0, Math.round(rect.y));
+    const x1 = Math.min(imageData.width, Math.round(rect.x + rect.width));
+    const y1 = Math.min(imageData.height, Math.round(rect.y + rect.height));
+    if (x1 <= x0 || y1 <= y0) return null;
+
+    const { data } = imageData;
+    const sums = { r: 0, g: 0, b: 0 };
+    let count = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (rect.mask && !rect.mask[(y - y0) * rect.width + (x - x0)]) continue;
+        const i = (y * imageData.width + x) * 4;
+        if (!this._isUsable(data[i], data[i + 1], data[i + 2])) continue;
+        sums.r += data[i];
+        sums.g += data[i + 1];
+        sums.b += data[i + 2];
+        count++;
+      }
+    }
+
+    if (count === 0) return null;
+    return { r: sums.r / count, g: sums.g / count, b: sums.b / count };
+  },
+
+  /**
+   * Per-channel gains that turn the illuminant neutral by lifting the weaker
+   * channels to the strongest one — so a cream-looking white comes out white.
+   * @param {{ r, g, b }} illuminant
+   * @returns {{ r, g, b }}
+   */
+  gainsFor(illuminant) {
+    const { maxGain } = this._config;
+    const peak = Math.max(illuminant.r, illuminant.g, illuminant.b);
+    const gain = value => {
+      if (value <= 0) return 1;
+      const g = Math.min(maxGain, peak / value);
+      return Math.round(g * 1000) / 1000;
+    };
+    return { r: gain(illuminant.r), g: gain(illuminant.g), b: gain(illuminant.b) };
+  },
+
+  /**
+   * Scale every pixel by the gains.
+   * @returns {{ width, height, data: Uint8ClampedArray }} new image
+   */
+  applyGains(imageData, gains) {
+    const src = imageData.data;
+    const out = new Uint8ClampedArray(src.length);
+    for (let i = 0; i < src.length; i += 4) {
+      out[i] = src[i] * gains.r;
+      out[i + 1] = src[i + 1] * gains.g;
+      out[i + 2] = src[i + 2] * gains.b;
+      out[i + 3] = src[i + 3];
+    }
+    return { width: imageData.width, height: imageData.height, data: out };
+  },
+
+  /**
+   * Correct a single sampled color (e.g. a manual crop).
+   * @param {{ r, g, b }} rgb
+   * @param {{ r, g, b }} gains
+   * @returns {{ rgb, hsl, hex, name }}
+   */
+  correctColor(rgb, gains) {
+    const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+    const corrected = { r: clamp(rgb.r * gains.r), g: clamp(rgb.g * gains.g), b: clamp(rgb.b * gains.b) };
+    const hsl = ColorAnalysis.rgbToHsl(corrected.r, corrected.g, corrected.b);
+    return {
+      rgb: corrected,
+      hsl,
+      hex: ColorAnalysis.rgbToHex(corrected.r, corrected.g, corrected.b),
+      name: ColorAnalysis.getColorDescription({ hsl }),
+    };
+  },
+
+  /** One-line summary, e.g. "Shades of gray · R×0.92 G×1.01 B×1.12" */
+  describe(correction) {
+    if (!correction) return 'No color correction';
+    if (!correction.applied) {
+      return correction.method === 'none' ? 'White balance off' : `${correction.label} · no correction needed`;
+    }
+    const { r, g, b } = correction.gains;
+    return `${correction.label} · R×${r.toFixed(2)} G×${g.toFixed(2)} B×${b.toFixed(2)}`;
+  },
+
+  // ────────────────────────────────────────────
+  //  PERSISTENCE
+  // ────────────────────────────────────────────
+
+  /** @returns {string} last chosen method */
+  loadMethod() {
+    try {
+      const method = localStorage.getItem(this.STORAGE_KEY);
+      return this.METHODS[method] ? method : this.DEFAULT_METHOD;
+    } catch {
+      return this.DEFAULT_METHOD;
+    }
+  },
+
+  /** @returns {boolean} */
+  saveMethod(method) {
+    if (!this.METHODS[method]) return false;
+    try {
+      localStorage.setItem(this.STORAGE_KEY, method);
+      return true;
+    } catch (error) {
+      console.warn('Failed to save white balance method:', error);
+      return false;
+    }
+  },
+
+  // ────────────────────────────────────────────
+  //  INTERNAL HELPERS
+  // ────────────────────────────────────────────
+
+  _isUsable(r, g, b) {
+    const { minValue, clipValue } = this._config;
+    return Math.max(r, g, b) >= minValue && Math.max(r, g, b) <= clipValue;
+  },
+
+  /** Channel arrays of the sampled, unclipped, non-black, opaque pixels */
+  _usablePixels(data, step) {
+    const pixels = { r: [], g: [], b: [] };
+    for (let i = 0; i < data.length; i += 4 * step) {
+      if (data[i + 3] < 128) continue;
+      if (!this._isUsable(data[i], data[i + 1], data[i + 2])) continue;
+      pixels.r.push(data[i]);
+      pixels.g.push(data[i + 1]);
+      pixels.b.push(data[i + 2]);
+    }
+    return pixels;
+  },
+
+  _mapChannels(pixels, fn) {
+    return { r: fn(pixels.r), g: fn(pixels.g), b: fn(pixels.b) };
+  },
+
+  _mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  },
+
+  _percentile(values, p) {
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  },
+
+  _minkowskiMean(values, p) {
+    const sum = values.reduce((acc, v) => acc + Math.pow(v / 255, p), 0);
+    return Math.pow(sum / values.length, 1 / p) * 255;
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WhiteBalance;
+}
@@ -0,0 +1,251 @@
+
+const ZoneEditor = {
+
+  // ────────────────────────────────────────────
+  //  STATE
+  //  Drags the zone boundaries drawn by GarmentDetection.drawZones.
+  //  The editor only reports positions — the caller re-detects,
+  //  re-extracts and redraws, then hands back the new handles.
+  // ────────────────────────────────────────────
+
+  _config: {
+    hitSlop: 12,              // Display px around a line that still grabs it
+    touchHitSlop: 22,
+  },
+
+  canvas: null,
+  handles: [],              // From GarmentDetection.zoneHandles, in canvas px
+  activeHandle: null,       // id of the handle being dragged
+
+  _onDragStart: null,       // (id) => void
+  _onDrag: null,            // (id, value 0–1 of height / width) => void
+  _onDragEnd: null,         // (id) => void
+  _boundHandlers: null,
+  _pending: null,           // Latest pointer position, applied on the next frame
+  _frame: null,
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {Function} options.onDragStart - called with the handle id when a drag begins
+   * @param {Function} options.onDrag - called with (id, value) at most once per frame
+   * @param {Function} options.onDragEnd - called with the handle id on release
+   */
+  init(canvas, options = {}) {
+    if (this.canvas) this.destroy();
+
+    this.canvas = canvas;
+    this.handles = [];
+    this.activeHandle = null;
+    this._onDragStart = options.onDragStart || null;
+    this._onDrag = options.onDrag || null;
+    this._onDragEnd = options.onDragEnd || null;
+
+    this._boundHandlers = {
+      mousedown: this._onMouseDown.bind(this),
+      hover: this._onHover.bind(this),
+      mousemove: this._onMouseMove.bind(this),
+      mouseup: this._onMouseUp.bind(this),
+      touchstart: this._onTouchStart.bind(this),
+      touchmove: this._onTouchMove.bind(this),
+      touchend: this._onTouchEnd.bind(this),
+    };
+
+    canvas.addEventListener('mousedown', this._boundHandlers.mousedown);
+    canvas.addEventListener('mousemove', this._boundHandlers.hover);
+    canvas.addEventListener('touchstart', this._boundHandlers.touchstart, { passive: false });
+    canvas.addEventListener('touchmove', this._boundHandlers.touchmove, { passive: false });
+    canvas.addEventListener('touchend', this._boundHandlers.touchend);
+    canvas.addEventListener('touchcancel', this._boundHandlers.touchend);
+  },
+
+  /** Replace the grabbable handles (after every redraw) */
+  setHandles(handles) {
+    this.handles = handles || [];
+  },
+
+  // ────────────────────────────────────────────
+  //  HIT TESTING
+  // ────────────────────────────────────────────
+
+  _getCanvasCoords(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (clientY - rect.top) * (this.canvas.height / rect.height),
+      scale: this.canvas.width / rect.width,
+    };
+  },
+
+  /** Nearest handle within the slop, or null */
+  _handleAt(coords, slop) {
+    const reach = slop * coords.scale;
+    let best = null;
+    let bestDistance = reach;
+
+    this.handles.forEach(handle => {
+      const along = handle.axis === 'y' ? coords.x : coords.y;
+      const across = handle.axis === 'y' ? coords.y : coords.x;
+      if (along < handle.start - reach || along > handle.end + reach) return;
+
+      const distance = Math.abs(across - handle.position);
+      if (distance <= bestDistance) {
+        best = handle;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  },
+
+  _cursorFor(handle) {
+    if (!handle) return '';
+    return handle.axis === 'y' ? 'ns-resize' : 'ew-resize';
+  },
+
+  // ────────────────────────────────────────────
+  //  MOUSE EVENTS
+  // ────────────────────────────────────────────
+
+  _onMouseDown(e) {
+    if (e.button !== 0) return;
+    const handle = this._handleAt(this._getCanvasCoords(e.clientX, e.clientY), this._config.hitSlop);
+    if (!handle) return;
+
+    e.preventDefault();
+    this._startDrag(handle);
+    document.addEventListener('mousemove', this._boundHandlers.mousemove);
+    document.addEventListener('mouseup', this._boundHandlers.mouseup);
+  },
+
+  /** Resize cursor over a handle */
+  _onHover(e) {
+    if (this.activeHandle) return;
+    const handle = this._handleAt(this._getCanvasCoords(e.clientX, e.clientY), this._config.hitSlop);
+    this.canvas.style.cursor = this._cursorFor(handle);
+  },
+
+  _onMouseMove(e) {
+    if (!this.activeHandle) return;
+    e.preventDefault();
+    this._queue(this._getCanvasCoords(e.clientX, e.clientY));
+  },
+
+  _onMouseUp() {
+    document.removeEventListener('mousemove', this._boundHandlers.mousemove);
+    document.removeEventListener('mouseup', this._boundHandlers.mouseup);
+    this._endDrag();
+  },
+
+  // ────────────────────────────────────────────
+  //  TOUCH EVENTS
+  //  Only touches that land on a handle are taken —
+  //  everything else still scrolls the page.
+  // ────────────────────────────────────────────
+
+  _onTouchStart(e) {
+    if (e.touches.length !== 1) return;
+    const touch = e.touches[0];
+    const handle = this._handleAt(this._getCanvasCoords(touch.clientX, touch.clientY), this._config.touchHitSlop);
+    if (!handle) return;
+
+    e.preventDefault();
+    this._startDrag(handle);
+  },
+
+  _onTouchMove(e) {
+    if (!this.activeHandle) return;
+    e.preventDefault();
+    const touch = e.touches[0];
+    this._queue(this._getCanvasCoords(touch.clientX, touch.clientY));
+  },
+
+  _onTouchEnd() {
+    this._endDrag();
+  },
+
+  // ────────────────────────────────────────────
+  //  DRAGGING
+  // ────────────────────────────────────────────
+
+  _startDrag(handle) {
+    this.activeHandle = handle.id;
+    this._pending = null;
+    this.canvas.style.cursor = this._cursorFor(handle);
+    if (this._onDragStart) this._onDragStart(handle.id);
+  },
+
+  /** Coalesce pointer moves — re-extracting colors more than once per frame is wasted work */
+  _queue(coords) {
+    this._pending = coords;
+    if (this._frame === null) {
+      this._frame = requestAnimationFrame(() => this._flush());
+    }
+  },
+
+  _flush() {
+    this._frame = null;
+    const coords = this._pending;
+    this._pending = null;
+    if (!coords || !this.activeHandle || !this._onDrag) return;
+
+    const handle = this.handles.find(h => h.id === this.activeHandle);
+    if (!handle) return;
+
+    const value = handle.axis === 'y' ? coords.y / this.canvas.height : coords.x / this.canvas.width;
+    this._onDrag(handle.id, Math.max(0, Math.min(1, value)));
+  },
+
+  _endDrag() {
+    if (!this.activeHandle) return;
+
+    // Apply the last position before reporting the end
+    if (this._frame !== null) {
+      cancelAnimationFrame(this._frame);
+      this._flush();
+    }
+
+    const id = this.activeHandle;
+    this.activeHandle = null;
+    if (this.canvas) this.canvas.style.cursor = '';
+    if (this._onDragEnd) this._onDragEnd(id);
+  },
+
+  // ────────────────────────────────────────────
+  //  CLEANUP
+  // ────────────────────────────────────────────
+
+  /** Remove all listeners; a drag in progress is dropped without onDragEnd */
+  destroy() {
+    if (this._frame !== null) {
+      cancelAnimationFrame(this._frame);
+      this._frame = null;
+    }
+
+    if (this.canvas && this._boundHandlers) {
+      this.canvas.removeEventListener('mousedown', this._boundHandlers.mousedown);
+      this.canvas.removeEventListener('mousemove', this._boundHandlers.hover);
+      this.canvas.removeEventListener('touchstart', this._boundHandlers.touchstart);
+      this.canvas.removeEventListener('touchmove', this._boundHandlers.touchmove);
+      this.canvas.removeEventListener('touchend', this._boundHandlers.touchend);
+      this.canvas.removeEventListener('touchcancel', this._boundHandlers.touchend);
+      document.removeEventListener('mousemove', this._boundHandlers.mousemove);
+      document.removeEventListener('mouseup', this._boundHandlers.mouseup);
+      this.canvas.style.cursor = '';
+    }
+
+    this.canvas = null;
+    this.handles = [];
+    this.activeHandle = null;
+    this._pending = null;
+    this._boundHandlers = null;
+    this._onDragStart = null;
+    this._onDrag = null;
+    this._onDragEnd = null;
+  },
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZoneEditor;
+}